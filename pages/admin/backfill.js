@@ -0,0 +1,37 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState } from 'react';
+import AdminTokenInput from '../../src/components/admin/AdminTokenInput';
+import BackfillPanel from '../../src/components/admin/BackfillPanel';
+
+export default function BackfillPage() {
+  const [tokenVersion, setTokenVersion] = useState(0); // remount panel after token change
+
+  return (
+    <>
+      <Head>
+        <title>Backfill - API Services</title>
+        <meta name="description" content="Historical backfill of Shopify orders into Bitrix24" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <main className="page">
+        <header className="page-header">
+          <div>
+            <h1>Backfill заказов</h1>
+            <p className="subtitle">
+              Синхронизация заказов Shopify, пришедших до настройки webhook или во время простоя
+            </p>
+          </div>
+          <div className="header-actions">
+            <AdminTokenInput onSave={() => setTokenVersion(version => version + 1)} />
+            <Link href="/" className="btn" style={{ marginLeft: '12px' }}>
+              ← Back
+            </Link>
+          </div>
+        </header>
+
+        <BackfillPanel key={tokenVersion} />
+      </main>
+    </>
+  );
+}
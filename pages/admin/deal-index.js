@@ -0,0 +1,37 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState } from 'react';
+import AdminTokenInput from '../../src/components/admin/AdminTokenInput';
+import DealIndexPanel from '../../src/components/admin/DealIndexPanel';
+
+export default function DealIndexPage() {
+  const [tokenVersion, setTokenVersion] = useState(0); // remount panel after token change
+
+  return (
+    <>
+      <Head>
+        <title>Deal index - API Services</title>
+        <meta name="description" content="Shopify order to Bitrix24 deal index" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <main className="page">
+        <header className="page-header">
+          <div>
+            <h1>Индекс сделок</h1>
+            <p className="subtitle">
+              Соответствие заказов Shopify и сделок Bitrix24, конфликты и перестроение
+            </p>
+          </div>
+          <div className="header-actions">
+            <AdminTokenInput onSave={() => setTokenVersion(version => version + 1)} />
+            <Link href="/" className="btn" style={{ marginLeft: '12px' }}>
+              ← Back
+            </Link>
+          </div>
+        </header>
+
+        <DealIndexPanel key={tokenVersion} />
+      </main>
+    </>
+  );
+}
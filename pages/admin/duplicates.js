@@ -0,0 +1,37 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState } from 'react';
+import AdminTokenInput from '../../src/components/admin/AdminTokenInput';
+import DuplicatesPanel from '../../src/components/admin/DuplicatesPanel';
+
+export default function DuplicatesPage() {
+  const [tokenVersion, setTokenVersion] = useState(0); // remount panel after token change
+
+  return (
+    <>
+      <Head>
+        <title>Duplicate deals - API Services</title>
+        <meta name="description" content="Resolve duplicate Bitrix24 deals of Shopify orders" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <main className="page">
+        <header className="page-header">
+          <div>
+            <h1>Дубли сделок</h1>
+            <p className="subtitle">
+              Выбор основной сделки для заказов, остановленных ошибкой duplicate_deals
+            </p>
+          </div>
+          <div className="header-actions">
+            <AdminTokenInput onSave={() => setTokenVersion(version => version + 1)} />
+            <Link href="/" className="btn" style={{ marginLeft: '12px' }}>
+              ← Back
+            </Link>
+          </div>
+        </header>
+
+        <DuplicatesPanel key={tokenVersion} />
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,37 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState } from 'react';
+import AdminTokenInput from '../../src/components/admin/AdminTokenInput';
+import ReconciliationPanel from '../../src/components/admin/ReconciliationPanel';
+
+export default function ReconciliationPage() {
+  const [tokenVersion, setTokenVersion] = useState(0); // remount panel after token change
+
+  return (
+    <>
+      <Head>
+        <title>Reconciliation - API Services</title>
+        <meta name="description" content="Shopify orders vs Bitrix24 deals reconciliation report" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <main className="page">
+        <header className="page-header">
+          <div>
+            <h1>Сверка Shopify ↔ Bitrix</h1>
+            <p className="subtitle">
+              Недостающие сделки, дубли, расхождения сумм, стадий, статуса оплаты и SKU без товара
+            </p>
+          </div>
+          <div className="header-actions">
+            <AdminTokenInput onSave={() => setTokenVersion(version => version + 1)} />
+            <Link href="/" className="btn" style={{ marginLeft: '12px' }}>
+              ← Back
+            </Link>
+          </div>
+        </header>
+
+        <ReconciliationPanel key={tokenVersion} />
+      </main>
+    </>
+  );
+}
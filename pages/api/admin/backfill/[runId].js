@@ -0,0 +1,79 @@
+// Backfill run: progress and report (GET), next page / cancel (POST { action: 'step' | 'cancel' })
+import { getBackfillRun, runBackfillStep, cancelBackfillRun } from '../../../../src/lib/sync/backfill.js';
+import { assertSyncConfig, isAdminRequest } from '../../../../src/lib/config/index.js';
+import { processShopifyWebhook } from '../../webhook/shopify.js';
+
+/**
+ * Backfill processor - same pipeline as orders/updated webhook
+ * @param {Object} order - Order from Admin API
+ * @param {Object} run - Backfill run
+ * @returns {Promise<number|null>} Deal ID
+ */
+function processBackfillOrder(order, run) {
+  return processShopifyWebhook('orders/updated', { ...order, eventId: run.id }, run.params.shopDomain);
+}
+
+export default async function handler(req, res) {
+  const { runId } = req.query;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const run = await getBackfillRun(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Backfill run ${runId} not found` });
+      }
+      return res.status(200).json({ success: true, run });
+    } catch (error) {
+      console.error('Get backfill run error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to retrieve backfill run', message: error.message });
+    }
+  }
+
+  const action = req.body?.action;
+
+  try {
+    if (action === 'step') {
+      try {
+        assertSyncConfig();
+      } catch (configError) {
+        return res.status(503).json({ success: false, error: 'Sync is not configured', code: configError.code, missing: configError.missing, errors: configError.errors });
+      }
+
+      const { run, claimed, processed } = await runBackfillStep(runId, processBackfillOrder);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Backfill run ${runId} not found` });
+      }
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'RUN_NOT_STEPPABLE',
+          message: `Backfill run ${runId} is ${run.state}${run.state === 'running' ? ' (another step in progress)' : ''}`,
+          run: { ...run, items: undefined }
+        });
+      }
+      return res.status(200).json({ success: true, action, processed, run: { ...run, items: undefined } });
+    }
+
+    if (action === 'cancel') {
+      const run = await cancelBackfillRun(runId);
+      if (!run) {
+        return res.status(409).json({ success: false, error: 'RUN_NOT_CANCELLABLE', message: `Backfill run ${runId} not found or already finished` });
+      }
+      return res.status(200).json({ success: true, action, run: { ...run, items: undefined } });
+    }
+
+    return res.status(400).json({ success: false, error: 'INVALID_ACTION', message: 'action must be "step" or "cancel"' });
+  } catch (error) {
+    console.error('Backfill run action error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update backfill run', message: error.message });
+  }
+}
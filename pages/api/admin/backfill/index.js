@@ -0,0 +1,35 @@
+// Historical backfill runs: list (GET), start (POST { createdAtMin, createdAtMax, orderNumberFrom, orderNumberTo, dryRun, concurrency, pageSize, shopDomain })
+import { createBackfillRun, listBackfillRuns, BACKFILL_LIMITS } from '../../../../src/lib/sync/backfill.js';
+import { isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const runs = await listBackfillRuns();
+      return res.status(200).json({ success: true, runs, count: runs.length, limits: BACKFILL_LIMITS });
+    } catch (error) {
+      console.error('List backfill runs error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to list backfill runs', message: error.message });
+    }
+  }
+
+  try {
+    const run = await createBackfillRun(req.body || {});
+    return res.status(201).json({ success: true, run });
+  } catch (error) {
+    if (error.code === 'BACKFILL_INVALID') {
+      return res.status(400).json({ success: false, error: error.code, message: error.message, errors: error.errors });
+    }
+    console.error('Create backfill run error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create backfill run', message: error.message });
+  }
+}
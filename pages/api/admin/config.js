@@ -0,0 +1,19 @@
+// Runtime configuration without secrets (GET /api/admin/config, Authorization: Bearer <ADMIN_API_TOKEN>)
+import { getRedactedConfig, isAdminRequest } from '../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Admin API requires ADMIN_API_TOKEN (Authorization: Bearer <token> or x-admin-token header)'
+    });
+  }
+
+  return res.status(200).json({ success: true, ...getRedactedConfig() });
+}
@@ -0,0 +1,68 @@
+// Deal index repair run: progress (GET), next pages / cancel (POST { action: 'step' | 'cancel' })
+import { getRepairRun, runRepairStep, cancelRepairRun } from '../../../../src/lib/sync/dealIndexRepair.js';
+import { assertSyncConfig, isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  const { runId } = req.query;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const run = await getRepairRun(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Repair run ${runId} not found` });
+      }
+      return res.status(200).json({ success: true, run });
+    } catch (error) {
+      console.error('Get repair run error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to retrieve repair run', message: error.message });
+    }
+  }
+
+  const action = req.body?.action;
+
+  try {
+    if (action === 'step') {
+      try {
+        assertSyncConfig();
+      } catch (configError) {
+        return res.status(503).json({ success: false, error: 'Sync is not configured', code: configError.code, missing: configError.missing, errors: configError.errors });
+      }
+
+      const { run, claimed } = await runRepairStep(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Repair run ${runId} not found` });
+      }
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'RUN_NOT_STEPPABLE',
+          message: `Repair run ${runId} is ${run.state}${run.state === 'running' ? ' (another step in progress)' : ''}`,
+          run
+        });
+      }
+      return res.status(200).json({ success: true, action, run });
+    }
+
+    if (action === 'cancel') {
+      const run = await cancelRepairRun(runId);
+      if (!run) {
+        return res.status(409).json({ success: false, error: 'RUN_NOT_CANCELLABLE', message: `Repair run ${runId} not found or already finished` });
+      }
+      return res.status(200).json({ success: true, action, run });
+    }
+
+    return res.status(400).json({ success: false, error: 'INVALID_ACTION', message: 'action must be "step" or "cancel"' });
+  } catch (error) {
+    console.error('Repair run action error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update repair run', message: error.message });
+  }
+}
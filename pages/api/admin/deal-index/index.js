@@ -0,0 +1,46 @@
+// Order → deal index: stats, conflicts and repair runs (GET, ?orderId= for one entry), start repair (POST)
+import { getDealIndexStats, getIndexedDeal, listIndexConflicts } from '../../../../src/lib/store/dealIndex.js';
+import { createRepairRun, listRepairRuns } from '../../../../src/lib/sync/dealIndexRepair.js';
+import { isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const { orderId } = req.query;
+      if (orderId) {
+        const entry = await getIndexedDeal(orderId);
+        if (!entry) {
+          return res.status(404).json({ success: false, error: 'NOT_INDEXED', message: `Order ${orderId} is not indexed` });
+        }
+        return res.status(200).json({ success: true, entry });
+      }
+
+      const [stats, conflicts, repairs] = await Promise.all([getDealIndexStats(), listIndexConflicts(), listRepairRuns()]);
+      return res.status(200).json({ success: true, stats, conflicts, repairs: repairs.slice(0, 20) });
+    } catch (error) {
+      console.error('Get deal index error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to retrieve deal index', message: error.message });
+    }
+  }
+
+  if (req.body?.action !== 'repair') {
+    return res.status(400).json({ success: false, error: 'INVALID_ACTION', message: 'action must be "repair"' });
+  }
+
+  try {
+    const run = await createRepairRun();
+    return res.status(201).json({ success: true, run });
+  } catch (error) {
+    console.error('Create deal index repair error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create repair run', message: error.message });
+  }
+}
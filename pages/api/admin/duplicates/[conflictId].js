@@ -0,0 +1,65 @@
+// Duplicate deal conflict: candidate deals and audit (GET), resolve / dismiss (POST { action, survivorId, strategy, operator, note })
+import {
+  getDuplicateCandidates,
+  listDuplicateAudit,
+  resolveDuplicateConflict,
+  dismissDuplicateConflict,
+} from '../../../../src/lib/sync/duplicateDeals.js';
+import { assertSyncConfig, isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  const { conflictId } = req.query;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  try {
+    assertSyncConfig();
+  } catch (configError) {
+    return res.status(503).json({ success: false, error: 'Sync is not configured', code: configError.code, missing: configError.missing, errors: configError.errors });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const result = await getDuplicateCandidates(conflictId);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'CONFLICT_NOT_FOUND', message: `Duplicate conflict ${conflictId} not found` });
+      }
+      const audit = await listDuplicateAudit({ conflictId });
+      return res.status(200).json({ success: true, ...result, audit });
+    } catch (error) {
+      console.error('Get duplicate conflict error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load candidate deals', message: error.message });
+    }
+  }
+
+  const { action, ...params } = req.body || {};
+
+  try {
+    let result;
+    if (action === 'resolve') {
+      result = await resolveDuplicateConflict(conflictId, params);
+    } else if (action === 'dismiss') {
+      result = await dismissDuplicateConflict(conflictId, params);
+    } else {
+      return res.status(400).json({ success: false, error: 'INVALID_ACTION', message: 'action must be "resolve" or "dismiss"' });
+    }
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'CONFLICT_NOT_FOUND', message: `Duplicate conflict ${conflictId} not found` });
+    }
+    return res.status(result.audit.success ? 200 : 502).json({ success: result.audit.success, action, ...result });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_RESOLUTION_INVALID') {
+      return res.status(400).json({ success: false, error: error.code, message: error.message });
+    }
+    console.error('Duplicate conflict action error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to resolve duplicate conflict', message: error.message });
+  }
+}
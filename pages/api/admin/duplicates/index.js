@@ -0,0 +1,28 @@
+// Duplicate deal conflicts: list (GET ?state=open|resolved) with the latest audit entries
+import { listDuplicateConflicts, listDuplicateAudit, DUPLICATE_CONFLICT_STATES } from '../../../../src/lib/sync/duplicateDeals.js';
+import { isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  const { state } = req.query;
+  if (state && !DUPLICATE_CONFLICT_STATES.includes(state)) {
+    return res.status(400).json({ success: false, error: 'INVALID_STATE', message: `state must be one of: ${DUPLICATE_CONFLICT_STATES.join(', ')}` });
+  }
+
+  try {
+    const conflicts = await listDuplicateConflicts({ state });
+    const audit = await listDuplicateAudit({ limit: 50 });
+    return res.status(200).json({ success: true, conflicts, count: conflicts.length, audit });
+  } catch (error) {
+    console.error('List duplicate conflicts error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to list duplicate conflicts', message: error.message });
+  }
+}
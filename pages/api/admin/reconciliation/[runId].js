@@ -0,0 +1,111 @@
+// Reconciliation run: report (GET, ?type=amount_mismatch, ?format=csv), next page / cancel / resync (POST { action, orderId })
+import {
+  getReconciliationRun,
+  runReconciliationStep,
+  cancelReconciliationRun,
+  resyncDiscrepancy,
+  discrepanciesToCsv,
+  DISCREPANCY_TYPES,
+} from '../../../../src/lib/sync/reconciliation.js';
+import { assertSyncConfig, isAdminRequest } from '../../../../src/lib/config/index.js';
+import { processShopifyWebhook } from '../../webhook/shopify.js';
+
+/**
+ * Resync processor - same pipeline as orders/updated webhook
+ * @param {Object} order - Current order from Admin API
+ * @param {Object} run - Reconciliation run
+ * @returns {Promise<number|null>} Deal ID
+ */
+function processResyncOrder(order, run) {
+  return processShopifyWebhook('orders/updated', { ...order, eventId: run.id }, run.params.shopDomain);
+}
+
+export default async function handler(req, res) {
+  const { runId, type, format } = req.query;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    if (type && !DISCREPANCY_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: 'INVALID_TYPE', message: `type must be one of: ${DISCREPANCY_TYPES.join(', ')}` });
+    }
+    try {
+      const run = await getReconciliationRun(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Reconciliation run ${runId} not found` });
+      }
+      const discrepancies = (run.discrepancies || []).filter(item => !type || item.type === type);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${run.id}${type ? `-${type}` : ''}.csv"`);
+        return res.status(200).send(discrepanciesToCsv(discrepancies));
+      }
+
+      return res.status(200).json({ success: true, run: { ...run, discrepancies }, count: discrepancies.length });
+    } catch (error) {
+      console.error('Get reconciliation run error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to retrieve reconciliation run', message: error.message });
+    }
+  }
+
+  const { action, orderId } = req.body || {};
+
+  if (action === 'step' || action === 'resync') {
+    try {
+      assertSyncConfig();
+    } catch (configError) {
+      return res.status(503).json({ success: false, error: 'Sync is not configured', code: configError.code, missing: configError.missing, errors: configError.errors });
+    }
+  }
+
+  try {
+    if (action === 'step') {
+      const { run, claimed } = await runReconciliationStep(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'RUN_NOT_FOUND', message: `Reconciliation run ${runId} not found` });
+      }
+      const summary = { ...run, discrepancies: undefined };
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'RUN_NOT_STEPPABLE',
+          message: `Reconciliation run ${runId} is ${run.state}${run.state === 'running' ? ' (another step in progress)' : ''}`,
+          run: summary
+        });
+      }
+      return res.status(200).json({ success: true, action, run: summary });
+    }
+
+    if (action === 'cancel') {
+      const run = await cancelReconciliationRun(runId);
+      if (!run) {
+        return res.status(409).json({ success: false, error: 'RUN_NOT_CANCELLABLE', message: `Reconciliation run ${runId} not found or already finished` });
+      }
+      return res.status(200).json({ success: true, action, run: { ...run, discrepancies: undefined } });
+    }
+
+    if (action === 'resync') {
+      if (!orderId) {
+        return res.status(400).json({ success: false, error: 'ORDER_ID_REQUIRED', message: 'orderId is required for resync' });
+      }
+      const result = await resyncDiscrepancy(runId, orderId, processResyncOrder);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'DISCREPANCY_NOT_FOUND', message: `Order ${orderId} has no discrepancies in run ${runId}` });
+      }
+      return res.status(result.error ? 502 : 200).json({ success: !result.error, action, orderId: String(orderId), ...result });
+    }
+
+    return res.status(400).json({ success: false, error: 'INVALID_ACTION', message: 'action must be "step", "cancel" or "resync"' });
+  } catch (error) {
+    console.error('Reconciliation run action error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update reconciliation run', message: error.message });
+  }
+}
@@ -0,0 +1,35 @@
+// Reconciliation runs: list (GET), start (POST { createdAtMin, createdAtMax, pageSize, shopDomain })
+import { createReconciliationRun, listReconciliationRuns, DISCREPANCY_TYPES } from '../../../../src/lib/sync/reconciliation.js';
+import { isAdminRequest } from '../../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const runs = await listReconciliationRuns();
+      return res.status(200).json({ success: true, runs, count: runs.length, types: DISCREPANCY_TYPES });
+    } catch (error) {
+      console.error('List reconciliation runs error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to list reconciliation runs', message: error.message });
+    }
+  }
+
+  try {
+    const run = await createReconciliationRun(req.body || {});
+    return res.status(201).json({ success: true, run });
+  } catch (error) {
+    if (error.code === 'RECONCILIATION_INVALID') {
+      return res.status(400).json({ success: false, error: error.code, message: error.message, errors: error.errors });
+    }
+    console.error('Create reconciliation run error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create reconciliation run', message: error.message });
+  }
+}
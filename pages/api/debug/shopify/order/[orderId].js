@@ -1,12 +1,18 @@
 /**
  * Debug endpoint to check Shopify order fulfillment status
- * GET /api/debug/shopify/order/:orderId
+ * GET /api/debug/shopify/order/:orderId[?shop=store.myshopify.com]
  * Returns: fulfillments, fulfillment_orders, fulfillment_status, line_items summary
  */
 import { callShopifyAdmin } from '../../../../../src/lib/shopify/adminClient.js';
 import { getPostFulfillmentState } from '../../../../../src/lib/shopify/fulfillment.js';
+import { runWithShop } from '../../../../../src/lib/shopify/shops.js';
 
-export default async function handler(req, res) {
+export default function handler(req, res) {
+  // ?shop= selects the store (SHOPIFY_SHOPS), default shop otherwise
+  return runWithShop(req.query.shop || null, () => inspectOrder(req, res));
+}
+
+async function inspectOrder(req, res) {
   if (req.method !== 'GET') {
     res.setHeader('Allow', ['GET']);
     return res.status(405).json({ error: 'Method Not Allowed' });
@@ -8,7 +8,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const events = shopifyAdapter.getAllEvents();
+    const events = await shopifyAdapter.getAllEvents();
     
     return res.status(200).json({
       success: true,
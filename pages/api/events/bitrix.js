@@ -8,7 +8,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const events = bitrixAdapter.getAllEvents();
+    const events = await bitrixAdapter.getAllEvents();
     
     return res.status(200).json({
       success: true,
@@ -38,7 +38,7 @@ export default async function handler(req, res) {
     logs.push('');
 
     try {
-      const events = shopifyAdapter.getAllEvents();
+      const events = await shopifyAdapter.getAllEvents();
       
       if (events && events.length > 0) {
         logs.push(`Total events: ${events.length}`);
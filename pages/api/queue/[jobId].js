@@ -0,0 +1,66 @@
+// Sync queue job: inspect (GET), retry / discard (POST { action })
+import { getJob, retryJob, discardJob } from '../../../src/lib/queue/syncQueue.js';
+import { isAdminRequest } from '../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  const { jobId } = req.query;
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const job = await getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', message: `Job ${jobId} not found` });
+      }
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      console.error('Get job error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to retrieve job', message: error.message });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const action = req.body?.action;
+
+  try {
+    if (action === 'retry') {
+      const job = await retryJob(jobId);
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: 'JOB_NOT_RETRYABLE',
+          message: `Job ${jobId} not found, already done or currently processing`
+        });
+      }
+      return res.status(200).json({ success: true, action, job: { ...job, payload: undefined } });
+    }
+
+    if (action === 'discard') {
+      const job = await discardJob(jobId);
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: 'JOB_NOT_DISCARDABLE',
+          message: `Job ${jobId} not found or currently processing`
+        });
+      }
+      return res.status(200).json({ success: true, action, job });
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ACTION',
+      message: 'action must be "retry" or "discard"'
+    });
+  } catch (error) {
+    console.error('Queue job action error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update job', message: error.message });
+  }
+}
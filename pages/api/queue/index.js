@@ -0,0 +1,42 @@
+// Sync queue overview: stats + jobs list (GET /api/queue?state=dead)
+import { listJobs, getQueueStats, getQueueSettings, JOB_STATES } from '../../../src/lib/queue/syncQueue.js';
+import { isAdminRequest } from '../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Admin API requires ADMIN_API_TOKEN' });
+  }
+
+  const { state } = req.query;
+  if (state && !JOB_STATES.includes(state)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_STATE',
+      message: `state must be one of: ${JOB_STATES.join(', ')}`
+    });
+  }
+
+  try {
+    const [jobs, stats] = await Promise.all([listJobs({ state }), getQueueStats()]);
+
+    return res.status(200).json({
+      success: true,
+      stats,
+      settings: getQueueSettings(),
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve queue',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,41 @@
+// Run due sync jobs (Vercel cron - see vercel.json - or manually from the monitor UI)
+import { runDueJobs } from '../../../src/lib/queue/syncQueue.js';
+import { processSyncJob } from '../webhook/shopify.js';
+import { assertSyncConfig, isAdminRequest, isCronRequest } from '../../../src/lib/config/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isAdminRequest(req) && !isCronRequest(req)) {
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Queue run requires ADMIN_API_TOKEN or CRON_SECRET' });
+  }
+
+  try {
+    assertSyncConfig();
+  } catch (configError) {
+    return res.status(503).json({ success: false, error: 'Sync is not configured', code: configError.code, missing: configError.missing, errors: configError.errors });
+  }
+
+  const limit = parseInt(req.query.limit, 10) || undefined;
+
+  try {
+    const summary = await runDueJobs(processSyncJob, { limit });
+
+    console.log(JSON.stringify({
+      event: 'SYNC_QUEUE_RUN',
+      processed: summary.processed,
+      succeeded: summary.succeeded,
+      retried: summary.retried,
+      dead: summary.dead,
+      timestamp: new Date().toISOString()
+    }));
+
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Queue run error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to run queue', message: error.message });
+  }
+}
@@ -1,11 +1,15 @@
 import { shopifyAdapter } from '../../src/lib/adapters/shopify';
+import { getConfigValue } from '../../src/lib/config/index.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { selectedEvents, bitrixWebhookUrl } = req.body;
+  const { selectedEvents } = req.body;
+  // Empty URL from the UI = configured BITRIX_WEBHOOK_BASE (the URL is not embedded in client code)
+  const bitrixWebhookUrl = (typeof req.body.bitrixWebhookUrl === 'string' && req.body.bitrixWebhookUrl.trim())
+    || getConfigValue('BITRIX_WEBHOOK_BASE');
 
   if (!selectedEvents || !Array.isArray(selectedEvents) || selectedEvents.length === 0) {
     return res.status(400).json({ 
@@ -17,7 +21,7 @@ export default async function handler(req, res) {
   if (!bitrixWebhookUrl || typeof bitrixWebhookUrl !== 'string' || bitrixWebhookUrl.trim() === '') {
     return res.status(400).json({ 
       error: 'Bitrix webhook URL is required',
-      details: 'Please provide a valid Bitrix webhook URL'
+      details: 'Provide a Bitrix webhook URL or configure BITRIX_WEBHOOK_BASE on the server'
     });
   }
 
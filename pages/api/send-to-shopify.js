@@ -1,5 +1,6 @@
 import { bitrixAdapter } from '../../src/lib/adapters/bitrix/index.js';
 import { getFulfillmentOrders } from '../../src/lib/shopify/fulfillment.js';
+import { findShopByCategory, runWithShop } from '../../src/lib/shopify/shops.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -35,8 +36,9 @@ export default async function handler(req, res) {
     }
 
     try {
-      // Read fulfillments from Shopify (DRY-RUN, no writes)
-      const fulfillmentResult = await getFulfillmentOrders(shopifyOrderId);
+      // Read fulfillments from Shopify (DRY-RUN, no writes) - store is resolved by deal category
+      const shop = findShopByCategory(event.categoryId || event.category_id);
+      const fulfillmentResult = await runWithShop(shop, () => getFulfillmentOrders(shopifyOrderId));
       
       // Log the operation
       console.log(JSON.stringify({
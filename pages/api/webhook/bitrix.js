@@ -1,15 +1,14 @@
 // Bitrix24 Webhook endpoint - receives events from Bitrix and syncs to Shopify
 import { callBitrix } from '../../../src/lib/bitrix/client.js';
 import { bitrixAdapter } from '../../../src/lib/adapters/bitrix/index.js';
-import { BITRIX_CONFIG } from '../../../src/lib/bitrix/config.js';
+import { getCategoryStages } from '../../../src/lib/bitrix/config.js';
 import { getFulfillmentOrders, getOrderForFulfillment, createFulfillment, getPostFulfillmentState } from '../../../src/lib/shopify/fulfillment.js';
 import { setProvenanceMarker } from '../../../src/lib/shopify/metafields.js';
 import { createHoldOrder } from '../../../src/lib/shopify/hold.js';
+import { findShopByCategory, runWithShop } from '../../../src/lib/shopify/shops.js';
 import { extractDealId, extractAuthToken, getPayloadKeys } from '../../../src/lib/bitrix/webhookParser.js';
 import { payloadHash, cleanEmptyFields } from '../../../src/lib/utils/hash.js';
-
-// Expected auth token from Bitrix
-const EXPECTED_AUTH_TOKEN = process.env.BITRIX_AUTH_TOKEN || '9gxukpkc7i1y4gms906jvm0t51npv0vb';
+import { assertSyncConfig, getConfigValue } from '../../../src/lib/config/index.js';
 
 // Configure body parser - support both JSON and form-urlencoded
 // Next.js automatically parses form-urlencoded when bodyParser is enabled
@@ -341,7 +340,7 @@ async function handleMWAction(dealId, requestId, dealData, shopifyOrderId) {
 
 /**
  * Handle deal update event from Bitrix
- * Checks for MW action (UF_MW_SHOPIFY_ACTION) first, then Delivery trigger: CATEGORY_ID == 2, STAGE_ID == "C2:EXECUTING"
+ * Loads the deal, stores the event and resolves the Shopify store by deal category, then runs deal actions
  */
 async function handleDealUpdate(dealId, requestId) {
   // ✅ Structured logging: [BITRIX_WEBHOOK_RECEIVED]
@@ -405,7 +404,7 @@ async function handleDealUpdate(dealId, requestId) {
   // Store event in adapter for UI display (will be updated with fulfillment state later if needed)
   let storedEvent = null;
   try {
-    storedEvent = bitrixAdapter.storeEvent({
+    storedEvent = await bitrixAdapter.storeEvent({
       dealId,
       categoryId,
       stageId,
@@ -414,11 +413,36 @@ async function handleDealUpdate(dealId, requestId) {
       received_at: new Date().toISOString(),
       rawDealData: dealData,
       fulfillmentState: null // Will be updated after fulfillment creation
+    }, {
+      topic: 'ONCRMDEALUPDATE',
+      correlationId: `${dealId}:${shopifyOrderId || 'no-shopify-id'}`
     });
   } catch (storeError) {
     console.error(`[BITRIX WEBHOOK] Failed to store event (non-blocking):`, storeError);
   }
 
+  // Deal category identifies the store (src/lib/shopify/shops.js) - Shopify calls below go to that store
+  const shop = findShopByCategory(categoryId);
+  return runWithShop(shop, () => handleDealActions(dealId, requestId, dealData, storedEvent, shop));
+}
+
+/**
+ * Run deal actions against the deal's Shopify store (inside runWithShop)
+ * Checks for MW action (UF_MW_SHOPIFY_ACTION) first, then Delivery trigger:
+ * CATEGORY_ID == shop stock category, STAGE_ID == its EXECUTING stage (default shop: 2 / "C2:EXECUTING")
+ * @param {string} dealId - Bitrix deal ID
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} dealData - crm.deal.get result
+ * @param {Object|null} storedEvent - Stored webhook event (updated with fulfillment state)
+ * @param {Object} shop - Shop config
+ */
+async function handleDealActions(dealId, requestId, dealData, storedEvent, shop) {
+  const categoryId = dealData.CATEGORY_ID;
+  const stageId = dealData.STAGE_ID;
+  const shopifyOrderId = dealData.UF_CRM_1742556489 || dealData.uf_crm_1742556489;
+  const stockCategoryId = shop.bitrix.CATEGORY_STOCK;
+  const executingStageId = getCategoryStages(stockCategoryId, shop.bitrix.STAGES).EXECUTING;
+
   // ✅ STEP C: Check for MW action first (UF_MW_SHOPIFY_ACTION)
   const mwActionResult = await handleMWAction(dealId, requestId, dealData, shopifyOrderId);
   if (mwActionResult !== null) {
@@ -430,8 +454,8 @@ async function handleDealUpdate(dealId, requestId) {
   // Check Delivery trigger conditions
   const correlationId = `${dealId}:${shopifyOrderId || 'no-shopify-id'}`;
   const decision = {
-    categoryMatch: String(categoryId) === String(BITRIX_CONFIG.CATEGORY_STOCK) || String(categoryId) === '2',
-    stageMatch: String(stageId) === BITRIX_CONFIG.STAGES_CAT_2.EXECUTING || String(stageId) === 'C2:EXECUTING',
+    categoryMatch: String(categoryId) === String(stockCategoryId),
+    stageMatch: String(stageId) === String(executingStageId),
     shopifyOrderIdPresent: shopifyOrderId && shopifyOrderId.trim() !== '',
   };
 
@@ -445,8 +469,9 @@ async function handleDealUpdate(dealId, requestId) {
     stageId,
     shopifyOrderId,
     decision,
-    expectedCategoryId: BITRIX_CONFIG.CATEGORY_STOCK,
-    expectedStageId: BITRIX_CONFIG.STAGES_CAT_2.EXECUTING,
+    shopDomain: shop.domain,
+    expectedCategoryId: stockCategoryId,
+    expectedStageId: executingStageId,
     timestamp: new Date().toISOString()
   }));
 
@@ -576,7 +601,13 @@ async function handleDealUpdate(dealId, requestId) {
 
           // Update stored event with fulfillment state for UI
           if (storedEvent) {
-            storedEvent.fulfillmentState = postState.orderFulfillmentStatus;
+            try {
+              await bitrixAdapter.updateEvent(storedEvent.eventId, {
+                fulfillmentState: postState.orderFulfillmentStatus
+              });
+            } catch (updateError) {
+              console.error(`[BITRIX WEBHOOK] Failed to update stored event (non-blocking):`, updateError);
+            }
           }
         } catch (postStateError) {
           console.log(JSON.stringify({
@@ -633,10 +664,10 @@ async function handleDealUpdate(dealId, requestId) {
     // Conditions not met - log skip reason
     const skipReasons = [];
     if (!decision.categoryMatch) {
-      skipReasons.push(`categoryId=${categoryId} != ${BITRIX_CONFIG.CATEGORY_STOCK}`);
+      skipReasons.push(`categoryId=${categoryId} != ${stockCategoryId}`);
     }
     if (!decision.stageMatch) {
-      skipReasons.push(`stageId=${stageId} != ${BITRIX_CONFIG.STAGES_CAT_2.EXECUTING}`);
+      skipReasons.push(`stageId=${stageId} != ${executingStageId}`);
     }
     if (!decision.shopifyOrderIdPresent) {
       skipReasons.push('shopifyOrderId is missing or empty');
@@ -714,15 +745,30 @@ export default async function handler(req, res) {
     return;
   }
 
+  // Refuse to sync without required configuration (Bitrix webhook, auth token, Shopify secrets)
+  try {
+    assertSyncConfig();
+  } catch (configError) {
+    console.log(JSON.stringify({
+      event: 'BITRIX_WEBHOOK_CONFIG_INVALID',
+      requestId,
+      missing: configError.missing || [],
+      errors: configError.errors || [],
+      timestamp: new Date().toISOString()
+    }));
+    res.status(503).json({ error: 'Sync is not configured', code: configError.code });
+    return;
+  }
+
   // Check authentication token (only if token is provided)
-  if (hasAuthToken && authToken !== EXPECTED_AUTH_TOKEN) {
+  const expectedAuthToken = getConfigValue('BITRIX_AUTH_TOKEN');
+  if (hasAuthToken && authToken !== expectedAuthToken) {
     console.log(JSON.stringify({
       event: 'BITRIX_WEBHOOK_AUTH_FAIL',
       requestId,
       hasAuthToken: true,
       tokenMatch: false,
-      expectedToken: EXPECTED_AUTH_TOKEN.substring(0, 10) + '...',
-      receivedToken: authToken.substring(0, 10) + '...',
+      receivedToken: authToken.substring(0, 4) + '...',
       timestamp: new Date().toISOString()
     }));
     res.status(401).json({ error: 'Invalid authentication token' });
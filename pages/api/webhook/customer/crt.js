@@ -0,0 +1,10 @@
+// Static endpoint for customer creation webhook
+// Route: /api/webhook/customer/crt
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to customers/create for the main handler
+  req.headers['x-shopify-topic'] = 'customers/create';
+  return shopifyHandler(req, res);
+}
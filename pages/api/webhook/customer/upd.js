@@ -0,0 +1,10 @@
+// Static endpoint for customer update webhook
+// Route: /api/webhook/customer/upd
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to customers/update for the main handler
+  req.headers['x-shopify-topic'] = 'customers/update';
+  return shopifyHandler(req, res);
+}
@@ -0,0 +1,10 @@
+// Static endpoint for order cancellation webhook
+// Route: /api/webhook/order/cnl
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to orders/cancelled for the main handler
+  req.headers['x-shopify-topic'] = 'orders/cancelled';
+  return shopifyHandler(req, res);
+}
@@ -0,0 +1,10 @@
+// Static endpoint for order fulfillment webhook
+// Route: /api/webhook/order/ful
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to orders/fulfilled for the main handler
+  req.headers['x-shopify-topic'] = 'orders/fulfilled';
+  return shopifyHandler(req, res);
+}
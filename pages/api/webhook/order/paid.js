@@ -0,0 +1,10 @@
+// Static endpoint for order payment webhook
+// Route: /api/webhook/order/paid
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to orders/paid for the main handler
+  req.headers['x-shopify-topic'] = 'orders/paid';
+  return shopifyHandler(req, res);
+}
@@ -0,0 +1,10 @@
+// Static endpoint for partial order fulfillment webhook
+// Route: /api/webhook/order/pful
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to orders/partially_fulfilled for the main handler
+  req.headers['x-shopify-topic'] = 'orders/partially_fulfilled';
+  return shopifyHandler(req, res);
+}
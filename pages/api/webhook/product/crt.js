@@ -0,0 +1,10 @@
+// Static endpoint for product creation webhook
+// Route: /api/webhook/product/crt
+export { config } from '../shopify.js';
+import { handler as shopifyHandler } from '../shopify.js';
+
+export default async function handler(req, res) {
+  // Set topic header to products/create for the main handler
+  req.headers['x-shopify-topic'] = 'products/create';
+  return shopifyHandler(req, res);
+}
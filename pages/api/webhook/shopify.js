@@ -1,88 +1,133 @@
 // Shopify Webhook endpoint
 import { shopifyAdapter } from '../../../src/lib/adapters/shopify/index.js';
-import { callBitrix, getBitrixWebhookBase } from '../../../src/lib/bitrix/client.js';
+import { batch, callBitrix, getBitrixWebhookBase } from '../../../src/lib/bitrix/client.js';
 import { mapShopifyOrderToBitrixDeal } from '../../../src/lib/bitrix/orderMapper.js';
-import { upsertBitrixContact } from '../../../src/lib/bitrix/contact.js';
-import { BITRIX_CONFIG, financialStatusToStageId, financialStatusToPaymentStatus } from '../../../src/lib/bitrix/config.js';
+import { getContactLookupCommands, getOrderContactEmail, resolveContactLookup, upsertBitrixContact, upsertContactFromCustomer } from '../../../src/lib/bitrix/contact.js';
+import { financialStatusToStageId, financialStatusToPaymentStatus, getCategoryChangePolicy, getCategoryStages, topicToStageId } from '../../../src/lib/bitrix/config.js';
 import { getProvenanceMarker } from '../../../src/lib/shopify/metafields.js';
+import { readRawBody, verifyShopifyWebhook } from '../../../src/lib/shopify/webhookVerify.js';
+import { claimDelivery, completeDelivery, failDelivery } from '../../../src/lib/store/webhookLedger.js';
+import { enqueueJob, runDueJobs } from '../../../src/lib/queue/syncQueue.js';
+import { withOrderLock } from '../../../src/lib/store/orderLock.js';
+import { checkStalePayload, recordAppliedPayload } from '../../../src/lib/store/orderSyncState.js';
+import { getOrder } from '../../../src/lib/shopify/adminClient.js';
+import { getConfiguredShop, getCurrentShop, getShops, runWithShop } from '../../../src/lib/shopify/shops.js';
+import { forgetProductPreOrderData } from '../../../src/lib/shopify/preOrder.js';
+import { syncShopifyProduct, getProductLinks, isProductSyncEnabled } from '../../../src/lib/bitrix/productCatalog.js';
+import { getProductRowsMode, syncDealProductRows } from '../../../src/lib/bitrix/productRowsSync.js';
+import { checkStageTransition } from '../../../src/lib/bitrix/stageTransitions.js';
+import { addDealTimelineComment, formatRefundComment, formatOrderStatusComment, getPaymentGateways } from '../../../src/lib/bitrix/timeline.js';
+import { getFieldMapping } from '../../../src/lib/bitrix/fieldMappingLoader.js';
+import { assertSyncConfig } from '../../../src/lib/config/index.js';
+import { recordDuplicateConflict } from '../../../src/lib/sync/duplicateDeals.js';
+import { recordMixedOrder, resolveOrderPlacement } from '../../../src/lib/sync/mixedOrders.js';
+import { getIndexedDeal, removeIndexedDeal, reportIndexConflict, setIndexedDeal } from '../../../src/lib/store/dealIndex.js';
 
-// Configure body parser to accept raw JSON
-// Increased size limit for large orders with many line items
+// UF field mapping (BITRIX_FIELD_MAPPING_FILE) is validated when the handler loads, not on the first order
+getFieldMapping();
+
+// Disable body parser - raw body is required for HMAC verification
+// Size limit (5mb for large orders) is enforced in readRawBody
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '5mb', // Increased from 1mb for large orders
-    },
+    bodyParser: false,
   },
 };
 
-/**
- * Determine category ID based on order tags
- * @param {Object} order - Shopify order object
- * @returns {number} Category ID (2 = Stock, 8 = Pre-order)
- */
-function determineCategoryId(order) {
-  const orderTags = Array.isArray(order.tags) 
-    ? order.tags 
-    : (order.tags ? String(order.tags).split(',').map(t => t.trim()) : []);
-  
-  const preorderTags = ['pre-order', 'preorder-product-added'];
-  const hasPreorderTag = orderTags.some(tag => 
-    preorderTags.some(preorderTag => tag.toLowerCase() === preorderTag.toLowerCase())
-  );
-  
-  return hasPreorderTag ? BITRIX_CONFIG.CATEGORY_PREORDER : BITRIX_CONFIG.CATEGORY_STOCK;
-}
-
 /**
  * Unified upsert function for deals from Shopify orders
  * This function is used by BOTH orders/create and orders/updated webhooks with IDENTICAL logic
+ * Bitrix round-trips: one batch for contact + deal lookup, one batch for write + read back (+ current rows);
+ * contact create / link adds a call only when needed
  * 
+ * Category comes from pre-order detection (src/lib/sync/mixedOrders.js); a split mixed order syncs its pre-order
+ * part deal right after the main deal (same function with options.part)
+ *
  * @param {Object} order - Shopify order object
- * @param {string} eventType - 'orders/create' or 'orders/updated'
+ * @param {string} eventType - 'orders/create', 'orders/updated' or 'refunds/create'
  * @param {string} correlationId - Correlation ID for logging (orderId:eventId)
- * @returns {Promise<Object>} { dealId, isCreated, dealFields, productRows }
+ * @param {Object} options - { part: { categoryId, lineItemIds } - pre-order part of a split order (internal) }
+ * @returns {Promise<Object>} { dealId, isCreated, dealFields, productRows, deal (after write), currentRows (null if not read), partDeal }
  */
-async function upsertDealFromOrder(order, eventType, correlationId) {
+async function upsertDealFromOrder(order, eventType, correlationId, options = {}) {
   // ✅ Normalization: Use order.id (numeric Shopify order ID), NOT eventId
   const orderId = String(order.id);
   const eventId = order.eventId || 'unknown';
-  const categoryId = determineCategoryId(order);
+  const { part = null } = options;
   const email = order.email || order.customer?.email || 'N/A';
   const orderName = order.name || `Order #${order.id}`;
   const financialStatus = order.financial_status || 'unknown';
   
-  // ✅ Structured logging: [WEBHOOK_RECEIVED]
-  console.log(JSON.stringify({
-    event: 'WEBHOOK_RECEIVED',
-    correlationId,
-    topic: eventType,
-    eventId,
-    orderId,
-    orderName,
-    email,
-    financial_status: financialStatus,
-    timestamp: new Date().toISOString()
-  }));
+  // ✅ Structured logging: [WEBHOOK_RECEIVED] (once per event - not for the pre-order part of a split order)
+  if (!part) {
+    console.log(JSON.stringify({
+      event: 'WEBHOOK_RECEIVED',
+      correlationId,
+      topic: eventType,
+      eventId,
+      orderId,
+      orderName,
+      email,
+      financial_status: financialStatus,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // Pre-order detection: whitelist, product tags / metafield (Admin API, cached), order tags
+  const placement = part ? null : await resolveOrderPlacement(order, getCurrentShop().bitrix);
+  const categoryId = part ? Number(part.categoryId) : placement.categoryId;
+  if (placement && placement.classification.preOrderLineItemIds.length > 0) {
+    console.log(JSON.stringify({
+      event: 'PREORDER_DETECTED',
+      correlationId,
+      orderId,
+      categoryId,
+      mixed: placement.mixed,
+      policy: placement.mixed ? placement.policy : null,
+      items: placement.classification.items.map(item => ({ lineItemId: item.lineItemId, sku: item.sku, preOrder: item.preOrder, matchedBy: item.matchedBy })),
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // SKU → PRODUCT_ID links recorded by product catalog sync (fallback after static mappings)
+  let productLinks = {};
+  try {
+    productLinks = await getProductLinks((order.line_items || []).map(item => item.sku));
+  } catch (linksError) {
+    console.error(`[UPSERT] [${correlationId}] Product links lookup failed (non-blocking):`, linksError);
+  }
 
   // Map order to Bitrix deal fields
-  const { dealFields, productRows } = mapShopifyOrderToBitrixDeal(order);
+  const { dealFields, productRows, reconciliation } = mapShopifyOrderToBitrixDeal(order, {
+    productLinks,
+    bitrix: getCurrentShop().bitrix,
+    fieldMapping: getFieldMapping(),
+    preOrder: part ? true : placement.preOrder,
+    lineItemIds: part ? part.lineItemIds : placement.primaryLineItemIds,
+    extras: !part,
+  });
+  if (part) {
+    dealFields.TITLE = `${dealFields.TITLE} (pre-order)`;
+  }
+
+  // Rows are still written - mismatch usually means an order component that is not mapped to rows
+  if (!reconciliation.matched) {
+    console.log(JSON.stringify({
+      event: 'PRODUCTROWS_TOTAL_MISMATCH',
+      correlationId,
+      orderId,
+      rowsTotal: reconciliation.rowsTotal,
+      opportunity: reconciliation.opportunity,
+      excludedTotal: reconciliation.excludedTotal,
+      difference: reconciliation.difference,
+      rowsCount: productRows.length,
+      timestamp: new Date().toISOString()
+    }));
+  }
   
   // ✅ ENSURE: UF_CRM_1742556489 (Shopify number) and CATEGORY_ID are set correctly
   dealFields.UF_CRM_1742556489 = orderId; // Real Bitrix field for Shopify order ID
-  dealFields.CATEGORY_ID = categoryId; // Required for create, immutable after
-
-  // Upsert contact (non-blocking)
-  let contactId = null;
-  try {
-    const bitrixBase = getBitrixWebhookBase();
-    contactId = await upsertBitrixContact(bitrixBase, order);
-    if (contactId) {
-      dealFields.CONTACT_ID = contactId;
-    }
-  } catch (contactError) {
-    console.error(`[UPSERT] [${correlationId}] Contact upsert failed (non-blocking):`, contactError);
-  }
+  dealFields.CATEGORY_ID = categoryId; // Required for create, changed on update only by a category change ('move' policy)
 
   // ✅ CRITICAL: Search deal ONLY by UF_CRM_1742556489 (Shopify number) + CATEGORY_ID
   // NEVER search by email/title/customer - only by these two fields
@@ -98,14 +143,96 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
     filter,
     timestamp: new Date().toISOString()
   }));
-  
-  const listResp = await callBitrix('/crm.deal.list.json', {
-    filter,
-    select: ['ID', 'OPPORTUNITY', 'STAGE_ID', 'CATEGORY_ID', 'DATE_CREATE', 'TITLE', 'UF_CRM_1742556489'],
-    order: { 'DATE_CREATE': 'DESC' },
+
+  // Indexed deal (src/lib/store/dealIndex.js) is read instead of the filter; filter is the fallback.
+  // Entry in another category means the order changed category (pre-order tag added / removed) - the indexed
+  // deal is read together with the filter in the new category
+  // Pre-order part of a split order is not indexed - it is always found by the filter in its category
+  const indexed = part ? null : await getIndexedDeal(orderId);
+  const useIndex = !!indexed && Number(indexed.categoryId) === Number(categoryId);
+  const dealSelect = ['ID', 'OPPORTUNITY', 'STAGE_ID', 'CATEGORY_ID', 'DATE_CREATE', 'TITLE', 'UF_CRM_1742556489'];
+  const dealListParams = { filter, select: dealSelect, order: { 'DATE_CREATE': 'DESC' } };
+
+  // Contact and deal lookups go in one batch request
+  const customerId = order.customer?.id || null;
+  const contactEmail = getOrderContactEmail(order);
+  const lookup = await batch({
+    ...(contactEmail ? getContactLookupCommands({ customerId, email: contactEmail }) : {}),
+    ...(indexed ? { deal_indexed: ['crm.deal.list', { filter: { ID: indexed.dealId }, select: dealSelect }] } : {}),
+    ...(useIndex ? {} : { deal_list: ['crm.deal.list', dealListParams] }),
   });
+  if (lookup.errors.deal_list || lookup.errors.deal_indexed) {
+    throw new Error(`Bitrix API error: crm.deal.list failed: ${lookup.errors.deal_list || lookup.errors.deal_indexed}`);
+  }
+
+  // Upsert contact (non-blocking) - lookup results are reused, only create / link calls remain
+  let contactId = null;
+  try {
+    const contactLookup = lookup.errors.contact_by_customer_id || lookup.errors.contact_by_email
+      ? null // lookup failed inside the batch - let upsertBitrixContact search again
+      : resolveContactLookup(lookup.results, customerId);
+    contactId = await upsertBitrixContact(getBitrixWebhookBase(), order, contactLookup);
+    if (contactId) {
+      dealFields.CONTACT_ID = contactId;
+    }
+  } catch (contactError) {
+    console.error(`[UPSERT] [${correlationId}] Contact upsert failed (non-blocking):`, contactError);
+  }
   
-  const foundDeals = listResp.result || [];
+  let foundDeals = lookup.results.deal_list || [];
+  let lookupSource = 'filter';
+  let categoryChange = null; // { policy, fromCategoryId, fromDealId } - indexed deal stays in the old category
+  if (indexed) {
+    const [indexedDeal] = lookup.results.deal_indexed || [];
+    const inCategory = !!indexedDeal && Number(indexedDeal.CATEGORY_ID) === Number(categoryId);
+    // Order became a split mixed order - its indexed deal is now the pre-order part, main deal is found by the filter
+    const isSplitPart = !!placement.split && !!indexedDeal && Number(indexedDeal.CATEGORY_ID) === Number(placement.split.categoryId);
+    let conflictReason = null;
+    if (!indexedDeal) {
+      conflictReason = 'deal_missing';
+    } else if (String(indexedDeal.UF_CRM_1742556489) !== orderId || (useIndex && !inCategory)) {
+      conflictReason = 'key_mismatch';
+    } else if (!useIndex && !inCategory && foundDeals.length > 0 && !isSplitPart) {
+      conflictReason = 'category_changed'; // new category already has a deal - filter result is used
+    }
+
+    if (!conflictReason && useIndex) {
+      foundDeals = [indexedDeal];
+      lookupSource = 'index';
+    } else if (!conflictReason && !inCategory && !isSplitPart) {
+      categoryChange = {
+        policy: getCategoryChangePolicy(getCurrentShop().bitrix.CATEGORY_CHANGE_POLICY),
+        fromCategoryId: Number(indexedDeal.CATEGORY_ID),
+        fromDealId: String(indexedDeal.ID),
+      };
+      // 'move' moves and updates the indexed deal, 'relink' creates a new one and closes it afterwards
+      foundDeals = categoryChange.policy === 'move' ? [indexedDeal] : [];
+      lookupSource = 'index';
+
+      console.log(JSON.stringify({
+        event: 'DEAL_CATEGORY_CHANGE',
+        correlationId,
+        orderId,
+        dealId: categoryChange.fromDealId,
+        fromCategoryId: categoryChange.fromCategoryId,
+        toCategoryId: categoryId,
+        policy: categoryChange.policy,
+        timestamp: new Date().toISOString()
+      }));
+    } else if (conflictReason) {
+      // Index entry is stale - report it and trust the Bitrix filter
+      if (useIndex) {
+        const fallback = await callBitrix('crm.deal.list', dealListParams);
+        foundDeals = fallback.result || [];
+      }
+      try {
+        await reportIndexConflict(orderId, { reason: conflictReason, indexedDealId: indexed.dealId, dealIds: foundDeals.map(d => d.ID), categoryId, correlationId });
+        await removeIndexedDeal(orderId);
+      } catch (indexError) {
+        console.error(`[UPSERT] [${correlationId}] Failed to update deal index (non-blocking):`, indexError);
+      }
+    }
+  }
   const dealsCount = foundDeals.length;
   const dealIds = foundDeals.map(d => d.ID);
   
@@ -113,6 +240,7 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
   console.log(JSON.stringify({
     event: 'DEAL_LOOKUP_RESULT',
     correlationId,
+    source: lookupSource,
     count: dealsCount,
     dealIds,
     timestamp: new Date().toISOString()
@@ -120,6 +248,9 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
   
   let dealId = null;
   let isCreated = false;
+  let write;
+  // Current rows are read together with the write in diff mode (syncDealProductRows skips its own read)
+  const readRows = getProductRowsMode() === 'diff';
   
   if (dealsCount === 0) {
     // No deal found - CREATE NEW DEAL
@@ -135,26 +266,29 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
       timestamp: new Date().toISOString()
     }));
     
-  const dealAddResp = await callBitrix('/crm.deal.add.json', {
-    fields: dealFields,
-  });
+    // Add + read back in one request; batch with *.add is never retried after timeout / 5xx
+    write = await batch({
+      deal_add: ['crm.deal.add', { fields: dealFields }],
+      deal_get: ['crm.deal.get', { id: '$result[deal_add]' }],
+    });
+    const addedId = write.results.deal_add || null;
 
     // ✅ Structured logging: [DEAL_ADD_RESULT]
     console.log(JSON.stringify({
       event: 'DEAL_ADD_RESULT',
       correlationId,
-      success: !!dealAddResp.result,
-      dealId: dealAddResp.result || null,
-      response: dealAddResp,
+      success: !!addedId,
+      dealId: addedId,
+      error: write.errors.deal_add || null,
       timestamp: new Date().toISOString()
     }));
 
-  if (!dealAddResp.result) {
-    throw new Error(`Failed to create deal: ${JSON.stringify(dealAddResp)}`);
-  }
+    if (!addedId) {
+      throw new Error(`Failed to create deal: ${write.errors.deal_add || 'empty crm.deal.add result'}`);
+    }
 
     // ✅ dealId MUST come from crm.deal.add response
-    dealId = dealAddResp.result;
+    dealId = addedId;
     isCreated = true;
     
   } else if (dealsCount === 1) {
@@ -163,38 +297,81 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
     dealId = existingDeal.ID;
     isCreated = false;
     
-    // ✅ CRITICAL: CATEGORY_ID is immutable after creation - remove it from update fields
+    // ✅ CRITICAL: CATEGORY_ID is not updated - crm.deal.update ignores it; a category change with 'move' policy
+    // moves the deal with crm.item.update below (STAGE_ID from the mapper is already a stage of the new category)
     const updateFields = { ...dealFields };
-    delete updateFields.CATEGORY_ID; // Don't update CATEGORY_ID (immutable)
+    delete updateFields.CATEGORY_ID;
+
+    // Sync moves the deal only forward (src/lib/bitrix/stageTransitions.js) - stages set by managers are kept
+    const { bitrix } = getCurrentShop();
+    const transition = checkStageTransition(existingDeal.STAGE_ID || null, dealFields.STAGE_ID, {
+      categoryId,
+      fromCategoryId: existingDeal.CATEGORY_ID,
+      bitrix,
+    });
+    if (!transition.allowed) {
+      // A moved deal still needs a stage of the new category - the one matching its current stage
+      const keptKey = transition.fromKeys.find(key => getCategoryStages(categoryId, bitrix.STAGES || null)[key]);
+      if (categoryChange && keptKey) {
+        updateFields.STAGE_ID = getCategoryStages(categoryId, bitrix.STAGES || null)[keptKey];
+      } else if (!categoryChange) {
+        delete updateFields.STAGE_ID;
+      }
+
+      console.log(JSON.stringify({
+        event: 'DEAL_STAGE_KEEP',
+        correlationId,
+        topic: eventType,
+        orderId,
+        dealId,
+        categoryId,
+        fromStageId: existingDeal.STAGE_ID,
+        toStageId: dealFields.STAGE_ID,
+        writtenStageId: updateFields.STAGE_ID || null,
+        reason: transition.reason,
+        timestamp: new Date().toISOString()
+      }));
+    }
     
+    // Deal is moved before any field is written - a stage of the new category never lands in the old one
+    if (categoryChange?.policy === 'move') {
+      await moveDealToCategory(dealId, categoryId, updateFields.STAGE_ID, { fromCategoryId: categoryChange.fromCategoryId, correlationId });
+    }
+
     // ✅ Structured logging: [DEAL_UPDATE_REQUEST]
     console.log(JSON.stringify({
       event: 'DEAL_UPDATE_REQUEST',
       correlationId,
       dealId,
-      dealIdSource: 'list',
+      dealIdSource: lookupSource === 'index' ? 'index' : 'list',
       orderId,
-      categoryId: existingDeal.CATEGORY_ID,
+      categoryId: categoryChange?.policy === 'move' ? categoryId : existingDeal.CATEGORY_ID,
       bitrixKeyField: 'UF_CRM_1742556489',
       bitrixKeyValue: orderId,
       fields: Object.keys(updateFields),
       timestamp: new Date().toISOString()
     }));
     
-    const updateResp = await callBitrix('/crm.deal.update.json', {
-        id: dealId,
-      fields: updateFields,
-      });
+    // Update + read back (+ current product rows) in one request
+    write = await batch({
+      deal_update: ['crm.deal.update', { id: dealId, fields: updateFields }],
+      deal_get: ['crm.deal.get', { id: dealId }],
+      ...(readRows ? { deal_rows: ['crm.deal.productrows.get', { id: dealId }] } : {}),
+    });
     
     // ✅ Structured logging: [DEAL_UPDATE_RESULT]
     console.log(JSON.stringify({
       event: 'DEAL_UPDATE_RESULT',
       correlationId,
       dealId,
-      success: updateResp.result !== undefined && updateResp.result !== false,
-      response: updateResp,
+      success: !write.errors.deal_update && write.results.deal_update !== undefined && write.results.deal_update !== false,
+      error: write.errors.deal_update || null,
       timestamp: new Date().toISOString()
     }));
+
+    if (write.errors.deal_update) {
+      throw new Error(`Bitrix API error: crm.deal.update failed for deal ${dealId}: ${write.errors.deal_update}`);
+    }
     
   } else {
     // Multiple deals found - CRITICAL ERROR
@@ -209,15 +386,26 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
       timestamp: new Date().toISOString()
     }));
     
-    throw new Error(`CRITICAL: Duplicate deals found for orderId="${orderId}" in category ${categoryId}. Deal IDs: ${dealIds.join(', ')}. This indicates data corruption or missing unique constraint. Stopping to prevent random updates.`);
+    // Operator picks the survivor on /admin/duplicates (see src/lib/sync/duplicateDeals.js)
+    try {
+      await recordDuplicateConflict({ orderId, categoryId, dealIds, shopDomain: getCurrentShop().domain, orderName, correlationId });
+    } catch (recordError) {
+      console.error(`[UPSERT] [${correlationId}] Failed to record duplicate conflict (non-blocking):`, recordError);
+    }
+
+    const duplicateError = new Error(`CRITICAL: Duplicate deals found for orderId="${orderId}" in category ${categoryId}. Deal IDs: ${dealIds.join(', ')}. This indicates data corruption or missing unique constraint. Stopping to prevent random updates.`);
+    duplicateError.code = 'DUPLICATE_DEALS';
+    duplicateError.dealIds = dealIds;
+    duplicateError.retryable = false; // retries cannot help until the conflict is resolved, resolution requeues the job
+    throw duplicateError;
   }
   
   // ✅ CRITICAL SAFETY CHECK: Verify deal has correct UF_CRM_1742556489 before proceeding
-  const verifyResp = await callBitrix('/crm.deal.get.json', {
-    id: dealId,
-  });
-
-  const verifiedDeal = verifyResp.result;
+  // (crm.deal.get ran in the same batch right after the write)
+  if (write.errors.deal_get) {
+    throw new Error(`Bitrix API error: crm.deal.get failed for deal ${dealId}: ${write.errors.deal_get}`);
+  }
+  const verifiedDeal = write.results.deal_get;
   const verifiedOrderId = verifiedDeal?.UF_CRM_1742556489; // Real Bitrix field
   const verifiedCategoryId = verifiedDeal?.CATEGORY_ID;
   const verifiedStageId = verifiedDeal?.STAGE_ID;
@@ -227,7 +415,7 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
     event: 'DEAL_SAFETY_CHECK',
     correlationId,
     dealId,
-    dealIdSource: isCreated ? 'add' : 'list',
+    dealIdSource: isCreated ? 'add' : (lookupSource === 'index' ? 'index' : 'list'),
     orderId,
     verifiedOrderId,
     verifiedCategoryId,
@@ -269,18 +457,179 @@ async function upsertDealFromOrder(order, eventType, correlationId) {
     throw new Error(`Deal ${dealId} has no UF_CRM_1742556489 field. Check if UF field exists in category ${verifiedCategoryId}.`);
   }
   
-  return { dealId, isCreated, dealFields, productRows };
+  if (categoryChange?.policy === 'move' && Number(verifiedCategoryId) !== Number(categoryId)) {
+    // Moved by crm.item.update, but the read back deal is elsewhere (moved back meanwhile)
+    const moveError = new Error(`Deal ${dealId} is not in category ${categoryId} after the move (found in ${verifiedCategoryId}).`);
+    moveError.code = 'CATEGORY_CHANGE_FAILED';
+    moveError.retryable = true; // next attempt finds the deal in its current category and decides again
+    throw moveError;
+  }
+  if (categoryChange?.policy === 'relink') {
+    await closeCategoryChangedDeal(categoryChange, { dealId, categoryId, orderName, correlationId });
+  }
+
+  // Deal is verified - index it (entries read from the index are already there, unless the category changed)
+  if (!part && (lookupSource !== 'index' || categoryChange)) {
+    try {
+      const source = categoryChange ? 'category_change' : (isCreated ? 'created' : 'lookup');
+      await setIndexedDeal(orderId, { dealId, categoryId, shopDomain: getCurrentShop().domain, source });
+    } catch (indexError) {
+      console.error(`[UPSERT] [${correlationId}] Failed to write deal index (non-blocking, filter lookup still works):`, indexError);
+    }
+  }
+
+  // New deal has no rows yet; null - rows were not read (replace mode)
+  const currentRows = isCreated ? [] : (Array.isArray(write.results.deal_rows) ? write.results.deal_rows : null);
+
+  const partDeal = part ? null : await syncMixedOrderParts(order, placement, { eventType, dealId, correlationId });
+
+  return { dealId, isCreated, dealFields, productRows, deal: verifiedDeal, currentRows, partDeal };
+}
+
+/**
+ * Split mixed order: sync the pre-order part deal (with its product rows); record mixed orders and comment
+ * the deal timeline when the order composition changed (src/lib/sync/mixedOrders.js)
+ * @param {Object} order - Shopify order
+ * @param {Object} placement - resolveOrderPlacement result
+ * @param {Object} context - { eventType, dealId (main deal), correlationId }
+ * @returns {Promise<Object|null>} Part deal { dealId, isCreated, deal } or null when the order is not split
+ */
+async function syncMixedOrderParts(order, placement, { eventType, dealId, correlationId }) {
+  const orderId = String(order.id);
+  let partDeal = null;
+  if (placement.split) {
+    const partResult = await upsertDealFromOrder(order, eventType, correlationId, { part: placement.split });
+    await setProductRowsWithVerification(partResult.dealId, partResult.productRows, orderId, correlationId, partResult.currentRows, partResult.deal);
+    partDeal = { dealId: partResult.dealId, isCreated: partResult.isCreated, deal: partResult.deal };
+  }
+
+  // Record and comment are informational - failure must not re-run the whole sync
+  try {
+    const { record, changed } = await recordMixedOrder(order, placement, { dealId, partDealId: partDeal?.dealId, correlationId });
+    if (changed && record?.state === 'open') {
+      const list = (items) => items.map(item => item.sku || item.title || item.lineItemId).join(', ');
+      const comment = placement.split
+        ? `[B]Заказ с товарами предзаказа разделён[/B]\nВ наличии (сделка ${dealId}): ${list(record.stockItems)}\nПредзаказ (сделка ${partDeal.dealId}): ${list(record.preOrderItems)}`
+        : `[B]Смешанный заказ: есть товары в наличии и предзаказ[/B]\nПредзаказ: ${list(record.preOrderItems)}\nВ наличии: ${list(record.stockItems)}`;
+      await addDealTimelineComment(dealId, comment);
+      if (partDeal) {
+        await addDealTimelineComment(partDeal.dealId, comment);
+      }
+    } else if (changed && record?.partDealId) {
+      // Order is no longer mixed - the part deal stays for the manager
+      await addDealTimelineComment(record.partDealId, `[B]Заказ больше не смешанный[/B]\nОсновная сделка: ${dealId}. Эта сделка больше не синхронизируется`);
+    }
+  } catch (mixedError) {
+    console.error(`[UPSERT] [${correlationId}] Failed to record mixed order (non-blocking):`, mixedError);
+  }
+
+  return partDeal;
+}
+
+/**
+ * Move deal to another category ('move' policy) - crm.deal.update ignores CATEGORY_ID, crm.item.update moves the deal
+ * @param {string} dealId - Deal ID
+ * @param {number} categoryId - Target category
+ * @param {string|undefined} stageId - Stage of the target category (undefined - first stage, Bitrix default)
+ * @param {Object} context - { fromCategoryId, correlationId }
+ * @throws {Error} code 'CATEGORY_CHANGE_FAILED' (non-retryable) when Bitrix rejects the move or keeps the category
+ */
+async function moveDealToCategory(dealId, categoryId, stageId, { fromCategoryId, correlationId }) {
+  let movedCategoryId = null;
+  let error = null;
+  try {
+    const response = await callBitrix('/crm.item.update.json', {
+      entityTypeId: 2, // Deal
+      id: Number(dealId),
+      fields: { categoryId: Number(categoryId), ...(stageId ? { stageId } : {}) },
+    });
+    movedCategoryId = response.result?.item?.categoryId ?? null;
+  } catch (moveError) {
+    if (moveError.retryable) {
+      throw moveError; // Limit / 5xx - nothing was written yet, the job is retried
+    }
+    error = moveError.message;
+  }
+
+  const success = !error && Number(movedCategoryId) === Number(categoryId);
+  console.log(JSON.stringify({
+    event: 'DEAL_CATEGORY_MOVE_RESULT',
+    correlationId,
+    dealId,
+    fromCategoryId,
+    toCategoryId: categoryId,
+    stageId: stageId || null,
+    success,
+    error,
+    timestamp: new Date().toISOString()
+  }));
+
+  if (!success) {
+    const moveError = new Error(`Deal ${dealId} was not moved to category ${categoryId}: ${error || `category is ${movedCategoryId}`}. Move it manually or use BITRIX_CATEGORY_CHANGE_POLICY=relink.`);
+    moveError.code = 'CATEGORY_CHANGE_FAILED';
+    moveError.retryable = false; // Bitrix refused the move (rights, category settings) - retries would do the same
+    throw moveError;
+  }
+}
+
+/**
+ * Close the deal left in the old category after a category change with 'relink' policy:
+ * order key is cleared, deal goes to the CANCELLED (LOSE) stage, both deals get a timeline comment linking them.
+ * Non-blocking - the new deal is already indexed, so later events never return to the old one
+ * @param {Object} categoryChange - { fromCategoryId, fromDealId }
+ * @param {Object} context - { dealId (new deal), categoryId, orderName, correlationId }
+ * @returns {Promise<boolean>} Old deal closed
+ */
+async function closeCategoryChangedDeal(categoryChange, { dealId, categoryId, orderName, correlationId }) {
+  const { fromCategoryId, fromDealId } = categoryChange;
+  let error = null;
+  try {
+    const stages = getCategoryStages(fromCategoryId, getCurrentShop().bitrix.STAGES || null);
+    const { errors } = await batch({
+      old_update: ['crm.deal.update', { id: fromDealId, fields: { UF_CRM_1742556489: '', STAGE_ID: stages.CANCELLED } }],
+      old_comment: ['crm.timeline.comment.add', { fields: { ENTITY_ID: Number(fromDealId), ENTITY_TYPE: 'deal', COMMENT: `[B]Заказ ${orderName} перешёл в воронку ${categoryId}[/B]\nНовая сделка: ${dealId}. Эта сделка закрыта и отвязана от заказа` } }],
+      new_comment: ['crm.timeline.comment.add', { fields: { ENTITY_ID: Number(dealId), ENTITY_TYPE: 'deal', COMMENT: `[B]Заказ ${orderName} перешёл из воронки ${fromCategoryId}[/B]\nПредыдущая сделка: ${fromDealId}` } }],
+    });
+    error = errors.old_update || null;
+  } catch (closeError) {
+    error = closeError.message;
+  }
+
+  console.log(JSON.stringify({
+    event: 'DEAL_CATEGORY_CHANGE_RESULT',
+    correlationId,
+    policy: 'relink',
+    fromDealId,
+    fromCategoryId,
+    dealId,
+    toCategoryId: categoryId,
+    success: !error,
+    error,
+    timestamp: new Date().toISOString()
+  }));
+
+  return !error;
 }
 
 /**
  * Set product rows for a deal with verification
+ * Diff mode (default) writes only changed rows and keeps manual rows (src/lib/bitrix/productRowsSync.js);
+ * replace mode (PRODUCT_ROWS_MODE=replace) clears and rewrites all rows with pre/post deal checks
  * @param {string} dealId - Deal ID
  * @param {Array} productRows - Product rows array
  * @param {string} orderId - Shopify order ID for verification
  * @param {string} correlationId - Correlation ID for logging
+ * @param {Array|null} currentRows - Deal rows read by upsertDealFromOrder (diff mode), null to read them here
+ * @param {Object|null} deal - Deal read back by upsertDealFromOrder (rows origin field), null to read it here
  */
-async function setProductRowsWithVerification(dealId, productRows, orderId, correlationId) {
+async function setProductRowsWithVerification(dealId, productRows, orderId, correlationId, currentRows = null, deal = null) {
   try {
+    // Deal key was verified by upsertDealFromOrder right before (under the order lock) - no extra crm.deal.get here
+    if (getProductRowsMode() === 'diff') {
+      await syncDealProductRows(dealId, productRows || [], correlationId, { currentRows, deal });
+      return;
+    }
+
     // ✅ CRITICAL: Verify deal one more time before setting product rows (using real Bitrix field)
     const preCheckResp = await callBitrix('/crm.deal.get.json', {
       id: dealId,
@@ -411,6 +760,63 @@ async function setProductRowsWithVerification(dealId, productRows, orderId, corr
   }
 }
 
+/**
+ * Resolve order version to apply and drop stale out-of-order payloads
+ * SHOPIFY_ORDER_REFETCH=true - re-fetch current order from Admin API instead of trusting webhook body
+ * @param {Object} order - Webhook payload
+ * @param {string} topic - Webhook topic
+ * @param {string} correlationId - Correlation ID
+ * @returns {Promise<Object|null>} Order to apply, or null if payload is stale
+ */
+async function resolveCurrentOrder(order, topic, correlationId) {
+  const orderId = String(order.id);
+  let currentOrder = order;
+
+  if (process.env.SHOPIFY_ORDER_REFETCH === 'true') {
+    try {
+      const fetchedOrder = await getOrder(orderId);
+      if (fetchedOrder) {
+        currentOrder = { ...fetchedOrder, eventId: order.eventId };
+        console.log(JSON.stringify({
+          event: 'ORDER_REFETCHED',
+          correlationId,
+          orderId,
+          topic,
+          webhookUpdatedAt: order.updated_at || null,
+          currentUpdatedAt: fetchedOrder.updated_at || null,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    } catch (fetchError) {
+      // Fall back to webhook body (stale check below still applies)
+      console.log(JSON.stringify({
+        event: 'ORDER_REFETCH_ERROR',
+        correlationId,
+        orderId,
+        topic,
+        error: fetchError.message,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  const { stale, lastAppliedUpdatedAt } = await checkStalePayload(orderId, currentOrder.updated_at);
+  if (stale) {
+    console.log(JSON.stringify({
+      event: 'STALE_PAYLOAD_SKIP',
+      correlationId,
+      orderId,
+      topic,
+      payloadUpdatedAt: currentOrder.updated_at,
+      lastAppliedUpdatedAt,
+      timestamp: new Date().toISOString()
+    }));
+    return null;
+  }
+
+  return currentOrder;
+}
+
 /**
  * Handle order created event - create deal in Bitrix
  * Uses unified upsertDealFromOrder function
@@ -454,12 +860,20 @@ async function handleOrderCreated(order) {
     // Skip deal creation - this order was created by us (Bitrix → Shopify hold_create)
     return null;
   }
+
+  // ✅ Out-of-order guard: orders/updated with newer updated_at may already be applied
+  const currentOrder = await resolveCurrentOrder(order, 'orders/create', correlationId);
+  if (!currentOrder) {
+    return null;
+  }
   
   // Use unified upsert function (same logic for both create and update)
-  const { dealId, isCreated, productRows } = await upsertDealFromOrder(order, 'orders/create', correlationId);
+  const { dealId, isCreated, productRows, currentRows, deal } = await upsertDealFromOrder(currentOrder, 'orders/create', correlationId);
   
   // Set product rows (always, regardless of created or updated)
-  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId);
+  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId, currentRows, deal);
+
+  await recordAppliedPayload(orderId, { updatedAt: currentOrder.updated_at, topic: 'orders/create', dealId, correlationId });
   
   // ✅ Structured logging: [WEBHOOK_DONE]
   console.log(JSON.stringify({
@@ -592,11 +1006,19 @@ async function handleOrderUpdated(order) {
     }));
   }
 
+  // ✅ Out-of-order guard: skip payloads older than the last applied version
+  const currentOrder = await resolveCurrentOrder(order, 'orders/updated', correlationId);
+  if (!currentOrder) {
+    return null;
+  }
+
   // Use unified upsert function (will create if missing, update if exists)
-  const { dealId, isCreated, productRows } = await upsertDealFromOrder(order, 'orders/updated', correlationId);
+  const { dealId, isCreated, productRows, currentRows, deal } = await upsertDealFromOrder(currentOrder, 'orders/updated', correlationId);
   
   // Set product rows
-  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId);
+  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId, currentRows, deal);
+
+  await recordAppliedPayload(orderId, { updatedAt: currentOrder.updated_at, topic: 'orders/updated', dealId, correlationId });
   
   // ✅ Structured logging: [WEBHOOK_DONE]
   console.log(JSON.stringify({
@@ -616,14 +1038,235 @@ async function handleOrderUpdated(order) {
 }
 
 /**
- * Handle product update event
- * This only updates internal catalog, not deals
+ * Handle refund created event - re-sync deal from current order and post refund details to timeline
+ * refunds/create payload is a refund (order_id, refund_line_items, transactions), not an order,
+ * so the parent order is fetched from Admin API (paid amount must be correct without orders/updated)
+ * @param {Object} refund - Shopify refund object
+ * @returns {Promise<number>} Deal ID
+ */
+async function handleRefundCreated(refund) {
+  const orderId = String(refund.order_id);
+  const eventId = refund.eventId || 'unknown';
+  const correlationId = `${orderId}:${eventId}`;
+
+  const order = await getOrder(orderId);
+  if (!order) {
+    throw new Error(`Order ${orderId} for refund ${refund.id} not found in Shopify`);
+  }
+  const currentOrder = { ...order, eventId };
+
+  const { dealId, isCreated, productRows, currentRows, deal } = await upsertDealFromOrder(currentOrder, 'refunds/create', correlationId);
+  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId, currentRows, deal);
+  await recordAppliedPayload(orderId, { updatedAt: currentOrder.updated_at, topic: 'refunds/create', dealId, correlationId });
+
+  // Timeline comment is informational - failure must not re-run the whole sync
+  let commentId = null;
+  try {
+    commentId = await addDealTimelineComment(dealId, formatRefundComment(refund, order));
+  } catch (commentError) {
+    console.log(JSON.stringify({
+      event: 'REFUND_TIMELINE_COMMENT_ERROR',
+      correlationId,
+      orderId,
+      refundId: refund.id,
+      dealId,
+      error: commentError.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  console.log(JSON.stringify({
+    event: 'WEBHOOK_DONE',
+    correlationId,
+    topic: 'refunds/create',
+    eventId,
+    orderId,
+    orderName: order.name,
+    refundId: refund.id,
+    dealId,
+    dealIdSource: isCreated ? 'add' : 'list',
+    timelineCommentId: commentId,
+    success: true,
+    timestamp: new Date().toISOString()
+  }));
+
+  return dealId;
+}
+
+/**
+ * Handle order status topics - orders/cancelled, orders/paid, orders/partially_fulfilled, orders/fulfilled
+ * Syncs deal as usual, then moves it to the stage configured for the topic (BITRIX_CONFIG.TOPIC_STAGES)
+ * and records cancel reason / payment gateway
+ * @param {Object} order - Shopify order object
+ * @param {string} topic - Webhook topic
+ * @returns {Promise<number|null>} Deal ID
+ */
+async function handleOrderStatusTopic(order, topic) {
+  const orderId = String(order.id);
+  const eventId = order.eventId || 'unknown';
+  const correlationId = `${orderId}:${eventId}`;
+
+  const currentOrder = await resolveCurrentOrder(order, topic, correlationId);
+  if (!currentOrder) {
+    return null;
+  }
+
+  const { dealId, isCreated, productRows, currentRows, deal, partDeal } = await upsertDealFromOrder(currentOrder, topic, correlationId);
+  await setProductRowsWithVerification(dealId, productRows, orderId, correlationId, currentRows, deal);
+  await recordAppliedPayload(orderId, { updatedAt: currentOrder.updated_at, topic, dealId, correlationId });
+
+  // Current stage/category after upsert (category is immutable - take it from the deal, not from tags);
+  // the deal was read back by upsertDealFromOrder after the write
+  const categoryId = Number(deal.CATEGORY_ID);
+  const fromStageId = deal.STAGE_ID || null;
+  const toStageId = topicToStageId(topic, categoryId, getCurrentShop().bitrix.TOPIC_STAGES);
+
+  // STAGE_TRANSITIONS decides alone: forward along ORDER (PAID = WON → FINAL_INVOICE on fulfilment) or by ALLOWED rules;
+  // LOSE is outside ORDER, so a lost deal is only moved by a rule (cancel / refund)
+  const transition = toStageId ? checkStageTransition(fromStageId, toStageId, { categoryId, bitrix: getCurrentShop().bitrix }) : null;
+  const skipped = !toStageId || toStageId === fromStageId || !transition.allowed;
+
+  const updateFields = {};
+  if (!skipped) {
+    updateFields.STAGE_ID = toStageId;
+  }
+  // Fields of the shop's portal (SHOPS bitrix block, BITRIX_CONFIG by default)
+  const { CANCEL_REASON_FIELD, PAYMENT_GATEWAY_FIELD } = getCurrentShop().bitrix;
+  if (topic === 'orders/cancelled' && CANCEL_REASON_FIELD) {
+    updateFields[CANCEL_REASON_FIELD] = currentOrder.cancel_reason || '';
+  }
+  if (topic === 'orders/paid' && PAYMENT_GATEWAY_FIELD) {
+    updateFields[PAYMENT_GATEWAY_FIELD] = getPaymentGateways(currentOrder).join(', ');
+  }
+
+  if (Object.keys(updateFields).length > 0) {
+    await callBitrix('/crm.deal.update.json', { id: dealId, fields: updateFields });
+  }
+
+  // Pre-order part of a split order follows the same topic stage in its own category
+  if (partDeal) {
+    const partCategoryId = Number(partDeal.deal.CATEGORY_ID);
+    const partFromStageId = partDeal.deal.STAGE_ID || null;
+    const partToStageId = topicToStageId(topic, partCategoryId, getCurrentShop().bitrix.TOPIC_STAGES);
+    const partFields = { ...updateFields };
+    delete partFields.STAGE_ID;
+    if (partToStageId && partToStageId !== partFromStageId
+      && checkStageTransition(partFromStageId, partToStageId, { categoryId: partCategoryId, bitrix: getCurrentShop().bitrix }).allowed) {
+      partFields.STAGE_ID = partToStageId;
+    }
+    if (Object.keys(partFields).length > 0) {
+      await callBitrix('/crm.deal.update.json', { id: partDeal.dealId, fields: partFields });
+    }
+    console.log(JSON.stringify({
+      event: partFields.STAGE_ID ? 'DEAL_STAGE_MOVE' : 'DEAL_STAGE_KEEP',
+      correlationId,
+      topic,
+      orderId,
+      dealId: partDeal.dealId,
+      categoryId: partCategoryId,
+      fromStageId: partFromStageId,
+      toStageId: partToStageId,
+      splitPart: true,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  console.log(JSON.stringify({
+    event: skipped ? 'DEAL_STAGE_KEEP' : 'DEAL_STAGE_MOVE',
+    correlationId,
+    topic,
+    orderId,
+    dealId,
+    categoryId,
+    fromStageId,
+    toStageId,
+    reason: skipped ? (!toStageId ? 'no_stage_configured' : (toStageId === fromStageId ? 'same_stage' : transition.reason)) : null,
+    cancelReason: topic === 'orders/cancelled' ? (currentOrder.cancel_reason || null) : undefined,
+    paymentGateways: topic === 'orders/paid' ? getPaymentGateways(currentOrder) : undefined,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Timeline comment is informational - failure must not re-run the whole sync
+  try {
+    await addDealTimelineComment(dealId, formatOrderStatusComment(topic, currentOrder, { fromStageId, toStageId, skipped }));
+  } catch (commentError) {
+    console.log(JSON.stringify({
+      event: 'STATUS_TIMELINE_COMMENT_ERROR',
+      correlationId,
+      topic,
+      orderId,
+      dealId,
+      error: commentError.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  console.log(JSON.stringify({
+    event: 'WEBHOOK_DONE',
+    correlationId,
+    topic,
+    eventId,
+    orderId,
+    orderName: currentOrder.name,
+    dealId,
+    dealIdSource: isCreated ? 'add' : 'list',
+    success: true,
+    timestamp: new Date().toISOString()
+  }));
+
+  return dealId;
+}
+
+/**
+ * Handle customer create/update event - create or update Bitrix contact
+ * @param {Object} customer - Shopify customer
+ * @param {string} topic - customers/create or customers/update
+ * @returns {Promise<Object>} { contactId, action, matchedBy }
  */
-async function handleProductUpdated(product) {
-  console.log(`[SHOPIFY WEBHOOK] Handling product updated: ${product.id || product.title}`);
-  // Product updates don't affect deals - they're for catalog synchronization only
-  console.log(`[SHOPIFY WEBHOOK] Product updates don't affect deals - skipping`);
-  return null;
+async function handleCustomerUpdated(customer, topic) {
+  const correlationId = `customer:${customer.id}:${customer.eventId || 'unknown'}`;
+  const result = await upsertContactFromCustomer(getBitrixWebhookBase(), customer);
+
+  console.log(JSON.stringify({
+    event: 'CONTACT_SYNC_DONE',
+    correlationId,
+    topic,
+    customerId: customer.id,
+    contactId: result.contactId,
+    action: result.action,
+    matchedBy: result.matchedBy,
+    timestamp: new Date().toISOString()
+  }));
+
+  return result;
+}
+
+/**
+ * Handle product create/update event
+ * Syncs Bitrix catalog product and SKU → PRODUCT_ID links, does not touch deals; drops the cached pre-order data
+ * @param {Object} product - Shopify product
+ * @param {string} topic - products/create or products/update
+ * @returns {Promise<Object|null>} Sync result
+ */
+async function handleProductUpdated(product, topic = 'products/update') {
+  console.log(`[SHOPIFY WEBHOOK] Handling ${topic}: ${product.id || product.title}`);
+
+  // Tags / metafields may have changed - next order re-reads the product for pre-order detection
+  if (product.id) {
+    try {
+      await forgetProductPreOrderData(product.id);
+    } catch (cacheError) {
+      console.error(`[SHOPIFY WEBHOOK] Failed to drop pre-order cache of product ${product.id} (non-blocking):`, cacheError);
+    }
+  }
+
+  if (!isProductSyncEnabled()) {
+    console.log(`[SHOPIFY WEBHOOK] Product catalog sync disabled (PRODUCT_SYNC_ENABLED=false) - skipping`);
+    return null;
+  }
+
+  const correlationId = `product:${product.id}:${product.eventId || 'unknown'}`;
+  return syncShopifyProduct(product, correlationId);
 }
 
 // Export handler function for reuse in other endpoints
@@ -642,10 +1285,21 @@ export async function handler(req, res) {
     return;
   }
 
-  // Log raw body size
-  const bodyString = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
-  console.log(`[SHOPIFY WEBHOOK] [${requestId}] Body size: ${bodyString?.length || 0} bytes`);
-  
+  // Refuse to sync without required configuration (Bitrix webhook, auth token, Shopify secrets)
+  try {
+    assertSyncConfig();
+  } catch (configError) {
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_WEBHOOK_CONFIG_INVALID',
+      requestId,
+      missing: configError.missing || [],
+      errors: configError.errors || [],
+      timestamp: new Date().toISOString()
+    }));
+    res.status(503).json({ error: 'Sync is not configured', code: configError.code, requestId });
+    return;
+  }
+
   const topic = req.headers['x-shopify-topic'] || req.headers['X-Shopify-Topic'];
   const shopifyShopDomain = req.headers['x-shopify-shop-domain'] || req.headers['X-Shopify-Shop-Domain'];
   const shopifyHmac = req.headers['x-shopify-hmac-sha256'] || req.headers['X-Shopify-Hmac-Sha256'];
@@ -653,11 +1307,70 @@ export async function handler(req, res) {
   console.log(`[SHOPIFY WEBHOOK] [${requestId}] Topic: ${topic || 'MISSING!'}`);
   console.log(`[SHOPIFY WEBHOOK] [${requestId}] Shop Domain: ${shopifyShopDomain || 'MISSING!'}`);
   console.log(`[SHOPIFY WEBHOOK] [${requestId}] HMAC Present: ${!!shopifyHmac}`);
-  
-  const order = req.body;
+
+  if (shopifyShopDomain && !getConfiguredShop(shopifyShopDomain) && getShops().length > 1) {
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_SHOP_UNKNOWN',
+      requestId,
+      topic: topic || null,
+      shopDomain: shopifyShopDomain,
+      fallbackShop: getShops()[0].domain,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // Read raw body (bodyParser is disabled - HMAC must be computed over exact bytes)
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req);
+  } catch (readError) {
+    console.error(`[SHOPIFY WEBHOOK] [${requestId}] ❌ Failed to read body:`, readError.message);
+    const status = readError.code === 'BODY_TOO_LARGE' ? 413 : 400;
+    res.status(status).json({ error: 'Invalid request body', message: readError.message, requestId });
+    return;
+  }
+
+  // Log raw body size
+  console.log(`[SHOPIFY WEBHOOK] [${requestId}] Body size: ${rawBody.length} bytes`);
+
+  // ✅ Verify HMAC signature before any processing
+  const verification = verifyShopifyWebhook(rawBody, shopifyHmac, shopifyShopDomain);
+  if (!verification.valid) {
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_WEBHOOK_HMAC_FAIL',
+      requestId,
+      topic: topic || null,
+      shopDomain: shopifyShopDomain || null,
+      hmacPresent: !!shopifyHmac,
+      reason: verification.reason,
+      timestamp: new Date().toISOString()
+    }));
+    res.status(401).json({ error: 'Unauthorized', reason: verification.reason, requestId });
+    return;
+  }
+
+  console.log(JSON.stringify({
+    event: 'SHOPIFY_WEBHOOK_HMAC_OK',
+    requestId,
+    topic: topic || null,
+    shopDomain: shopifyShopDomain || null,
+    secretSource: verification.secretSource,
+    timestamp: new Date().toISOString()
+  }));
+
+  let order;
+  try {
+    order = JSON.parse(rawBody.toString('utf8'));
+  } catch (parseError) {
+    console.error(`[SHOPIFY WEBHOOK] [${requestId}] ❌ Invalid JSON body:`, parseError.message);
+    res.status(400).json({ error: 'Invalid JSON body', message: parseError.message, requestId });
+    return;
+  }
+  req.body = order;
 
   // Try to extract order info even if structure is different
-  const orderId = order?.id || order?.order_id || order?.order?.id || 'N/A';
+  // refunds/create payload is a refund: id is refund ID, order_id is the order
+  const orderId = (topic === 'refunds/create' ? order?.order_id : null) || order?.id || order?.order_id || order?.order?.id || 'N/A';
   const orderName = order?.name || order?.order_name || order?.order?.name || 'N/A';
   
   console.log(`[SHOPIFY WEBHOOK] [${requestId}] Order ID: ${orderId}`);
@@ -669,39 +1382,140 @@ export async function handler(req, res) {
     console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ NO TOPIC HEADER! Full body:`, JSON.stringify(order, null, 2));
   }
 
-  try {
-    // Store event for monitoring (non-blocking)
+  const webhookId = req.headers['x-shopify-webhook-id'] || null;
+
+  // ✅ Idempotency: Shopify retries and may send the same delivery more than once
+  // Ledger is keyed by X-Shopify-Webhook-Id + topic; fail-open if ledger is unavailable
+  let ledgerKey = null;
+  if (webhookId) {
     try {
-      const storedEvent = shopifyAdapter.storeEvent(order);
-      console.log(`[SHOPIFY WEBHOOK] [${requestId}] ✅ Event stored. Topic: ${topic}, Order: ${orderName || orderId}`);
-    } catch (storeError) {
-      console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ Failed to store event:`, storeError);
+      const claim = await claimDelivery(webhookId, topic);
+
+      if (claim.status === 'duplicate') {
+        console.log(JSON.stringify({
+          event: 'WEBHOOK_DUPLICATE_SKIP',
+          requestId,
+          topic,
+          webhookId,
+          orderId,
+          originalResult: claim.entry.result,
+          completedAt: claim.entry.completedAt,
+          timestamp: new Date().toISOString()
+        }));
+        res.status(200).json({ success: true, duplicate: true, requestId, topic, result: claim.entry.result });
+        return;
+      }
+
+      if (claim.status === 'in_flight') {
+        console.log(JSON.stringify({
+          event: 'WEBHOOK_IN_FLIGHT_SKIP',
+          requestId,
+          topic,
+          webhookId,
+          orderId,
+          startedAt: claim.entry.startedAt,
+          attempts: claim.entry.attempts,
+          timestamp: new Date().toISOString()
+        }));
+        // Non-2xx so Shopify retries later and gets the stored result once the first delivery is done
+        res.setHeader('Retry-After', '30');
+        res.status(409).json({ error: 'Delivery is already being processed', inFlight: true, requestId, topic });
+        return;
+      }
+
+      ledgerKey = claim.key;
+    } catch (ledgerError) {
+      console.log(JSON.stringify({
+        event: 'WEBHOOK_LEDGER_ERROR',
+        requestId,
+        topic,
+        webhookId,
+        error: ledgerError.message,
+        timestamp: new Date().toISOString()
+      }));
     }
+  } else {
+    console.log(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ No X-Shopify-Webhook-Id header - deduplication skipped`);
+  }
 
-    // Handle different topics - SEPARATE HANDLERS
-    if (topic === 'orders/create') {
-      await handleOrderCreated(order);
-    } else if (topic === 'orders/updated') {
-      // orders/updated handles all updates including refunds and cancellations
-      await handleOrderUpdated(order);
-    } else if (topic === 'products/update') {
-      // Product updates only affect internal catalog, not deals
-      await handleProductUpdated(order);
-    } else if (topic === 'refunds/create') {
-      // Refunds are handled by orders/updated - this is deprecated but kept for backward compatibility
-      console.log(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ refunds/create webhook received but refunds are handled by orders/updated`);
-      // Optionally: fetch order and process via handleOrderUpdated
-      // For now, just log and return 200
-    } else {
-      // For other topics just log and return 200
-      console.log(`[SHOPIFY WEBHOOK] [${requestId}] Unhandled topic: ${topic || 'null/undefined'}`);
+  // Store event in webhook inbox (non-blocking)
+  let storedEvent = null;
+  try {
+    storedEvent = await shopifyAdapter.storeEvent(order, {
+      topic,
+      shopDomain: shopifyShopDomain,
+      webhookId,
+      headers: req.headers,
+    });
+    console.log(`[SHOPIFY WEBHOOK] [${requestId}] ✅ Event stored. Topic: ${topic}, Order: ${orderName || orderId}`);
+  } catch (storeError) {
+    console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ Failed to store event:`, storeError);
+  }
+
+  // Correlation ID (orderId:eventId) - handlers read eventId from order.eventId
+  const eventId = storedEvent?.eventId || requestId;
+  const correlationId = `${orderId}:${eventId}`;
+  if (order && typeof order === 'object') {
+    order.eventId = eventId;
+  }
+
+  // ✅ Durable queue: acknowledge quickly, Bitrix sync runs in a job with retries/backoff
+  let job = null;
+  try {
+    job = await enqueueJob({
+      topic,
+      shopDomain: shopifyShopDomain,
+      webhookId,
+      eventId,
+      correlationId,
+      orderId,
+      payload: order,
+    });
+  } catch (queueError) {
+    console.log(JSON.stringify({
+      event: 'SYNC_QUEUE_ENQUEUE_ERROR',
+      requestId,
+      topic,
+      orderId,
+      correlationId,
+      error: queueError.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  if (job) {
+    await recordEventResult(storedEvent?.eventId, { status: 'queued', jobId: job.id }, correlationId, requestId);
+    await recordLedgerResult(ledgerKey, { success: true, queued: true, jobId: job.id, eventId, correlationId }, requestId);
+
+    console.log(`[SHOPIFY WEBHOOK] [${requestId}] ✅ Request queued as ${job.id}`);
+    res.status(200).json({ success: true, requestId, topic, queued: true, jobId: job.id });
+
+    // Best-effort kick right after acknowledging: on Vercel work after the response may be frozen, so due and
+    // retry jobs are guaranteed only by the cron calling /api/queue/run (vercel.json, CRON_SECRET)
+    if (process.env.SYNC_QUEUE_INLINE_RUN !== 'false') {
+      try {
+        await runDueJobs(processSyncJob);
+      } catch (runError) {
+        console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ Queue run failed:`, runError);
+      }
     }
+    return;
+  }
+
+  // Fallback: queue unavailable - process inline (Shopify retries on 500)
+  try {
+    const dealId = await processShopifyWebhook(topic, order, shopifyShopDomain);
+
+    await recordEventResult(storedEvent?.eventId, { status: 'processed', dealId: dealId || null }, correlationId, requestId);
+    await recordLedgerResult(ledgerKey, { success: true, dealId: dealId || null, eventId, correlationId }, requestId);
 
     console.log(`[SHOPIFY WEBHOOK] [${requestId}] ✅ Request processed successfully`);
     res.status(200).json({ success: true, requestId, topic });
   } catch (e) {
     console.error(`[SHOPIFY WEBHOOK] [${requestId}] ❌ Error:`, e);
     console.error(`[SHOPIFY WEBHOOK] [${requestId}] Error stack:`, e.stack);
+    await recordEventResult(storedEvent?.eventId, { status: 'failed', error: e.message }, correlationId, requestId);
+    await recordLedgerResult(ledgerKey, { success: false, error: e.message }, requestId);
     res.status(500).json({ 
       error: 'Internal server error', 
       message: e.message,
@@ -710,5 +1524,135 @@ export async function handler(req, res) {
   }
 }
 
+// Order status topics handled by handleOrderStatusTopic (routes: /api/webhook/order/cnl, paid, pful, ful)
+const ORDER_STATUS_TOPICS = ['orders/cancelled', 'orders/paid', 'orders/partially_fulfilled', 'orders/fulfilled'];
+
+/**
+ * Route webhook payload to topic handler with shop configuration of the sending store
+ * @param {string} topic - Webhook topic
+ * @param {Object} order - Webhook payload (order.eventId must be set for correlation)
+ * @param {string|null} shopDomain - x-shopify-shop-domain (null = default shop)
+ * @returns {Promise<number|null>} Deal ID (if topic affects a deal)
+ */
+export async function processShopifyWebhook(topic, order, shopDomain = null) {
+  // Admin API calls and Bitrix categories/stages below use this shop (see src/lib/shopify/shops.js)
+  return runWithShop(shopDomain, () => routeShopifyWebhook(topic, order));
+}
+
+/**
+ * Route webhook payload to topic handler (runs inside runWithShop)
+ * @param {string} topic - Webhook topic
+ * @param {Object} order - Webhook payload
+ * @returns {Promise<number|null>} Deal ID (if topic affects a deal)
+ */
+async function routeShopifyWebhook(topic, order) {
+  let dealId = null;
+
+  // Order topics run under per-order lock: create/updated arriving together must not both create a deal
+  const lockOptions = { correlationId: `${order?.id}:${order?.eventId || 'unknown'}` };
+
+  // Handle different topics - SEPARATE HANDLERS
+  if (topic === 'orders/create') {
+    dealId = await withOrderLock(order.id, () => handleOrderCreated(order), lockOptions);
+  } else if (topic === 'orders/updated') {
+    // orders/updated handles all updates including refunds and cancellations
+    dealId = await withOrderLock(order.id, () => handleOrderUpdated(order), lockOptions);
+  } else if (ORDER_STATUS_TOPICS.includes(topic)) {
+    dealId = await withOrderLock(order.id, () => handleOrderStatusTopic(order, topic), lockOptions);
+  } else if (topic === 'customers/create' || topic === 'customers/update') {
+    const customer = order;
+    await withOrderLock(`customer:${customer.id}`, () => handleCustomerUpdated(customer, topic));
+  } else if (topic === 'products/create' || topic === 'products/update') {
+    // Product webhooks only affect Bitrix catalog, not deals
+    const product = order;
+    await withOrderLock(`product:${product.id}`, () => handleProductUpdated(product, topic));
+  } else if (topic === 'refunds/create') {
+    if (!order?.order_id) {
+      const error = new Error('refunds/create payload has no order_id');
+      error.retryable = false;
+      throw error;
+    }
+    const refundLockOptions = { correlationId: `${order.order_id}:${order.eventId || 'unknown'}` };
+    dealId = await withOrderLock(order.order_id, () => handleRefundCreated(order), refundLockOptions);
+  } else {
+    // For other topics just log and return 200
+    console.log(`[SHOPIFY WEBHOOK] Unhandled topic: ${topic || 'null/undefined'}`);
+  }
+
+  return dealId || null;
+}
+
+/**
+ * Sync queue processor - runs queued webhook job and records result in webhook inbox
+ * Throws on failure so the queue schedules a retry
+ * @param {Object} job - Sync queue job (see src/lib/queue/syncQueue.js)
+ * @returns {Promise<Object>} { dealId }
+ */
+export async function processSyncJob(job) {
+  const order = job.payload;
+  if (order && typeof order === 'object' && job.eventId) {
+    order.eventId = job.eventId;
+  }
+
+  try {
+    const dealId = await processShopifyWebhook(job.topic, order, job.shopDomain);
+    await recordEventResult(
+      job.eventId,
+      { status: 'processed', dealId, jobId: job.id, attempts: job.attempts },
+      job.correlationId,
+      job.id
+    );
+    return { dealId };
+  } catch (error) {
+    await recordEventResult(
+      job.eventId,
+      { status: 'failed', error: error.message, jobId: job.id, attempts: job.attempts },
+      job.correlationId,
+      job.id
+    );
+    throw error;
+  }
+}
+
+/**
+ * Save processing result to webhook inbox (non-blocking)
+ * @param {string|null} eventId - Event ID returned by shopifyAdapter.storeEvent (null if not stored)
+ * @param {Object} result - Processing result
+ * @param {string} correlationId - Correlation ID
+ * @param {string} requestId - Request or job ID for logging
+ */
+async function recordEventResult(eventId, result, correlationId, requestId) {
+  if (!eventId) {
+    return;
+  }
+  try {
+    await shopifyAdapter.updateEventResult(eventId, result, correlationId);
+  } catch (updateError) {
+    console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ Failed to record event result:`, updateError);
+  }
+}
+
+/**
+ * Save delivery outcome to deduplication ledger (non-blocking)
+ * Successful deliveries are marked done; failed ones are released so Shopify retries run again
+ * @param {string|null} ledgerKey - Key returned by claimDelivery (null if not claimed)
+ * @param {Object} result - { success, dealId, eventId, correlationId } or { success: false, error }
+ * @param {string} requestId - Request ID for logging
+ */
+async function recordLedgerResult(ledgerKey, result, requestId) {
+  if (!ledgerKey) {
+    return;
+  }
+  try {
+    if (result.success) {
+      await completeDelivery(ledgerKey, result);
+    } else {
+      await failDelivery(ledgerKey, result.error);
+    }
+  } catch (ledgerError) {
+    console.error(`[SHOPIFY WEBHOOK] [${requestId}] ⚠️ Failed to record ledger result:`, ledgerError);
+  }
+}
+
 // Default export for direct use
 export default handler;
\ No newline at end of file
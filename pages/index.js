@@ -1,10 +1,12 @@
 import Head from 'next/head';
+import Link from 'next/link';
 import { useState, useEffect } from 'react';
 import WebhookInfo from '../src/components/shopify/WebhookInfo';
 import EventsList from '../src/components/shopify/EventsList';
 import BitrixEventsList from '../src/components/bitrix/EventsList';
 import DataPreview from '../src/components/shopify/DataPreview';
-import { shopifyAdapter } from '../src/lib/adapters/shopify';
+import SyncQueuePanel from '../src/components/queue/SyncQueuePanel';
+import { transformToBitrix } from '../src/lib/adapters/shopify/transform';
 
 export default function ShopifyPage() {
   const [events, setEvents] = useState([]);
@@ -20,7 +22,7 @@ export default function ShopifyPage() {
   const [sendResult, setSendResult] = useState(null);
   const [sendToShopifyResult, setSendToShopifyResult] = useState(null);
   // Hardcoded Bitrix webhook base URL
-  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState('https://bfcshoes.bitrix24.eu/rest/52/i6l05o71ywxb8j1l');
+  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState(''); // Empty = BITRIX_WEBHOOK_BASE from server config
   const [previewEvent, setPreviewEvent] = useState(null); // Event to preview (Shopify)
   const [previewData, setPreviewData] = useState(null); // { shopifyData, bitrixData } for preview (Shopify)
   const [bitrixPreviewEvent, setBitrixPreviewEvent] = useState(null); // Event to preview (Bitrix)
@@ -45,7 +47,7 @@ export default function ShopifyPage() {
           const updatedEvent = fetchedEvents.find(e => e.id === previewEvent.id);
           if (updatedEvent) {
             try {
-              const bitrixData = shopifyAdapter.transformToBitrix(updatedEvent);
+              const bitrixData = transformToBitrix(updatedEvent);
               setPreviewEvent(updatedEvent);
               setPreviewData({
                 shopifyData: updatedEvent,
@@ -111,11 +113,6 @@ export default function ShopifyPage() {
       return;
     }
 
-    if (!bitrixWebhookUrl || bitrixWebhookUrl.trim() === '') {
-      alert('Пожалуйста, укажите URL вебхука Bitrix');
-      return;
-    }
-
     setIsSending(true);
     setSendResult(null);
 
@@ -167,7 +164,7 @@ export default function ShopifyPage() {
 
   const handlePreviewEvent = (event) => {
     try {
-      const bitrixData = shopifyAdapter.transformToBitrix(event);
+      const bitrixData = transformToBitrix(event);
       setPreviewEvent(event);
       setPreviewData({
         shopifyData: event,
@@ -324,11 +321,6 @@ export default function ShopifyPage() {
       return;
     }
 
-    if (!bitrixWebhookUrl || bitrixWebhookUrl.trim() === '') {
-      alert('Пожалуйста, укажите URL вебхука Bitrix');
-      return;
-    }
-
     setIsSending(true);
     setSendResult(null);
 
@@ -533,6 +525,18 @@ export default function ShopifyPage() {
             >
               📥 Скачать логи (Bitrix)
             </button>
+            <Link href="/admin/backfill" className="btn" style={{ marginRight: '12px' }}>
+              🛠 Backfill
+            </Link>
+            <Link href="/admin/reconciliation" className="btn" style={{ marginRight: '12px' }}>
+              🔎 Сверка
+            </Link>
+            <Link href="/admin/duplicates" className="btn" style={{ marginRight: '12px' }}>
+              🧩 Дубли
+            </Link>
+            <Link href="/admin/deal-index" className="btn" style={{ marginRight: '12px' }}>
+              🗂 Индекс
+            </Link>
             <button
               onClick={fetchEvents}
               className="btn"
@@ -743,6 +747,9 @@ export default function ShopifyPage() {
           </div>
         </div>
 
+        {/* Sync queue: pending retries and dead-letter jobs */}
+        <SyncQueuePanel />
+
         {/* Data Preview - Wide block below */}
         {(previewData && previewEvent) || (bitrixPreviewData && bitrixPreviewEvent) ? (
           <div style={{ marginTop: '20px', width: '100%' }}>
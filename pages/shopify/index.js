@@ -4,7 +4,7 @@ import { useState, useEffect } from 'react';
 import WebhookInfo from '../../src/components/shopify/WebhookInfo';
 import EventsList from '../../src/components/shopify/EventsList';
 import DataPreview from '../../src/components/shopify/DataPreview';
-import { shopifyAdapter } from '../../src/lib/adapters/shopify';
+import { transformToBitrix } from '../../src/lib/adapters/shopify/transform';
 
 export default function ShopifyPage() {
   const [events, setEvents] = useState([]);
@@ -13,7 +13,7 @@ export default function ShopifyPage() {
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
   // Hardcoded Bitrix webhook base URL
-  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState('https://bfcshoes.bitrix24.eu/rest/52/i6l05o71ywxb8j1l');
+  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState(''); // Empty = BITRIX_WEBHOOK_BASE from server config
   const [previewEvent, setPreviewEvent] = useState(null); // Event to preview
   const [previewData, setPreviewData] = useState(null); // { shopifyData, bitrixData } for preview
   const [isInitialLoad, setIsInitialLoad] = useState(true); // Track initial load
@@ -36,7 +36,7 @@ export default function ShopifyPage() {
           const updatedEvent = fetchedEvents.find(e => e.id === previewEvent.id);
           if (updatedEvent) {
             try {
-              const bitrixData = shopifyAdapter.transformToBitrix(updatedEvent);
+              const bitrixData = transformToBitrix(updatedEvent);
               setPreviewEvent(updatedEvent);
               setPreviewData({
                 shopifyData: updatedEvent,
@@ -77,7 +77,7 @@ export default function ShopifyPage() {
 
   const handlePreviewEvent = (event) => {
     try {
-      const bitrixData = shopifyAdapter.transformToBitrix(event);
+      const bitrixData = transformToBitrix(event);
       setPreviewEvent(event);
       setPreviewData({
         shopifyData: event,
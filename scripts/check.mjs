@@ -0,0 +1,94 @@
+/**
+ * Script-level checks of pure sync logic (no Shopify / Bitrix / store access)
+ * Run: npm run check
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildBitrixQuery } from '../src/lib/bitrix/client.js';
+import { checkStageTransition } from '../src/lib/bitrix/stageTransitions.js';
+import { diffProductRows, parseOriginKeys } from '../src/lib/bitrix/productRowsSync.js';
+import { DEFAULT_FIELD_MAPPING, applyFieldMapping, getFieldMappingErrors } from '../src/lib/bitrix/fieldMapping.js';
+import { discrepanciesToCsv } from '../src/lib/sync/reconciliation.js';
+
+test('buildBitrixQuery encodes nested params', () => {
+  assert.equal(
+    buildBitrixQuery({ id: 5, fields: { TITLE: 'A&B', OPENED: true, UF_LIST: ['x', 'y'] } }),
+    'id=5&fields%5BTITLE%5D=A%26B&fields%5BOPENED%5D=1&fields%5BUF_LIST%5D%5B0%5D=x&fields%5BUF_LIST%5D%5B1%5D=y'
+  );
+  assert.equal(buildBitrixQuery({ id: '$result[add]', skip: null }), 'id=$result[add]');
+});
+
+test('buildBitrixQuery keeps empty arrays and objects', () => {
+  assert.equal(buildBitrixQuery({ id: 5, rows: [] }), 'id=5&rows=');
+  assert.equal(buildBitrixQuery({ fields: { UF_X: [] } }), 'fields%5BUF_X%5D=');
+});
+
+test('stage transitions with the default config', () => {
+  const check = (from, to) => checkStageTransition(from, to, { categoryId: 2 });
+
+  assert.equal(check('C2:NEW', 'C2:WON').reason, 'forward');
+  assert.equal(check('C2:WON', 'C2:FINAL_INVOICE').allowed, true); // Fulfilment after payment
+  assert.deepEqual(
+    { allowed: check('C2:FINAL_INVOICE', 'C2:WON').allowed, reason: check('C2:FINAL_INVOICE', 'C2:WON').reason },
+    { allowed: false, reason: 'backward' }
+  );
+  assert.equal(check('C2:EXECUTING', 'C2:PREPARATION').allowed, false);
+  assert.equal(check('C2:EXECUTING', 'C2:LOSE').reason, 'rule'); // Refund / cancel from any stage
+  assert.equal(check('C2:LOSE', 'C2:FINAL_INVOICE').reason, 'not_in_order');
+  assert.equal(check(null, 'C2:NEW').allowed, true);
+  assert.equal(check('C2:WON', 'C2:WON').reason, 'same_stage');
+});
+
+test('stage transitions follow shop settings', () => {
+  const bitrix = { STAGE_TRANSITIONS: { FORWARD_ONLY: false } };
+  assert.equal(checkStageTransition('C2:FINAL_INVOICE', 'C2:WON', { categoryId: 2, bitrix }).allowed, true);
+  assert.equal(checkStageTransition('C8:FINAL_INVOICE', 'C8:WON', { categoryId: 8 }).reason, 'backward');
+});
+
+test('diffProductRows keeps manual rows and detects changes', () => {
+  const synced = { PRODUCT_ID: 10, PRODUCT_NAME: 'Ring', PRICE: 100, QUANTITY: 1 };
+  const manual = { ID: 7, PRODUCT_ID: 0, PRODUCT_NAME: 'Engraving', PRICE: 20, QUANTITY: 1 };
+  const originKeys = parseOriginKeys(JSON.stringify(['10|Ring']));
+
+  const same = diffProductRows([manual, synced], [{ ...synced, PRICE: '100.00' }], { originKeys });
+  assert.equal(same.changed, false);
+  assert.deepEqual(same.manualRows, [manual]);
+
+  const changed = diffProductRows([manual, synced], [{ ...synced, QUANTITY: 2 }], { originKeys });
+  assert.equal(changed.changed, true);
+  assert.equal(changed.rowsToSet.length, 2);
+  assert.equal(changed.rowsToSet[1].PRODUCT_NAME, 'Engraving');
+
+  assert.deepEqual(diffProductRows([synced], [], { originKeys }).rowsToSet, []);
+  assert.equal(parseOriginKeys('not json'), null);
+});
+
+test('field mapping validation and apply', () => {
+  assert.deepEqual(getFieldMappingErrors(DEFAULT_FIELD_MAPPING), []);
+  assert.ok(getFieldMappingErrors({ version: 99, fields: [] }).length > 0);
+  assert.ok(getFieldMappingErrors({ version: 1, fields: [{ target: 'UF_CRM_1742556489', source: 'order.id' }] }).length > 0);
+
+  const mapping = {
+    version: 1,
+    fields: [
+      { target: 'UF_CRM_1', source: 'order.name', transforms: [{ type: 'trim' }] },
+      { target: 'UF_CRM_2', source: 'order.note' },
+    ],
+  };
+  assert.deepEqual(getFieldMappingErrors(mapping), []);
+  assert.ok(getFieldMappingErrors({ ...mapping, fields: [{ target: 'TITLE', source: 'order.name' }] }).length > 0);
+  assert.deepEqual(applyFieldMapping(mapping, { order: { name: ' #1001 ', note: '' }, context: {} }), { UF_CRM_1: '#1001' });
+});
+
+test('discrepanciesToCsv escapes formulas and keeps numbers', () => {
+  const csv = discrepanciesToCsv([
+    { type: 'amount_mismatch', orderId: 1, orderName: '=HYPERLINK("x")', expected: -12.5, actual: '-12.50', details: 'a,b' },
+  ]);
+  const row = csv.trim().split(/\r?\n/)[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(row.includes(',-12.5,-12.50,'));
+  assert.ok(row.includes('"a,b"'));
+  assert.ok(!row.includes("'-12"));
+});
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { getAdminToken, setAdminToken } from './adminApi';
+
+/**
+ * ADMIN_API_TOKEN input for admin pages (kept in sessionStorage)
+ */
+export default function AdminTokenInput({ onSave }) {
+  const [token, setToken] = useState('');
+
+  useEffect(() => {
+    setToken(getAdminToken());
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAdminToken(token.trim());
+    if (onSave) {
+      onSave();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        placeholder="ADMIN_API_TOKEN"
+        className="form-input"
+        style={{ maxWidth: '320px', padding: '8px 12px' }}
+      />
+      <button type="submit" className="btn">🔑 Сохранить</button>
+    </form>
+  );
+}
@@ -0,0 +1,318 @@
+import { useState, useEffect, useRef } from 'react';
+import { adminFetch } from './adminApi';
+
+const STATE_COLORS = {
+  pending: '#f59e0b',
+  running: '#3b82f6',
+  done: '#059669',
+  failed: '#ef4444',
+  cancelled: '#6b7280',
+};
+
+const EMPTY_FORM = {
+  dateFrom: '',
+  dateTo: '',
+  orderNumberFrom: '',
+  orderNumberTo: '',
+  dryRun: true,
+  concurrency: '2',
+  pageSize: '20',
+};
+
+const cellStyle = { padding: '8px 12px', color: '#f1f5f9', fontSize: '0.85rem' };
+const headStyle = { padding: '8px 12px', textAlign: 'left', color: '#94a3b8', fontSize: '0.85rem' };
+
+/**
+ * Historical backfill panel - start run (date / order number range), drive it page by page, show progress and report
+ */
+export default function BackfillPanel() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [runs, setRuns] = useState([]);
+  const [run, setRun] = useState(null);
+  const [isStepping, setIsStepping] = useState(false);
+  const [message, setMessage] = useState(null);
+  const steppingRef = useRef(false);
+
+  const fetchRuns = async () => {
+    try {
+      const data = await adminFetch('/api/admin/backfill');
+      if (data.success) {
+        setRuns(data.runs || []);
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить запуски' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  const fetchRun = async (runId) => {
+    const data = await adminFetch(`/api/admin/backfill/${runId}`);
+    if (data.success) {
+      setRun(data.run);
+    } else {
+      setMessage({ success: false, text: data.message || 'Не удалось загрузить запуск' });
+    }
+  };
+
+  useEffect(() => {
+    fetchRuns();
+    return () => {
+      steppingRef.current = false;
+    };
+  }, []);
+
+  // Pages are processed one request at a time until the run is finished or stopped
+  const driveRun = async (runId) => {
+    steppingRef.current = true;
+    setIsStepping(true);
+    setMessage(null);
+    try {
+      while (steppingRef.current) {
+        const data = await adminFetch(`/api/admin/backfill/${runId}`, { method: 'POST', body: { action: 'step' } });
+        if (data.run) {
+          setRun(current => ({ ...(current || {}), ...data.run }));
+        }
+        if (!data.success) {
+          setMessage({ success: false, text: data.message || data.error || 'Ошибка шага' });
+          break;
+        }
+        if (data.run.state !== 'pending') {
+          break;
+        }
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      steppingRef.current = false;
+      setIsStepping(false);
+      await fetchRun(runId);
+      await fetchRuns();
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    const data = await adminFetch('/api/admin/backfill', {
+      method: 'POST',
+      body: {
+        // Dates are whole days in UTC
+        createdAtMin: form.dateFrom ? `${form.dateFrom}T00:00:00Z` : null,
+        createdAtMax: form.dateTo ? `${form.dateTo}T23:59:59Z` : null,
+        orderNumberFrom: form.orderNumberFrom,
+        orderNumberTo: form.orderNumberTo,
+        dryRun: form.dryRun,
+        concurrency: form.concurrency,
+        pageSize: form.pageSize,
+      },
+    });
+    if (!data.success) {
+      setMessage({ success: false, text: data.errors ? data.errors.join('; ') : (data.message || 'Ошибка') });
+      return;
+    }
+    setRun(data.run);
+    await fetchRuns();
+    await driveRun(data.run.id);
+  };
+
+  const handleStop = () => {
+    steppingRef.current = false;
+  };
+
+  const handleCancel = async () => {
+    if (!run || !confirm(`Отменить запуск ${run.id}?`)) {
+      return;
+    }
+    steppingRef.current = false;
+    const data = await adminFetch(`/api/admin/backfill/${run.id}`, { method: 'POST', body: { action: 'cancel' } });
+    setMessage({ success: data.success, text: data.success ? 'Запуск отменён' : (data.message || 'Ошибка') });
+    await fetchRun(run.id);
+    await fetchRuns();
+  };
+
+  const setField = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const progress = run?.progress;
+  const report = run?.report;
+
+  return (
+    <>
+      <div className="card">
+        <header className="card-header">
+          <h2>Новый запуск</h2>
+          <p>Заказы из Admin API проходят тот же путь, что и webhook orders/updated. Dry run только ищет сделки, ничего не записывая.</p>
+        </header>
+        <form onSubmit={handleStart} style={{ padding: '0 20px 20px' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px' }}>
+            <div className="form-group">
+              <label className="form-label">Создан с (UTC)</label>
+              <input type="date" value={form.dateFrom} onChange={setField('dateFrom')} className="form-input" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Создан по (UTC)</label>
+              <input type="date" value={form.dateTo} onChange={setField('dateTo')} className="form-input" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Номер заказа с</label>
+              <input type="number" value={form.orderNumberFrom} onChange={setField('orderNumberFrom')} className="form-input" placeholder="1001" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Номер заказа по</label>
+              <input type="number" value={form.orderNumberTo} onChange={setField('orderNumberTo')} className="form-input" placeholder="1500" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Параллельно заказов</label>
+              <input type="number" min="1" max="5" value={form.concurrency} onChange={setField('concurrency')} className="form-input" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Заказов на страницу</label>
+              <input type="number" min="1" max="250" value={form.pageSize} onChange={setField('pageSize')} className="form-input" />
+            </div>
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#f1f5f9', marginBottom: '16px' }}>
+            <input type="checkbox" checked={form.dryRun} onChange={setField('dryRun')} />
+            Dry run (без записи в Bitrix)
+          </label>
+          <button type="submit" className="btn btn-primary" disabled={isStepping}>
+            {form.dryRun ? '🔍 Запустить dry run' : '▶️ Запустить backfill'}
+          </button>
+        </form>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`} style={{ marginTop: '20px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {run && (
+        <div className="card" style={{ marginTop: '20px' }}>
+          <header className="card-header">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+              <h2>
+                {run.id}{' '}
+                <span style={{ color: STATE_COLORS[run.state] || '#f1f5f9', fontSize: '1rem' }}>{run.state}</span>
+                {run.params?.dryRun && <span style={{ color: '#94a3b8', fontSize: '1rem' }}> (dry run)</span>}
+              </h2>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {isStepping ? (
+                  <button onClick={handleStop} className="btn">⏸️ Пауза</button>
+                ) : (
+                  ['pending', 'running'].includes(run.state) && (
+                    <button onClick={() => driveRun(run.id)} className="btn">▶️ Продолжить</button>
+                  )
+                )}
+                {['pending', 'running'].includes(run.state) && (
+                  <button onClick={handleCancel} className="btn" style={{ background: '#ef4444', border: 'none', color: 'white' }}>✕ Отменить</button>
+                )}
+              </div>
+            </div>
+          </header>
+          {progress && (
+            <div className="metrics-grid" style={{ padding: '0 20px 20px' }}>
+              {[
+                ['Страниц', progress.pages],
+                ['Просмотрено', progress.scanned],
+                ['В диапазоне', progress.matched],
+                ...(run.params?.dryRun
+                  ? [['Будет создано', progress.wouldCreate], ['Будет обновлено', progress.wouldUpdate], ['Дубли', progress.duplicates]]
+                  : [['Синхронизировано', progress.synced], ['Пропущено', progress.skipped]]),
+                ['Ошибок', progress.failed],
+              ].map(([label, value]) => (
+                <div className="metric" key={label}>
+                  <div className="metric-label">{label}</div>
+                  <div className="metric-value">{value}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {run.lastError && (
+            <div className="alert alert-warning">Последняя ошибка Admin API: {run.lastError}</div>
+          )}
+          {report && (
+            <div style={{ padding: '0 20px 20px' }}>
+              <h3 style={{ color: '#f1f5f9', fontSize: '1rem', marginBottom: '8px' }}>
+                Отчёт: {report.durationSec} с{report.itemsTruncated ? ' (список заказов обрезан)' : ''}
+              </h3>
+              {report.failures.length === 0 && report.duplicates.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>Ошибок и дублей нет</p>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ borderBottom: '2px solid #334155' }}>
+                      <th style={headStyle}>Заказ</th>
+                      <th style={headStyle}>Order ID</th>
+                      <th style={headStyle}>Статус</th>
+                      <th style={headStyle}>Детали</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...report.failures, ...report.duplicates].map(item => (
+                      <tr key={`${item.orderId}:${item.status}`} style={{ borderBottom: '1px solid #334155' }}>
+                        <td style={cellStyle}>{item.orderName || item.orderNumber}</td>
+                        <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.orderId}</td>
+                        <td style={{ ...cellStyle, color: item.status === 'failed' ? '#ef4444' : '#f59e0b' }}>{item.status}</td>
+                        <td style={{ ...cellStyle, wordBreak: 'break-word' }}>{item.error || (item.dealIds ? `Сделки: ${item.dealIds.join(', ')}` : '—')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="card" style={{ marginTop: '20px' }}>
+        <header className="card-header">
+          <h2>Запуски</h2>
+        </header>
+        {runs.length === 0 ? (
+          <div className="alert alert-info"><p>Запусков нет</p></div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #334155' }}>
+                  <th style={headStyle}>Run ID</th>
+                  <th style={headStyle}>Диапазон</th>
+                  <th style={headStyle}>Режим</th>
+                  <th style={headStyle}>Состояние</th>
+                  <th style={headStyle}>Прогресс</th>
+                  <th style={headStyle}>Создан</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(item => (
+                  <tr
+                    key={item.id}
+                    onClick={() => fetchRun(item.id)}
+                    style={{ borderBottom: '1px solid #334155', cursor: 'pointer', background: run?.id === item.id ? 'rgba(59, 130, 246, 0.1)' : 'transparent' }}
+                  >
+                    <td style={{ ...cellStyle, fontFamily: 'monospace', fontSize: '0.8rem' }}>{item.id}</td>
+                    <td style={cellStyle}>
+                      {[item.params.createdAtMin?.slice(0, 10), item.params.createdAtMax?.slice(0, 10)].filter(Boolean).join(' → ')}
+                      {(item.params.orderNumberFrom !== null || item.params.orderNumberTo !== null) &&
+                        ` #${item.params.orderNumberFrom ?? '…'}–${item.params.orderNumberTo ?? '…'}`}
+                    </td>
+                    <td style={cellStyle}>{item.params.dryRun ? 'dry run' : 'sync'}</td>
+                    <td style={{ ...cellStyle, color: STATE_COLORS[item.state] || '#f1f5f9', fontWeight: 600 }}>{item.state}</td>
+                    <td style={cellStyle}>
+                      {item.progress.matched} / {item.progress.scanned}
+                      {item.progress.failed > 0 && <span style={{ color: '#ef4444' }}> · ошибок {item.progress.failed}</span>}
+                    </td>
+                    <td style={{ ...cellStyle, color: '#94a3b8' }}>{new Date(item.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
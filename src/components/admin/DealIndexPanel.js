@@ -0,0 +1,192 @@
+import { useState, useEffect, useRef } from 'react';
+import { adminFetch } from './adminApi';
+
+const STATE_COLORS = {
+  pending: '#f59e0b',
+  running: '#3b82f6',
+  done: '#059669',
+  failed: '#ef4444',
+  cancelled: '#6b7280',
+};
+
+const REASON_LABELS = {
+  deal_missing: 'Сделка удалена',
+  key_mismatch: 'Изменён UF_CRM_1742556489',
+  category_changed: 'Другая воронка',
+  duplicate_deals: 'Несколько сделок',
+};
+
+const cellStyle = { padding: '8px 12px', color: '#f1f5f9', fontSize: '0.85rem' };
+const headStyle = { padding: '8px 12px', textAlign: 'left', color: '#94a3b8', fontSize: '0.85rem' };
+
+/**
+ * Order → deal index panel - index size, conflicts, repair (rebuild from Bitrix) driven step by step
+ */
+export default function DealIndexPanel() {
+  const [overview, setOverview] = useState(null);
+  const [run, setRun] = useState(null);
+  const [isStepping, setIsStepping] = useState(false);
+  const [message, setMessage] = useState(null);
+  const steppingRef = useRef(false);
+
+  const fetchOverview = async () => {
+    try {
+      const data = await adminFetch('/api/admin/deal-index');
+      if (data.success) {
+        setOverview(data);
+        setRun(current => current || data.repairs?.[0] || null);
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить индекс' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  useEffect(() => {
+    fetchOverview();
+    return () => {
+      steppingRef.current = false;
+    };
+  }, []);
+
+  // Steps are processed one request at a time until the run is finished or stopped
+  const driveRun = async (runId) => {
+    steppingRef.current = true;
+    setIsStepping(true);
+    setMessage(null);
+    try {
+      while (steppingRef.current) {
+        const data = await adminFetch(`/api/admin/deal-index/${runId}`, { method: 'POST', body: { action: 'step' } });
+        if (data.run) {
+          setRun(data.run);
+        }
+        if (!data.success) {
+          setMessage({ success: false, text: data.message || data.error || 'Ошибка шага' });
+          break;
+        }
+        if (data.run.state !== 'pending') {
+          break;
+        }
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      steppingRef.current = false;
+      setIsStepping(false);
+      await fetchOverview();
+    }
+  };
+
+  const handleRepair = async () => {
+    if (!confirm('Перестроить индекс по сделкам Bitrix24?')) {
+      return;
+    }
+    const data = await adminFetch('/api/admin/deal-index', { method: 'POST', body: { action: 'repair' } });
+    if (!data.success) {
+      setMessage({ success: false, text: data.message || 'Ошибка' });
+      return;
+    }
+    setRun(data.run);
+    await driveRun(data.run.id);
+  };
+
+  const handleCancel = async () => {
+    steppingRef.current = false;
+    const data = await adminFetch(`/api/admin/deal-index/${run.id}`, { method: 'POST', body: { action: 'cancel' } });
+    setMessage({ success: data.success, text: data.success ? 'Перестроение отменено' : (data.message || 'Ошибка') });
+    if (data.run) {
+      setRun(data.run);
+    }
+    await fetchOverview();
+  };
+
+  const stats = overview?.stats;
+  const conflicts = overview?.conflicts || [];
+  const isActive = run && ['pending', 'running'].includes(run.state);
+
+  return (
+    <>
+      <div className="card">
+        <header className="card-header">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+            <h2>Индекс заказ → сделка</h2>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {isStepping && <button onClick={() => { steppingRef.current = false; }} className="btn">⏸️ Пауза</button>}
+              {!isStepping && isActive && <button onClick={() => driveRun(run.id)} className="btn">▶️ Продолжить</button>}
+              {isActive && (
+                <button onClick={handleCancel} className="btn" style={{ background: '#ef4444', border: 'none', color: 'white' }}>✕ Отменить</button>
+              )}
+              <button onClick={handleRepair} className="btn btn-primary" disabled={isStepping || isActive}>🔧 Перестроить из Bitrix</button>
+            </div>
+          </div>
+          <p>Сделка ищется сначала по индексу, затем по фильтру UF_CRM_1742556489 + CATEGORY_ID. Записи появляются при создании и первом нахождении сделки.</p>
+        </header>
+        {stats && (
+          <div className="metrics-grid" style={{ padding: '0 20px 20px' }}>
+            {[
+              ['Записей', stats.total],
+              ...Object.entries(stats.bySource).map(([source, count]) => [source, count]),
+              ['Конфликтов', conflicts.length],
+            ].map(([label, value]) => (
+              <div className="metric" key={label}>
+                <div className="metric-label">{label}</div>
+                <div className="metric-value">{value}</div>
+              </div>
+            ))}
+          </div>
+        )}
+        {run && (
+          <div style={{ padding: '0 20px 20px', color: '#f1f5f9', fontSize: '0.9rem' }}>
+            Перестроение <span style={{ fontFamily: 'monospace' }}>{run.id}</span>{' '}
+            <span style={{ color: STATE_COLORS[run.state] || '#f1f5f9', fontWeight: 600 }}>{run.state}</span>:{' '}
+            просмотрено {run.progress.scanned}, проиндексировано {run.progress.indexed}, дублей {run.progress.duplicates}, предзаказных частей {run.progress.splitParts || 0}, удалено устаревших {run.progress.removed}
+            {run.lastError && <div style={{ color: '#ef4444' }}>Последняя ошибка: {run.lastError}</div>}
+          </div>
+        )}
+      </div>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`} style={{ marginTop: '20px' }}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="card" style={{ marginTop: '20px' }}>
+        <header className="card-header">
+          <h2>Конфликты</h2>
+        </header>
+        {conflicts.length === 0 ? (
+          <div className="alert alert-info"><p>Конфликтов нет</p></div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #334155' }}>
+                  <th style={headStyle}>Order ID</th>
+                  <th style={headStyle}>Причина</th>
+                  <th style={headStyle}>В индексе</th>
+                  <th style={headStyle}>Найдено в Bitrix</th>
+                  <th style={headStyle}>Воронка</th>
+                  <th style={headStyle}>Когда</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(item => (
+                  <tr key={item.orderId} style={{ borderBottom: '1px solid #334155' }}>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.orderId}</td>
+                    <td style={{ ...cellStyle, color: '#f59e0b' }}>{REASON_LABELS[item.reason] || item.reason}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.indexedDealId || '—'}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.dealIds.length ? item.dealIds.join(', ') : '—'}</td>
+                    <td style={cellStyle}>{item.categoryId ?? '—'}</td>
+                    <td style={{ ...cellStyle, color: '#94a3b8' }}>{new Date(item.detectedAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,293 @@
+import { useState, useEffect } from 'react';
+import { adminFetch } from './adminApi';
+
+const STRATEGY_LABELS = {
+  merge: 'Объединить (дела → выбранной сделке, дубль удаляется)',
+  close: 'Закрыть (стадия LOSE, отвязать от заказа)',
+  unlink: 'Отвязать от заказа',
+};
+
+const cellStyle = { padding: '8px 12px', color: '#f1f5f9', fontSize: '0.85rem' };
+const headStyle = { padding: '8px 12px', textAlign: 'left', color: '#94a3b8', fontSize: '0.85rem' };
+
+/**
+ * Duplicate deals panel - orders stopped by duplicate_deals, candidate deals side by side,
+ * survivor choice (merge / close / unlink the rest) and audit log
+ */
+export default function DuplicatesPanel() {
+  const [stateFilter, setStateFilter] = useState('open');
+  const [conflicts, setConflicts] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const [form, setForm] = useState({ survivorId: '', strategy: 'close', operator: '', note: '' });
+  const [message, setMessage] = useState(null);
+
+  const fetchConflicts = async (state = stateFilter) => {
+    try {
+      const data = await adminFetch(`/api/admin/duplicates${state ? `?state=${state}` : ''}`);
+      if (data.success) {
+        setConflicts(data.conflicts || []);
+        setAudit(data.audit || []);
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить конфликты' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  const openConflict = async (conflictId) => {
+    setIsLoading(true);
+    setMessage(null);
+    try {
+      const data = await adminFetch(`/api/admin/duplicates/${conflictId}`);
+      if (data.success) {
+        setSelected(data.conflict);
+        setCandidates(data.candidates || []);
+        // Oldest deal is the usual survivor - webhooks created it first
+        setForm(current => ({ ...current, survivorId: data.candidates?.[0]?.id || '', note: '' }));
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить сделки' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchConflicts(stateFilter);
+  }, [stateFilter]);
+
+  const runAction = async (body) => {
+    setIsResolving(true);
+    setMessage(null);
+    try {
+      const data = await adminFetch(`/api/admin/duplicates/${selected.id}`, { method: 'POST', body });
+      if (data.success) {
+        const requeued = data.requeuedJobs?.length ? `, заданий в очереди: ${data.requeuedJobs.length}` : '';
+        setMessage({ success: true, text: `Конфликт ${selected.id} закрыт${requeued}` });
+      } else {
+        const failed = (data.audit?.results || []).filter(result => !result.success).map(result => `${result.dealId}: ${result.error}`);
+        setMessage({ success: false, text: failed.length ? `Не все сделки обработаны: ${failed.join('; ')}` : (data.message || 'Ошибка') });
+      }
+      await openConflict(selected.id);
+      await fetchConflicts();
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const handleResolve = async (e) => {
+    e.preventDefault();
+    const others = candidates.filter(deal => deal.id !== form.survivorId).map(deal => deal.id);
+    if (!confirm(`Оставить сделку ${form.survivorId}; ${form.strategy} для ${others.join(', ')}?`)) {
+      return;
+    }
+    await runAction({ action: 'resolve', ...form });
+  };
+
+  const handleDismiss = async () => {
+    if (!confirm(`Закрыть конфликт ${selected.id} без изменений в Bitrix?`)) {
+      return;
+    }
+    await runAction({ action: 'dismiss', operator: form.operator, note: form.note });
+  };
+
+  const setField = (name) => (e) => {
+    setForm(current => ({ ...current, [name]: e.target.value }));
+  };
+
+  return (
+    <>
+      <div className="card">
+        <header className="card-header">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+            <h2>Заказы с дублями сделок</h2>
+            <select value={stateFilter} onChange={(e) => setStateFilter(e.target.value)} className="form-input" style={{ maxWidth: '200px' }}>
+              <option value="open">Открытые</option>
+              <option value="resolved">Решённые</option>
+              <option value="">Все</option>
+            </select>
+          </div>
+          <p>Заказ не синхронизируется, пока по UF_CRM_1742556489 в воронке находится больше одной сделки.</p>
+        </header>
+        {conflicts.length === 0 ? (
+          <div className="alert alert-info"><p>Конфликтов нет</p></div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #334155' }}>
+                  <th style={headStyle}>Заказ</th>
+                  <th style={headStyle}>Воронка</th>
+                  <th style={headStyle}>Сделки</th>
+                  <th style={headStyle}>Состояние</th>
+                  <th style={headStyle}>Повторов</th>
+                  <th style={headStyle}>Последний раз</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(item => (
+                  <tr
+                    key={item.id}
+                    onClick={() => openConflict(item.id)}
+                    style={{ borderBottom: '1px solid #334155', cursor: 'pointer', background: selected?.id === item.id ? 'rgba(59, 130, 246, 0.1)' : 'transparent' }}
+                  >
+                    <td style={cellStyle}>
+                      {item.orderName || item.orderId}
+                      <div style={{ color: '#94a3b8', fontFamily: 'monospace', fontSize: '0.75rem' }}>{item.orderId}</div>
+                    </td>
+                    <td style={cellStyle}>{item.categoryId}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.dealIds.join(', ')}</td>
+                    <td style={{ ...cellStyle, color: item.state === 'open' ? '#f59e0b' : '#059669', fontWeight: 600 }}>{item.state}</td>
+                    <td style={cellStyle}>{item.occurrences}</td>
+                    <td style={{ ...cellStyle, color: '#94a3b8' }}>{new Date(item.lastSeenAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`} style={{ marginTop: '20px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {selected && (
+        <div className="card" style={{ marginTop: '20px' }}>
+          <header className="card-header">
+            <h2>
+              {selected.orderName || selected.orderId} · воронка {selected.categoryId}{' '}
+              <span style={{ color: selected.state === 'open' ? '#f59e0b' : '#059669', fontSize: '1rem' }}>{selected.state}</span>
+            </h2>
+            {isLoading && <p>Загрузка сделок…</p>}
+          </header>
+          <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.max(candidates.length, 1)}, minmax(240px, 1fr))`, gap: '12px', padding: '0 20px 20px', overflowX: 'auto' }}>
+            {candidates.length === 0 && <p style={{ color: '#94a3b8' }}>Сделок с этим заказом в воронке нет</p>}
+            {candidates.map(deal => (
+              <label
+                key={deal.id}
+                style={{
+                  border: `2px solid ${form.survivorId === deal.id ? '#059669' : '#334155'}`,
+                  borderRadius: '8px',
+                  padding: '12px',
+                  color: '#f1f5f9',
+                  cursor: selected.state === 'open' ? 'pointer' : 'default',
+                }}
+              >
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+                  {selected.state === 'open' && (
+                    <input type="radio" name="survivor" value={deal.id} checked={form.survivorId === deal.id} onChange={setField('survivorId')} />
+                  )}
+                  <strong style={{ fontFamily: 'monospace' }}>#{deal.id}</strong>
+                  {form.survivorId === deal.id && <span style={{ color: '#059669', fontSize: '0.8rem' }}>остаётся</span>}
+                </div>
+                <div style={{ fontSize: '0.85rem', lineHeight: 1.6 }}>
+                  <div>{deal.title || '—'}</div>
+                  <div>Стадия: <strong>{deal.stageId || '—'}</strong></div>
+                  <div>Сумма: <strong>{deal.amount ?? '—'} {deal.currency || ''}</strong></div>
+                  <div>Дел: <strong>{deal.activityCount}</strong></div>
+                  <div style={{ color: '#94a3b8' }}>Создана: {deal.createdAt ? new Date(deal.createdAt).toLocaleString() : '—'}</div>
+                  <div style={{ color: '#94a3b8' }}>Изменена: {deal.modifiedAt ? new Date(deal.modifiedAt).toLocaleString() : '—'}</div>
+                  {deal.error && <div style={{ color: '#ef4444' }}>{deal.error}</div>}
+                </div>
+                <div style={{ marginTop: '8px', fontSize: '0.8rem' }}>
+                  <div style={{ color: '#94a3b8' }}>Товары ({deal.productRows.length}, итого {deal.productRowsTotal}):</div>
+                  {deal.productRows.map((row, index) => (
+                    <div key={index}>{row.name} × {row.quantity} — {row.price}</div>
+                  ))}
+                </div>
+              </label>
+            ))}
+          </div>
+
+          {selected.state === 'open' && (
+            <form onSubmit={handleResolve} style={{ padding: '0 20px 20px' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">Остальные сделки</label>
+                  <select value={form.strategy} onChange={setField('strategy')} className="form-input">
+                    {Object.entries(STRATEGY_LABELS).map(([strategy, label]) => (
+                      <option key={strategy} value={strategy}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Оператор</label>
+                  <input type="text" value={form.operator} onChange={setField('operator')} className="form-input" placeholder="Имя" required />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Комментарий</label>
+                  <input type="text" value={form.note} onChange={setField('note')} className="form-input" />
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button type="submit" className="btn btn-primary" disabled={isResolving || candidates.length < 2 || !form.survivorId}>
+                  ✔️ Оставить #{form.survivorId || '…'}
+                </button>
+                {candidates.length < 2 && (
+                  <button type="button" onClick={handleDismiss} className="btn" disabled={isResolving || !form.operator}>
+                    Закрыть без изменений
+                  </button>
+                )}
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      <div className="card" style={{ marginTop: '20px' }}>
+        <header className="card-header">
+          <h2>Журнал решений</h2>
+        </header>
+        {audit.length === 0 ? (
+          <div className="alert alert-info"><p>Записей нет</p></div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #334155' }}>
+                  <th style={headStyle}>Когда</th>
+                  <th style={headStyle}>Заказ</th>
+                  <th style={headStyle}>Действие</th>
+                  <th style={headStyle}>Оставлена</th>
+                  <th style={headStyle}>Результат</th>
+                  <th style={headStyle}>Оператор</th>
+                </tr>
+              </thead>
+              <tbody>
+                {audit.map(entry => (
+                  <tr key={entry.id} style={{ borderBottom: '1px solid #334155' }}>
+                    <td style={{ ...cellStyle, color: '#94a3b8' }}>{new Date(entry.at).toLocaleString()}</td>
+                    <td style={cellStyle}>{entry.orderName || entry.orderId}</td>
+                    <td style={cellStyle}>{entry.strategy || entry.action}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{entry.survivorId || '—'}</td>
+                    <td style={{ ...cellStyle, color: entry.success ? '#059669' : '#ef4444', wordBreak: 'break-word' }}>
+                      {entry.results.length === 0
+                        ? (entry.success ? 'ok' : 'ошибка')
+                        : entry.results.map(result => `${result.dealId}: ${result.success ? 'ok' : result.error}`).join('; ')}
+                    </td>
+                    <td style={cellStyle}>
+                      {entry.operator}
+                      {entry.note && <div style={{ color: '#94a3b8', fontSize: '0.75rem' }}>{entry.note}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,361 @@
+import { useState, useEffect, useRef } from 'react';
+import { adminFetch, adminDownload } from './adminApi';
+
+const STATE_COLORS = {
+  pending: '#f59e0b',
+  running: '#3b82f6',
+  done: '#059669',
+  failed: '#ef4444',
+  cancelled: '#6b7280',
+};
+
+const TYPE_LABELS = {
+  missing_deal: 'Нет сделки',
+  duplicate_deals: 'Дубли сделок',
+  amount_mismatch: 'Сумма',
+  stage_mismatch: 'Стадия',
+  payment_status_mismatch: 'Статус оплаты',
+  unmapped_sku: 'SKU без товара',
+};
+
+const EMPTY_FORM = {
+  dateFrom: '',
+  dateTo: '',
+  pageSize: '50',
+};
+
+const cellStyle = { padding: '8px 12px', color: '#f1f5f9', fontSize: '0.85rem' };
+const headStyle = { padding: '8px 12px', textAlign: 'left', color: '#94a3b8', fontSize: '0.85rem' };
+
+/**
+ * Shopify ↔ Bitrix reconciliation panel - start run for a date window, drive it page by page,
+ * show discrepancies with CSV export and per-order resync
+ */
+export default function ReconciliationPanel() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [runs, setRuns] = useState([]);
+  const [run, setRun] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [isStepping, setIsStepping] = useState(false);
+  const [resyncing, setResyncing] = useState(null);
+  const [message, setMessage] = useState(null);
+  const steppingRef = useRef(false);
+
+  const fetchRuns = async () => {
+    try {
+      const data = await adminFetch('/api/admin/reconciliation');
+      if (data.success) {
+        setRuns(data.runs || []);
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить сверки' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  const fetchRun = async (runId) => {
+    const data = await adminFetch(`/api/admin/reconciliation/${runId}`);
+    if (data.success) {
+      setRun(data.run);
+    } else {
+      setMessage({ success: false, text: data.message || 'Не удалось загрузить сверку' });
+    }
+  };
+
+  useEffect(() => {
+    fetchRuns();
+    return () => {
+      steppingRef.current = false;
+    };
+  }, []);
+
+  // Pages are processed one request at a time until the run is finished or stopped
+  const driveRun = async (runId) => {
+    steppingRef.current = true;
+    setIsStepping(true);
+    setMessage(null);
+    try {
+      while (steppingRef.current) {
+        const data = await adminFetch(`/api/admin/reconciliation/${runId}`, { method: 'POST', body: { action: 'step' } });
+        if (data.run) {
+          setRun(current => ({ ...(current || {}), ...data.run, discrepancies: current?.discrepancies }));
+        }
+        if (!data.success) {
+          setMessage({ success: false, text: data.message || data.error || 'Ошибка шага' });
+          break;
+        }
+        if (data.run.state !== 'pending') {
+          break;
+        }
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      steppingRef.current = false;
+      setIsStepping(false);
+      await fetchRun(runId);
+      await fetchRuns();
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setTypeFilter('');
+    const data = await adminFetch('/api/admin/reconciliation', {
+      method: 'POST',
+      body: {
+        // Dates are whole days in UTC
+        createdAtMin: form.dateFrom ? `${form.dateFrom}T00:00:00Z` : null,
+        createdAtMax: form.dateTo ? `${form.dateTo}T23:59:59Z` : null,
+        pageSize: form.pageSize,
+      },
+    });
+    if (!data.success) {
+      setMessage({ success: false, text: data.errors ? data.errors.join('; ') : (data.message || 'Ошибка') });
+      return;
+    }
+    setRun(data.run);
+    await fetchRuns();
+    await driveRun(data.run.id);
+  };
+
+  const handleStop = () => {
+    steppingRef.current = false;
+  };
+
+  const handleCancel = async () => {
+    if (!run || !confirm(`Отменить сверку ${run.id}?`)) {
+      return;
+    }
+    steppingRef.current = false;
+    const data = await adminFetch(`/api/admin/reconciliation/${run.id}`, { method: 'POST', body: { action: 'cancel' } });
+    setMessage({ success: data.success, text: data.success ? 'Сверка отменена' : (data.message || 'Ошибка') });
+    await fetchRun(run.id);
+    await fetchRuns();
+  };
+
+  const handleResync = async (orderId) => {
+    setResyncing(orderId);
+    setMessage(null);
+    try {
+      const data = await adminFetch(`/api/admin/reconciliation/${run.id}`, { method: 'POST', body: { action: 'resync', orderId } });
+      setMessage({
+        success: data.success,
+        text: data.success
+          ? `Заказ ${orderId} пересинхронизирован${data.dealId ? ` (сделка ${data.dealId})` : ''}`
+          : (data.error && data.resync ? `Заказ ${orderId}: ${data.error}` : (data.message || 'Ошибка')),
+      });
+      await fetchRun(run.id);
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setResyncing(null);
+    }
+  };
+
+  const handleExport = async () => {
+    const query = typeFilter ? `?format=csv&type=${typeFilter}` : '?format=csv';
+    const ok = await adminDownload(`/api/admin/reconciliation/${run.id}${query}`, `reconciliation-${run.id}${typeFilter ? `-${typeFilter}` : ''}.csv`);
+    if (!ok) {
+      setMessage({ success: false, text: 'Не удалось выгрузить CSV' });
+    }
+  };
+
+  const setField = (name) => (e) => {
+    setForm(current => ({ ...current, [name]: e.target.value }));
+  };
+
+  const progress = run?.progress;
+  const discrepancies = (run?.discrepancies || []).filter(item => !typeFilter || item.type === typeFilter);
+
+  return (
+    <>
+      <div className="card">
+        <header className="card-header">
+          <h2>Новая сверка</h2>
+          <p>Заказы Shopify за период сравниваются со сделками Bitrix по UF_CRM_1742556489. Сверка ничего не записывает; «Resync» прогоняет заказ через orders/updated.</p>
+        </header>
+        <form onSubmit={handleStart} style={{ padding: '0 20px 20px' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px' }}>
+            <div className="form-group">
+              <label className="form-label">Создан с (UTC)</label>
+              <input type="date" value={form.dateFrom} onChange={setField('dateFrom')} className="form-input" required />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Создан по (UTC)</label>
+              <input type="date" value={form.dateTo} onChange={setField('dateTo')} className="form-input" required />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Заказов на страницу</label>
+              <input type="number" min="1" max="250" value={form.pageSize} onChange={setField('pageSize')} className="form-input" />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={isStepping}>
+            🔍 Запустить сверку
+          </button>
+        </form>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`} style={{ marginTop: '20px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {run && (
+        <div className="card" style={{ marginTop: '20px' }}>
+          <header className="card-header">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+              <h2>
+                {run.id}{' '}
+                <span style={{ color: STATE_COLORS[run.state] || '#f1f5f9', fontSize: '1rem' }}>{run.state}</span>
+              </h2>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {isStepping ? (
+                  <button onClick={handleStop} className="btn">⏸️ Пауза</button>
+                ) : (
+                  ['pending', 'running'].includes(run.state) && (
+                    <button onClick={() => driveRun(run.id)} className="btn">▶️ Продолжить</button>
+                  )
+                )}
+                {['pending', 'running'].includes(run.state) && (
+                  <button onClick={handleCancel} className="btn" style={{ background: '#ef4444', border: 'none', color: 'white' }}>✕ Отменить</button>
+                )}
+                <button onClick={handleExport} className="btn" disabled={isStepping}>⬇️ CSV</button>
+              </div>
+            </div>
+          </header>
+          {progress && (
+            <div className="metrics-grid" style={{ padding: '0 20px 20px' }}>
+              {[
+                ['Страниц', progress.pages],
+                ['Заказов', progress.orders],
+                ['С расхождениями', progress.ordersWithDiscrepancies],
+                ...Object.entries(TYPE_LABELS).map(([type, label]) => [label, progress.byType?.[type] ?? 0]),
+                ['Ошибок поиска', progress.lookupErrors],
+              ].map(([label, value]) => (
+                <div className="metric" key={label}>
+                  <div className="metric-label">{label}</div>
+                  <div className="metric-value">{value}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {run.lastError && (
+            <div className="alert alert-warning">Последняя ошибка: {run.lastError}</div>
+          )}
+          {run.discrepancies && (
+            <div style={{ padding: '0 20px 20px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', gap: '12px', flexWrap: 'wrap' }}>
+                <h3 style={{ color: '#f1f5f9', fontSize: '1rem' }}>
+                  Расхождения: {discrepancies.length}{run.discrepanciesTruncated ? ' (список обрезан)' : ''}
+                </h3>
+                <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="form-input" style={{ maxWidth: '220px' }}>
+                  <option value="">Все типы</option>
+                  {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {discrepancies.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>Расхождений нет</p>
+              ) : (
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr style={{ borderBottom: '2px solid #334155' }}>
+                        <th style={headStyle}>Заказ</th>
+                        <th style={headStyle}>Тип</th>
+                        <th style={headStyle}>Сделки</th>
+                        <th style={headStyle}>Ожидалось</th>
+                        <th style={headStyle}>В Bitrix</th>
+                        <th style={headStyle}>Детали</th>
+                        <th style={headStyle}></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {discrepancies.map(item => (
+                        <tr key={`${item.orderId}:${item.type}`} style={{ borderBottom: '1px solid #334155' }}>
+                          <td style={cellStyle}>
+                            {item.orderName}
+                            <div style={{ color: '#94a3b8', fontFamily: 'monospace', fontSize: '0.75rem' }}>{item.orderId}</div>
+                          </td>
+                          <td style={{ ...cellStyle, color: '#f59e0b' }}>{TYPE_LABELS[item.type] || item.type}</td>
+                          <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{item.dealIds?.length ? item.dealIds.join(', ') : '—'}</td>
+                          <td style={cellStyle}>{item.expected ?? '—'}</td>
+                          <td style={cellStyle}>{item.actual ?? '—'}</td>
+                          <td style={{ ...cellStyle, wordBreak: 'break-word' }}>
+                            {item.details || '—'}
+                            {item.resync && (
+                              <div style={{ color: item.resync.success ? '#059669' : '#ef4444', fontSize: '0.75rem' }}>
+                                Resync {new Date(item.resync.at).toLocaleString()}: {item.resync.success ? `ok${item.resync.dealId ? ` (${item.resync.dealId})` : ''}` : item.resync.error}
+                              </div>
+                            )}
+                          </td>
+                          <td style={cellStyle}>
+                            <button
+                              onClick={() => handleResync(item.orderId)}
+                              className="btn"
+                              disabled={isStepping || resyncing !== null}
+                              style={{ whiteSpace: 'nowrap' }}
+                            >
+                              {resyncing === item.orderId ? '⏳' : '🔁 Resync'}
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="card" style={{ marginTop: '20px' }}>
+        <header className="card-header">
+          <h2>Сверки</h2>
+        </header>
+        {runs.length === 0 ? (
+          <div className="alert alert-info"><p>Сверок нет</p></div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #334155' }}>
+                  <th style={headStyle}>Run ID</th>
+                  <th style={headStyle}>Период</th>
+                  <th style={headStyle}>Состояние</th>
+                  <th style={headStyle}>Заказов</th>
+                  <th style={headStyle}>С расхождениями</th>
+                  <th style={headStyle}>Создан</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(item => (
+                  <tr
+                    key={item.id}
+                    onClick={() => { setTypeFilter(''); fetchRun(item.id); }}
+                    style={{ borderBottom: '1px solid #334155', cursor: 'pointer', background: run?.id === item.id ? 'rgba(59, 130, 246, 0.1)' : 'transparent' }}
+                  >
+                    <td style={{ ...cellStyle, fontFamily: 'monospace', fontSize: '0.8rem' }}>{item.id}</td>
+                    <td style={cellStyle}>{item.params.createdAtMin?.slice(0, 10)} → {item.params.createdAtMax?.slice(0, 10)}</td>
+                    <td style={{ ...cellStyle, color: STATE_COLORS[item.state] || '#f1f5f9', fontWeight: 600 }}>{item.state}</td>
+                    <td style={cellStyle}>{item.progress.orders}</td>
+                    <td style={{ ...cellStyle, color: item.progress.ordersWithDiscrepancies > 0 ? '#f59e0b' : '#f1f5f9' }}>
+                      {item.progress.ordersWithDiscrepancies}
+                    </td>
+                    <td style={{ ...cellStyle, color: '#94a3b8' }}>{new Date(item.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,62 @@
+// Admin API helpers for admin pages - ADMIN_API_TOKEN is entered once per browser session
+const TOKEN_KEY = 'mwAdminToken';
+
+/**
+ * Get admin token saved for this browser session
+ * @returns {string}
+ */
+export function getAdminToken() {
+  if (typeof window === 'undefined') {
+    return '';
+  }
+  return window.sessionStorage.getItem(TOKEN_KEY) || '';
+}
+
+/**
+ * Save admin token for this browser session
+ * @param {string} token - ADMIN_API_TOKEN
+ */
+export function setAdminToken(token) {
+  window.sessionStorage.setItem(TOKEN_KEY, token);
+}
+
+/**
+ * Call admin API with saved token
+ * @param {string} url - API URL
+ * @param {Object} options - { method, body } (body is sent as JSON)
+ * @returns {Promise<Object>} Response JSON (with status)
+ */
+export async function adminFetch(url, options = {}) {
+  const response = await fetch(url, {
+    method: options.method || 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${getAdminToken()}`,
+    },
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+  });
+  const data = await response.json();
+  return { ...data, status: response.status };
+}
+
+/**
+ * Download file from admin API with saved token (links cannot send the Authorization header)
+ * @param {string} url - API URL
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<boolean>} true if downloaded
+ */
+export async function adminDownload(url, filename) {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${getAdminToken()}` },
+  });
+  if (!response.ok) {
+    return false;
+  }
+  const objectUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(objectUrl);
+  return true;
+}
@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react';
+import { adminFetch } from '../admin/adminApi';
+import AdminTokenInput from '../admin/AdminTokenInput';
+
+const STATE_FILTERS = [
+  { value: 'dead', label: 'Dead-letter' },
+  { value: 'pending', label: 'Pending' },
+  { value: '', label: 'Все' },
+];
+
+const STATE_COLORS = {
+  pending: '#f59e0b',
+  processing: '#3b82f6',
+  done: '#059669',
+  dead: '#ef4444',
+};
+
+/**
+ * Sync queue panel - queue stats and dead-letter list with inspect / retry / discard actions
+ * (queue API requires ADMIN_API_TOKEN)
+ */
+export default function SyncQueuePanel() {
+  const [jobs, setJobs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [stateFilter, setStateFilter] = useState('dead');
+  const [inspectedJob, setInspectedJob] = useState(null);
+  const [busyJobId, setBusyJobId] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [unauthorized, setUnauthorized] = useState(false);
+  const [tokenVersion, setTokenVersion] = useState(0);
+
+  const fetchQueue = async (filter = stateFilter) => {
+    try {
+      const data = await adminFetch(`/api/queue${filter ? `?state=${filter}` : ''}`);
+      setUnauthorized(data.status === 401);
+      if (data.success) {
+        setJobs(data.jobs || []);
+        setStats(data.stats);
+      }
+    } catch (err) {
+      console.error('Fetch queue error:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue(stateFilter);
+
+    // Auto-refresh every 5 seconds (same as events lists)
+    const interval = setInterval(() => fetchQueue(stateFilter), 5000);
+    return () => clearInterval(interval);
+  }, [stateFilter, tokenVersion]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    try {
+      return new Date(dateString).toLocaleString();
+    } catch {
+      return dateString;
+    }
+  };
+
+  const handleInspect = async (jobId) => {
+    if (inspectedJob?.id === jobId) {
+      setInspectedJob(null);
+      return;
+    }
+    try {
+      const data = await adminFetch(`/api/queue/${jobId}`);
+      if (data.success) {
+        setInspectedJob(data.job);
+      } else {
+        setMessage({ success: false, text: data.message || 'Не удалось загрузить задачу' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  const handleAction = async (jobId, action) => {
+    if (action === 'discard' && !confirm(`Удалить задачу ${jobId} без обработки?`)) {
+      return;
+    }
+    setBusyJobId(jobId);
+    setMessage(null);
+    try {
+      const data = await adminFetch(`/api/queue/${jobId}`, { method: 'POST', body: { action } });
+      setMessage({
+        success: data.success,
+        text: data.success
+          ? (action === 'retry' ? `Задача ${jobId} возвращена в очередь` : `Задача ${jobId} удалена`)
+          : (data.message || 'Ошибка'),
+      });
+      if (inspectedJob?.id === jobId) {
+        setInspectedJob(null);
+      }
+      await fetchQueue();
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleRunQueue = async () => {
+    setIsRunning(true);
+    setMessage(null);
+    try {
+      const data = await adminFetch('/api/queue/run', { method: 'POST' });
+      setMessage({
+        success: data.success,
+        text: data.success
+          ? `Обработано: ${data.processed} | Успешно: ${data.succeeded} | Повтор: ${data.retried} | Dead-letter: ${data.dead}`
+          : (data.message || 'Ошибка запуска очереди'),
+      });
+      await fetchQueue();
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const buttonStyle = (background, enabled = true) => ({
+    padding: '4px 8px',
+    background: enabled ? background : '#6b7280',
+    border: 'none',
+    borderRadius: '4px',
+    color: '#f1f5f9',
+    cursor: enabled ? 'pointer' : 'not-allowed',
+    fontSize: '0.75rem',
+    marginLeft: '6px'
+  });
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <header className="card-header">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+          <h2>Очередь синхронизации Shopify → Bitrix</h2>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <AdminTokenInput onSave={() => setTokenVersion(version => version + 1)} />
+            <select
+              value={stateFilter}
+              onChange={(e) => setStateFilter(e.target.value)}
+              style={{ padding: '6px 8px', borderRadius: '6px', background: '#1e293b', color: '#f1f5f9', border: '1px solid #334155' }}
+            >
+              {STATE_FILTERS.map(filter => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleRunQueue}
+              className="btn"
+              disabled={isRunning}
+              style={{
+                background: '#059669',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '6px',
+                color: 'white',
+                cursor: isRunning ? 'not-allowed' : 'pointer'
+              }}
+            >
+              {isRunning ? 'Обработка...' : '▶️ Запустить очередь'}
+            </button>
+          </div>
+        </div>
+        {stats && (
+          <p style={{ marginTop: '8px' }}>
+            Pending: {stats.pending} | Processing: {stats.processing} | Done: {stats.done} |{' '}
+            <span style={{ color: stats.dead > 0 ? '#ef4444' : 'inherit', fontWeight: stats.dead > 0 ? 600 : 400 }}>
+              Dead-letter: {stats.dead}
+            </span>
+          </p>
+        )}
+      </header>
+
+      {unauthorized && (
+        <div className="alert alert-error">
+          Очередь доступна только с ADMIN_API_TOKEN
+        </div>
+      )}
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {jobs.length === 0 ? (
+        <div className="alert alert-info">
+          <p>{stateFilter === 'dead' ? 'Dead-letter список пуст' : 'Нет задач'}</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'auto' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #334155' }}>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Job ID</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Topic</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Order ID</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>State</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Attempts</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Last Error</th>
+                <th style={{ padding: '12px', textAlign: 'left', color: '#94a3b8' }}>Updated</th>
+                <th style={{ padding: '12px', textAlign: 'right', color: '#94a3b8' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.id} style={{ borderBottom: '1px solid #334155' }}>
+                  <td style={{ padding: '12px', color: '#f1f5f9', fontSize: '0.8rem', fontFamily: 'monospace' }}>{job.id}</td>
+                  <td style={{ padding: '12px', color: '#f1f5f9' }}>{job.topic || 'N/A'}</td>
+                  <td style={{ padding: '12px', color: '#f1f5f9' }}>{job.orderId || 'N/A'}</td>
+                  <td style={{ padding: '12px', color: STATE_COLORS[job.state] || '#f1f5f9', fontWeight: 600 }}>{job.state}</td>
+                  <td style={{ padding: '12px', color: '#f1f5f9' }}>{job.attempts}/{job.maxAttempts}</td>
+                  <td style={{ padding: '12px', color: '#ef4444', fontSize: '0.8rem', maxWidth: '320px', wordBreak: 'break-word' }}>
+                    {job.lastError || '—'}
+                  </td>
+                  <td style={{ padding: '12px', color: '#94a3b8', fontSize: '0.8rem' }}>{formatDate(job.updatedAt)}</td>
+                  <td style={{ padding: '12px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => handleInspect(job.id)} style={buttonStyle('#3b82f6')}>
+                      👁️ Inspect
+                    </button>
+                    <button
+                      onClick={() => handleAction(job.id, 'retry')}
+                      disabled={busyJobId === job.id || job.state === 'processing' || job.state === 'done'}
+                      style={buttonStyle('#059669', busyJobId !== job.id && job.state !== 'processing' && job.state !== 'done')}
+                    >
+                      🔁 Retry
+                    </button>
+                    <button
+                      onClick={() => handleAction(job.id, 'discard')}
+                      disabled={busyJobId === job.id || job.state === 'processing'}
+                      style={buttonStyle('#ef4444', busyJobId !== job.id && job.state !== 'processing')}
+                    >
+                      🗑️ Discard
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {inspectedJob && (
+        <div style={{ padding: '16px', borderTop: '1px solid #334155' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h3 style={{ color: '#f1f5f9', fontSize: '1rem' }}>Job {inspectedJob.id}</h3>
+            <button onClick={() => setInspectedJob(null)} style={buttonStyle('#6b7280')}>✕</button>
+          </div>
+          <pre style={{
+            maxHeight: '400px',
+            overflow: 'auto',
+            background: 'rgba(0, 0, 0, 0.3)',
+            padding: '12px',
+            borderRadius: '6px',
+            color: '#e2e8f0',
+            fontSize: '0.75rem'
+          }}>
+            {JSON.stringify(inspectedJob, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -44,7 +44,7 @@ export default function WebhookInfo({ onBitrixUrlChange }) {
   const [password, setPassword] = useState('');
   const [unlocked, setUnlocked] = useState(false);
   const [copied, setCopied] = useState(false);
-  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState('https://bfcshoes.bitrix24.eu/rest/52/i6l05o71ywxb8j1l');
+  const [bitrixWebhookUrl, setBitrixWebhookUrl] = useState(''); // Empty = BITRIX_WEBHOOK_BASE from server config
   const [bitrixPassword, setBitrixPassword] = useState('');
   const [bitrixUnlocked, setBitrixUnlocked] = useState(false);
   const [bitrixCopied, setBitrixCopied] = useState(false);
@@ -394,7 +394,7 @@ export default function WebhookInfo({ onBitrixUrlChange }) {
                   outline: 'none',
                   padding: '4px 8px'
                 }}
-                placeholder="Enter Bitrix webhook URL"
+                placeholder="Empty = server config (BITRIX_WEBHOOK_BASE)"
               />
               <button
                 onClick={handleBitrixCopy}
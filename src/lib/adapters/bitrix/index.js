@@ -1,7 +1,6 @@
 // Bitrix24 Webhook Adapter
-// In-memory storage for received events from Bitrix outbound webhooks
-
-let receivedEvents = [];
+// Persistent storage for received events from Bitrix outbound webhooks (see src/lib/store/eventStore.js)
+import { EventStore } from '../../store/eventStore.js';
 
 /**
  * Bitrix Webhook Adapter
@@ -9,7 +8,7 @@ let receivedEvents = [];
  */
 export class BitrixAdapter {
   constructor() {
-    this.storage = receivedEvents; // Reference to in-memory array
+    this.store = new EventStore('bitrix');
   }
 
   getName() {
@@ -17,64 +16,91 @@ export class BitrixAdapter {
   }
 
   /**
-   * Store webhook event
-   * @param {Object} payload - Bitrix webhook event payload
-   * @returns {Object} Stored event with timestamp
+   * Convert stored record to event view used by UI and API (payload fields at top level)
+   * @param {Object} record - EventStore record
+   * @returns {Object} Event view
    */
-  storeEvent(payload) {
-    // Generate unique event ID (timestamp + random to ensure uniqueness)
-    const uniqueId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    const event = {
+  toEventView(record) {
+    if (!record) {
+      return null;
+    }
+    const payload = record.payload || {};
+    return {
       ...payload,
-      received_at: payload.received_at || new Date().toISOString(),
-      id: uniqueId, // Unique ID for each event
-      eventId: uniqueId, // Also store as eventId for clarity
+      received_at: payload.received_at || record.received_at,
+      id: record.eventId, // Unique ID for each event
+      eventId: record.eventId, // Also store as eventId for clarity
+      correlationId: record.correlationId,
+      processing: record.result,
     };
-    
-    this.storage.push(event);
-    return event;
+  }
+
+  /**
+   * Store webhook event
+   * @param {Object} payload - Bitrix webhook event payload
+   * @param {Object} meta - { topic, headers, correlationId }
+   * @returns {Promise<Object>} Stored event with timestamp
+   */
+  async storeEvent(payload, meta = {}) {
+    const record = await this.store.append({
+      payload,
+      headers: meta.headers,
+      topic: meta.topic,
+      correlationId: meta.correlationId,
+    });
+    return this.toEventView(record);
+  }
+
+  /**
+   * Update stored event payload fields (e.g. fulfillmentState after fulfillment creation)
+   * @param {string} eventId - Event ID returned by storeEvent
+   * @param {Object} fields - Payload fields to merge
+   * @param {Object} result - Processing result (optional)
+   * @returns {Promise<Object|null>} Updated event or null
+   */
+  async updateEvent(eventId, fields = {}, result = null) {
+    const record = await this.store.update(eventId, {
+      payload: fields,
+      ...(result ? { result: { ...result, finished_at: new Date().toISOString() } } : {}),
+    });
+    return this.toEventView(record);
   }
 
   /**
    * Get all events (newest first)
-   * @returns {Array<Object>} All stored events
+   * @returns {Promise<Array<Object>>} All stored events
    */
-  getAllEvents() {
+  async getAllEvents() {
+    const records = await this.store.list();
     // Return events in reverse order (newest first)
-    return [...this.storage].reverse();
+    return records.map(record => this.toEventView(record)).reverse();
   }
 
   /**
    * Get latest event
-   * @returns {Object|null} Latest event or null
+   * @returns {Promise<Object|null>} Latest event or null
    */
-  getLatestEvent() {
-    if (this.storage.length === 0) {
-      return null;
-    }
-    return this.storage[this.storage.length - 1];
+  async getLatestEvent() {
+    const record = await this.store.latest();
+    return this.toEventView(record);
   }
 
   /**
    * Get events count
-   * @returns {number} Number of stored events
+   * @returns {Promise<number>} Number of stored events
    */
-  getEventsCount() {
-    return this.storage.length;
+  async getEventsCount() {
+    return this.store.count();
   }
 
   /**
    * Clear all events (for testing/reset)
-   * @returns {number} Number of cleared events
+   * @returns {Promise<number>} Number of cleared events
    */
-  clearEvents() {
-    const count = this.storage.length;
-    this.storage.length = 0;
-    return count;
+  async clearEvents() {
+    return this.store.clear();
   }
 }
 
 // Export singleton instance
 export const bitrixAdapter = new BitrixAdapter();
-
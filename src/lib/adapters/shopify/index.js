@@ -1,9 +1,7 @@
 // Shopify Webhook Adapter
-// In-memory storage for received events
-import { mapShopifyOrderToBitrixDeal } from '../../bitrix/orderMapper.js';
-import { BITRIX_CONFIG, financialStatusToStageId } from '../../bitrix/config.js';
-
-let receivedEvents = [];
+// Persistent storage for received events (webhook inbox, see src/lib/store/eventStore.js)
+import { EventStore } from '../../store/eventStore.js';
+import { transformToBitrix } from './transform.js';
 
 /**
  * Shopify Webhook Adapter
@@ -11,7 +9,7 @@ let receivedEvents = [];
  */
 export class ShopifyAdapter {
   constructor() {
-    this.storage = receivedEvents; // Reference to in-memory array
+    this.store = new EventStore('shopify');
   }
 
   getName() {
@@ -122,38 +120,78 @@ export class ShopifyAdapter {
   }
 
   /**
-   * Store webhook event
-   * @param {Object} payload - Validated webhook payload
-   * @returns {Object} Stored event with timestamp
+   * Convert stored record to event view used by UI and API (payload fields at top level)
+   * @param {Object} record - EventStore record
+   * @returns {Object} Event view
    */
-  storeEvent(payload) {
-    // Generate unique event ID (timestamp + random to ensure uniqueness)
-    const uniqueId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    const event = {
+  toEventView(record) {
+    if (!record) {
+      return null;
+    }
+    const payload = record.payload || {};
+    return {
       ...payload,
-      received_at: new Date().toISOString(),
-      id: uniqueId, // Unique ID for each event
-      eventId: uniqueId, // Also store as eventId for clarity
-      orderId: payload.id || null // Store original order ID separately
+      received_at: record.received_at,
+      id: record.eventId, // Unique ID for each event
+      eventId: record.eventId, // Also store as eventId for clarity
+      orderId: payload.id || null, // Store original order ID separately
+      topic: record.topic,
+      shopDomain: record.shopDomain,
+      webhookId: record.webhookId,
+      correlationId: record.correlationId,
+      headers: record.headers,
+      processing: record.result,
     };
-    
-    this.storage.push(event);
-    return event;
+  }
+
+  /**
+   * Store webhook event
+   * @param {Object} payload - Webhook payload (verified)
+   * @param {Object} meta - { topic, shopDomain, webhookId, headers, correlationId }
+   * @returns {Promise<Object>} Stored event with timestamp
+   */
+  async storeEvent(payload, meta = {}) {
+    const record = await this.store.append({
+      payload,
+      headers: meta.headers,
+      topic: meta.topic,
+      shopDomain: meta.shopDomain,
+      webhookId: meta.webhookId,
+      correlationId: meta.correlationId,
+      result: { status: 'received' },
+    });
+    return this.toEventView(record);
+  }
+
+  /**
+   * Record processing result of stored event
+   * @param {string} eventId - Event ID returned by storeEvent
+   * @param {Object} result - Processing result ({ status, dealId, error, ... })
+   * @param {string} correlationId - Correlation ID (optional)
+   * @returns {Promise<Object|null>} Updated event or null
+   */
+  async updateEventResult(eventId, result, correlationId = null) {
+    const record = await this.store.update(eventId, {
+      result: { ...result, finished_at: new Date().toISOString() },
+      ...(correlationId ? { correlationId } : {}),
+    });
+    return this.toEventView(record);
   }
 
   /**
    * Get all events (newest first, deduplicated by orderId + received_at)
-   * @returns {Array<Object>} All stored events
+   * @returns {Promise<Array<Object>>} All stored events
    */
-  getAllEvents() {
+  async getAllEvents() {
+    const records = await this.store.list();
+
     // Remove duplicates: keep only the latest event for each unique orderId
     const seen = new Map();
     const uniqueEvents = [];
     
     // Process in reverse order (newest first) and keep only the first occurrence
-    for (let i = this.storage.length - 1; i >= 0; i--) {
-      const event = this.storage[i];
+    for (let i = records.length - 1; i >= 0; i--) {
+      const event = this.toEventView(records[i]);
       const orderId = event.orderId || event.id;
       
       // If we haven't seen this orderId yet, or this event is newer, keep it
@@ -168,91 +206,37 @@ export class ShopifyAdapter {
 
   /**
    * Get latest event
-   * @returns {Object|null} Latest event or null
+   * @returns {Promise<Object|null>} Latest event or null
    */
-  getLatestEvent() {
-    if (this.storage.length === 0) {
-      return null;
-    }
-    return this.storage[this.storage.length - 1];
+  async getLatestEvent() {
+    const record = await this.store.latest();
+    return this.toEventView(record);
   }
 
   /**
    * Get events count
-   * @returns {number} Number of stored events
+   * @returns {Promise<number>} Number of stored events
    */
-  getEventsCount() {
-    return this.storage.length;
+  async getEventsCount() {
+    return this.store.count();
   }
 
   /**
    * Clear all events (for testing/reset)
-   * @returns {number} Number of cleared events
+   * @returns {Promise<number>} Number of cleared events
    */
-  clearEvents() {
-    const count = this.storage.length;
-    this.storage.length = 0;
-    return count;
+  async clearEvents() {
+    return this.store.clear();
   }
 
   /**
    * Transform Shopify order to Bitrix24 crm.deal.add format
-   * Uses the unified mapShopifyOrderToBitrixDeal mapper to ensure consistency
-   * @param {Object} shopifyOrder - Shopify webhook order data (from storeEvent, may have orderId property)
+   * @see transformToBitrix in ./transform.js
+   * @param {Object} shopifyOrder - Shopify webhook order data
    * @returns {Object} Bitrix24 deal format
    */
   transformToBitrix(shopifyOrder) {
-    if (!shopifyOrder || typeof shopifyOrder !== 'object') {
-      throw new Error('Invalid Shopify order data');
-    }
-
-    // ✅ CRITICAL: Use orderId (stable order.id from Shopify), not id (which might be eventId)
-    // In storeEvent, we store: id = eventId (unique), orderId = payload.id (stable order.id)
-    // So use orderId if available, otherwise fall back to id (for backward compatibility)
-    const stableOrderId = shopifyOrder.orderId || shopifyOrder.id;
-    
-    // Prepare order object for mapper (ensure id is the stable order.id, not eventId)
-    const orderForMapper = {
-      ...shopifyOrder,
-      id: stableOrderId, // Use stable order.id
-      // Preserve eventId if it exists for UF_SHOPIFY_EVENT_ID
-      eventId: shopifyOrder.eventId || shopifyOrder.id, // eventId might be in id if this came from storeEvent
-    };
-    
-    // Use the unified mapper function (same as webhook handlers)
-    // This ensures consistency: CATEGORY_ID, STAGE_ID, UF_SHOPIFY_ORDER_ID are all set correctly
-    const { dealFields } = mapShopifyOrderToBitrixDeal(orderForMapper);
-    
-    // ✅ ENSURE: UF_CRM_1742556489 (Shopify number) uses stable order.id (not eventId)
-    dealFields.UF_CRM_1742556489 = String(stableOrderId);
-
-    // ✅ ENSURE: CATEGORY_ID and STAGE_ID are set (they should be set by mapShopifyOrderToBitrixDeal)
-    // But verify they're not null (fail-safe check)
-    if (!dealFields.CATEGORY_ID) {
-      // Determine category based on order tags
-      const orderTags = Array.isArray(shopifyOrder.tags) 
-        ? shopifyOrder.tags 
-        : (shopifyOrder.tags ? String(shopifyOrder.tags).split(',').map(t => t.trim()) : []);
-      const preorderTags = ['pre-order', 'preorder-product-added'];
-      const hasPreorderTag = orderTags.some(tag => 
-        preorderTags.some(preorderTag => tag.toLowerCase() === preorderTag.toLowerCase())
-      );
-      dealFields.CATEGORY_ID = hasPreorderTag ? BITRIX_CONFIG.CATEGORY_PREORDER : BITRIX_CONFIG.CATEGORY_STOCK;
-    }
-    
-    if (!dealFields.STAGE_ID) {
-      // Map financial status to stage ID using the same function as webhook handlers
-      dealFields.STAGE_ID = financialStatusToStageId(
-        shopifyOrder.financial_status,
-        dealFields.CATEGORY_ID || BITRIX_CONFIG.CATEGORY_STOCK,
-        null // currentStageId (not needed for new deals)
-      );
-    }
-    
-    // Return in the format expected by send-to-bitrix endpoint
-    return {
-      fields: dealFields
-    };
+    return transformToBitrix(shopifyOrder);
   }
 }
 
@@ -0,0 +1,64 @@
+// Shopify → Bitrix24 transformation
+// Pure function (no storage/server-only imports) - safe to use in client pages for previews
+import { mapShopifyOrderToBitrixDeal } from '../../bitrix/orderMapper.js';
+import { BITRIX_CONFIG, financialStatusToStageId } from '../../bitrix/config.js';
+
+/**
+ * Transform Shopify order to Bitrix24 crm.deal.add format
+ * Uses the unified mapShopifyOrderToBitrixDeal mapper to ensure consistency
+ * @param {Object} shopifyOrder - Shopify webhook order data (from storeEvent, may have orderId property)
+ * @returns {Object} Bitrix24 deal format
+ */
+export function transformToBitrix(shopifyOrder) {
+  if (!shopifyOrder || typeof shopifyOrder !== 'object') {
+    throw new Error('Invalid Shopify order data');
+  }
+
+  // ✅ CRITICAL: Use orderId (stable order.id from Shopify), not id (which might be eventId)
+  // In storeEvent, we store: id = eventId (unique), orderId = payload.id (stable order.id)
+  // So use orderId if available, otherwise fall back to id (for backward compatibility)
+  const stableOrderId = shopifyOrder.orderId || shopifyOrder.id;
+  
+  // Prepare order object for mapper (ensure id is the stable order.id, not eventId)
+  const orderForMapper = {
+    ...shopifyOrder,
+    id: stableOrderId, // Use stable order.id
+    // Preserve eventId if it exists for UF_SHOPIFY_EVENT_ID
+    eventId: shopifyOrder.eventId || shopifyOrder.id, // eventId might be in id if this came from storeEvent
+  };
+  
+  // Use the unified mapper function (same as webhook handlers)
+  // This ensures consistency: CATEGORY_ID, STAGE_ID, UF_SHOPIFY_ORDER_ID are all set correctly
+  const { dealFields } = mapShopifyOrderToBitrixDeal(orderForMapper);
+  
+  // ✅ ENSURE: UF_CRM_1742556489 (Shopify number) uses stable order.id (not eventId)
+  dealFields.UF_CRM_1742556489 = String(stableOrderId);
+
+  // ✅ ENSURE: CATEGORY_ID and STAGE_ID are set (they should be set by mapShopifyOrderToBitrixDeal)
+  // But verify they're not null (fail-safe check)
+  if (!dealFields.CATEGORY_ID) {
+    // Determine category based on order tags
+    const orderTags = Array.isArray(shopifyOrder.tags) 
+      ? shopifyOrder.tags 
+      : (shopifyOrder.tags ? String(shopifyOrder.tags).split(',').map(t => t.trim()) : []);
+    const preorderTags = ['pre-order', 'preorder-product-added'];
+    const hasPreorderTag = orderTags.some(tag => 
+      preorderTags.some(preorderTag => tag.toLowerCase() === preorderTag.toLowerCase())
+    );
+    dealFields.CATEGORY_ID = hasPreorderTag ? BITRIX_CONFIG.CATEGORY_PREORDER : BITRIX_CONFIG.CATEGORY_STOCK;
+  }
+  
+  if (!dealFields.STAGE_ID) {
+    // Map financial status to stage ID using the same function as webhook handlers
+    dealFields.STAGE_ID = financialStatusToStageId(
+      shopifyOrder.financial_status,
+      dealFields.CATEGORY_ID || BITRIX_CONFIG.CATEGORY_STOCK,
+      null // currentStageId (not needed for new deals)
+    );
+  }
+  
+  // Return in the format expected by send-to-bitrix endpoint
+  return {
+    fields: dealFields
+  };
+}
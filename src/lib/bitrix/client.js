@@ -1,65 +1,203 @@
 /**
  * Bitrix24 REST API Client
  * Handles all API calls to Bitrix24
+ *
+ * Every call goes through bitrixRequest():
+ *   - throttling per portal (BITRIX_RPS requests per second, Bitrix allows ~2 per webhook)
+ *   - timeout (BITRIX_TIMEOUT_MS)
+ *   - exponential backoff on QUERY_LIMIT_EXCEEDED / 429 / 5xx / network errors (BITRIX_MAX_RETRIES)
+ *   - *.add methods are retried only when Bitrix rejected the call (limit), never after a timeout or 5xx,
+ *     because the record may already exist
+ * Throttling is per process; several serverless instances share the portal limit, backoff covers the rest.
  */
 
+import { getConfigValue } from '../config/index.js';
+
+// Bitrix error codes returned when the request was not processed - safe to repeat
+const LIMIT_ERRORS = ['QUERY_LIMIT_EXCEEDED', 'OPERATION_TIME_LIMIT'];
+
+// Max commands in one batch call (Bitrix limit)
+export const BATCH_MAX_COMMANDS = 50;
+
+const portalSlots = new Map(); // portal host -> timestamp of the next free request slot
+
 /**
- * Call Bitrix24 REST API method
+ * Client settings from environment
+ * @returns {Object} { timeoutMs, maxRetries, backoffBaseMs, backoffMaxMs, minIntervalMs }
+ */
+export function getBitrixClientSettings() {
+  const timeoutMs = parseInt(process.env.BITRIX_TIMEOUT_MS, 10);
+  const maxRetries = parseInt(process.env.BITRIX_MAX_RETRIES, 10);
+  const rps = parseFloat(process.env.BITRIX_RPS);
+  return {
+    timeoutMs: timeoutMs > 0 ? timeoutMs : 30000,
+    maxRetries: maxRetries >= 0 ? maxRetries : 4,
+    backoffBaseMs: 500,
+    backoffMaxMs: 10000,
+    minIntervalMs: Math.round(1000 / (rps > 0 ? rps : 2)),
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for a free request slot of the portal
+ * @param {string} portal - Portal host
+ * @param {number} minIntervalMs - Min interval between requests
+ */
+async function waitForSlot(portal, minIntervalMs) {
+  const now = Date.now();
+  const slot = Math.max(now, portalSlots.get(portal) || 0);
+  portalSlots.set(portal, slot + minIntervalMs);
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Backoff delay for attempt (exponential with jitter, Retry-After wins)
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {Object} settings - Client settings
+ * @param {string|null} retryAfter - Retry-After header
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt, settings, retryAfter) {
+  const retryAfterSec = parseFloat(retryAfter);
+  if (retryAfterSec > 0) {
+    return Math.min(retryAfterSec * 1000, settings.backoffMaxMs);
+  }
+  const delay = Math.min(settings.backoffBaseMs * 2 ** (attempt - 1), settings.backoffMaxMs);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Build Bitrix API error
+ * @param {string} method - API method
+ * @param {string} message - Error description
+ * @param {Object} details - { code, status, retryable }
+ * @returns {Error}
+ */
+function createBitrixError(method, message, { code = null, status = null, retryable = false } = {}) {
+  const error = new Error(`Bitrix API error: ${message}`);
+  error.code = code;
+  error.status = status;
+  error.method = method;
+  if (retryable) {
+    error.retryable = true; // sync queue retries the job later
+  }
+  return error;
+}
+
+/**
+ * Call Bitrix24 REST method with throttling, timeout and retries
  * @param {string} webhookUrl - Base webhook URL (e.g., https://domain.bitrix24.eu/rest/52/xxx/)
- * @param {string} method - API method (e.g., 'crm.deal.add')
+ * @param {string} method - API method ('crm.deal.add', '/crm.deal.add.json')
  * @param {Object} params - Method parameters
+ * @param {Object} options - { timeoutMs, maxRetries, idempotent } (idempotent defaults to false for *.add and batch with add)
  * @returns {Promise<Object>} API response
  */
-export async function callBitrixAPI(webhookUrl, method, params = {}) {
-  // Ensure webhook URL ends with / and method ends with .json
+export async function bitrixRequest(webhookUrl, method, params = {}, options = {}) {
+  const settings = { ...getBitrixClientSettings(), ...options };
   const baseUrl = webhookUrl.endsWith('/') ? webhookUrl : `${webhookUrl}/`;
-  const methodSuffix = method.endsWith('.json') ? method : `${method}.json`;
-  const url = `${baseUrl}${methodSuffix}`;
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(params)
-    });
-
-    const result = await response.json();
-
-    if (!response.ok) {
-      throw new Error(`Bitrix API error: ${JSON.stringify(result)}`);
+  const methodName = method.replace(/^\//, '').replace(/\.json$/, '');
+  const url = `${baseUrl}${methodName}.json`;
+  const portal = new URL(baseUrl).host;
+  const idempotent = options.idempotent ?? !/\.add$/.test(methodName);
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForSlot(portal, settings.minIntervalMs);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), settings.timeoutMs);
+    let error;
+    let retryAfter = null;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(params),
+        signal: controller.signal
+      });
+      retryAfter = response.headers?.get?.('retry-after') || null;
+
+      const text = await response.text();
+      let result = null;
+      try {
+        result = text ? JSON.parse(text) : null;
+      } catch {
+        result = null; // 5xx pages from proxies are not JSON
+      }
+
+      if (response.ok && result && !result.error) {
+        return result;
+      }
+
+      const code = result?.error || null;
+      const isLimit = LIMIT_ERRORS.includes(code) || response.status === 429;
+      error = createBitrixError(methodName, result ? (result.error_description || result.error || JSON.stringify(result)) : `HTTP ${response.status}`, {
+        code,
+        status: response.status,
+        // Limit errors: request was rejected, safe to repeat; 5xx: repeat only idempotent methods
+        retryable: isLimit || (response.status >= 500 && idempotent),
+      });
+      error.limit = isLimit;
+    } catch (fetchError) {
+      const timedOut = fetchError.name === 'AbortError';
+      error = createBitrixError(methodName, timedOut ? `timeout after ${settings.timeoutMs} ms` : fetchError.message, {
+        code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR',
+        retryable: idempotent,
+      });
+    } finally {
+      clearTimeout(timeoutId);
     }
 
-    if (result.error) {
-      throw new Error(`Bitrix API error: ${result.error_description || result.error}`);
+    if (!error.retryable || attempt > settings.maxRetries) {
+      console.error(`[BITRIX API] Error calling ${methodName} (attempt ${attempt}):`, error.message);
+      throw error;
     }
 
-    return result;
-  } catch (error) {
-    console.error(`[BITRIX API] Error calling ${method}:`, error);
-    throw error;
+    const delayMs = getBackoffDelay(attempt, settings, retryAfter);
+    console.log(JSON.stringify({
+      event: 'BITRIX_API_RETRY',
+      method: methodName,
+      portal,
+      attempt,
+      code: error.code,
+      status: error.status,
+      delayMs,
+      timestamp: new Date().toISOString()
+    }));
+    await sleep(delayMs);
   }
 }
 
 /**
- * Get Bitrix webhook base URL from environment or use default
+ * Call Bitrix24 REST API method
+ * @param {string} webhookUrl - Base webhook URL (e.g., https://domain.bitrix24.eu/rest/52/xxx/)
+ * @param {string} method - API method (e.g., 'crm.deal.add')
+ * @param {Object} params - Method parameters
+ * @returns {Promise<Object>} API response
+ */
+export async function callBitrixAPI(webhookUrl, method, params = {}) {
+  return bitrixRequest(webhookUrl, method, params);
+}
+
+/**
+ * Get Bitrix webhook base URL from runtime config (BITRIX_WEBHOOK_BASE / BITRIX_WEBHOOK_URL)
+ * @returns {string} Base URL ending with /
+ * @throws {Error} code 'CONFIG_INVALID' if not configured
  */
 export function getBitrixWebhookBase() {
-  // Get from environment variable
-  if (process.env.BITRIX_WEBHOOK_BASE) {
-    const base = process.env.BITRIX_WEBHOOK_BASE;
-    return base.endsWith('/') ? base : `${base}/`;
-  }
-  
-  // Fallback to old env variable
-  if (process.env.BITRIX_WEBHOOK_URL) {
-    const url = process.env.BITRIX_WEBHOOK_URL;
-    return url.endsWith('/') ? url : `${url}/`;
+  const base = getConfigValue('BITRIX_WEBHOOK_BASE');
+  if (!base) {
+    const error = new Error('BITRIX_WEBHOOK_BASE is not configured');
+    error.code = 'CONFIG_INVALID';
+    throw error;
   }
-  
-  // Hardcoded webhook base URL
-  return 'https://bfcshoes.bitrix24.eu/rest/52/i6l05o71ywxb8j1l/';
+  return base.endsWith('/') ? base : `${base}/`;
 }
 
 /**
@@ -69,34 +207,70 @@ export function getBitrixWebhookBase() {
  * @returns {Promise<Object>} API response
  */
 export async function callBitrix(method, payload = {}) {
-  const baseUrl = getBitrixWebhookBase();
-  const methodPath = method.startsWith('/') ? method : `/${method}`;
-  const url = `${baseUrl}${methodPath}`;
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
-    });
-
-    const result = await response.json();
-
-    if (!response.ok) {
-      throw new Error(`Bitrix API error: ${JSON.stringify(result)}`);
-    }
+  return bitrixRequest(getBitrixWebhookBase(), method, payload);
+}
 
-    if (result.error) {
-      throw new Error(`Bitrix API error: ${result.error_description || result.error}`);
+/**
+ * Encode params as PHP http_build_query (format of batch commands)
+ * `$result[...]` references are left as is so Bitrix can substitute them.
+ * Empty arrays / objects are sent as `name=` - otherwise the key would be dropped and
+ * `rows: []` or `fields: { UF_X: [] }` could never clear rows / multi-value fields
+ * @param {Object} params - Method parameters
+ * @param {string} prefix - Key prefix for nested values
+ * @returns {string} Query string
+ */
+export function buildBitrixQuery(params, prefix = '') {
+  const parts = [];
+  for (const [key, value] of Object.entries(params || {})) {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === null || value === undefined) {
+      continue;
     }
+    if (typeof value === 'object') {
+      parts.push(Object.keys(value).length > 0 ? buildBitrixQuery(value, name) : `${encodeURIComponent(name)}=`);
+      continue;
+    }
+    const encoded = typeof value === 'string' && value.startsWith('$result[')
+      ? value
+      : encodeURIComponent(typeof value === 'boolean' ? (value ? 1 : 0) : value);
+    parts.push(`${encodeURIComponent(name)}=${encoded}`);
+  }
+  return parts.filter(Boolean).join('&');
+}
 
-    return result;
-  } catch (error) {
-    console.error(`[BITRIX API] Error calling ${method}:`, error);
-    throw error;
+/**
+ * Run several methods in one request (Bitrix `batch`)
+ * Commands may reference results of earlier commands of the same chunk: { id: '$result[add]' }
+ * @param {Object} commands - { key: [method, params] }
+ * @param {Object} options - { halt: stop on first error, webhookUrl: portal (defaults to configured one) }
+ * @returns {Promise<Object>} { results: { key: result }, errors: { key: error_description }, totals: { key: total } (list methods) }
+ */
+export async function batch(commands, options = {}) {
+  const webhookUrl = options.webhookUrl || getBitrixWebhookBase();
+  const entries = Object.entries(commands);
+  const results = {};
+  const errors = {};
+  const totals = {};
+
+  for (let i = 0; i < entries.length; i += BATCH_MAX_COMMANDS) {
+    const chunk = entries.slice(i, i + BATCH_MAX_COMMANDS);
+    const cmd = Object.fromEntries(chunk.map(([key, [method, params]]) => {
+      const methodName = method.replace(/^\//, '').replace(/\.json$/, '');
+      const query = buildBitrixQuery(params);
+      return [key, query ? `${methodName}?${query}` : methodName];
+    }));
+    const hasAdd = chunk.some(([, [method]]) => /\.add(\.json)?$/.test(method));
+
+    const response = await bitrixRequest(webhookUrl, 'batch', { halt: options.halt ? 1 : 0, cmd }, { idempotent: !hasAdd });
+    const body = response.result || {};
+    Object.assign(results, Array.isArray(body.result) ? {} : body.result || {});
+    Object.assign(totals, Array.isArray(body.result_total) ? {} : body.result_total || {});
+    for (const [key, error] of Object.entries(Array.isArray(body.result_error) ? {} : body.result_error || {})) {
+      errors[key] = error?.error_description || error?.error || String(error);
+    }
   }
+
+  return { results, errors, totals };
 }
 
 /**
@@ -105,4 +279,3 @@ export async function callBitrix(method, payload = {}) {
 export function getBitrixWebhookUrl() {
   return getBitrixWebhookBase();
 }
-
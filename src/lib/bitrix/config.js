@@ -43,15 +43,101 @@ export const BITRIX_CONFIG = {
     DEFAULT: 'C2:NEW'
   },
 
+  // Stage per order status topic and category (null = keep current stage)
+  // Override with BITRIX_TOPIC_STAGES env (JSON, merged per topic and category by shops.js): {"orders/fulfilled": {"2": "C2:FINAL_INVOICE"}}
+  // partially_fulfilled is not mapped by default: C2:EXECUTING triggers fulfillment of remaining items (webhook/bitrix.js)
+  TOPIC_STAGES: {
+    'orders/cancelled': { 2: 'C2:LOSE', 8: 'C8:LOSE' },
+    'orders/paid': { 2: 'C2:WON', 8: 'C8:WON' },
+    'orders/partially_fulfilled': { 2: null, 8: null },
+    'orders/fulfilled': { 2: 'C2:FINAL_INVOICE', 8: 'C8:FINAL_INVOICE' },
+  },
+
+  // Stage ordering for sync (src/lib/bitrix/stageTransitions.js) - stage keys of getCategoryStages, same for all categories.
+  // Sync moves an existing deal only forward along ORDER (PAID = WON comes before EXECUTING / FINAL_INVOICE,
+  // which managers set by hand); stages outside ORDER (LOSE, custom stages) are left as they are.
+  // ALLOWED - transitions allowed anyway, "FROM>TO" with stage keys, '*' = any stage (refund / cancel by default)
+  // FORWARD_ONLY false - every transition is allowed (sync always writes the mapped stage)
+  // Override with BITRIX_STAGE_TRANSITIONS env (JSON, same keys) or per shop (STAGE_TRANSITIONS in SHOPS)
+  STAGE_TRANSITIONS: {
+    FORWARD_ONLY: true,
+    ORDER: ['NEW', 'PREPARATION', 'PREPAYMENT_INVOICE', 'PAID', 'EXECUTING', 'FINAL_INVOICE'],
+    ALLOWED: ['*>REFUNDED', '*>CANCELLED'],
+  },
+
+  // Optional deal UF fields for cancel reason / payment gateway (null = timeline comment only)
+  CANCEL_REASON_FIELD: null,
+  PAYMENT_GATEWAY_FIELD: null,
+
+  // Deal payment status enum (written by fieldMapping.json, compared by reconciliation report)
+  PAYMENT_STATUS_FIELD: 'UF_CRM_1739183959976',
+
   // Source IDs mapping
   SOURCES: {
     SHOPIFY_DRAFT_ORDER: 'WEB', // Use WEB for draft orders
     SHOPIFY: 'WEB' // Use WEB for shopify orders
   },
 
+  // Tax rate (percent) for rows without tax lines when the order is taxed (orderMapper.js getTaxRate)
+  DEFAULT_TAX_RATE: 19.0,
+
   // Product ID for shipping (from working script)
   SHIPPING_PRODUCT_ID: 3000, // Real shipping product ID
 
+  // Order moved to another category after its deal was created (e.g. pre-order tag added), detected via the deal index
+  // 'relink' - new deal in the new category, old deal closed (LOSE), unlinked and linked to the new one by timeline comments;
+  // 'move' - deal moved with crm.item.update (crm.deal.update ignores CATEGORY_ID), then updated with the new stage
+  // Override with BITRIX_CATEGORY_CHANGE_POLICY env or per shop (CATEGORY_CHANGE_POLICY in SHOPS)
+  CATEGORY_CHANGE_POLICY: 'relink',
+
+  // Orders with pre-order and stock items (pre-order detection: src/lib/shopify/preOrder.js, preOrderWhitelist.json)
+  // 'flag' - one deal in the pre-order category, mixed order recorded and commented in the deal timeline;
+  // 'split' - stock items in a deal of the stock category, pre-order items in a second deal of the pre-order category
+  // Override with PREORDER_MIXED_POLICY env or per shop (MIXED_ORDER_POLICY in SHOPS)
+  MIXED_ORDER_POLICY: 'flag',
+
+  // Deal product rows: sync mode (src/lib/bitrix/productRowsSync.js, PRODUCT_ROWS_MODE env) and row granularity (orderMapper.js)
+  PRODUCT_ROWS: {
+    MODE: 'diff', // 'diff' - read rows, write only on change, keep manual rows; 'replace' - clear and rewrite all rows
+    MANUAL_PREFIX: '[M]', // Rows whose PRODUCT_NAME starts with this prefix are never changed by sync
+    // Deal UF field (string) with origin of rows written by sync - required in diff mode (sync refuses to run without it);
+    // override with PRODUCT_ROWS_ORIGIN_FIELD env
+    ORIGIN_FIELD: null,
+    // 'per_unit' - one row per unit (QUANTITY 1), 'per_line_item' - one row per line item with real quantity,
+    // 'by_product' - line items with the same PRODUCT_ID merged; override with PRODUCT_ROWS_GRANULARITY env
+    GRANULARITY: 'per_unit',
+  },
+
+  // Order components besides merchandise (orderMapper.js)
+  // ROW - add product row; FIELD - deal UF field receiving the amount (null = not written)
+  // PRODUCT_ID null = row without catalog product (PRODUCT_NAME only)
+  // Amounts without a row are excluded when product rows are reconciled with OPPORTUNITY
+  ORDER_EXTRAS: {
+    // One row per shipping line; PRODUCT_IDS by shipping line code or title, default SHIPPING_PRODUCT_ID
+    SHIPPING: { ROW: true, PRODUCT_IDS: {} },
+    TIP: { ROW: true, PRODUCT_ID: null, NAME: 'Tip', FIELD: null }, // total_tip_received
+    DUTIES: { ROW: true, PRODUCT_ID: null, NAME: 'Duties', FIELD: null }, // current_total_duties_set
+    // Gift card line items (gift_card: true) - not merchandise: own PRODUCT_ID and name prefix,
+    // left out of size/color/model fields and of units validation
+    GIFT_CARD: { ROW: true, PRODUCT_ID: null, NAME_PREFIX: '[Gift card] ', FIELD: null },
+  },
+
+  // Contact UF fields for customers/create|update sync (src/lib/bitrix/contact.js)
+  // Must exist in Bitrix (CRM → Settings → Custom fields → Contact); null = not synced
+  CONTACT_FIELDS: {
+    SHOPIFY_CUSTOMER_ID: 'UF_CRM_SHOPIFY_CUSTOMER_ID', // Contacts are matched by this field first, then by email
+    ACCEPTS_MARKETING: 'UF_CRM_SHOPIFY_ACCEPTS_MARKETING', // 'Y' / 'N'
+    TAGS: 'UF_CRM_SHOPIFY_TAGS', // Comma-separated Shopify customer tags
+  },
+
+  // products/create|update → Bitrix catalog (src/lib/bitrix/productCatalog.js)
+  PRODUCT_SYNC: {
+    CURRENCY_ID: 'EUR',
+    SECTION_ID: null, // Catalog section for new products (null = root)
+    SKU_PROPERTY: null, // e.g. 'PROPERTY_123' - product property for SKU (null = description only)
+    VENDOR_PROPERTY: null, // e.g. 'PROPERTY_125' - product property for vendor/brand
+  },
+
   // SKU to Product ID mapping
   // TODO: Replace with actual product IDs from Bitrix24
   SKU_TO_PRODUCT_ID: {
@@ -61,16 +147,42 @@ export const BITRIX_CONFIG = {
   }
 };
 
+/**
+ * Get stage IDs of category
+ * Categories 2 and 8 use STAGES_CAT_2 / STAGES_CAT_8; other categories (additional shops, see src/lib/shopify/shops.js)
+ * take stages from stagesByCategory, missing keys are derived from category 2 ("C2:NEW" → "C12:NEW")
+ * @param {number} categoryId - Bitrix category ID
+ * @param {Object|null} stagesByCategory - Per-shop stages { [categoryId]: { NEW, EXECUTING, PAID, ... } }
+ * @returns {Object} Stage IDs { NEW, PREPARATION, ..., DEFAULT }
+ */
+export const getCategoryStages = (categoryId, stagesByCategory = null) => {
+  const category = Number(categoryId);
+  const base = category === 8 ? BITRIX_CONFIG.STAGES_CAT_8 : BITRIX_CONFIG.STAGES_CAT_2;
+  const custom = stagesByCategory?.[String(category)] || null;
+
+  if (category === 2 || category === 8) {
+    return custom ? { ...base, ...custom } : base;
+  }
+
+  // Category 0 (general funnel) has no "C{id}:" prefix
+  const prefix = category > 0 ? `C${category}:` : '';
+  const derived = Object.fromEntries(
+    Object.entries(BITRIX_CONFIG.STAGES_CAT_2).map(([key, stageId]) => [key, stageId.replace(/^C2:/, prefix)])
+  );
+  return { ...derived, ...(custom || {}) };
+};
+
 /**
  * Financial status to stage ID mapping based on category
  * @param {string} financialStatus - Shopify financial_status
  * @param {number} categoryId - Bitrix category ID (2 or 8)
  * @param {string} currentStageId - Current stage ID (for partially_refunded - keep current stage)
+ * @param {Object|null} stagesByCategory - Per-shop stages (see getCategoryStages)
  * @returns {string} Stage ID
  */
-export const financialStatusToStageId = (financialStatus, categoryId = 2, currentStageId = null) => {
+export const financialStatusToStageId = (financialStatus, categoryId = 2, currentStageId = null, stagesByCategory = null) => {
   const status = financialStatus?.toLowerCase() || '';
-  const stages = categoryId === 8 ? BITRIX_CONFIG.STAGES_CAT_8 : BITRIX_CONFIG.STAGES_CAT_2;
+  const stages = getCategoryStages(categoryId, stagesByCategory);
   
   const mapping = {
     'paid': stages.PAID,
@@ -86,6 +198,39 @@ export const financialStatusToStageId = (financialStatus, categoryId = 2, curren
   return mapping[status] || stages.DEFAULT;
 };
 
+/**
+ * Order status topic to stage ID mapping based on category
+ * @param {string} topic - Webhook topic (orders/cancelled, orders/paid, orders/partially_fulfilled, orders/fulfilled)
+ * @param {number} categoryId - Bitrix category ID (2 or 8)
+ * @param {Object|null} shopTopicStages - Shop TOPIC_STAGES (same format, BITRIX_TOPIC_STAGES and the SHOPS entry merged
+ *   by src/lib/shopify/shops.js), merged over defaults
+ * @returns {string|null} Stage ID or null if topic should not move the deal
+ */
+export const topicToStageId = (topic, categoryId = 2, shopTopicStages = null) => {
+  const stages = { ...(BITRIX_CONFIG.TOPIC_STAGES[topic] || {}), ...(shopTopicStages?.[topic] || {}) };
+  return stages[String(categoryId)] || null;
+};
+
+/**
+ * Category change policy (see BITRIX_CONFIG.CATEGORY_CHANGE_POLICY)
+ * @param {string|null} shopPolicy - Per-shop CATEGORY_CHANGE_POLICY (wins over env and default)
+ * @returns {string} 'relink' | 'move'
+ */
+export const getCategoryChangePolicy = (shopPolicy = null) => {
+  const policy = String(shopPolicy || process.env.BITRIX_CATEGORY_CHANGE_POLICY || BITRIX_CONFIG.CATEGORY_CHANGE_POLICY || 'relink').toLowerCase();
+  return policy === 'move' ? 'move' : 'relink';
+};
+
+/**
+ * Mixed order policy (see BITRIX_CONFIG.MIXED_ORDER_POLICY)
+ * @param {string|null} shopPolicy - Per-shop MIXED_ORDER_POLICY (wins over env and default)
+ * @returns {string} 'flag' | 'split'
+ */
+export const getMixedOrderPolicy = (shopPolicy = null) => {
+  const policy = String(shopPolicy || process.env.PREORDER_MIXED_POLICY || BITRIX_CONFIG.MIXED_ORDER_POLICY || 'flag').toLowerCase();
+  return policy === 'split' ? 'split' : 'flag';
+};
+
 /**
  * Financial status to payment status field (UF_CRM_1739183959976)
  * Returns enumeration ID for Bitrix
@@ -108,14 +253,14 @@ export const financialStatusToPaymentStatus = (financialStatus) => {
   return mapping[status] || '58'; // Default to Unpaid
 };
 
-// Source name to source ID mapping
-export const sourceNameToSourceId = (sourceName) => {
+// Source name to source ID mapping (sources - per-shop SOURCES, defaults to BITRIX_CONFIG.SOURCES)
+export const sourceNameToSourceId = (sourceName, sources = BITRIX_CONFIG.SOURCES) => {
   const source = sourceName?.toLowerCase() || '';
   const mapping = {
-    'shopify_draft_order': BITRIX_CONFIG.SOURCES.SHOPIFY_DRAFT_ORDER,
-    'shopify': BITRIX_CONFIG.SOURCES.SHOPIFY,
-    'web': BITRIX_CONFIG.SOURCES.SHOPIFY,
-    'pos': BITRIX_CONFIG.SOURCES.SHOPIFY
+    'shopify_draft_order': sources.SHOPIFY_DRAFT_ORDER,
+    'shopify': sources.SHOPIFY,
+    'web': sources.SHOPIFY,
+    'pos': sources.SHOPIFY
   };
   return mapping[source] || null;
 };
@@ -3,7 +3,8 @@
  * Handles contact upsert logic
  */
 
-import { callBitrixAPI } from './client.js';
+import { batch, callBitrixAPI } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
 
 /**
  * Find contact by email
@@ -33,6 +34,198 @@ export async function findContactByEmail(webhookUrl, email) {
   }
 }
 
+/**
+ * Find contact by Shopify customer ID (BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID)
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {Promise<number|null>} Contact ID or null if not found
+ */
+export async function findContactByShopifyCustomerId(webhookUrl, customerId) {
+  const field = BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID;
+  if (!customerId || !field) {
+    return null;
+  }
+
+  try {
+    const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
+      filter: { [field]: String(customerId) },
+      select: ['ID', field]
+    });
+
+    // Guard against Bitrix ignoring filter on a missing UF field (would return all contacts)
+    const match = (result.result || []).find(c => String(c[field]) === String(customerId));
+    return match ? parseInt(match.ID) : null;
+  } catch (error) {
+    console.error('[BITRIX CONTACT] Error finding contact by Shopify customer ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Batch commands for contact lookup (by Shopify customer ID and by email), see batch() in client.js
+ * Callers may add them to their own batch and pass the results to resolveContactLookup()
+ * @param {Object} params - { customerId, email }
+ * @returns {Object} { contact_by_customer_id?, contact_by_email? }
+ */
+export function getContactLookupCommands({ customerId, email }) {
+  const field = BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID;
+  const commands = {};
+  if (customerId && field) {
+    commands.contact_by_customer_id = ['crm.contact.list', {
+      filter: { [field]: String(customerId) },
+      select: ['ID', field]
+    }];
+  }
+  if (email) {
+    commands.contact_by_email = ['crm.contact.list', {
+      filter: { EMAIL: email },
+      select: ['ID']
+    }];
+  }
+  return commands;
+}
+
+/**
+ * Pick contact from lookup batch results: Shopify customer ID first, then email
+ * @param {Object} results - batch() results
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {Object} { contactId, matchedBy: 'customer_id'|'email'|null }
+ */
+export function resolveContactLookup(results, customerId) {
+  const field = BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID;
+  // Guard against Bitrix ignoring filter on a missing UF field (would return all contacts)
+  const byCustomerId = (results.contact_by_customer_id || []).find(c => String(c[field]) === String(customerId));
+  if (byCustomerId) {
+    return { contactId: parseInt(byCustomerId.ID), matchedBy: 'customer_id' };
+  }
+  const byEmail = (results.contact_by_email || [])[0];
+  if (byEmail) {
+    return { contactId: parseInt(byEmail.ID), matchedBy: 'email' };
+  }
+  return { contactId: null, matchedBy: null };
+}
+
+/**
+ * Find contact: Shopify customer ID first, then email (both lookups in one batch request)
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} params - { customerId, email }
+ * @returns {Promise<Object>} { contactId, matchedBy: 'customer_id'|'email'|null }
+ */
+export async function findContact(webhookUrl, { customerId, email }) {
+  const commands = getContactLookupCommands({ customerId, email });
+  if (Object.keys(commands).length === 0) {
+    return { contactId: null, matchedBy: null };
+  }
+  const { results, errors } = await batch(commands, { webhookUrl });
+  if (Object.keys(errors).length > 0) {
+    console.error('[BITRIX CONTACT] Contact lookup errors:', errors);
+  }
+  return resolveContactLookup(results, customerId);
+}
+
+/**
+ * Build contact fields from Shopify customer (customers/create|update payload)
+ * Only fields present in payload are set, so partial payloads don't clear data
+ * @param {Object} customer - Shopify customer
+ * @returns {Object} { fields, emails, phones } - emails/phones are merged separately (multi-fields)
+ */
+export function buildContactFieldsFromCustomer(customer) {
+  const contactFields = BITRIX_CONFIG.CONTACT_FIELDS;
+  const address = customer.default_address || null;
+  const fields = {};
+
+  const firstName = customer.first_name || address?.first_name;
+  const lastName = customer.last_name || address?.last_name;
+  if (firstName) fields.NAME = firstName;
+  if (lastName) fields.LAST_NAME = lastName;
+
+  if (address) {
+    fields.ADDRESS = [address.address1, address.address2].filter(Boolean).join(', ');
+    fields.ADDRESS_CITY = address.city || '';
+    fields.ADDRESS_POSTAL_CODE = address.zip || '';
+    fields.ADDRESS_PROVINCE = address.province || '';
+    fields.ADDRESS_COUNTRY = address.country || address.country_name || '';
+  }
+
+  if (contactFields.SHOPIFY_CUSTOMER_ID && customer.id) {
+    fields[contactFields.SHOPIFY_CUSTOMER_ID] = String(customer.id);
+  }
+
+  // accepts_marketing is deprecated in newer API versions - email_marketing_consent.state replaces it
+  const consentState = customer.email_marketing_consent?.state;
+  const acceptsMarketing = consentState ? consentState === 'subscribed' : customer.accepts_marketing;
+  if (contactFields.ACCEPTS_MARKETING && acceptsMarketing !== undefined && acceptsMarketing !== null) {
+    fields[contactFields.ACCEPTS_MARKETING] = acceptsMarketing ? 'Y' : 'N';
+  }
+
+  if (contactFields.TAGS && customer.tags !== undefined) {
+    fields[contactFields.TAGS] = Array.isArray(customer.tags) ? customer.tags.join(', ') : String(customer.tags || '');
+  }
+
+  const emails = [customer.email].filter(Boolean);
+  const phones = [...new Set([customer.phone, address?.phone].filter(Boolean))];
+
+  return { fields, emails, phones };
+}
+
+/**
+ * Normalize phone for comparison
+ * @param {string} phone - Phone number
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/[^\d]/g, '');
+}
+
+/**
+ * Create or update Bitrix contact from Shopify customer
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} customer - Shopify customer
+ * @returns {Promise<Object>} { contactId, action: 'created'|'updated', matchedBy }
+ */
+export async function upsertContactFromCustomer(webhookUrl, customer) {
+  const { fields, emails, phones } = buildContactFieldsFromCustomer(customer);
+  const { contactId, matchedBy } = await findContact(webhookUrl, { customerId: customer.id, email: customer.email });
+
+  if (!contactId) {
+    const result = await callBitrixAPI(webhookUrl, 'crm.contact.add', {
+      fields: {
+        NAME: 'Shopify',
+        LAST_NAME: 'Customer',
+        OPENED: 'Y',
+        TYPE_ID: 'CLIENT',
+        SOURCE_ID: 'WEB',
+        ...fields,
+        EMAIL: emails.map(email => ({ VALUE: email, VALUE_TYPE: 'WORK' })),
+        PHONE: phones.map(phone => ({ VALUE: phone, VALUE_TYPE: 'WORK' })),
+      }
+    });
+    if (!result.result) {
+      throw new Error(`Failed to create contact for Shopify customer ${customer.id}: ${JSON.stringify(result)}`);
+    }
+    return { contactId: parseInt(result.result), action: 'created', matchedBy: null };
+  }
+
+  // Multi-fields (EMAIL/PHONE) are appended by crm.contact.update - add only values not present yet
+  const existing = await callBitrixAPI(webhookUrl, 'crm.contact.get', { id: contactId });
+  const existingEmails = (existing.result?.EMAIL || []).map(e => String(e.VALUE).toLowerCase());
+  const existingPhones = (existing.result?.PHONE || []).map(p => normalizePhone(p.VALUE));
+
+  const newEmails = emails.filter(email => !existingEmails.includes(email.toLowerCase()));
+  const newPhones = phones.filter(phone => !existingPhones.includes(normalizePhone(phone)));
+
+  const updateFields = { ...fields };
+  if (newEmails.length > 0) {
+    updateFields.EMAIL = newEmails.map(email => ({ VALUE: email, VALUE_TYPE: 'WORK' }));
+  }
+  if (newPhones.length > 0) {
+    updateFields.PHONE = newPhones.map(phone => ({ VALUE: phone, VALUE_TYPE: 'WORK' }));
+  }
+
+  await callBitrixAPI(webhookUrl, 'crm.contact.update', { id: contactId, fields: updateFields });
+  return { contactId, action: 'updated', matchedBy };
+}
+
 /**
  * Create contact in Bitrix24
  * @param {string} webhookUrl - Bitrix webhook URL
@@ -51,6 +244,11 @@ export async function createContact(webhookUrl, contactData) {
       EMAIL: contactData.email ? [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }] : [],
     };
 
+    // Link to Shopify customer
+    if (contactData.shopifyCustomerId && BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID) {
+      fields[BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID] = String(contactData.shopifyCustomerId);
+    }
+
     // Add phone if available
     if (contactData.phone) {
       fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
@@ -83,28 +281,52 @@ export async function createContact(webhookUrl, contactData) {
 }
 
 /**
- * Upsert contact - find by email or create new
+ * Get contact email of Shopify order
+ * @param {Object} shopifyOrder - Shopify order object
+ * @returns {string|null}
+ */
+export function getOrderContactEmail(shopifyOrder) {
+  return shopifyOrder.customer?.email ||
+    shopifyOrder.email ||
+    shopifyOrder.billing_address?.email ||
+    null;
+}
+
+/**
+ * Upsert contact - find by Shopify customer ID / email or create new
  * @param {string} webhookUrl - Bitrix webhook URL
  * @param {Object} shopifyOrder - Shopify order object
+ * @param {Object|null} lookup - Result of resolveContactLookup() when the lookup already ran in the caller's batch
  * @returns {Promise<number|null>} Contact ID or null
  */
-export async function upsertBitrixContact(webhookUrl, shopifyOrder) {
+export async function upsertBitrixContact(webhookUrl, shopifyOrder, lookup = null) {
   // Get email from order
-  const email = shopifyOrder.customer?.email || 
-                shopifyOrder.email || 
-                shopifyOrder.billing_address?.email || 
-                null;
+  const email = getOrderContactEmail(shopifyOrder);
 
   if (!email) {
     console.log('[BITRIX CONTACT] No email found in order, skipping contact creation');
     return null;
   }
 
-  // Try to find existing contact
-  let contactId = await findContactByEmail(webhookUrl, email);
+  // Try to find existing contact (Shopify customer ID first, then email)
+  const customerId = shopifyOrder.customer?.id || null;
+  const customerIdField = BITRIX_CONFIG.CONTACT_FIELDS.SHOPIFY_CUSTOMER_ID;
+  let { contactId, matchedBy } = lookup || await findContact(webhookUrl, { customerId, email });
 
   if (contactId) {
-    console.log(`[BITRIX CONTACT] Found existing contact with ID: ${contactId}`);
+    console.log(`[BITRIX CONTACT] Found existing contact with ID: ${contactId} (matched by ${matchedBy})`);
+
+    // Link contact found by email to Shopify customer, so next orders match on customer ID
+    if (matchedBy === 'email' && customerId && customerIdField) {
+      try {
+        await callBitrixAPI(webhookUrl, 'crm.contact.update', {
+          id: contactId,
+          fields: { [customerIdField]: String(customerId) }
+        });
+      } catch (linkError) {
+        console.error('[BITRIX CONTACT] Failed to link contact to Shopify customer (non-blocking):', linkError);
+      }
+    }
     return contactId;
   }
 
@@ -119,6 +341,7 @@ export async function upsertBitrixContact(webhookUrl, shopifyOrder) {
     lastName: customer.last_name || billingAddress.last_name || '',
     email: email,
     phone: customer.phone || billingAddress.phone || null,
+    shopifyCustomerId: customerId,
     address: address.address1 ? {
       address1: address.address1,
       address2: address.address2,
@@ -0,0 +1,271 @@
+/**
+ * Bitrix24 Deal Field Mapping (declarative)
+ * UF fields of the deal are described in fieldMapping.json (versioned) - source paths, transforms and target codes;
+ * orderMapper.js builds the context and interprets the mapping with applyFieldMapping().
+ *
+ * Field: { target, source, transforms?, omitZero?, description? }
+ *   target - UF_CRM_* field of the deal; standard fields (STAGE_ID, CATEGORY_ID, OPPORTUNITY, ...) and the order key
+ *            UF_CRM_1742556489 are set by orderMapper.js and cannot be mapped
+ *   source - path or array of paths rooted at `order.` (Shopify order) or `context.` (values computed by orderMapper);
+ *            `items[].size` maps over an array, numeric segments index arrays (`shipping_lines.0.title`)
+ *   transforms - applied in order: string, number, round, trim, uppercase, lowercase, first, sum, join, enumerate,
+ *                lookup (table from `lookups` or built-in brandMapping), match (regex rules), date (format)
+ * Empty results (null, '', []) are not written; omitZero also skips 0.
+ *
+ * Client-safe (no fs) - a mapping file outside the bundle is loaded by fieldMappingLoader.js (server-only).
+ */
+
+import defaultMapping from './fieldMapping.json' assert { type: 'json' };
+import brandMapping from './brandMapping.json' assert { type: 'json' };
+
+export const FIELD_MAPPING_VERSIONS = [1];
+
+// Lookup tables available to every mapping without copying them into the file
+const BUILT_IN_LOOKUPS = { brandMapping };
+
+// Order key is the deal lookup key - written only by orderMapper.js from order.id
+const RESERVED_TARGETS = ['UF_CRM_1742556489'];
+
+const TRANSFORM_TYPES = ['string', 'number', 'round', 'trim', 'uppercase', 'lowercase', 'first', 'sum', 'join', 'enumerate', 'lookup', 'match', 'date'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate field mapping
+ * @param {Object} mapping - Parsed mapping file
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+export function getFieldMappingErrors(mapping) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object'];
+  }
+  if (!FIELD_MAPPING_VERSIONS.includes(mapping.version)) {
+    errors.push(`unsupported version ${JSON.stringify(mapping.version)} (supported: ${FIELD_MAPPING_VERSIONS.join(', ')})`);
+  }
+  const lookups = mapping.lookups ?? {};
+  if (typeof lookups !== 'object' || Array.isArray(lookups)) {
+    errors.push('lookups must be an object');
+  }
+  if (!Array.isArray(mapping.fields)) {
+    errors.push('fields must be an array');
+    return errors;
+  }
+
+  const targets = new Set();
+  mapping.fields.forEach((field, index) => {
+    const at = `fields[${index}]${field?.target ? ` (${field.target})` : ''}`;
+    if (!field || typeof field !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof field.target !== 'string' || !/^UF_CRM_[A-Z0-9_]+$/.test(field.target)) {
+      errors.push(`${at}: target must be a deal UF field code (e.g. UF_CRM_1739183268662)`);
+    } else if (RESERVED_TARGETS.includes(field.target)) {
+      errors.push(`${at}: ${field.target} is the order key and is set by the sync`);
+    } else if (targets.has(field.target)) {
+      errors.push(`${at}: duplicate target`);
+    } else {
+      targets.add(field.target);
+    }
+
+    const sources = Array.isArray(field.source) ? field.source : [field.source];
+    if (sources.length === 0 || sources.some(source => typeof source !== 'string' || !/^(order|context)(\.[^.]+)+$/.test(source))) {
+      errors.push(`${at}: source must be a path (or array of paths) starting with "order." or "context."`);
+    }
+
+    if (field.transforms !== undefined && !Array.isArray(field.transforms)) {
+      errors.push(`${at}: transforms must be an array`);
+      return;
+    }
+    (field.transforms || []).forEach((transform, transformIndex) => {
+      const tat = `${at}.transforms[${transformIndex}]`;
+      if (!transform || !TRANSFORM_TYPES.includes(transform.type)) {
+        errors.push(`${tat}: unknown type ${JSON.stringify(transform?.type)} (known: ${TRANSFORM_TYPES.join(', ')})`);
+        return;
+      }
+      if (transform.type === 'lookup' && !(lookups?.[transform.table] || BUILT_IN_LOOKUPS[transform.table])) {
+        errors.push(`${tat}: lookup table "${transform.table}" is not defined`);
+      }
+      if (transform.type === 'match') {
+        if (!Array.isArray(transform.rules) || transform.rules.length === 0) {
+          errors.push(`${tat}: match needs rules [{ pattern, value }]`);
+        } else {
+          transform.rules.forEach((rule, ruleIndex) => {
+            try {
+              new RegExp(rule.pattern, rule.flags || '');
+            } catch (error) {
+              errors.push(`${tat}.rules[${ruleIndex}]: invalid pattern - ${error.message}`);
+            }
+          });
+        }
+      }
+      if (transform.type === 'date' && typeof transform.format !== 'string') {
+        errors.push(`${tat}: date needs format (e.g. "YYYY-MM-DD")`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate field mapping and throw on errors
+ * @param {Object} mapping - Parsed mapping file
+ * @param {string} origin - Where the mapping came from (for the error message)
+ * @returns {Object} The same mapping
+ * @throws {Error} code 'FIELD_MAPPING_INVALID', errors - list of problems
+ */
+export function validateFieldMapping(mapping, origin = 'fieldMapping.json') {
+  const errors = getFieldMappingErrors(mapping);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid field mapping (${origin}): ${errors.join('; ')}`);
+    error.code = 'FIELD_MAPPING_INVALID';
+    error.errors = errors;
+    throw error;
+  }
+  return mapping;
+}
+
+/**
+ * Resolve source path
+ * @param {Object} root - { order, context }
+ * @param {string} path - e.g. 'order.shipping_lines.0.title' or 'context.items[].size'
+ * @returns {*} Value (array for `[]` paths)
+ */
+function resolvePath(root, path) {
+  const resolve = (value, segments) => {
+    if (segments.length === 0 || value === null || value === undefined) {
+      return value;
+    }
+    const [segment, ...rest] = segments;
+    if (segment.endsWith('[]')) {
+      const list = value[segment.slice(0, -2)];
+      return Array.isArray(list) ? list.map(item => resolve(item, rest)) : undefined;
+    }
+    return resolve(value[segment], rest);
+  };
+  return resolve(root, path.split('.'));
+}
+
+/**
+ * Format date with YYYY, MM, DD, HH, mm, ss tokens (UTC)
+ * @param {*} value - Date string / timestamp
+ * @param {string} format - Format
+ * @returns {string|null}
+ */
+function formatDate(value, format) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Apply one transform
+ * @param {*} value - Current value
+ * @param {Object} transform - Transform spec
+ * @param {Object} lookups - Lookup tables of the mapping
+ * @param {string} target - Target field (for logging)
+ * @returns {*} New value
+ */
+function applyTransform(value, transform, lookups, target) {
+  const scalar = (fn) => (Array.isArray(value) ? value.map(item => (isEmpty(item) ? item : fn(item))) : (isEmpty(value) ? value : fn(value)));
+
+  switch (transform.type) {
+    case 'string':
+      return scalar(item => String(item));
+    case 'number':
+      return scalar(item => Number(item));
+    case 'round': {
+      const factor = 10 ** (transform.decimals ?? 2);
+      return scalar(item => Math.round(Number(item) * factor) / factor);
+    }
+    case 'trim':
+      return scalar(item => String(item).trim());
+    case 'uppercase':
+      return scalar(item => String(item).toUpperCase());
+    case 'lowercase':
+      return scalar(item => String(item).toLowerCase());
+    case 'first':
+      return Array.isArray(value) ? value.find(item => !isEmpty(item)) ?? null : value;
+    case 'sum':
+      return (Array.isArray(value) ? value : [value]).reduce((sum, item) => sum + Number(item || 0), 0);
+    case 'join':
+      return Array.isArray(value) ? value.filter(item => !isEmpty(item)).join(transform.separator ?? ', ') : value;
+    case 'enumerate': {
+      // One value as is, several values numbered by position ('1: 40; 2: -')
+      if (!Array.isArray(value)) {
+        return value;
+      }
+      if (value.length <= 1) {
+        return value[0] ?? null;
+      }
+      return value.map((item, i) => `${i + 1}: ${isEmpty(item) ? (transform.empty ?? '-') : item}`).join(transform.separator ?? '; ');
+    }
+    case 'lookup': {
+      const table = lookups[transform.table] || BUILT_IN_LOOKUPS[transform.table] || {};
+      const key = isEmpty(value) ? null : String(value);
+      if (key !== null && table[key] !== undefined) {
+        return table[key];
+      }
+      if (key !== null && transform.default === undefined) {
+        console.warn(`[FIELD MAPPING] ${target}: "${key}" not found in lookup "${transform.table}", skipping`);
+      }
+      return transform.default ?? null;
+    }
+    case 'match': {
+      if (isEmpty(value)) {
+        return null;
+      }
+      const text = String(value);
+      const rule = transform.rules.find(r => new RegExp(r.pattern, r.flags || '').test(text));
+      return rule ? rule.value : (transform.default ?? null);
+    }
+    case 'date':
+      return scalar(item => formatDate(item, transform.format));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Build deal fields from mapping
+ * @param {Object} mapping - Validated mapping
+ * @param {Object} root - { order, context }
+ * @returns {Object} { [target]: value } - only non-empty values
+ */
+export function applyFieldMapping(mapping, root) {
+  const lookups = mapping.lookups || {};
+  const fields = {};
+
+  for (const field of mapping.fields) {
+    let value = Array.isArray(field.source)
+      ? field.source.map(path => resolvePath(root, path))
+      : resolvePath(root, field.source);
+
+    for (const transform of field.transforms || []) {
+      value = applyTransform(value, transform, lookups, field.target);
+    }
+
+    if (isEmpty(value) || (field.omitZero && Number(value) === 0)) {
+      continue;
+    }
+    fields[field.target] = value;
+  }
+
+  return fields;
+}
+
+// Bundled mapping is validated on import - a broken default fails build / startup
+export const DEFAULT_FIELD_MAPPING = validateFieldMapping(defaultMapping);
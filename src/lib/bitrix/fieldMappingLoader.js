@@ -0,0 +1,59 @@
+/**
+ * Field mapping loader (server-only, fs)
+ * BITRIX_FIELD_MAPPING_FILE - path to a mapping JSON (same format as fieldMapping.json) that replaces the bundled one,
+ * so UF codes / enum IDs can be changed without a code deploy. The file is read and validated once per process;
+ * an invalid file throws (FIELD_MAPPING_INVALID) instead of silently writing wrong fields.
+ */
+
+import fs from 'fs';
+import { DEFAULT_FIELD_MAPPING, validateFieldMapping } from './fieldMapping.js';
+import { getConfigValue } from '../config/index.js';
+
+let cachedMapping = null;
+
+/**
+ * Get field mapping used by the webhook handlers
+ * @returns {Object} Validated mapping
+ * @throws {Error} code 'FIELD_MAPPING_INVALID' when the file cannot be read or is invalid
+ */
+export function getFieldMapping() {
+  if (cachedMapping) {
+    return cachedMapping;
+  }
+
+  const file = getConfigValue('BITRIX_FIELD_MAPPING_FILE');
+  if (!file) {
+    cachedMapping = DEFAULT_FIELD_MAPPING;
+    return cachedMapping;
+  }
+
+  try {
+    let mapping;
+    try {
+      mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      const loadError = new Error(`Invalid field mapping (${file}): ${error.message}`);
+      loadError.code = 'FIELD_MAPPING_INVALID';
+      loadError.errors = [error.message];
+      throw loadError;
+    }
+    cachedMapping = validateFieldMapping(mapping, file);
+  } catch (error) {
+    console.error(JSON.stringify({
+      event: 'FIELD_MAPPING_INVALID',
+      file,
+      errors: error.errors || [error.message],
+      timestamp: new Date().toISOString()
+    }));
+    throw error;
+  }
+
+  console.log(JSON.stringify({
+    event: 'FIELD_MAPPING_LOADED',
+    file,
+    version: cachedMapping.version,
+    fieldsCount: cachedMapping.fields.length,
+    timestamp: new Date().toISOString()
+  }));
+  return cachedMapping;
+}
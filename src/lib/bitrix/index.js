@@ -3,10 +3,11 @@
  * Main entry point for all Bitrix24 related functions
  */
 
-export { callBitrixAPI, callBitrix, getBitrixWebhookUrl, getBitrixWebhookBase } from './client.js';
-export { BITRIX_CONFIG, financialStatusToStageId, sourceNameToSourceId } from './config.js';
-export { upsertBitrixContact, findContactByEmail, createContact } from './contact.js';
+export { callBitrixAPI, callBitrix, bitrixRequest, batch, getBitrixWebhookUrl, getBitrixWebhookBase } from './client.js';
+export { BITRIX_CONFIG, financialStatusToStageId, sourceNameToSourceId, getCategoryStages } from './config.js';
+export { upsertBitrixContact, upsertContactFromCustomer, findContact, findContactByEmail, getContactLookupCommands, resolveContactLookup, createContact } from './contact.js';
 export { mapShopifyOrderToBitrixDealFields } from './dealMapper.js';
 export { mapShopifyOrderToBitrixDeal } from './orderMapper.js';
+export { validateFieldMapping, applyFieldMapping, DEFAULT_FIELD_MAPPING } from './fieldMapping.js';
 export { createProductRowsFromOrder, setBitrixDealProductRows } from './productRows.js';
 
@@ -3,15 +3,15 @@
  * Returns both deal fields and product rows
  */
 
-import { BITRIX_CONFIG, financialStatusToStageId, financialStatusToPaymentStatus, sourceNameToSourceId } from './config.js';
+import { BITRIX_CONFIG, financialStatusToStageId, sourceNameToSourceId } from './config.js';
 import skuMapping from './skuMapping.json' assert { type: 'json' };
 import handleMapping from './handleMapping.json' assert { type: 'json' };
-import brandMapping from './brandMapping.json' assert { type: 'json' };
 // ENHANCED MAPPING (закомментировано - используется семантический маппинг)
 // import skuMappingEnhanced from './skuMappingEnhanced.json' assert { type: 'json' };
 // ✅ SEMANTIC MAPPING: Используем семантический маппинг с 100% совпадениями
 import skuMappingSemantic from './skuMappingSemantic.json' assert { type: 'json' };
 import { resolveResponsibleId } from './responsible.js';
+import { DEFAULT_FIELD_MAPPING, applyFieldMapping } from './fieldMapping.js';
 
 /**
  * Parse model name from product title
@@ -47,6 +47,24 @@ function parseModelFromTitle(title) {
   return words.slice(0, Math.min(3, words.length)).join(' ').trim() || null;
 }
 
+/**
+ * Get size of line item: variant_title, else last part of name ("Title - 40")
+ * @param {Object} item - Shopify line item
+ * @returns {string|null} Size or null
+ */
+function getItemSize(item) {
+  if (item.variant_title) {
+    return String(item.variant_title).trim();
+  }
+  if (item.name) {
+    const nameParts = item.name.split(' - ');
+    if (nameParts.length > 1) {
+      return nameParts[nameParts.length - 1].trim();
+    }
+  }
+  return null;
+}
+
 /**
  * Parse color from product title or properties
  * @param {string} title - Product title
@@ -93,12 +111,435 @@ function parseColorFromTitle(title, properties = []) {
   return null;
 }
 
+/**
+ * Find Bitrix product ID in static mappings (semantic → old SKU mapping → handle → config)
+ * @param {Object} item - { sku, handle } (line item or product variant)
+ * @returns {number|null} Bitrix PRODUCT_ID or null if not mapped
+ */
+export function getStaticProductId(item) {
+  const sku = item?.sku || null;
+  const rawHandle = item?.handle || item?.product_handle || null;
+  const normHandle = rawHandle ? rawHandle.toLowerCase().replace('barefoot-', '') : null;
+
+  return (sku ? skuMappingSemantic[sku] : null) ||
+    (sku ? skuMapping[sku] : null) ||
+    (normHandle ? (handleMapping[normHandle] || handleMapping[rawHandle]) : null) ||
+    (sku ? BITRIX_CONFIG.SKU_TO_PRODUCT_ID[sku] : null) ||
+    null;
+}
+
+/**
+ * Sum successful refund transactions of a refund
+ * @param {Object} refund - Shopify refund object
+ * @returns {number} Refunded amount
+ */
+export function getRefundTransactionsTotal(refund) {
+  const transactions = Array.isArray(refund?.transactions) ? refund.transactions : [];
+  return transactions
+    .filter(t => t.kind === 'refund' && (!t.status || t.status === 'success'))
+    .reduce((sum, t) => sum + Number(t.amount || 0), 0);
+}
+
+/**
+ * Calculate actually paid amount (money received minus money refunded)
+ * current_total_price is not enough: it ignores refunds without line items (shipping, goodwill)
+ * and is non-zero for unpaid orders
+ * @param {Object} order - Shopify order object (refunds[].transactions are used when present)
+ * @returns {number} Paid amount
+ */
+export function calculatePaidAmount(order) {
+  const financialStatus = String(order.financial_status || '').toLowerCase();
+  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  const hasRefundTransactions = refunds.some(r => Array.isArray(r.transactions) && r.transactions.length > 0);
+  const refundedAmount = refunds.reduce((sum, refund) => sum + getRefundTransactionsTotal(refund), 0);
+  const originalTotal = Number(order.total_price || 0);
+
+  let paidAmount;
+  if (['pending', 'authorized', 'voided', 'expired'].includes(financialStatus)) {
+    paidAmount = 0;
+  } else if (financialStatus === 'partially_paid') {
+    paidAmount = originalTotal - Number(order.total_outstanding || 0) - refundedAmount;
+  } else if (hasRefundTransactions) {
+    paidAmount = originalTotal - refundedAmount;
+  } else {
+    // No refund transactions in payload (e.g. trimmed webhook body) - current_total_price reflects item refunds
+    paidAmount = Number(order.current_total_price || order.total_price || 0);
+  }
+
+  return Math.max(0, Math.round(paidAmount * 100) / 100);
+}
+
+/**
+ * Sum discount allocations (automatic discounts, codes, scripts - all applied to the same line)
+ * @param {Array<Object>} allocations - discount_allocations of line item or shipping line
+ * @returns {number} Total discount
+ */
+export function getDiscountAllocationsTotal(allocations) {
+  if (!Array.isArray(allocations)) {
+    return 0;
+  }
+  const total = allocations.reduce(
+    (sum, allocation) => sum + Number(allocation.amount ?? allocation.amount_set?.shop_money?.amount ?? 0),
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Get total discount of line item (whole line, original quantity)
+ * @param {Object} item - Shopify line item
+ * @returns {number} Discount
+ */
+export function getLineDiscount(item) {
+  if (Array.isArray(item.discount_allocations) && item.discount_allocations.length > 0) {
+    return getDiscountAllocationsTotal(item.discount_allocations);
+  }
+  // Older payloads without allocations
+  return Number(item.total_discount || 0);
+}
+
+/**
+ * Get tax rate (percent) from tax lines
+ * Several jurisdictions (e.g. state + county) are combined into one rate, zero-amount lines are ignored.
+ * Empty tax_lines in a taxed order = untaxed line (0). Without tax_lines in the payload: order-level tax lines,
+ * then BITRIX_CONFIG.DEFAULT_TAX_RATE for taxed orders or 0
+ * @param {Array<Object>|null} taxLines - tax_lines of line item / shipping line
+ * @param {Object} order - Shopify order
+ * @returns {number} Tax rate in percent
+ */
+export function getTaxRate(taxLines, order) {
+  const sumRates = (lines) => Math.round(lines
+    .filter(line => Number(line.price ?? line.price_set?.shop_money?.amount ?? 1) !== 0)
+    .reduce((sum, line) => sum + Number(line.rate || 0), 0) * 100 * 10000) / 10000;
+  const orderTaxLines = Array.isArray(order.tax_lines) ? order.tax_lines : [];
+
+  if (Array.isArray(taxLines) && taxLines.length > 0) {
+    return sumRates(taxLines);
+  }
+  if (orderTaxLines.length > 0) {
+    return Array.isArray(taxLines) ? 0 : sumRates(orderTaxLines);
+  }
+  const orderTax = Number(order.current_total_tax ?? order.total_tax ?? 0);
+  return orderTax > 0 ? BITRIX_CONFIG.DEFAULT_TAX_RATE : 0;
+}
+
+/**
+ * Total of product rows as shown in the deal products tab
+ * Row total is PRICE × QUANTITY (+ tax for TAX_INCLUDED = 'N')
+ * @param {Array<Object>} productRows - Product rows
+ * @returns {number} Total rounded to cents
+ */
+export function getProductRowsTotal(productRows) {
+  const total = productRows.reduce((sum, row) => {
+    const net = Number(row.PRICE || 0) * Number(row.QUANTITY || 0);
+    return sum + (row.TAX_INCLUDED === 'N' ? net * (1 + Number(row.TAX_RATE || 0) / 100) : net);
+  }, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Compare product rows total with deal OPPORTUNITY
+ * @param {Array<Object>} productRows - Product rows
+ * @param {number} opportunity - Deal OPPORTUNITY
+ * @param {Array<Object>} excludedRows - Rows of order components kept out of the deal (ORDER_EXTRAS ROW: false)
+ * @returns {Object} { matched, rowsTotal, opportunity, excludedTotal, difference }
+ */
+export function reconcileProductRows(productRows, opportunity, excludedRows = []) {
+  const rowsTotal = getProductRowsTotal(productRows);
+  const excludedTotal = getProductRowsTotal(excludedRows);
+  const difference = Math.round((Number(opportunity || 0) - excludedTotal - rowsTotal) * 100) / 100;
+
+  return {
+    matched: Math.abs(difference) <= 0.01,
+    rowsTotal,
+    opportunity: Number(opportunity || 0),
+    excludedTotal,
+    difference,
+  };
+}
+
+/**
+ * Check whether line item is a gift card (sold gift card is not merchandise revenue)
+ * @param {Object} item - Shopify line item
+ * @returns {boolean}
+ */
+export function isGiftCardItem(item) {
+  return item?.gift_card === true;
+}
+
+/**
+ * Get tip amount of order
+ * @param {Object} order - Shopify order
+ * @returns {number} Tip amount
+ */
+export function getTipAmount(order) {
+  return Math.round(Number(order.total_tip_received || 0) * 100) / 100;
+}
+
+/**
+ * Get duties amount of order: current duties (after refunds), original duties, else sum of line item duties
+ * @param {Object} order - Shopify order
+ * @returns {number} Duties amount
+ */
+export function getDutiesAmount(order) {
+  const orderDuties = order.current_total_duties_set?.shop_money?.amount ?? order.original_total_duties_set?.shop_money?.amount;
+  if (orderDuties !== undefined && orderDuties !== null) {
+    return Math.round(Number(orderDuties) * 100) / 100;
+  }
+  const lineDuties = (order.line_items || [])
+    .flatMap(item => (Array.isArray(item.duties) ? item.duties : []))
+    .reduce((sum, duty) => sum + Number(duty.price_set?.shop_money?.amount ?? duty.price ?? 0), 0);
+  return Math.round(lineDuties * 100) / 100;
+}
+
+/**
+ * Get Bitrix product ID for shipping line (ORDER_EXTRAS.SHIPPING.PRODUCT_IDS by code, then title)
+ * @param {Object} shippingLine - Shopify shipping line
+ * @returns {number} Product ID
+ */
+function getShippingProductId(shippingLine) {
+  const productIds = BITRIX_CONFIG.ORDER_EXTRAS.SHIPPING.PRODUCT_IDS || {};
+  const mapped = (shippingLine.code && productIds[shippingLine.code]) || (shippingLine.title && productIds[shippingLine.title]);
+  if (mapped) {
+    return Number(mapped);
+  }
+  return BITRIX_CONFIG.SHIPPING_PRODUCT_ID > 0 ? BITRIX_CONFIG.SHIPPING_PRODUCT_ID : 3000;
+}
+
+/**
+ * Build product rows for shipping - one row per shipping line
+ * @param {Object} order - Shopify order
+ * @returns {Array<Object>} Shipping rows
+ */
+export function buildShippingRows(order) {
+  const taxIncluded = order.taxes_included ? 'Y' : 'N';
+  const shippingLines = Array.isArray(order.shipping_lines) ? order.shipping_lines : [];
+  const rows = [];
+
+  for (const shippingLine of shippingLines) {
+    // CRITICAL VALIDATION: shipping_lines should NOT contain product information
+    // If shipping_line has product-like fields (sku, variant_id, product_id), it's likely a data error
+    if (shippingLine.sku || shippingLine.variant_id || shippingLine.product_id || shippingLine.line_item_id) {
+      console.error(`[ORDER MAPPER] ERROR: shipping_line contains product data! This should NEVER happen. Skipping shipping line to avoid confusion.`, shippingLine);
+      continue;
+    }
+
+    const price = Number(
+      shippingLine.price ||
+      shippingLine.price_set?.shop_money?.amount ||
+      shippingLine.amount ||
+      0
+    );
+    const name = String(shippingLine.title || shippingLine.code || 'Shipping').trim() || 'Shipping';
+    if (price <= 0) {
+      continue;
+    }
+
+    const discount = Math.min(getDiscountAllocationsTotal(shippingLine.discount_allocations), price);
+    rows.push({
+      PRODUCT_ID: getShippingProductId(shippingLine),
+      PRODUCT_NAME: name,
+      PRICE: Math.round((price - discount) * 100) / 100,
+      PRICE_BRUTTO: price,
+      QUANTITY: 1,
+      DISCOUNT_TYPE_ID: 1,
+      DISCOUNT_SUM: discount,
+      TAX_INCLUDED: taxIncluded,
+      TAX_RATE: getTaxRate(shippingLine.tax_lines || null, order),
+    });
+  }
+
+  if (shippingLines.length === 0) {
+    // Fallback: order-level shipping fields (less reliable)
+    const price = Number(
+      order.current_total_shipping_price_set?.shop_money?.amount ||
+      order.total_shipping_price_set?.shop_money?.amount ||
+      order.shipping_price ||
+      0
+    );
+    if (price > 0) {
+      rows.push({
+        PRODUCT_ID: BITRIX_CONFIG.SHIPPING_PRODUCT_ID > 0 ? BITRIX_CONFIG.SHIPPING_PRODUCT_ID : 3000,
+        PRODUCT_NAME: 'Shipping',
+        PRICE: price,
+        PRICE_BRUTTO: price,
+        QUANTITY: 1,
+        DISCOUNT_TYPE_ID: 1,
+        DISCOUNT_SUM: 0,
+        TAX_INCLUDED: taxIncluded,
+        TAX_RATE: getTaxRate(null, order),
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Build single-amount row (tip, duties) - no tax, no discount
+ * @param {Object} settings - ORDER_EXTRAS entry { PRODUCT_ID, NAME }
+ * @param {number} amount - Amount
+ * @param {Object} order - Shopify order
+ * @returns {Object} Product row
+ */
+function buildAmountRow(settings, amount, order) {
+  const row = {
+    PRODUCT_NAME: settings.NAME,
+    PRICE: amount,
+    PRICE_BRUTTO: amount,
+    QUANTITY: 1,
+    DISCOUNT_TYPE_ID: 1,
+    DISCOUNT_SUM: 0,
+    TAX_INCLUDED: order.taxes_included ? 'Y' : 'N',
+    TAX_RATE: 0,
+  };
+  if (settings.PRODUCT_ID) {
+    row.PRODUCT_ID = settings.PRODUCT_ID;
+  }
+  return row;
+}
+
+// Product row granularity modes (BITRIX_CONFIG.PRODUCT_ROWS.GRANULARITY)
+export const ROW_GRANULARITY = ['per_unit', 'per_line_item', 'by_product'];
+
+/**
+ * Get product row granularity (PRODUCT_ROWS_GRANULARITY env overrides config)
+ * @returns {string} 'per_unit' | 'per_line_item' | 'by_product'
+ */
+export function getRowGranularity() {
+  const value = (process.env.PRODUCT_ROWS_GRANULARITY || BITRIX_CONFIG.PRODUCT_ROWS.GRANULARITY || 'per_unit').toLowerCase();
+  return ROW_GRANULARITY.includes(value) ? value : 'per_unit';
+}
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Split amount into parts (in cents) so that parts add up exactly to the amount
+ * @param {number} amount - Amount to split
+ * @param {number} parts - Number of parts
+ * @returns {Array<number>} Amounts, remainder cents go to the first parts
+ */
+function splitAmount(amount, parts) {
+  const totalCents = toCents(amount);
+  const base = Math.floor(totalCents / parts);
+  const remainder = totalCents - base * parts;
+  return Array.from({ length: parts }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+}
+
+/**
+ * Build Bitrix product row from unit gross price and per-unit discount (both in whole cents)
+ * @param {Object} entry - Line entry { productId, name, taxRate, taxIncluded }
+ * @param {number} quantity - Row quantity
+ * @param {number} priceBrutto - Unit price before discount
+ * @param {number} unitDiscount - Discount per unit (Bitrix DISCOUNT_SUM is per unit)
+ * @returns {Object} Product row
+ */
+function buildProductRow(entry, quantity, priceBrutto, unitDiscount) {
+  const row = {
+    PRICE: Math.round((priceBrutto - unitDiscount) * 100) / 100,
+    PRICE_BRUTTO: priceBrutto,
+    QUANTITY: quantity,
+    DISCOUNT_TYPE_ID: 1,
+    DISCOUNT_SUM: unitDiscount,
+    DISCOUNT_RATE: priceBrutto > 0 ? (unitDiscount / priceBrutto) * 100 : 0,
+    TAX_INCLUDED: entry.taxIncluded,
+    TAX_RATE: entry.taxRate,
+    PRODUCT_NAME: entry.name,
+  };
+  if (entry.productId) {
+    row.PRODUCT_ID = entry.productId;
+  }
+  return row;
+}
+
+/**
+ * Build rows for units of one line item / product group
+ * Gross and discount are split per unit in cents (Bitrix keeps prices with 2 decimals), so row totals add up exactly;
+ * with merge, units with the same price/discount become one row (usually one row, two when cents don't divide evenly)
+ * @param {Object} entry - Line entry
+ * @param {number} quantity - Units
+ * @param {number} gross - Total price before discount
+ * @param {number} discount - Total discount
+ * @param {boolean} merge - Merge equal units into one row
+ * @returns {Array<Object>} Product rows
+ */
+function buildUnitRows(entry, quantity, gross, discount, merge) {
+  const unitGross = splitAmount(gross, quantity);
+  const unitDiscounts = splitAmount(discount, quantity);
+  const rows = [];
+  for (let i = 0; i < quantity; i++) {
+    const last = rows[rows.length - 1];
+    if (merge && last && last.PRICE_BRUTTO === unitGross[i] && last.DISCOUNT_SUM === unitDiscounts[i]) {
+      last.QUANTITY += 1;
+      continue;
+    }
+    rows.push(buildProductRow(entry, 1, unitGross[i], unitDiscounts[i]));
+  }
+  return rows;
+}
+
+/**
+ * Build product rows from line entries according to granularity
+ * Row totals (PRICE × QUANTITY) always add up to the line totals after discount; tax is derived by Bitrix from TAX_RATE,
+ * so rows with different tax rates are never merged
+ * @param {Array<Object>} entries - Line entries { productId, name, title, size, quantity, priceBrutto, discount, taxRate, taxIncluded }
+ * @param {string} granularity - 'per_unit' | 'per_line_item' | 'by_product'
+ * @returns {Array<Object>} Product rows
+ */
+export function buildLineItemRows(entries, granularity = 'per_unit') {
+  if (granularity !== 'by_product') {
+    const merge = granularity === 'per_line_item';
+    return entries.flatMap(entry =>
+      buildUnitRows(entry, entry.quantity, entry.priceBrutto * entry.quantity, entry.discount, merge)
+    );
+  }
+
+  // by_product: one row per PRODUCT_ID + tax; unmapped items (no PRODUCT_ID) stay one row per line item
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry.productId ? `${entry.productId}|${entry.taxRate}|${entry.taxIncluded}` : `line:${groups.size}`;
+    if (!groups.has(key)) {
+      groups.set(key, { entry, items: [] });
+    }
+    groups.get(key).items.push(entry);
+  }
+
+  const rows = [];
+  for (const { entry, items } of groups.values()) {
+    const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    const gross = items.reduce((sum, item) => sum + item.priceBrutto * item.quantity, 0);
+    const discount = items.reduce((sum, item) => sum + item.discount, 0);
+
+    // Several variants (sizes) of one product: title + sizes instead of the first variant name
+    const names = [...new Set(items.map(item => item.name))];
+    const sizes = items.filter(item => item.size).map(item => (item.quantity > 1 ? `${item.size} ×${item.quantity}` : item.size));
+    const name = names.length === 1 ? names[0] : [entry.title, sizes.length > 0 ? `Size: ${sizes.join(', ')}` : null].filter(Boolean).join(' | ');
+
+    rows.push(...buildUnitRows({ ...entry, name }, quantity, gross, discount, true));
+  }
+  return rows;
+}
+
 /**
  * Map Shopify order to Bitrix24 deal fields and product rows
  * @param {Object} order - Shopify order object
- * @returns {Object} { dealFields, productRows }
+ * @param {Object} options - { productLinks, bitrix, rowGranularity, fieldMapping, preOrder, lineItemIds, extras }
+ *   productLinks: { [sku]: productId } - links created by product catalog sync
+ *   bitrix: per-shop Bitrix settings { CATEGORY_STOCK, CATEGORY_PREORDER, STAGES, SOURCES, RESPONSIBLE_MAPPING }
+ *   (see src/lib/shopify/shops.js), defaults to BITRIX_CONFIG
+ *   rowGranularity: 'per_unit' | 'per_line_item' | 'by_product' (defaults to getRowGranularity())
+ *   fieldMapping: UF field mapping (see fieldMapping.js), defaults to bundled fieldMapping.json
+ *   preOrder: pre-order category decided by src/lib/sync/mixedOrders.js (undefined = pre-order order tags)
+ *   lineItemIds: line items of a split mixed order deal (null = all); OPPORTUNITY is then the order total minus
+ *   the other items (extras: true, main deal) or the total of these items (extras: false, pre-order part)
+ *   extras: false - no shipping / gift card / tip / duties rows (pre-order part of a split order)
+ * @returns {Object} { dealFields, productRows, reconciliation }
  */
-export function mapShopifyOrderToBitrixDeal(order) {
+export function mapShopifyOrderToBitrixDeal(order, options = {}) {
+  const productLinks = options.productLinks || {};
+  const bitrix = options.bitrix || {};
+  const fieldMapping = options.fieldMapping || DEFAULT_FIELD_MAPPING;
+
   // Aggregates - Log price calculation for refund detection
   console.log(`[ORDER MAPPER] ===== PRICE CALCULATION =====`);
   console.log(`[ORDER MAPPER] order.current_total_price: ${order.current_total_price}`);
@@ -120,18 +561,22 @@ export function mapShopifyOrderToBitrixDeal(order) {
     0
   );
 
-  // Determine category based on order tags (pre-order tags → cat_8, otherwise cat_2)
+  // Determine category: pre-order detection result (options.preOrder) or order tags (pre-order tags → cat_8, otherwise cat_2)
   const orderTags = Array.isArray(order.tags) 
     ? order.tags 
     : (order.tags ? String(order.tags).split(',').map(t => t.trim()) : []);
   
   const preorderTags = ['pre-order', 'preorder-product-added'];
-  const hasPreorderTag = orderTags.some(tag => 
-    preorderTags.some(preorderTag => tag.toLowerCase() === preorderTag.toLowerCase())
-  );
+  const hasPreorderTag = options.preOrder !== undefined
+    ? !!options.preOrder
+    : orderTags.some(tag => 
+      preorderTags.some(preorderTag => tag.toLowerCase() === preorderTag.toLowerCase())
+    );
   
-  const categoryId = hasPreorderTag ? BITRIX_CONFIG.CATEGORY_PREORDER : BITRIX_CONFIG.CATEGORY_STOCK;
-  console.log(`[ORDER MAPPER] Category determined: ${categoryId} (${hasPreorderTag ? 'Pre-order' : 'Stock'}) based on tags:`, orderTags);
+  const categoryId = hasPreorderTag
+    ? (bitrix.CATEGORY_PREORDER ?? BITRIX_CONFIG.CATEGORY_PREORDER)
+    : (bitrix.CATEGORY_STOCK ?? BITRIX_CONFIG.CATEGORY_STOCK);
+  console.log(`[ORDER MAPPER] Category determined: ${categoryId} (${hasPreorderTag ? 'Pre-order' : 'Stock'}) based on ${options.preOrder !== undefined ? 'pre-order detection' : 'tags'}:`, orderTags);
 
   // Customer name
   const customerName = order.customer
@@ -139,225 +584,67 @@ export function mapShopifyOrderToBitrixDeal(order) {
     : null;
 
   // Map financial status to stage ID (based on category)
-  const stageId = financialStatusToStageId(order.financial_status, categoryId);
+  const stageId = financialStatusToStageId(order.financial_status, categoryId, null, bitrix.STAGES || null);
   console.log(`[ORDER MAPPER] Financial status "${order.financial_status}" → Stage "${stageId}" for category ${categoryId}`);
   
-  // Map financial status to payment status field
-  const paymentStatusEnumId = financialStatusToPaymentStatus(order.financial_status);
-  console.log(`[ORDER MAPPER] Financial status "${order.financial_status}" → Payment status enum ID "${paymentStatusEnumId}"`);
-  
   // Map source name to source ID
-  const sourceId = sourceNameToSourceId(order.source_name);
+  const sources = bitrix.SOURCES || BITRIX_CONFIG.SOURCES;
+  const sourceId = sourceNameToSourceId(order.source_name, sources);
   // SOURCE_DESCRIPTION: use actual source_name if available, otherwise default to 'shopify_draft_order'
   const sourceName = order.source_name || 'shopify_draft_order';
 
-  // Determine order type based on source and pre-order status
-  // Bitrix field: UF_CRM_1739183268662 (enumeration)
-  // Values: "44" = "online (stock)", "46" = "ofline (stock)", "48" = "online (pre-order)", "50" = "ofline (pre-order)"
-  let orderTypeId = null;
-  if (order.source_name === 'pos') {
-    orderTypeId = hasPreorderTag ? '50' : '46'; // ofline (pre-order) or ofline (stock)
-  } else {
-    orderTypeId = hasPreorderTag ? '48' : '44'; // online (pre-order) or online (stock)
-  }
-  console.log(`[ORDER MAPPER] Order type determined: ID "${orderTypeId}" (source: ${order.source_name}, preorder: ${hasPreorderTag})`);
-
-  // Determine delivery method from shipping_lines
-  // Bitrix field: UF_CRM_1739183302609 (enumeration)
-  // Values: "52" = "Pick up in shop", "54" = "Delivery by courier"
-  let deliveryMethodId = null;
-  if (order.shipping_lines && Array.isArray(order.shipping_lines) && order.shipping_lines.length > 0) {
-    const shippingLine = order.shipping_lines[0];
-    // Check if it's pickup (shop pickup, store pickup, etc.)
-    const shippingTitle = (shippingLine.title || shippingLine.code || '').toLowerCase();
-    const shippingCode = (shippingLine.code || '').toLowerCase();
-    
-    if (shippingTitle.includes('pick') || shippingTitle.includes('shop') || 
-        shippingCode.includes('pick') || shippingCode.includes('shop') ||
-        shippingTitle.includes('самовывоз') || shippingTitle.includes('магазин')) {
-      deliveryMethodId = '52'; // Pick up in shop
-    } else {
-      deliveryMethodId = '54'; // Delivery by courier
-    }
-  } else {
-    // Also check fulfillment status for pickup
-    if (order.fulfillment_status) {
-      const fulfillmentStatus = String(order.fulfillment_status).toLowerCase();
-      if (fulfillmentStatus.includes('pick') || fulfillmentStatus.includes('shop')) {
-        deliveryMethodId = '52'; // Pick up in shop
-      } else {
-        deliveryMethodId = '54'; // Delivery by courier
-      }
-    } else if (shippingPrice > 0) {
-      // Default to courier delivery if shipping price > 0
-      deliveryMethodId = '54'; // Delivery by courier
-    }
-  }
-  
-  console.log(`[ORDER MAPPER] Delivery method determined: ID "${deliveryMethodId}"`);
-
-  // ✅ Calculate paid amount (total - refunds)
-  // current_total_price reflects refunds, total_price is original
-  const paidAmount = Number(order.current_total_price || order.total_price || 0);
+  // ✅ Calculate paid amount (received - refunded)
+  const paidAmount = calculatePaidAmount(order);
+  console.log(`[ORDER MAPPER] Paid amount: ${paidAmount} (financial_status: ${order.financial_status}, refunds: ${(order.refunds || []).length})`);
+
+  // Values computed here are available to fieldMapping.json as `context.*`
+  // Split mixed order: only the line items of this deal (src/lib/sync/mixedOrders.js)
+  const lineItemIds = Array.isArray(options.lineItemIds) ? options.lineItemIds.map(String) : null;
+  const isDealItem = (item) => !lineItemIds || lineItemIds.includes(String(item.id));
+  const withExtras = options.extras !== false;
+  const merchandiseItems = Array.isArray(order.line_items) ? order.line_items.filter(item => !isGiftCardItem(item) && isDealItem(item)) : [];
+  const context = {
+    totalPrice,
+    paidAmount,
+    shippingPrice,
+    shippingCharged: shippingPrice > 0 ? 'shipping' : null,
+    stockType: hasPreorderTag ? 'preorder' : 'stock',
+    // Merchandise items (gift cards excluded) for size/color/model/brand fields
+    items: merchandiseItems.map(item => ({
+      size: getItemSize(item),
+      color: parseColorFromTitle(item.title, item.properties || []),
+      model: parseModelFromTitle(item.title),
+      vendor: item.vendor || null,
+    })),
+  };
 
-  // Deal fields - using REAL Bitrix UF_CRM_* fields only
+  // Deal fields - UF_CRM_* fields from the declarative mapping (fieldMapping.json), standard fields and the order key here
+  // (after the mapping, so a mapping never replaces them)
   const dealFields = {
+    ...applyFieldMapping(fieldMapping, { order, context }),
     TITLE: order.name || `Order #${order.id}`,
     OPPORTUNITY: totalPrice, // Final amount as in Shopify
     CURRENCY_ID: order.currency || 'EUR',
     COMMENTS: `Shopify order ${order.name || order.id}`,
-    CATEGORY_ID: categoryId, // 2 = Stock (site), 8 = Pre-order (site) - REQUIRED for create, immutable after
+    CATEGORY_ID: categoryId, // 2 = Stock (site), 8 = Pre-order (site) - REQUIRED for create, changed later only by a category change (shopify.js)
     STAGE_ID: stageId,
-    SOURCE_ID: sourceId || 'WEB', // Default to 'WEB' if not mapped
+    SOURCE_ID: sourceId || sources.SHOPIFY || 'WEB', // Default to shop source ('WEB') if not mapped
     SOURCE_DESCRIPTION: sourceName || 'shopify_draft_order',
-
-    // ✅ Key to Shopify order - REAL Bitrix field
-    // UF_CRM_1742556489 (Shopify number) - store stable order.id (numeric Shopify order ID)
-    // NEVER use eventId here - eventId is webhook-specific and changes per webhook call
-    UF_CRM_1742556489: String(order.id),
-
-    // Order total - REAL Bitrix field
-    // UF_CRM_1741634415367 (Order total)
-    UF_CRM_1741634415367: Number(totalPrice),
-
-    // Paid amount - REAL Bitrix field
-    // UF_CRM_1741634439258 (Paid amount) - фактически оплачено (total - refunds)
-    UF_CRM_1741634439258: paidAmount,
-
-    // Delivery price - REAL Bitrix field (optional)
-    // UF_CRM_67BEF8B2AA721 (Delivery price)
-    ...(shippingPrice > 0 ? { UF_CRM_67BEF8B2AA721: shippingPrice } : {}),
-
-    // Payment status (enumeration) - REAL Bitrix field
-    // UF_CRM_1739183959976 (Payment status)
-    // Values: "56" = "Paid", "58" = "Unpaid", "60" = "10% prepayment"
-    UF_CRM_1739183959976: paymentStatusEnumId,
-
-    // Order type (enumeration) - UF_CRM_1739183268662
-    // Values: "44" = "online (stock)", "46" = "ofline (stock)", "48" = "online (pre-order)", "50" = "ofline (pre-order)"
-    UF_CRM_1739183268662: orderTypeId,
-
-    // Delivery method (enumeration) - UF_CRM_1739183302609
-    // Values: "52" = "Pick up in shop", "54" = "Delivery by courier"
-    // Only set if determined, otherwise leave empty (Bitrix will show empty)
-    ...(deliveryMethodId ? { UF_CRM_1739183302609: deliveryMethodId } : {}),
+    UF_CRM_1742556489: String(order.id), // Order key - stable order.id (never eventId)
   };
   
   // Log all fields being sent for debugging
-  console.log(`[ORDER MAPPER] Deal fields prepared:`, {
-    ORDER_TYPE_ID: orderTypeId,
-    DELIVERY_METHOD_ID: deliveryMethodId,
-    PAYMENT_STATUS_ID: paymentStatusEnumId,
+  console.log(`[ORDER MAPPER] Deal fields prepared (field mapping v${fieldMapping.version}):`, {
     CATEGORY_ID: categoryId,
     STAGE_ID: stageId
   });
 
   // Resolve responsible: assign explicitly on create per mapping (Bitrix can reassign later)
-  const assigneeId = resolveResponsibleId(order);
+  const assigneeId = resolveResponsibleId(order, bitrix.RESPONSIBLE_MAPPING || null);
   if (assigneeId) {
     dealFields.ASSIGNED_BY_ID = assigneeId;
   }
 
-  // Extract product properties from ALL line_items for UF-fields
-  // Aggregate Size and Color across all positions to preserve ordering
-  if (order.line_items && Array.isArray(order.line_items) && order.line_items.length > 0) {
-    const lineItems = order.line_items;
-    const itemsCount = lineItems.length;
-
-    console.log(`[ORDER MAPPER] Processing ${itemsCount} line_item(s) for UF-fields`);
-
-    // ===== SIZE AGGREGATION =====
-    if (itemsCount === 1) {
-      const firstItem = lineItems[0];
-      let sizeValue = null;
-      if (firstItem.variant_title) {
-        sizeValue = String(firstItem.variant_title).trim();
-        console.log(`[ORDER MAPPER] Size from variant_title (single): "${sizeValue}"`);
-      } else if (firstItem.name) {
-        const nameParts = firstItem.name.split(' - ');
-        if (nameParts.length > 1) {
-          sizeValue = nameParts[nameParts.length - 1].trim();
-          console.log(`[ORDER MAPPER] Size from name (single): "${sizeValue}"`);
-        }
-      }
-      if (sizeValue) {
-        dealFields.UF_CRM_1739793720585 = sizeValue;
-        console.log(`[ORDER MAPPER] ✅ Size (single) UF_CRM_1739793720585 = "${sizeValue}"`);
-      }
-    } else {
-      const sizeParts = [];
-      for (let i = 0; i < itemsCount; i++) {
-        const item = lineItems[i];
-        const position = i + 1;
-        let sizeValue = null;
-        if (item.variant_title) {
-          sizeValue = String(item.variant_title).trim();
-        } else if (item.name) {
-          const nameParts = item.name.split(' - ');
-          if (nameParts.length > 1) {
-            sizeValue = nameParts[nameParts.length - 1].trim();
-          }
-        }
-        const sizeDisplay = sizeValue || '-';
-        sizeParts.push(`${position}: ${sizeDisplay}`);
-      }
-      if (sizeParts.length > 0) {
-        dealFields.UF_CRM_1739793720585 = sizeParts.join('; ');
-        console.log(`[ORDER MAPPER] ✅ Size (aggregated) UF_CRM_1739793720585 = "${dealFields.UF_CRM_1739793720585}"`);
-      }
-    }
-
-    // ===== COLOR AGGREGATION =====
-    if (itemsCount === 1) {
-      const firstItem = lineItems[0];
-      const color = parseColorFromTitle(firstItem.title, firstItem.properties || []);
-      if (color) {
-        dealFields.UF_CRM_1739793651654 = color;
-        console.log(`[ORDER MAPPER] ✅ Color (single) UF_CRM_1739793651654 = "${color}"`);
-      }
-    } else {
-      const colorParts = [];
-      for (let i = 0; i < itemsCount; i++) {
-        const item = lineItems[i];
-        const position = i + 1;
-        const color = parseColorFromTitle(item.title, item.properties || []);
-        const colorDisplay = color || '-';
-        colorParts.push(`${position}: ${colorDisplay}`);
-      }
-      if (colorParts.length > 0) {
-        dealFields.UF_CRM_1739793651654 = colorParts.join('; ');
-        console.log(`[ORDER MAPPER] ✅ Color (aggregated) UF_CRM_1739793651654 = "${dealFields.UF_CRM_1739793651654}"`);
-      }
-    }
-
-    // ===== MODEL AND BRAND (first item as reference) =====
-    const firstItem = lineItems[0];
-
-    const model = parseModelFromTitle(firstItem.title);
-    if (model) {
-      dealFields.UF_CRM_1739793668182 = model;
-    }
-
-    if (firstItem.vendor) {
-      const vendorUpper = String(firstItem.vendor).toUpperCase().trim();
-      const brandId = brandMapping[vendorUpper];
-      if (brandId) {
-        dealFields.UF_CRM_1741642513658 = brandId; // Enum field - use ID
-      } else {
-        console.warn(`[ORDER MAPPER] Brand "${vendorUpper}" not found in brandMapping.json, skipping UF_CRM_1741642513658`);
-      }
-    }
-
-    console.log(`[ORDER MAPPER] Extracted UF-fields:`, {
-      size: dealFields.UF_CRM_1739793720585 || 'N/A',
-      color: dealFields.UF_CRM_1739793651654 || 'N/A',
-      model: dealFields.UF_CRM_1739793668182 || 'N/A',
-      brand: dealFields.UF_CRM_1741642513658 || 'N/A'
-    });
-  } else {
-    console.warn(`[ORDER MAPPER] ⚠️ No line_items found in order, cannot extract product properties`);
-  }
-  
   // Log all UF-fields that will be sent to Bitrix
   const ufFields = Object.keys(dealFields).filter(key => key.startsWith('UF_'));
   console.log(`[ORDER MAPPER] All UF-fields in dealFields:`, ufFields.map(key => ({
@@ -367,10 +654,11 @@ export function mapShopifyOrderToBitrixDeal(order) {
 
   // Product rows
   const productRows = [];
-  
-  // Shipping variables (defined early for final validation)
-  let actualShippingPrice = 0;
-  let shippingLineTitle = null;
+  const rowGranularity = options.rowGranularity || getRowGranularity();
+  const lineEntries = [];
+  const otherDealEntries = []; // items of the other deal of a split order
+  const giftCardEntries = [];
+  const extras = BITRIX_CONFIG.ORDER_EXTRAS;
 
   if (order.line_items && Array.isArray(order.line_items)) {
     // Get shipping product ID to avoid confusion
@@ -386,6 +674,26 @@ export function mapShopifyOrderToBitrixDeal(order) {
         console.log(`[ORDER MAPPER] ⏭️ Skipping item ${item.id} (SKU: ${item.sku || 'N/A'}) - current_quantity is 0 (refunded/removed)`);
         continue;
       }
+
+      // Gift cards: own PRODUCT_ID and name prefix, kept apart from merchandise rows
+      if (isGiftCardItem(item)) {
+        if (!withExtras) {
+          continue;
+        }
+        const originalQuantity = Math.max(Number(item.quantity || 0), currentQuantity);
+        giftCardEntries.push({
+          productId: extras.GIFT_CARD.PRODUCT_ID || null,
+          name: `${extras.GIFT_CARD.NAME_PREFIX || ''}${item.title || item.name || 'Gift card'}`,
+          title: item.title || 'Gift card',
+          size: null,
+          quantity: currentQuantity,
+          priceBrutto: Number(item.price || item.price_set?.shop_money?.amount || 0),
+          discount: originalQuantity > 0 ? getLineDiscount(item) / originalQuantity * currentQuantity : 0,
+          taxRate: getTaxRate(item.tax_lines, order),
+          taxIncluded: order.taxes_included ? 'Y' : 'N',
+        });
+        continue;
+      }
       
       // CRITICAL: line_items are ALWAYS products, NEVER shipping
       // Even if a product has the same ID as shipping, it's still a product from line_items
@@ -409,8 +717,15 @@ export function mapShopifyOrderToBitrixDeal(order) {
       const normHandle = rawHandle ? rawHandle.toLowerCase().replace('barefoot-', '') : null;
       const productIdFromHandle = normHandle ? (handleMapping[normHandle] || handleMapping[rawHandle]) : null;
 
+      // Links recorded by products/create|update sync (src/lib/bitrix/productCatalog.js)
+      const productIdFromCatalogSync = item.sku ? productLinks[item.sku] : null;
+
       // Use semantic mapping with fallback chain
-      let productId = productIdFromSemantic || productIdFromOldMapping || productIdFromHandle || productIdFromConfig || null;
+      let productId = productIdFromSemantic || productIdFromOldMapping || productIdFromHandle || productIdFromConfig || productIdFromCatalogSync || null;
+      
+      if (productIdFromCatalogSync && productId === productIdFromCatalogSync) {
+        console.log(`[ORDER MAPPER] ✅ Catalog sync link used for SKU: ${item.sku} -> Product ID: ${productIdFromCatalogSync}`);
+      }
       
       // Log if semantic mapping was used
       if (productIdFromSemantic) {
@@ -483,150 +798,108 @@ export function mapShopifyOrderToBitrixDeal(order) {
 
       // Prices and discounts
       const priceBrutto = Number(item.price || item.price_set?.shop_money?.amount || 0);
-      const discountAmount = Number(
-        item.discount_allocations?.[0]?.amount ||
-        item.discount_allocations?.[0]?.amount_set?.shop_money?.amount ||
-        item.total_discount ||
-        0
-      );
-      const priceAfterDiscount = priceBrutto - discountAmount;
-      const discountRate = priceBrutto > 0 ? (discountAmount / priceBrutto) * 100 : 0;
-
-      // Tax
-      let taxRate = 19.0;
-      if (item.tax_lines && item.tax_lines.length > 0) {
-        taxRate = Number(item.tax_lines[0].rate || 0) * 100;
-      } else if (order.tax_lines && order.tax_lines.length > 0) {
-        taxRate = Number(order.tax_lines[0].rate || 0) * 100;
-      }
+      // Discount allocations (automatic discount + code etc.) are for the whole line (original quantity)
+      const lineDiscount = getLineDiscount(item);
+      const originalQuantity = Math.max(Number(item.quantity || 0), currentQuantity);
+      const unitDiscount = originalQuantity > 0 ? lineDiscount / originalQuantity : 0;
 
-      // ✅ ИСПРАВЛЕНИЕ: Используем currentQuantity (актуальное количество после refund)
-      const quantity = currentQuantity;
+      // Tax - combined rate of all tax lines (several jurisdictions)
+      const taxRate = getTaxRate(item.tax_lines, order);
 
-      // Add one row per quantity
-      // IMPORTANT: Always include PRODUCT_NAME even when PRODUCT_ID is set
+      // ✅ ИСПРАВЛЕНИЕ: Используем currentQuantity (актуальное количество после refund)
+      // Rows are built after the loop according to row granularity (per unit / per line item / by product)
+      // IMPORTANT: PRODUCT_NAME is always set, even when PRODUCT_ID is set
       // This ensures size and properties are visible in Bitrix24 product card
-      for (let i = 0; i < quantity; i++) {
-        const row = {
-          PRICE: priceAfterDiscount,
-          PRICE_BRUTTO: priceBrutto,
-          QUANTITY: 1,
-          DISCOUNT_TYPE_ID: 1,
-          DISCOUNT_SUM: discountAmount,
-          DISCOUNT_RATE: discountRate,
-          TAX_INCLUDED: order.taxes_included ? 'Y' : 'N',
-          TAX_RATE: taxRate,
-        };
-        
-        // Always set PRODUCT_NAME with size and properties for visibility in Bitrix24
-        row.PRODUCT_NAME = productName || item.title || item.sku || 'Shopify item';
-        
-        // Set PRODUCT_ID if mapped (for linking to catalog)
-        if (productId && productId !== 0) {
-          row.PRODUCT_ID = productId;
-        } else {
-          console.warn(`[ORDER MAPPER] SKU ${item.sku || 'N/A'} not mapped, sending as custom row with name: ${productName}`);
-        }
-        
-        productRows.push(row);
+      if (!productId || productId === 0) {
+        console.warn(`[ORDER MAPPER] SKU ${item.sku || 'N/A'} not mapped, sending as custom row with name: ${productName}`);
       }
+      (isDealItem(item) ? lineEntries : otherDealEntries).push({
+        productId: productId && productId !== 0 ? productId : null,
+        name: productName || item.title || item.sku || 'Shopify item',
+        title: item.title || item.sku || 'Shopify item',
+        size,
+        quantity: currentQuantity,
+        priceBrutto,
+        discount: unitDiscount * currentQuantity, // Discount of remaining (not refunded) units
+        taxRate,
+        taxIncluded: order.taxes_included ? 'Y' : 'N',
+      });
     }
   }
 
-  // Shipping as separate row - ONLY from shipping_lines, NEVER from line_items
-  // Extract shipping price STRICTLY from shipping_lines to avoid confusion with regular products
-  if (order.shipping_lines && Array.isArray(order.shipping_lines) && order.shipping_lines.length > 0) {
-    // Get shipping from the first shipping_line (most reliable source)
-    const shippingLine = order.shipping_lines[0];
-    
-    // CRITICAL VALIDATION: shipping_lines should NOT contain product information
-    // If shipping_line has product-like fields (sku, variant_id, product_id), it's likely a data error
-    if (shippingLine.sku || shippingLine.variant_id || shippingLine.product_id || shippingLine.line_item_id) {
-      console.error(`[ORDER MAPPER] ERROR: shipping_line contains product data! This should NEVER happen. Skipping shipping to avoid confusion.`, shippingLine);
-      // Don't process this as shipping - it's likely a product incorrectly placed in shipping_lines
-      actualShippingPrice = 0;
-      shippingLineTitle = null;
-    } else {
-      actualShippingPrice = Number(
-        shippingLine.price ||
-        shippingLine.price_set?.shop_money?.amount ||
-        shippingLine.amount ||
-        0
-      );
-      shippingLineTitle = shippingLine.title || shippingLine.code || 'Shipping';
-    }
-  } else {
-    // Fallback: try to get from order-level shipping fields (less reliable)
-    actualShippingPrice = Number(
-      order.current_total_shipping_price_set?.shop_money?.amount ||
-      order.total_shipping_price_set?.shop_money?.amount ||
-      order.shipping_price ||
-      0
-    );
-    shippingLineTitle = 'Shipping';
-  }
-  
-  // Only add shipping row if we have actual shipping_lines OR explicit shipping price > 0
-  // AND shipping price matches what we calculated (to avoid confusion with products)
-  // AND shippingLineTitle is valid (not null, which would indicate invalid shipping data)
-  const hasShippingLines = order.shipping_lines && Array.isArray(order.shipping_lines) && order.shipping_lines.length > 0;
-  const hasExplicitShippingPrice = actualShippingPrice > 0 && Math.abs(actualShippingPrice - shippingPrice) < 0.01;
-  const hasValidShippingTitle = shippingLineTitle && shippingLineTitle.trim().length > 0;
-  
-  if (actualShippingPrice > 0 && hasValidShippingTitle && (hasShippingLines || hasExplicitShippingPrice)) {
-    // Use PRODUCT_ID for shipping (matching working script)
-    const shippingProductId = BITRIX_CONFIG.SHIPPING_PRODUCT_ID > 0 
-      ? BITRIX_CONFIG.SHIPPING_PRODUCT_ID 
-      : 3000; // Default shipping product ID from working script
-    
-    const shippingName = shippingLineTitle || 'Shipping';
-    
-    productRows.push({
-      PRODUCT_ID: shippingProductId, // Use shipping product ID (3000 from working script)
-      PRODUCT_NAME: shippingName, // Explicit name for visibility
-      PRICE: actualShippingPrice,
-      QUANTITY: 1,
-      DISCOUNT_TYPE_ID: 1,
-      DISCOUNT_SUM: 0.0,
-      TAX_INCLUDED: order.taxes_included ? 'Y' : 'N',
-      TAX_RATE: 19.0, // Default tax rate for shipping
-    });
-    
-    console.log(`[ORDER MAPPER] Added shipping row (PRODUCT_ID: ${shippingProductId}): ${shippingName}, Price: ${actualShippingPrice}`);
-  } else if (shippingPrice > 0 && !hasShippingLines) {
-    // Log warning if we have shipping price but no shipping_lines (potential data issue)
-    console.warn(`[ORDER MAPPER] Shipping price detected (${shippingPrice}) but no shipping_lines found. Skipping shipping row to avoid confusion.`);
+  const merchandiseRows = buildLineItemRows(lineEntries, rowGranularity);
+  productRows.push(...merchandiseRows);
+  console.log(`[ORDER MAPPER] Product rows granularity: ${rowGranularity} (${lineEntries.length} line item(s) → ${merchandiseRows.length} row(s))`);
+
+  // Split order: main deal keeps the order total minus the other items, pre-order part gets its items total
+  if (lineItemIds) {
+    dealFields.OPPORTUNITY = withExtras
+      ? Math.round((totalPrice - getProductRowsTotal(buildLineItemRows(otherDealEntries, rowGranularity))) * 100) / 100
+      : getProductRowsTotal(merchandiseRows);
+    console.log(`[ORDER MAPPER] Split order deal: ${lineEntries.length} of ${lineEntries.length + otherDealEntries.length} line item(s), OPPORTUNITY ${dealFields.OPPORTUNITY}`);
   }
 
+  // Order components besides merchandise (BITRIX_CONFIG.ORDER_EXTRAS): rows are always built,
+  // components with ROW: false go to excludedRows so reconciliation still adds up
+  const excludedRows = [];
+  const addExtraRows = (settings, rows, label) => {
+    if (rows.length === 0) {
+      return;
+    }
+    const amount = getProductRowsTotal(rows);
+    if (settings.FIELD) {
+      dealFields[settings.FIELD] = amount;
+    }
+    (settings.ROW ? productRows : excludedRows).push(...rows);
+    console.log(`[ORDER MAPPER] ${label}: ${rows.length} row(s), amount ${amount}${settings.ROW ? '' : ' (no row)'}${settings.FIELD ? `, ${settings.FIELD}` : ''}`);
+  };
+
+  // Shipping - ONLY from shipping_lines (one row per line), NEVER from line_items
+  const shippingRows = withExtras ? buildShippingRows(order) : [];
+  addExtraRows(extras.SHIPPING, shippingRows, 'Shipping');
+
+  const giftCardRows = buildLineItemRows(giftCardEntries, rowGranularity);
+  addExtraRows(extras.GIFT_CARD, giftCardRows, 'Gift cards');
+
+  const tipAmount = withExtras ? getTipAmount(order) : 0;
+  addExtraRows(extras.TIP, tipAmount > 0 ? [buildAmountRow(extras.TIP, tipAmount, order)] : [], 'Tip');
+
+  const dutiesAmount = withExtras ? getDutiesAmount(order) : 0;
+  addExtraRows(extras.DUTIES, dutiesAmount > 0 ? [buildAmountRow(extras.DUTIES, dutiesAmount, order)] : [], 'Duties');
+
   // Final validation: count products vs shipping
   const productRowsCount = productRows.length;
-  const shippingRowsCount = productRows.filter(r => 
-    r.PRODUCT_NAME && r.PRODUCT_NAME.toLowerCase().includes('shipping')
-  ).length;
-  const regularProductRowsCount = productRowsCount - shippingRowsCount;
+  const shippingRowsCount = extras.SHIPPING.ROW ? shippingRows.length : 0;
+  // Units, not rows: per_line_item / by_product modes put several units in one row
+  const regularProductUnits = merchandiseRows.reduce((sum, r) => sum + Number(r.QUANTITY || 0), 0);
   
   // Count expected items from Shopify
-  const expectedLineItemsCount = order.line_items 
-    ? order.line_items.reduce((sum, item) => sum + (Number(item.quantity) || 1), 0)
+  const expectedLineItemsCount = merchandiseItems.reduce((sum, item) => sum + (Number(item.quantity) || 1), 0);
+  const expectedShippingCount = extras.SHIPPING.ROW && withExtras
+    ? (order.shipping_lines || []).filter(line => Number(line.price || line.price_set?.shop_money?.amount || 0) > 0).length
     : 0;
-  const expectedShippingCount = (order.shipping_lines && order.shipping_lines.length > 0 && actualShippingPrice > 0) ? 1 : 0;
-  const expectedTotalRows = expectedLineItemsCount + expectedShippingCount;
   
   // Log summary for debugging
   console.log(`[ORDER MAPPER] Order ${order.name || order.id} mapping summary:`);
-  console.log(`  - Line items in Shopify: ${order.line_items?.length || 0} (total quantity: ${expectedLineItemsCount})`);
+  console.log(`  - Line items in Shopify: ${order.line_items?.length || 0} (merchandise quantity: ${expectedLineItemsCount}, gift cards: ${giftCardEntries.length})`);
   console.log(`  - Shipping lines in Shopify: ${order.shipping_lines?.length || 0}`);
-  console.log(`  - Product rows created: ${regularProductRowsCount}`);
+  console.log(`  - Product rows created: ${merchandiseRows.length} (units: ${regularProductUnits}, granularity: ${rowGranularity})`);
   console.log(`  - Shipping rows created: ${shippingRowsCount}`);
-  console.log(`  - Total rows: ${productRowsCount} (expected: ${expectedTotalRows})`);
+  console.log(`  - Total rows: ${productRowsCount}`);
   
-  if (regularProductRowsCount !== expectedLineItemsCount) {
-    console.warn(`[ORDER MAPPER] WARNING: Product rows count mismatch! Expected ${expectedLineItemsCount} from line_items, got ${regularProductRowsCount}`);
+  if (regularProductUnits !== expectedLineItemsCount) {
+    console.warn(`[ORDER MAPPER] WARNING: Product units count mismatch! Expected ${expectedLineItemsCount} from line_items, got ${regularProductUnits}`);
   }
   
-  if (shippingRowsCount !== expectedShippingCount) {
+  if (order.shipping_lines?.length > 0 && shippingRowsCount !== expectedShippingCount) {
     console.warn(`[ORDER MAPPER] WARNING: Shipping rows count mismatch! Expected ${expectedShippingCount}, got ${shippingRowsCount}`);
   }
 
-  return { dealFields, productRows };
+  // Reconciliation: rows must add up to OPPORTUNITY (logged by the webhook handler when they don't)
+  const reconciliation = reconcileProductRows(productRows, dealFields.OPPORTUNITY, excludedRows);
+  if (!reconciliation.matched) {
+    console.warn(`[ORDER MAPPER] WARNING: Product rows total ${reconciliation.rowsTotal} != OPPORTUNITY ${reconciliation.opportunity} (difference ${reconciliation.difference})`);
+  }
+
+  return { dealFields, productRows, reconciliation };
 }
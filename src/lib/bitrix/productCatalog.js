@@ -0,0 +1,235 @@
+/**
+ * Bitrix24 Product Catalog Sync
+ * products/create and products/update → crm.product.add / crm.product.update
+ *
+ * One Bitrix product per Shopify product (variants = sizes share the product, same as the static mappings).
+ * Shops may share SKUs and product IDs are unique only within a shop, so both keys carry the shop domain:
+ * Bitrix product is matched by XML_ID "shopify-product-{domain}-{id}"; SKU → PRODUCT_ID links are stored in
+ * collection 'product-links' under "{domain}:{sku}" and used by orderMapper when a SKU is missing in the static mappings.
+ * Records of the single-store setup (XML_ID "shopify-product-{id}", key "{sku}") are still read for the default shop.
+ *
+ * Products already present in static mappings (skuMappingSemantic.json, skuMapping.json, handleMapping.json)
+ * are not modified: their unmapped variants are linked to the same PRODUCT_ID.
+ */
+
+import { callBitrix } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
+import { getStaticProductId } from './orderMapper.js';
+import { getCollection } from '../store/index.js';
+import { getCurrentShop } from '../shopify/shops.js';
+
+const LINKS_COLLECTION = 'product-links';
+
+/**
+ * Link key of SKU in a shop
+ * @param {string} shopDomain - Shop domain
+ * @param {string} sku - SKU
+ * @returns {string}
+ */
+const linkKey = (shopDomain, sku) => `${shopDomain}:${sku}`;
+
+/**
+ * XML_ID of Bitrix product created for Shopify product
+ * @param {Object} product - Shopify product
+ * @param {string} shopDomain - Shop domain
+ * @returns {string}
+ */
+export const getProductXmlId = (product, shopDomain = getCurrentShop().domain) => `shopify-product-${shopDomain}-${product.id}`;
+
+/**
+ * Check if product sync is enabled (PRODUCT_SYNC_ENABLED=false disables)
+ * @returns {boolean}
+ */
+export function isProductSyncEnabled() {
+  return process.env.PRODUCT_SYNC_ENABLED !== 'false';
+}
+
+/**
+ * Get SKU → PRODUCT_ID links for SKUs of the current shop
+ * @param {Array<string>} skus - SKUs
+ * @param {Object} shop - Shop config (defaults to the shop of the current context)
+ * @returns {Promise<Object>} { [sku]: productId }
+ */
+export async function getProductLinks(skus, shop = getCurrentShop()) {
+  const collection = getCollection(LINKS_COLLECTION);
+  const links = {};
+  for (const sku of [...new Set(skus.filter(Boolean))]) {
+    // Unscoped links were written before multi-shop support - they belong to the default shop
+    const link = await collection.get(linkKey(shop.domain, sku)) || (shop.isDefault ? await collection.get(sku) : null);
+    if (link?.productId) {
+      links[sku] = link.productId;
+    }
+  }
+  return links;
+}
+
+/**
+ * Record SKU → PRODUCT_ID links for product variants
+ * @param {Object} product - Shopify product
+ * @param {number} productId - Bitrix product ID
+ * @param {string} source - 'auto' (created/updated by sync) or 'inferred' (static mapping of sibling variant)
+ * @returns {Promise<Array<string>>} Linked SKUs
+ */
+async function recordProductLinks(product, productId, source) {
+  const collection = getCollection(LINKS_COLLECTION);
+  const { domain } = getCurrentShop();
+  const linked = [];
+  for (const variant of product.variants || []) {
+    if (!variant.sku) {
+      continue;
+    }
+    await collection.set(linkKey(domain, variant.sku), {
+      shopDomain: domain,
+      sku: variant.sku,
+      productId: Number(productId),
+      source,
+      shopifyProductId: String(product.id),
+      shopifyVariantId: variant.id ? String(variant.id) : null,
+      handle: product.handle || null,
+      title: variant.title && variant.title !== 'Default Title' ? `${product.title} (${variant.title})` : product.title,
+      syncedAt: new Date().toISOString(),
+    });
+    linked.push(variant.sku);
+  }
+  return linked;
+}
+
+/**
+ * Build crm.product fields from Shopify product
+ * @param {Object} product - Shopify product
+ * @returns {Object} Bitrix product fields
+ */
+export function buildBitrixProductFields(product) {
+  const settings = BITRIX_CONFIG.PRODUCT_SYNC;
+  const variants = product.variants || [];
+  const prices = variants.map(v => Number(v.price)).filter(price => price > 0);
+  const skus = variants.map(v => v.sku).filter(Boolean);
+
+  const fields = {
+    NAME: product.title || `Shopify product ${product.id}`,
+    PRICE: prices.length > 0 ? Math.min(...prices) : 0,
+    CURRENCY_ID: settings.CURRENCY_ID,
+    ACTIVE: product.status && product.status !== 'active' ? 'N' : 'Y',
+    XML_ID: getProductXmlId(product),
+    DESCRIPTION: [
+      product.vendor ? `Brand: ${product.vendor}` : null,
+      skus.length > 0 ? `SKU: ${skus.join(', ')}` : null,
+      product.handle ? `Shopify handle: ${product.handle}` : null,
+    ].filter(Boolean).join('\n'),
+  };
+
+  if (settings.SECTION_ID) {
+    fields.SECTION_ID = settings.SECTION_ID;
+  }
+  if (settings.SKU_PROPERTY && skus.length > 0) {
+    fields[settings.SKU_PROPERTY] = skus.join(', ');
+  }
+  if (settings.VENDOR_PROPERTY && product.vendor) {
+    fields[settings.VENDOR_PROPERTY] = product.vendor;
+  }
+
+  return fields;
+}
+
+/**
+ * Find Bitrix product created for Shopify product
+ * @param {Object} product - Shopify product
+ * @returns {Promise<number|null>} Bitrix product ID
+ */
+async function findSyncedProductId(product) {
+  // Stored link first (no API call), then XML_ID lookup (links store may have been reset)
+  const links = await getProductLinks((product.variants || []).map(v => v.sku));
+  const linkedId = Object.values(links)[0];
+  if (linkedId) {
+    const existing = await callBitrix('/crm.product.get.json', { id: linkedId }).catch(() => null);
+    if (existing?.result) {
+      return Number(linkedId);
+    }
+  }
+
+  const shop = getCurrentShop();
+  const xmlIds = [getProductXmlId(product, shop.domain), ...(shop.isDefault ? [`shopify-product-${product.id}`] : [])];
+  for (const xmlId of xmlIds) {
+    const listResp = await callBitrix('/crm.product.list.json', {
+      filter: { XML_ID: xmlId },
+      select: ['ID', 'NAME', 'XML_ID'],
+    });
+    const found = listResp.result || [];
+    if (found.length > 0) {
+      return Number(found[0].ID); // Legacy XML_ID is replaced by the scoped one on update
+    }
+  }
+  return null;
+}
+
+/**
+ * Sync Shopify product into Bitrix catalog and record SKU links
+ * @param {Object} product - Shopify product (products/create or products/update payload)
+ * @param {string} correlationId - Correlation ID for logging
+ * @returns {Promise<Object>} { action: 'created'|'updated'|'linked_static'|'skipped', productId, linkedSkus }
+ */
+export async function syncShopifyProduct(product, correlationId) {
+  const variants = product.variants || [];
+
+  // Static mappings are curated by hand - never overwrite those products, only link new sizes/variants
+  const staticProductId = variants
+    .map(v => getStaticProductId({ sku: v.sku, handle: product.handle }))
+    .find(Boolean) || null;
+
+  if (staticProductId) {
+    const unmapped = { ...product, variants: variants.filter(v => v.sku && !getStaticProductId({ sku: v.sku })) };
+    const linkedSkus = await recordProductLinks(unmapped, staticProductId, 'inferred');
+    console.log(JSON.stringify({
+      event: 'PRODUCT_SYNC_STATIC',
+      correlationId,
+      shopifyProductId: product.id,
+      productId: staticProductId,
+      linkedSkus,
+      timestamp: new Date().toISOString()
+    }));
+    return { action: 'linked_static', productId: staticProductId, linkedSkus };
+  }
+
+  if (!variants.some(v => v.sku)) {
+    console.log(JSON.stringify({
+      event: 'PRODUCT_SYNC_SKIP',
+      correlationId,
+      shopifyProductId: product.id,
+      reason: 'no_sku',
+      timestamp: new Date().toISOString()
+    }));
+    return { action: 'skipped', productId: null, linkedSkus: [] };
+  }
+
+  const fields = buildBitrixProductFields(product);
+  let productId = await findSyncedProductId(product);
+  let action;
+
+  if (productId) {
+    await callBitrix('/crm.product.update.json', { id: productId, fields });
+    action = 'updated';
+  } else {
+    const addResp = await callBitrix('/crm.product.add.json', { fields });
+    if (!addResp.result) {
+      throw new Error(`Failed to create Bitrix product for Shopify product ${product.id}: ${JSON.stringify(addResp)}`);
+    }
+    productId = Number(addResp.result);
+    action = 'created';
+  }
+
+  const linkedSkus = await recordProductLinks(product, productId, 'auto');
+
+  console.log(JSON.stringify({
+    event: 'PRODUCT_SYNC_DONE',
+    correlationId,
+    shopifyProductId: product.id,
+    action,
+    productId,
+    name: fields.NAME,
+    price: fields.PRICE,
+    linkedSkus,
+    timestamp: new Date().toISOString()
+  }));
+
+  return { action, productId, linkedSkus };
+}
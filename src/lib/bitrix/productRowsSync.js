@@ -0,0 +1,229 @@
+/**
+ * Bitrix24 Deal Product Rows Sync (diff mode)
+ * Reads current rows with crm.deal.productrows.get, compares them with rows mapped from the Shopify order
+ * and calls crm.deal.productrows.set only when something changed.
+ *
+ * Manual rows are kept as they are:
+ *   - PRODUCT_NAME starts with BITRIX_CONFIG.PRODUCT_ROWS.MANUAL_PREFIX, or
+ *   - row has no Shopify origin - it was not written by the last sync of this deal
+ * Origin keys (PRODUCT_ID + PRODUCT_NAME) of written rows are kept in the deal itself, in the UF field
+ * BITRIX_CONFIG.PRODUCT_ROWS.ORIGIN_FIELD (PRODUCT_ROWS_ORIGIN_FIELD env, string field, JSON array), written
+ * in the same request as the rows - every instance sees the origin of the rows it reads.
+ * The field is required in diff mode (assertSyncConfig); on deals synced before it was set every non-prefixed row
+ * counts as a Shopify row.
+ */
+
+import { batch, callBitrix } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
+import { getConfigValue } from '../config/index.js';
+
+// Fields copied when manual rows are written back together with Shopify rows
+const WRITABLE_ROW_FIELDS = [
+  'PRODUCT_ID', 'PRODUCT_NAME', 'PRICE', 'PRICE_BRUTTO', 'QUANTITY', 'DISCOUNT_TYPE_ID', 'DISCOUNT_RATE',
+  'DISCOUNT_SUM', 'TAX_RATE', 'TAX_INCLUDED', 'MEASURE_CODE', 'MEASURE_NAME', 'SORT',
+];
+
+/**
+ * Get product rows sync mode (PRODUCT_ROWS_MODE, see src/lib/config/index.js)
+ * @returns {string} 'diff' or 'replace'
+ */
+export function getProductRowsMode() {
+  const mode = String(getConfigValue('PRODUCT_ROWS_MODE') || 'diff').toLowerCase();
+  return mode === 'replace' ? 'replace' : 'diff';
+}
+
+/**
+ * Deal UF field holding origin keys of rows written by sync (PRODUCT_ROWS_ORIGIN_FIELD, required in diff mode -
+ * assertSyncConfig refuses to sync without it)
+ * @returns {string|null} Field name or null (origin not tracked - only prefixed rows are manual)
+ */
+export function getRowsOriginField() {
+  return getConfigValue('PRODUCT_ROWS_ORIGIN_FIELD');
+}
+
+/**
+ * Parse origin keys stored in the deal
+ * @param {*} value - Origin field value
+ * @returns {Set<string>|null} Keys or null when not stored / unreadable
+ */
+export function parseOriginKeys(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const keys = JSON.parse(value);
+    return Array.isArray(keys) ? new Set(keys.map(String)) : null;
+  } catch {
+    return null;
+  }
+}
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Row identity used to recognize rows written by sync
+ * @param {Object} row - Product row (mapped or from crm.deal.productrows.get)
+ * @returns {string} Origin key
+ */
+export function rowOriginKey(row) {
+  return `${Number(row.PRODUCT_ID || 0)}|${String(row.PRODUCT_NAME || '').trim()}`;
+}
+
+/**
+ * Row content compared in diff mode
+ * @param {Object} row - Product row
+ * @returns {string} Signature
+ */
+export function rowSignature(row) {
+  return [
+    rowOriginKey(row),
+    toAmount(row.PRICE),
+    toAmount(row.QUANTITY),
+    toAmount(row.DISCOUNT_SUM),
+    toAmount(row.TAX_RATE),
+    row.TAX_INCLUDED === 'Y' ? 'Y' : 'N',
+  ].join('|');
+}
+
+/**
+ * Check whether row is manual (must be kept by sync)
+ * @param {Object} row - Row from crm.deal.productrows.get
+ * @param {Set<string>|null} originKeys - Origin keys of rows written by last sync (null = unknown)
+ * @param {string} manualPrefix - PRODUCT_NAME prefix of manual rows
+ * @returns {boolean}
+ */
+export function isManualRow(row, originKeys, manualPrefix = BITRIX_CONFIG.PRODUCT_ROWS.MANUAL_PREFIX) {
+  if (manualPrefix && String(row.PRODUCT_NAME || '').startsWith(manualPrefix)) {
+    return true;
+  }
+  return originKeys ? !originKeys.has(rowOriginKey(row)) : false;
+}
+
+/**
+ * Compare current deal rows with mapped rows
+ * @param {Array<Object>} currentRows - Rows from crm.deal.productrows.get
+ * @param {Array<Object>} mappedRows - Rows mapped from Shopify order
+ * @param {Object} options - { originKeys: Set|null, manualPrefix }
+ * @returns {Object} { changed, manualRows, shopifyRows, rowsToSet }
+ */
+export function diffProductRows(currentRows, mappedRows, options = {}) {
+  const manualPrefix = options.manualPrefix ?? BITRIX_CONFIG.PRODUCT_ROWS.MANUAL_PREFIX;
+  const originKeys = options.originKeys || null;
+
+  const manualRows = [];
+  const shopifyRows = [];
+  for (const row of currentRows) {
+    (isManualRow(row, originKeys, manualPrefix) ? manualRows : shopifyRows).push(row);
+  }
+
+  // Order-insensitive comparison (Bitrix may return rows sorted differently)
+  const current = shopifyRows.map(rowSignature).sort();
+  const mapped = mappedRows.map(rowSignature).sort();
+  const changed = current.length !== mapped.length || current.some((signature, i) => signature !== mapped[i]);
+
+  const keptRows = manualRows.map(row => Object.fromEntries(
+    WRITABLE_ROW_FIELDS.filter(field => row[field] !== undefined && row[field] !== null).map(field => [field, row[field]])
+  ));
+
+  return { changed, manualRows, shopifyRows, rowsToSet: [...mappedRows, ...keptRows] };
+}
+
+/**
+ * Sync deal product rows in diff mode
+ * @param {number|string} dealId - Bitrix deal ID
+ * @param {Array<Object>} productRows - Rows mapped from Shopify order
+ * @param {string} correlationId - Correlation ID for logging
+ * @param {Object} options - { currentRows, deal } - rows / deal already read in the caller's batch (skip own reads)
+ * @returns {Promise<Object>} { changed, rowsCount, manualRowsCount }
+ */
+export async function syncDealProductRows(dealId, productRows, correlationId, options = {}) {
+  const originField = getRowsOriginField();
+  let currentRows = options.currentRows;
+  let deal = options.deal || null;
+
+  const reads = {};
+  if (!Array.isArray(currentRows)) {
+    reads.rows = ['crm.deal.productrows.get', { id: dealId }];
+  }
+  if (originField && !deal) {
+    reads.deal = ['crm.deal.get', { id: dealId }];
+  }
+  if (Object.keys(reads).length > 0) {
+    const { results, errors } = await batch(reads);
+    const failed = Object.keys(errors)[0];
+    if (failed) {
+      throw new Error(`Bitrix API error: ${reads[failed][0]} failed for deal ${dealId}: ${errors[failed]}`);
+    }
+    if (reads.rows) {
+      currentRows = Array.isArray(results.rows) ? results.rows : [];
+    }
+    if (reads.deal) {
+      deal = results.deal || null;
+    }
+  }
+
+  const storedOrigin = originField ? (deal?.[originField] || '') : '';
+  const originKeys = originField ? parseOriginKeys(storedOrigin) : null;
+  const { changed, manualRows, rowsToSet } = diffProductRows(currentRows, productRows, { originKeys });
+
+  // Remember which rows came from Shopify (also on first unchanged run, so manual rows added later are recognized)
+  const nextOrigin = JSON.stringify([...new Set(productRows.map(rowOriginKey))]);
+  const originChanged = !!originField && nextOrigin !== storedOrigin;
+
+  if (!changed) {
+    console.log(JSON.stringify({
+      event: 'PRODUCTROWS_UNCHANGED',
+      correlationId,
+      dealId,
+      rowsCount: productRows.length,
+      manualRowsCount: manualRows.length,
+      timestamp: new Date().toISOString()
+    }));
+    if (originChanged) {
+      await callBitrix('/crm.deal.update.json', { id: dealId, fields: { [originField]: nextOrigin } });
+    }
+  } else {
+    console.log(JSON.stringify({
+      event: 'PRODUCTROWS_SET_REQUEST',
+      correlationId,
+      dealId,
+      action: 'diff',
+      rowsCount: productRows.length,
+      currentRowsCount: currentRows.length,
+      manualRowsCount: manualRows.length,
+      originTracked: !!originField,
+      timestamp: new Date().toISOString()
+    }));
+
+    // Rows and their origin in one request (rows: [] is sent as `rows=` and clears the deal), rows read back to check
+    const { results, errors } = await batch({
+      rows_set: ['crm.deal.productrows.set', { id: dealId, rows: rowsToSet }],
+      ...(originChanged ? { origin_set: ['crm.deal.update', { id: dealId, fields: { [originField]: nextOrigin } }] } : {}),
+      rows_check: ['crm.deal.productrows.get', { id: dealId }],
+    });
+    if (errors.rows_set) {
+      throw new Error(`Bitrix API error: crm.deal.productrows.set failed for deal ${dealId}: ${errors.rows_set}`);
+    }
+    const writtenCount = Array.isArray(results.rows_check) ? results.rows_check.length : null;
+    if (writtenCount !== null && writtenCount !== rowsToSet.length) {
+      const mismatch = new Error(`Product rows of deal ${dealId} were not written: expected ${rowsToSet.length}, found ${writtenCount}`);
+      mismatch.retryable = true;
+      throw mismatch;
+    }
+    if (errors.origin_set) {
+      // Next sync treats the new rows as manual and writes them again - fail so the job is retried
+      throw new Error(`Bitrix API error: product rows origin (${originField}) not saved for deal ${dealId}: ${errors.origin_set}`);
+    }
+
+    console.log(JSON.stringify({
+      event: 'PRODUCTROWS_SET_RESULT',
+      correlationId,
+      dealId,
+      success: true,
+      rowsCount: rowsToSet.length,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return { changed, rowsCount: productRows.length, manualRowsCount: manualRows.length };
+}
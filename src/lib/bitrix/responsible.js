@@ -52,8 +52,10 @@ function isAfterSwitchTime(switchTime, cyprusTime) {
  * Resolve Bitrix responsible (ASSIGNED_BY_ID) based on Shopify order.
  * Priority: byWeekday (with time schedule) -> byTag -> byCountryCode -> bySource -> default.
  * Logs warning if matched by default.
+ * @param {Object} order - Shopify order
+ * @param {Object|null} responsibleMapping - Per-shop mapping (same format as responsibleMapping.json), null = default file
  */
-export function resolveResponsibleId(order) {
+export function resolveResponsibleId(order, responsibleMapping = null) {
   const {
     default: defaultId = null,
     byWeekday = {},
@@ -61,7 +63,7 @@ export function resolveResponsibleId(order) {
     byCountryCode = {},
     bySource = {},
     weekdaySchedule = {},
-  } = mapping;
+  } = responsibleMapping || mapping;
 
   // 0) By weekday with time schedule (highest priority)
   const cyprusTime = getCyprusTime();
@@ -0,0 +1,75 @@
+/**
+ * Bitrix24 Deal Stage Transitions
+ * Decides whether sync may move an existing deal from its current stage to the mapped one, so stages set by
+ * managers (e.g. EXECUTING, FINAL_INVOICE after WON) are not rolled back by the next Shopify edit.
+ *
+ * Stages are compared by their keys in getCategoryStages (NEW, PREPARATION, PAID, ...), so one ordering
+ * (BITRIX_CONFIG.STAGE_TRANSITIONS.ORDER) serves every category. A transition is allowed when:
+ *   - it matches an ALLOWED rule ("FROM>TO", '*' = any stage) - refund / cancel by default, or
+ *   - both stages are in ORDER and the target is further along, or
+ *   - FORWARD_ONLY is off
+ * Deals in a stage outside ORDER (LOSE, custom stages) are moved only by ALLOWED rules.
+ */
+
+import { BITRIX_CONFIG, getCategoryStages } from './config.js';
+
+/**
+ * Stage transition settings: defaults, then shop STAGE_TRANSITIONS (BITRIX_STAGE_TRANSITIONS and the SHOPS entry,
+ * merged by src/lib/shopify/shops.js)
+ * @param {Object|null} shopTransitions - Shop STAGE_TRANSITIONS
+ * @returns {Object} { FORWARD_ONLY, ORDER, ALLOWED }
+ */
+export function getStageTransitions(shopTransitions = null) {
+  return { ...BITRIX_CONFIG.STAGE_TRANSITIONS, ...(shopTransitions || {}) };
+}
+
+/**
+ * Stage keys of a stage ID in its category (several keys may share one stage, e.g. REFUNDED / CANCELLED)
+ * @param {string} stageId - Bitrix STAGE_ID
+ * @param {number|string} categoryId - Deal CATEGORY_ID
+ * @param {Object|null} stagesByCategory - Per-shop stages (see getCategoryStages)
+ * @returns {Array<string>} Stage keys
+ */
+function getStageKeys(stageId, categoryId, stagesByCategory) {
+  const stages = getCategoryStages(categoryId, stagesByCategory);
+  return Object.keys(stages).filter(key => stages[key] === stageId);
+}
+
+/**
+ * Check whether sync may move a deal to another stage
+ * @param {string|null} fromStageId - Current deal stage
+ * @param {string} toStageId - Stage mapped from the order
+ * @param {Object} options - { categoryId, fromCategoryId (defaults to categoryId), bitrix: shop Bitrix settings }
+ * @returns {Object} { allowed, reason: 'same_stage'|'no_current_stage'|'rule'|'forward'|'forward_only_off'|'backward'|'not_in_order', fromKeys, toKeys }
+ */
+export function checkStageTransition(fromStageId, toStageId, { categoryId, fromCategoryId = categoryId, bitrix = {} } = {}) {
+  if (fromStageId === toStageId) {
+    return { allowed: true, reason: 'same_stage', fromKeys: [], toKeys: [] };
+  }
+  if (!fromStageId) {
+    return { allowed: true, reason: 'no_current_stage', fromKeys: [], toKeys: [] };
+  }
+
+  const transitions = getStageTransitions(bitrix.STAGE_TRANSITIONS);
+  const order = transitions.ORDER || [];
+  const fromKeys = getStageKeys(fromStageId, fromCategoryId, bitrix.STAGES || null);
+  const toKeys = getStageKeys(toStageId, categoryId, bitrix.STAGES || null);
+
+  const matchesRule = (transitions.ALLOWED || []).some(rule => {
+    const [from, to] = String(rule).split('>').map(part => part.trim());
+    return (from === '*' || fromKeys.includes(from)) && (to === '*' || toKeys.includes(to));
+  });
+  if (matchesRule) {
+    return { allowed: true, reason: 'rule', fromKeys, toKeys };
+  }
+  if (transitions.FORWARD_ONLY === false) {
+    return { allowed: true, reason: 'forward_only_off', fromKeys, toKeys };
+  }
+
+  const fromRank = Math.max(-1, ...fromKeys.map(key => order.indexOf(key)));
+  const toRank = Math.max(-1, ...toKeys.map(key => order.indexOf(key)));
+  if (fromRank === -1 || toRank === -1) {
+    return { allowed: false, reason: 'not_in_order', fromKeys, toKeys };
+  }
+  return { allowed: toRank > fromRank, reason: toRank > fromRank ? 'forward' : 'backward', fromKeys, toKeys };
+}
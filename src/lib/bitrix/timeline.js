@@ -0,0 +1,134 @@
+/**
+ * Bitrix24 Deal Timeline
+ * Comments posted to deal timeline (refund details etc.)
+ */
+
+import { callBitrix } from './client.js';
+import { getRefundTransactionsTotal } from './orderMapper.js';
+
+const RESTOCK_TYPE_LABELS = {
+  no_restock: 'без возврата на склад',
+  cancel: 'отмена (товар не был отправлен)',
+  return: 'возврат на склад',
+  legacy_restock: 'возврат на склад (legacy)',
+};
+
+/**
+ * Add comment to deal timeline
+ * @param {number|string} dealId - Bitrix deal ID
+ * @param {string} comment - Comment text (BB-code allowed)
+ * @returns {Promise<number|null>} Timeline comment ID
+ */
+export async function addDealTimelineComment(dealId, comment) {
+  const resp = await callBitrix('/crm.timeline.comment.add.json', {
+    fields: {
+      ENTITY_ID: Number(dealId),
+      ENTITY_TYPE: 'deal',
+      COMMENT: comment,
+    },
+  });
+  return resp.result || null;
+}
+
+/**
+ * Format Shopify refund as timeline comment
+ * @param {Object} refund - Shopify refund object (refunds/create payload)
+ * @param {Object} order - Parent Shopify order
+ * @returns {string} Comment text
+ */
+export function formatRefundComment(refund, order) {
+  const currency = order?.currency || refund?.transactions?.[0]?.currency || 'EUR';
+  const money = (value) => `${Number(value || 0).toFixed(2)} ${currency}`;
+  const lines = [`[B]Возврат Shopify #${refund.id}[/B] по заказу ${order?.name || refund.order_id}`];
+
+  const refundLineItems = Array.isArray(refund.refund_line_items) ? refund.refund_line_items : [];
+  if (refundLineItems.length > 0) {
+    lines.push('', 'Товары:');
+    for (const item of refundLineItems) {
+      const lineItem = item.line_item || {};
+      const title = lineItem.title || lineItem.name || `line_item ${item.line_item_id}`;
+      const sku = lineItem.sku ? ` (SKU: ${lineItem.sku})` : '';
+      const restock = RESTOCK_TYPE_LABELS[item.restock_type] || item.restock_type || 'не указано';
+      lines.push(`- ${title}${sku} × ${item.quantity}: ${money(item.subtotal)} (налог ${money(item.total_tax)}), склад: ${restock}`);
+    }
+  }
+
+  const adjustments = Array.isArray(refund.order_adjustments) ? refund.order_adjustments : [];
+  for (const adjustment of adjustments) {
+    const kind = adjustment.kind === 'shipping_refund' ? 'Доставка' : (adjustment.reason || adjustment.kind || 'Корректировка');
+    // Adjustment amounts are negative for refunds
+    lines.push(`- ${kind}: ${money(Math.abs(Number(adjustment.amount || 0)))}`);
+  }
+
+  const transactions = Array.isArray(refund.transactions) ? refund.transactions : [];
+  if (transactions.length > 0) {
+    lines.push('', `Возвращено: ${money(getRefundTransactionsTotal(refund))}`);
+    for (const t of transactions) {
+      lines.push(`- ${t.gateway || 'gateway'}: ${money(t.amount)} (${t.kind}, ${t.status || 'n/a'})`);
+    }
+  }
+
+  if (refund.note) {
+    lines.push('', `Комментарий: ${refund.note}`);
+  }
+
+  return lines.join('\n');
+}
+
+const STATUS_TOPIC_TITLES = {
+  'orders/cancelled': 'Заказ отменён в Shopify',
+  'orders/paid': 'Заказ оплачен в Shopify',
+  'orders/partially_fulfilled': 'Заказ частично отправлен в Shopify',
+  'orders/fulfilled': 'Заказ отправлен в Shopify',
+};
+
+/**
+ * Get payment gateway names of order
+ * @param {Object} order - Shopify order
+ * @returns {Array<string>} Gateway names
+ */
+export function getPaymentGateways(order) {
+  if (Array.isArray(order?.payment_gateway_names) && order.payment_gateway_names.length > 0) {
+    return order.payment_gateway_names;
+  }
+  return order?.gateway ? [order.gateway] : [];
+}
+
+/**
+ * Format order status topic (cancelled / paid / fulfilled) as timeline comment
+ * @param {string} topic - Webhook topic
+ * @param {Object} order - Shopify order
+ * @param {Object} stageChange - { fromStageId, toStageId, skipped }
+ * @returns {string} Comment text
+ */
+export function formatOrderStatusComment(topic, order, stageChange = {}) {
+  const lines = [`[B]${STATUS_TOPIC_TITLES[topic] || topic}[/B]: ${order.name || order.id}`];
+
+  if (topic === 'orders/cancelled') {
+    lines.push(`Причина отмены: ${order.cancel_reason || 'не указана'}`);
+    if (order.cancelled_at) {
+      lines.push(`Дата отмены: ${order.cancelled_at}`);
+    }
+  }
+
+  if (topic === 'orders/paid') {
+    const gateways = getPaymentGateways(order);
+    lines.push(`Способ оплаты: ${gateways.length > 0 ? gateways.join(', ') : 'не указан'}`);
+    lines.push(`Сумма: ${order.total_price} ${order.currency || ''}`.trim());
+  }
+
+  if (topic === 'orders/partially_fulfilled' || topic === 'orders/fulfilled') {
+    const fulfillments = Array.isArray(order.fulfillments) ? order.fulfillments : [];
+    for (const fulfillment of fulfillments) {
+      const tracking = fulfillment.tracking_number ? `, трек: ${fulfillment.tracking_number}` : '';
+      const company = fulfillment.tracking_company ? ` (${fulfillment.tracking_company})` : '';
+      lines.push(`- ${fulfillment.name || fulfillment.id}: ${fulfillment.status || 'n/a'}${tracking}${company}`);
+    }
+  }
+
+  if (stageChange.toStageId && !stageChange.skipped) {
+    lines.push(`Стадия: ${stageChange.fromStageId || '—'} → ${stageChange.toStageId}`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,385 @@
+/**
+ * Runtime Configuration
+ * Connection settings and secrets in one place: environment variables first, then an optional JSON file
+ * (MW_CONFIG_FILE) with the same keys - { "BITRIX_WEBHOOK_BASE": "https://...", "BITRIX_AUTH_TOKEN": "..." }.
+ * Nothing secret has a default; missing required keys make assertSyncConfig() throw, and the webhook handlers /
+ * queue runner refuse to sync (503) instead of calling a wrong portal. The same applies to a store that is not shared
+ * between instances in production (see getStoreConfigErrors in src/lib/store/index.js).
+ * Server-only (fs) - client code must not import it.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { getStoreConfigErrors } from '../store/index.js';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+
+/**
+ * Config keys
+ * required - needed for sync; anyOf - the requirement is also met by one of these keys
+ * secret - value is redacted in getRedactedConfig(); type - 'url' | 'json' | 'ufField' | 'enum' (with values), validated;
+ * check - extra check of a parsed JSON value, returns an error or null
+ */
+export const CONFIG_SCHEMA = [
+  {
+    key: 'BITRIX_WEBHOOK_BASE',
+    aliases: ['BITRIX_WEBHOOK_URL'],
+    required: true,
+    secret: true,
+    type: 'url',
+    description: 'Bitrix24 incoming webhook (https://<portal>.bitrix24.eu/rest/<user>/<token>/)',
+  },
+  {
+    key: 'BITRIX_AUTH_TOKEN',
+    required: true,
+    secret: true,
+    description: 'application_token of the Bitrix outgoing webhook (deal events)',
+  },
+  {
+    key: 'SHOPIFY_WEBHOOK_SECRET',
+    aliases: ['SHOPIFY_API_SECRET'],
+    required: true,
+    anyOf: ['SHOPIFY_WEBHOOK_SECRETS', 'SHOPIFY_SHOPS', 'SHOPIFY_SHOPS_FILE'],
+    secret: true,
+    description: 'Shopify webhook signing secret (default for all shops)',
+  },
+  {
+    key: 'SHOPIFY_WEBHOOK_SECRETS',
+    secret: true,
+    type: 'json',
+    description: 'Per-shop webhook secrets { "shop.myshopify.com": "secret" }',
+  },
+  {
+    key: 'SHOPIFY_WEBHOOK_TEST_SECRET',
+    secret: true,
+    description: 'Secret of locally signed fixtures, accepted only with SHOPIFY_WEBHOOK_TEST_MODE=true',
+  },
+  {
+    key: 'SHOPIFY_24_DOMAIN',
+    aliases: ['SHOPIFY_STORE_DOMAIN'],
+    default: '83bfa8-c4.myshopify.com',
+    description: 'Default shop domain',
+  },
+  {
+    key: 'SHOPIFY_24_ADMIN',
+    secret: true,
+    description: 'Admin API access token of the default shop',
+  },
+  {
+    key: 'SHOPIFY_API_VERSION',
+    default: '2024-01',
+    description: 'Shopify Admin API version',
+  },
+  {
+    key: 'SHOPIFY_SHOPS',
+    secret: true,
+    type: 'json',
+    description: 'Additional shops (see src/lib/shopify/shops.js)',
+  },
+  {
+    key: 'SHOPIFY_SHOPS_FILE',
+    description: 'Path to shops JSON (instead of SHOPIFY_SHOPS)',
+  },
+  {
+    key: 'BITRIX_FIELD_MAPPING_FILE',
+    description: 'Path to deal UF field mapping (instead of bundled fieldMapping.json)',
+  },
+  {
+    key: 'BITRIX_TOPIC_STAGES',
+    type: 'json',
+    check: (value) => (Object.values(value).every(stages => stages && typeof stages === 'object' && !Array.isArray(stages))
+      ? null : 'BITRIX_TOPIC_STAGES must map topics to { "<categoryId>": "<STAGE_ID>" }'),
+    description: 'Stage per order status topic and category over BITRIX_CONFIG.TOPIC_STAGES',
+  },
+  {
+    key: 'BITRIX_STAGE_TRANSITIONS',
+    type: 'json',
+    check: (value) => {
+      if (value.ORDER !== undefined && !Array.isArray(value.ORDER)) return 'BITRIX_STAGE_TRANSITIONS.ORDER must be an array of stage keys';
+      if (value.ALLOWED !== undefined && !Array.isArray(value.ALLOWED)) return 'BITRIX_STAGE_TRANSITIONS.ALLOWED must be an array of "FROM>TO" rules';
+      if (value.FORWARD_ONLY !== undefined && typeof value.FORWARD_ONLY !== 'boolean') return 'BITRIX_STAGE_TRANSITIONS.FORWARD_ONLY must be true or false';
+      return null;
+    },
+    description: 'Stage ordering for sync (FORWARD_ONLY, ORDER, ALLOWED) over BITRIX_CONFIG.STAGE_TRANSITIONS',
+  },
+  {
+    key: 'PRODUCT_ROWS_MODE',
+    type: 'enum',
+    values: ['diff', 'replace'],
+    default: BITRIX_CONFIG.PRODUCT_ROWS.MODE,
+    description: 'Deal product rows sync: diff (keep manual rows) or replace (rewrite all rows)',
+  },
+  {
+    key: 'PRODUCT_ROWS_ORIGIN_FIELD',
+    type: 'ufField',
+    default: BITRIX_CONFIG.PRODUCT_ROWS.ORIGIN_FIELD || undefined,
+    description: 'Deal UF field (string) with origin of rows written by sync - required in diff mode',
+  },
+  {
+    key: 'ADMIN_API_TOKEN',
+    secret: true,
+    description: 'Token for /api/admin/* and /api/queue/* (Authorization: Bearer <token> or x-admin-token)',
+  },
+  {
+    key: 'KV_REST_API_URL',
+    aliases: ['UPSTASH_REDIS_REST_URL'],
+    secret: true,
+    type: 'url',
+    description: 'Vercel KV / Upstash Redis REST URL (store driver redis)',
+  },
+  {
+    key: 'KV_REST_API_TOKEN',
+    aliases: ['UPSTASH_REDIS_REST_TOKEN'],
+    secret: true,
+    description: 'Vercel KV / Upstash Redis REST token',
+  },
+  {
+    key: 'CRON_SECRET',
+    secret: true,
+    description: 'Vercel cron secret, accepted by /api/queue/run (Authorization: Bearer <secret>)',
+  },
+];
+
+let cachedConfig = null;
+
+/**
+ * Read optional config file (MW_CONFIG_FILE)
+ * @returns {Object} { values, error }
+ */
+function readConfigFile() {
+  const file = process.env.MW_CONFIG_FILE;
+  if (!file) {
+    return { values: {}, error: null };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { values: {}, error: `MW_CONFIG_FILE (${file}) must contain a JSON object` };
+    }
+    return { values: parsed, error: null };
+  } catch (error) {
+    return { values: {}, error: `MW_CONFIG_FILE (${file}) cannot be read: ${error.message}` };
+  }
+}
+
+/**
+ * Validate value of typed key
+ * @param {Object} entry - Schema entry
+ * @param {string} value - Value
+ * @returns {string|null} Error or null
+ */
+function validateValue(entry, value) {
+  if (entry.type === 'url') {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) ? null : `${entry.key} must be an http(s) URL`;
+    } catch {
+      return `${entry.key} must be a valid URL`;
+    }
+  }
+  if (entry.type === 'enum') {
+    return entry.values.includes(value.toLowerCase()) ? null : `${entry.key} must be one of: ${entry.values.join(', ')}`;
+  }
+  if (entry.type === 'ufField') {
+    return /^UF_CRM_[A-Z0-9_]+$/.test(value) ? null : `${entry.key} must be a deal UF field code (e.g. UF_CRM_SHOPIFY_ROWS)`;
+  }
+  if (entry.type === 'json') {
+    try {
+      const parsed = JSON.parse(value);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return `${entry.key} must be a JSON object`;
+      }
+      return entry.check ? entry.check(parsed) : null;
+    } catch (error) {
+      return `${entry.key} is not valid JSON: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load configuration (cached per process)
+ * @returns {Object} { values, sources, errors, missing, valid, file }
+ */
+export function getConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const { values: fileValues, error: fileError } = readConfigFile();
+  const values = {};
+  const sources = {};
+  const errors = fileError ? [fileError] : [];
+
+  for (const entry of CONFIG_SCHEMA) {
+    const names = [entry.key, ...(entry.aliases || [])];
+    const envName = names.find(name => process.env[name]);
+    const fileName = names.find(name => fileValues[name] !== undefined && fileValues[name] !== null && fileValues[name] !== '');
+
+    let value = null;
+    if (envName) {
+      value = process.env[envName];
+      sources[entry.key] = envName === entry.key ? 'env' : `env:${envName}`;
+    } else if (fileName) {
+      // JSON keys may be written as objects in the file
+      value = typeof fileValues[fileName] === 'object' ? JSON.stringify(fileValues[fileName]) : String(fileValues[fileName]);
+      sources[entry.key] = 'file';
+    } else if (entry.default !== undefined) {
+      value = entry.default;
+      sources[entry.key] = 'default';
+    }
+
+    if (value !== null) {
+      const valueError = validateValue(entry, value);
+      if (valueError) {
+        errors.push(valueError);
+      }
+    }
+    values[entry.key] = value;
+  }
+
+  errors.push(...getStoreConfigErrors(values));
+
+  // Without the origin field diff mode cannot tell manual rows from Shopify rows and would overwrite them
+  if (String(values.PRODUCT_ROWS_MODE || 'diff').toLowerCase() === 'diff' && !values.PRODUCT_ROWS_ORIGIN_FIELD) {
+    errors.push('PRODUCT_ROWS_ORIGIN_FIELD is required in diff mode (deal UF field keeping manual rows apart) - create it or set PRODUCT_ROWS_MODE=replace');
+  }
+
+  const missing = CONFIG_SCHEMA
+    .filter(entry => entry.required && !values[entry.key] && !(entry.anyOf || []).some(key => values[key]))
+    .map(entry => (entry.anyOf ? `${entry.key} (or ${entry.anyOf.join(' / ')})` : entry.key));
+
+  cachedConfig = {
+    values,
+    sources,
+    errors,
+    missing,
+    valid: errors.length === 0 && missing.length === 0,
+    file: process.env.MW_CONFIG_FILE || null,
+  };
+
+  if (!cachedConfig.valid) {
+    console.error(JSON.stringify({
+      event: 'CONFIG_INVALID',
+      missing,
+      errors,
+      file: cachedConfig.file,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return cachedConfig;
+}
+
+/**
+ * Get config value
+ * @param {string} key - Schema key (e.g. 'BITRIX_WEBHOOK_BASE')
+ * @returns {string|null} Value or null if not set
+ */
+export function getConfigValue(key) {
+  return getConfig().values[key] ?? null;
+}
+
+/**
+ * Ensure configuration needed for sync is present and valid
+ * @throws {Error} code 'CONFIG_INVALID', missing - missing keys, errors - invalid values
+ */
+export function assertSyncConfig() {
+  const config = getConfig();
+  if (config.valid) {
+    return;
+  }
+  const problems = [
+    ...(config.missing.length > 0 ? [`missing ${config.missing.join(', ')}`] : []),
+    ...config.errors,
+  ];
+  const error = new Error(`Sync configuration is invalid: ${problems.join('; ')}`);
+  error.code = 'CONFIG_INVALID';
+  error.missing = config.missing;
+  error.errors = config.errors;
+  throw error;
+}
+
+/**
+ * Redact secret value: URLs keep the origin, JSON keeps key count, tokens keep last 4 characters
+ * @param {Object} entry - Schema entry
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function redact(entry, value) {
+  if (entry.type === 'url') {
+    try {
+      return `${new URL(value).origin}/***`;
+    } catch {
+      return '***';
+    }
+  }
+  if (entry.type === 'json') {
+    try {
+      return `*** (${Object.keys(JSON.parse(value)).length} keys)`;
+    } catch {
+      return '***';
+    }
+  }
+  return value.length > 8 ? `***${value.slice(-4)}` : '***';
+}
+
+/**
+ * Configuration without secrets (admin API)
+ * @returns {Object} { valid, missing, errors, file, keys: [{ key, set, source, value, required, secret, description }] }
+ */
+export function getRedactedConfig() {
+  const config = getConfig();
+  return {
+    valid: config.valid,
+    missing: config.missing,
+    errors: config.errors,
+    file: config.file,
+    keys: CONFIG_SCHEMA.map(entry => {
+      const value = config.values[entry.key];
+      return {
+        key: entry.key,
+        set: value !== null,
+        source: config.sources[entry.key] || null,
+        value: value === null ? null : (entry.secret ? redact(entry, value) : value),
+        required: !!entry.required,
+        secret: !!entry.secret,
+        description: entry.description,
+      };
+    }),
+  };
+}
+
+/**
+ * Compare provided token with configured one (constant time)
+ * @param {string|null} token - Configured token
+ * @param {string} provided - Token from request
+ * @returns {boolean}
+ */
+function tokenMatches(token, provided) {
+  if (!token) {
+    return false;
+  }
+  const expected = Buffer.from(token);
+  const received = Buffer.from(String(provided || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check admin API access (ADMIN_API_TOKEN); without a configured token admin API is closed
+ * @param {Object} req - Next.js request
+ * @returns {boolean}
+ */
+export function isAdminRequest(req) {
+  const header = req.headers.authorization || '';
+  return tokenMatches(getConfigValue('ADMIN_API_TOKEN'), header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-admin-token']);
+}
+
+/**
+ * Check Vercel cron call (Authorization: Bearer CRON_SECRET); without a configured secret cron calls are refused
+ * @param {Object} req - Next.js request
+ * @returns {boolean}
+ */
+export function isCronRequest(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') && tokenMatches(getConfigValue('CRON_SECRET'), header.slice(7));
+}
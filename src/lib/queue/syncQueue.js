@@ -0,0 +1,531 @@
+/**
+ * Durable Sync Queue (Shopify → Bitrix)
+ * Webhook handler enqueues work and acknowledges immediately; jobs are executed by runDueJobs()
+ *
+ * Job states:
+ *   - pending - waiting for first run or next retry (nextRunAt)
+ *   - processing - claimed by a worker (lease expires after SYNC_QUEUE_LEASE_SEC); every claim gets a new leaseId and
+ *     the outcome is saved only while the worker still holds it (a job taken over after an expired lease keeps the new result)
+ *   - done - processed successfully (pruned after SYNC_QUEUE_DONE_RETENTION_HOURS)
+ *   - dead - failed SYNC_QUEUE_MAX_ATTEMPTS times (dead-letter list, retry/discard via /api/queue)
+ *
+ * Retries use exponential backoff: SYNC_QUEUE_BACKOFF_BASE_SEC * 2^(attempt-1), capped by SYNC_QUEUE_BACKOFF_MAX_SEC
+ *
+ * Storage: job records without payload ('sync-jobs'), payloads ('sync-job-payloads', read only for claimed jobs)
+ * and one due index record ('sync-jobs-due': pending / processing job ID → nextRunAt / leaseUntil). runDueJobs reads
+ * only the index, so its cost does not grow with finished jobs. The index is repaired and finished jobs are pruned
+ * by a maintenance pass at most every MAINTENANCE_INTERVAL_MS per process.
+ */
+
+import { getCollection } from '../store/index.js';
+
+const COLLECTION_NAME = 'sync-jobs';
+const PAYLOADS_COLLECTION = 'sync-job-payloads';
+const DUE_COLLECTION = 'sync-jobs-due';
+const DUE_KEY = 'due';
+const MAINTENANCE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastMaintenanceAt = 0;
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  backoffBaseSec: 30,
+  backoffMaxSec: 3600,
+  leaseSec: 300,
+  batchSize: 5,
+  doneRetentionHours: 24,
+};
+
+export const JOB_STATES = ['pending', 'processing', 'done', 'dead'];
+
+/**
+ * Read positive number from environment
+ * @param {string} name - Env variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Get queue settings from environment
+ * @returns {Object} Queue settings
+ */
+export function getQueueSettings() {
+  return {
+    maxAttempts: Math.floor(envNumber('SYNC_QUEUE_MAX_ATTEMPTS', DEFAULTS.maxAttempts)),
+    backoffBaseSec: envNumber('SYNC_QUEUE_BACKOFF_BASE_SEC', DEFAULTS.backoffBaseSec),
+    backoffMaxSec: envNumber('SYNC_QUEUE_BACKOFF_MAX_SEC', DEFAULTS.backoffMaxSec),
+    leaseSec: envNumber('SYNC_QUEUE_LEASE_SEC', DEFAULTS.leaseSec),
+    batchSize: Math.floor(envNumber('SYNC_QUEUE_BATCH_SIZE', DEFAULTS.batchSize)),
+    doneRetentionHours: envNumber('SYNC_QUEUE_DONE_RETENTION_HOURS', DEFAULTS.doneRetentionHours),
+  };
+}
+
+/**
+ * Calculate delay before next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @param {Object} settings - Queue settings
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelayMs(attempts, settings = getQueueSettings()) {
+  const delaySec = settings.backoffBaseSec * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delaySec, settings.backoffMaxSec) * 1000;
+}
+
+/**
+ * Generate job ID
+ * @returns {string} Job ID
+ */
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Job summary without payload (for lists)
+ * @param {Object} job - Job
+ * @returns {Object} Job without payload
+ */
+export function toJobSummary(job) {
+  if (!job) {
+    return null;
+  }
+  const { payload, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Check if job can be picked by a worker now
+ * @param {Object} job - Job
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if job is due
+ */
+function isJobDue(job, now) {
+  if (job.state === 'pending') {
+    return new Date(job.nextRunAt).getTime() <= now;
+  }
+  if (job.state === 'processing') {
+    // Worker crashed or timed out - lease expired, job can be taken over
+    return new Date(job.leaseUntil).getTime() <= now;
+  }
+  return false;
+}
+
+/**
+ * Time the job becomes due (pending - next run, processing - lease expiry)
+ * @param {Object|null} job - Job
+ * @returns {string|null} ISO time or null for finished / missing jobs
+ */
+function getDueAt(job) {
+  if (job?.state === 'pending') {
+    return job.nextRunAt;
+  }
+  if (job?.state === 'processing') {
+    return job.leaseUntil;
+  }
+  return null;
+}
+
+/**
+ * Read due index
+ * @returns {Promise<Object>} { [jobId]: dueAt }
+ */
+async function getDueIndex() {
+  return (await getCollection(DUE_COLLECTION).get(DUE_KEY))?.jobs || {};
+}
+
+/**
+ * Put job into / remove it from the due index
+ * @param {Object} changes - { [jobId]: dueAt | null (remove) }
+ */
+async function updateDueIndex(changes) {
+  await getCollection(DUE_COLLECTION).update(DUE_KEY, (current) => {
+    const jobs = { ...(current?.jobs || {}) };
+    for (const [jobId, dueAt] of Object.entries(changes)) {
+      if (dueAt) {
+        jobs[jobId] = dueAt;
+      } else {
+        delete jobs[jobId];
+      }
+    }
+    return { jobs, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Put job into the queue
+ * @param {Object} params - { type, topic, shopDomain, webhookId, eventId, correlationId, orderId, payload }
+ * @returns {Promise<Object>} Created job
+ */
+export async function enqueueJob(params) {
+  const settings = getQueueSettings();
+  const now = new Date().toISOString();
+  const job = {
+    id: generateJobId(),
+    type: params.type || 'shopify_webhook',
+    topic: params.topic || null,
+    shopDomain: params.shopDomain || null,
+    webhookId: params.webhookId || null,
+    eventId: params.eventId || null,
+    correlationId: params.correlationId || null,
+    orderId: params.orderId != null ? String(params.orderId) : null,
+    state: 'pending',
+    attempts: 0,
+    maxAttempts: settings.maxAttempts,
+    nextRunAt: now,
+    leaseUntil: null,
+    lastError: null,
+    errors: [],
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+
+  await getCollection(PAYLOADS_COLLECTION).set(job.id, params.payload ?? null);
+  await getCollection(COLLECTION_NAME).set(job.id, job);
+  await updateDueIndex({ [job.id]: job.nextRunAt });
+
+  console.log(JSON.stringify({
+    event: 'SYNC_JOB_ENQUEUED',
+    jobId: job.id,
+    topic: job.topic,
+    orderId: job.orderId,
+    correlationId: job.correlationId,
+    timestamp: now
+  }));
+
+  return { ...job, payload: params.payload };
+}
+
+/**
+ * Claim job for processing (atomic check-and-set), payload is loaded for the claimed job only
+ * @param {string} jobId - Job ID
+ * @param {Object} settings - Queue settings
+ * @returns {Promise<Object>} { job: claimed job or null if not due anymore, dueAt: current due time of the job }
+ */
+async function claimJob(jobId, settings) {
+  let claimed = false;
+  const job = await getCollection(COLLECTION_NAME).update(jobId, (current) => {
+    const now = Date.now();
+    if (!current || !isJobDue(current, now)) {
+      return current;
+    }
+    claimed = true;
+    return {
+      ...current,
+      state: 'processing',
+      attempts: current.attempts + 1,
+      leaseId: `lease_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      leaseUntil: new Date(now + settings.leaseSec * 1000).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+  if (!claimed) {
+    return { job: null, dueAt: getDueAt(job) };
+  }
+
+  await updateDueIndex({ [jobId]: job.leaseUntil });
+  // Jobs enqueued before payloads were stored apart still carry their payload
+  const payload = job.payload !== undefined ? job.payload : await getCollection(PAYLOADS_COLLECTION).get(jobId);
+  return { job: { ...job, payload }, dueAt: job.leaseUntil };
+}
+
+/**
+ * Save job outcome only while this worker still holds the lease
+ * @param {Object} job - Claimed job
+ * @param {Function} outcome - (current) => updated job
+ * @returns {Promise<Object|null>} Updated job or null when the lease was lost (job expired and was taken over / removed)
+ */
+async function saveOutcome(job, outcome) {
+  let owned = false;
+  const updated = await getCollection(COLLECTION_NAME).update(job.id, (current) => {
+    if (!current || current.state !== 'processing' || current.leaseId !== job.leaseId) {
+      return current;
+    }
+    owned = true;
+    return outcome(current);
+  });
+  if (owned) {
+    await updateDueIndex({ [job.id]: getDueAt(updated) });
+  }
+  if (!owned) {
+    console.log(JSON.stringify({
+      event: 'SYNC_JOB_LEASE_LOST',
+      jobId: job.id,
+      topic: job.topic,
+      orderId: job.orderId,
+      correlationId: job.correlationId,
+      attempts: job.attempts,
+      state: updated?.state || null,
+      timestamp: new Date().toISOString()
+    }));
+    return null;
+  }
+  return updated;
+}
+
+/**
+ * Execute one claimed job and save outcome
+ * @param {Object} job - Claimed job
+ * @param {Function} processor - async (job) => result; throws on failure
+ * @param {Object} settings - Queue settings
+ * @returns {Promise<Object|null>} Updated job or null when the lease was lost meanwhile
+ */
+async function executeJob(job, processor, settings) {
+  try {
+    const result = await processor(job);
+    const updated = await saveOutcome(job, (current) => ({
+      ...current,
+      state: 'done',
+      leaseId: null,
+      leaseUntil: null,
+      lastError: null,
+      result: result || null,
+      updatedAt: new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+    }));
+    if (!updated) {
+      return null;
+    }
+
+    console.log(JSON.stringify({
+      event: 'SYNC_JOB_DONE',
+      jobId: job.id,
+      topic: job.topic,
+      orderId: job.orderId,
+      correlationId: job.correlationId,
+      attempts: job.attempts,
+      result: result || null,
+      timestamp: new Date().toISOString()
+    }));
+
+    return updated;
+  } catch (error) {
+    // Errors marked retryable=false (e.g. invalid payload) go straight to dead-letter
+    const exhausted = job.attempts >= job.maxAttempts || error.retryable === false;
+    const delayMs = exhausted ? null : getBackoffDelayMs(job.attempts, settings);
+    const errorEntry = { attempt: job.attempts, message: error.message, at: new Date().toISOString() };
+
+    const updated = await saveOutcome(job, (current) => ({
+      ...current,
+      state: exhausted ? 'dead' : 'pending',
+      leaseId: null,
+      leaseUntil: null,
+      nextRunAt: exhausted ? null : new Date(Date.now() + delayMs).toISOString(),
+      lastError: error.message,
+      errors: [...(current.errors || []), errorEntry].slice(-20),
+      updatedAt: new Date().toISOString(),
+      finishedAt: exhausted ? new Date().toISOString() : null,
+    }));
+    if (!updated) {
+      return null;
+    }
+
+    console.log(JSON.stringify({
+      event: exhausted ? 'SYNC_JOB_DEAD_LETTER' : 'SYNC_JOB_RETRY_SCHEDULED',
+      jobId: job.id,
+      topic: job.topic,
+      orderId: job.orderId,
+      correlationId: job.correlationId,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInSec: delayMs !== null ? Math.round(delayMs / 1000) : null,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }));
+
+    return updated;
+  }
+}
+
+/**
+ * Maintenance pass: remove finished jobs older than retention (dead jobs are kept until retried or discarded)
+ * and put active jobs missing in the due index back (write interrupted between job and index)
+ * @param {Object} settings - Queue settings
+ * @returns {Promise<Object>} { pruned, reindexed }
+ */
+async function maintainQueue(settings) {
+  const cutoff = Date.now() - settings.doneRetentionHours * 60 * 60 * 1000;
+  const jobs = (await getCollection(COLLECTION_NAME).entries()).map(entry => entry.value);
+
+  const expired = jobs
+    .filter(job => job.state === 'done' && new Date(job.finishedAt || job.updatedAt).getTime() < cutoff)
+    .map(job => job.id);
+  await getCollection(COLLECTION_NAME).removeKeys(expired);
+  await getCollection(PAYLOADS_COLLECTION).removeKeys(expired);
+
+  const index = await getDueIndex();
+  const missing = Object.fromEntries(jobs
+    .filter(job => getDueAt(job) && !index[job.id])
+    .map(job => [job.id, getDueAt(job)]));
+  if (Object.keys(missing).length > 0) {
+    await updateDueIndex(missing);
+  }
+
+  return { pruned: expired.length, reindexed: Object.keys(missing).length };
+}
+
+/**
+ * Run due jobs (oldest first)
+ * @param {Function} processor - async (job) => result; throws on failure
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { processed, succeeded, retried, dead, jobs }
+ */
+export async function runDueJobs(processor, options = {}) {
+  const settings = getQueueSettings();
+  const limit = options.limit || settings.batchSize;
+
+  if (Date.now() - lastMaintenanceAt >= MAINTENANCE_INTERVAL_MS) {
+    lastMaintenanceAt = Date.now();
+    try {
+      await maintainQueue(settings);
+    } catch (maintenanceError) {
+      console.error('[SYNC QUEUE] Maintenance failed (non-blocking):', maintenanceError.message);
+    }
+  }
+
+  const now = Date.now();
+  const index = await getDueIndex();
+  const dueIds = Object.entries(index)
+    .filter(([, dueAt]) => new Date(dueAt).getTime() <= now)
+    .sort((a, b) => new Date(a[1]) - new Date(b[1]))
+    .slice(0, limit)
+    .map(([jobId]) => jobId);
+
+  const summary = { processed: 0, succeeded: 0, retried: 0, dead: 0, jobs: [] };
+
+  for (const jobId of dueIds) {
+    const { job, dueAt } = await claimJob(jobId, settings);
+    if (!job) {
+      // Claimed by another worker, or the index entry is stale - align it with the job
+      if (dueAt !== index[jobId]) {
+        await updateDueIndex({ [jobId]: dueAt });
+      }
+      continue;
+    }
+
+    const updated = await executeJob(job, processor, settings);
+    if (!updated) {
+      continue; // Lease expired during the run - the worker that took the job over records the outcome
+    }
+    summary.processed++;
+    if (updated.state === 'done') summary.succeeded++;
+    if (updated.state === 'pending') summary.retried++;
+    if (updated.state === 'dead') summary.dead++;
+    summary.jobs.push({ id: updated.id, state: updated.state, attempts: updated.attempts, lastError: updated.lastError });
+  }
+
+  return summary;
+}
+
+/**
+ * Get job by ID (with payload)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+export async function getJob(jobId) {
+  const job = await getCollection(COLLECTION_NAME).get(jobId);
+  if (!job || job.payload !== undefined) {
+    return job;
+  }
+  return { ...job, payload: await getCollection(PAYLOADS_COLLECTION).get(jobId) };
+}
+
+/**
+ * List jobs (newest first, without payload - job records do not hold it)
+ * @param {Object} filter - { state }
+ * @returns {Promise<Array<Object>>} Job summaries
+ */
+export async function listJobs(filter = {}) {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  return entries
+    .map(entry => entry.value)
+    .filter(job => !filter.state || job.state === filter.state)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toJobSummary);
+}
+
+/**
+ * Count jobs by state
+ * @returns {Promise<Object>} { pending, processing, done, dead, total }
+ */
+export async function getQueueStats() {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  const stats = { pending: 0, processing: 0, done: 0, dead: 0, total: entries.length };
+  for (const { value } of entries) {
+    if (stats[value.state] !== undefined) {
+      stats[value.state]++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Move dead (or pending) job back to the queue for immediate run
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job or null if not found / currently processing
+ */
+export async function retryJob(jobId) {
+  let requeued = false;
+  const job = await getCollection(COLLECTION_NAME).update(jobId, (current) => {
+    if (!current || current.state === 'processing' || current.state === 'done') {
+      return current;
+    }
+    requeued = true;
+    return {
+      ...current,
+      state: 'pending',
+      attempts: 0, // Fresh attempt budget after manual retry
+      nextRunAt: new Date().toISOString(),
+      leaseUntil: null,
+      finishedAt: null,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+
+  if (requeued) {
+    await updateDueIndex({ [jobId]: job.nextRunAt });
+    console.log(JSON.stringify({
+      event: 'SYNC_JOB_MANUAL_RETRY',
+      jobId,
+      topic: job.topic,
+      orderId: job.orderId,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return requeued ? job : null;
+}
+
+/**
+ * Remove job from the queue
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Removed job summary or null if not found / currently processing
+ */
+export async function discardJob(jobId) {
+  const collection = getCollection(COLLECTION_NAME);
+  const job = await collection.get(jobId);
+  if (!job || job.state === 'processing') {
+    return null;
+  }
+
+  await collection.delete(jobId);
+  await getCollection(PAYLOADS_COLLECTION).delete(jobId);
+  await updateDueIndex({ [jobId]: null });
+
+  console.log(JSON.stringify({
+    event: 'SYNC_JOB_DISCARDED',
+    jobId,
+    topic: job.topic,
+    orderId: job.orderId,
+    state: job.state,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    timestamp: new Date().toISOString()
+  }));
+
+  return toJobSummary(job);
+}
@@ -1,24 +1,30 @@
 /**
  * Shopify Admin API Client
- * Uses SHOPIFY_24_ADMIN token for authenticated requests
+ * Credentials come from the shop bound to the current call (see shops.js):
+ * default shop uses SHOPIFY_24_DOMAIN + SHOPIFY_24_ADMIN, other shops - SHOPIFY_SHOPS
  */
 
-const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_24_DOMAIN || process.env.SHOPIFY_STORE_DOMAIN || '83bfa8-c4.myshopify.com';
-const SHOPIFY_ADMIN_TOKEN = process.env.SHOPIFY_24_ADMIN;
-const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+import { getCurrentShop } from './shops.js';
 
 /**
- * Get Shopify Admin API base URL
+ * Get Admin API token of shop
+ * @param {Object} shop - Shop config
+ * @returns {string} Access token
  */
-export function getShopifyAdminBase() {
-  if (!SHOPIFY_ADMIN_TOKEN) {
-    throw new Error('SHOPIFY_24_ADMIN token is not configured');
+function getAdminToken(shop) {
+  if (!shop.adminToken) {
+    throw new Error(`${shop.adminTokenSource} token is not configured (shop ${shop.domain})`);
   }
-  
-  // Remove protocol if present, ensure it's just the domain
-  const domain = SHOPIFY_STORE_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-  
-  return `https://${domain}/admin/api/${SHOPIFY_API_VERSION}`;
+  return shop.adminToken;
+}
+
+/**
+ * Get Shopify Admin API base URL
+ * @param {Object} shop - Shop config (defaults to current shop)
+ */
+export function getShopifyAdminBase(shop = getCurrentShop()) {
+  getAdminToken(shop);
+  return `https://${shop.domain}/admin/api/${shop.apiVersion}`;
 }
 
 /**
@@ -28,12 +34,13 @@ export function getShopifyAdminBase() {
  * @returns {Promise<object>} Response JSON
  */
 export async function callShopifyAdmin(endpoint, options = {}) {
-  const baseUrl = getShopifyAdminBase();
+  const shop = getCurrentShop();
+  const baseUrl = getShopifyAdminBase(shop);
   const url = `${baseUrl}${endpoint}`;
   
   const headers = {
     'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
+    'X-Shopify-Access-Token': getAdminToken(shop),
     ...options.headers,
   };
 
@@ -60,6 +67,44 @@ export async function getOrder(orderId) {
   return response.order;
 }
 
+/**
+ * List orders page (REST cursor pagination, Link header)
+ * @param {Object} params - { createdAtMin, createdAtMax, limit (max 250), pageInfo (cursor of next page), status }
+ * @returns {Promise<Object>} { orders, nextPageInfo } - nextPageInfo null on the last page
+ */
+export async function listOrders(params = {}) {
+  const shop = getCurrentShop();
+  const query = new URLSearchParams({ limit: String(Math.min(params.limit || 50, 250)) });
+  if (params.pageInfo) {
+    // Shopify rejects filters together with page_info - they are encoded in the cursor
+    query.set('page_info', params.pageInfo);
+  } else {
+    query.set('status', params.status || 'any');
+    if (params.createdAtMin) query.set('created_at_min', params.createdAtMin);
+    if (params.createdAtMax) query.set('created_at_max', params.createdAtMax);
+  }
+
+  const response = await fetch(`${getShopifyAdminBase(shop)}/orders.json?${query}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': getAdminToken(shop),
+    },
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Shopify Admin API error (${response.status}): ${errorText}`);
+  }
+
+  const data = await response.json();
+  // Link: <https://...&page_info=abc>; rel="next", <...>; rel="previous"
+  const link = response.headers.get('link') || '';
+  const next = link.split(',').find(part => /rel="next"/.test(part));
+  const nextPageInfo = next ? new URL(next.match(/<([^>]+)>/)[1]).searchParams.get('page_info') : null;
+
+  return { orders: data.orders || [], nextPageInfo };
+}
+
 /**
  * Update order in Shopify (if needed in future)
  * @param {string|number} orderId - Shopify order ID
@@ -81,17 +126,14 @@ export async function updateOrder(orderId, orderData) {
  * @returns {Promise<object>} GraphQL response data
  */
 export async function callShopifyGraphQL(query, variables = {}) {
-  if (!SHOPIFY_ADMIN_TOKEN) {
-    throw new Error('SHOPIFY_24_ADMIN token is not configured');
-  }
+  const shop = getCurrentShop();
 
   // GraphQL endpoint: https://{domain}/admin/api/{version}/graphql.json
-  const domain = SHOPIFY_STORE_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-  const url = `https://${domain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+  const url = `${getShopifyAdminBase(shop)}/graphql.json`;
 
   const headers = {
     'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
+    'X-Shopify-Access-Token': getAdminToken(shop),
   };
 
   const response = await fetch(url, {
@@ -0,0 +1,214 @@
+/**
+ * Pre-order Detection
+ * Decides per line item whether it is a pre-order product (src/lib/bitrix/preOrderWhitelist.json, per shop
+ * PREORDER_WHITELIST in SHOPS):
+ *   - skus / productIds - whitelisted variants SKUs and Shopify product IDs
+ *   - productTags - product tags (case-insensitive)
+ *   - metafield - { namespace, key, values } product metafield, value in values (default true / 1 / yes)
+ *   - orderTags - order tags; an order with such a tag and no item detected otherwise is pre-order as a whole
+ * Product tags and metafields are read through the Admin API (GraphQL nodes query, one request per order)
+ * and cached in collection 'product-preorder' for PREORDER_CACHE_TTL_MS (default 6 hours);
+ * products/create|update drop the cached product.
+ */
+
+import whitelistFile from '../bitrix/preOrderWhitelist.json' assert { type: 'json' };
+import { callShopifyGraphQL } from './adminClient.js';
+import { getCurrentShop } from './shops.js';
+import { isGiftCardItem } from '../bitrix/orderMapper.js';
+import { getCollection } from '../store/index.js';
+
+const CACHE_COLLECTION = 'product-preorder';
+const DEFAULT_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_METAFIELD_VALUES = ['true', '1', 'yes'];
+const NODES_PER_QUERY = 100;
+
+/**
+ * Pre-order settings of the current shop (per-shop whitelist replaces the file)
+ * @returns {Object} { orderTags, skus, productIds, productTags, metafield }
+ */
+export function getPreOrderSettings() {
+  const whitelist = getCurrentShop().bitrix?.PREORDER_WHITELIST || whitelistFile;
+  const lower = (values) => (values || []).map(value => String(value).trim().toLowerCase()).filter(Boolean);
+  const metafield = whitelist.metafield?.namespace && whitelist.metafield?.key
+    ? {
+      namespace: whitelist.metafield.namespace,
+      key: whitelist.metafield.key,
+      values: lower(whitelist.metafield.values).length > 0 ? lower(whitelist.metafield.values) : DEFAULT_METAFIELD_VALUES,
+    }
+    : null;
+
+  return {
+    orderTags: lower(whitelist.orderTags),
+    skus: (whitelist.skus || []).map(String),
+    productIds: (whitelist.productIds || []).map(String),
+    productTags: lower(whitelist.productTags),
+    metafield,
+  };
+}
+
+/**
+ * Cache TTL (PREORDER_CACHE_TTL_MS env)
+ * @returns {number} Milliseconds
+ */
+function getCacheTtlMs() {
+  const ttl = Number(process.env.PREORDER_CACHE_TTL_MS);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_MS;
+}
+
+/**
+ * Cache key of product (product IDs are unique per shop only)
+ * @param {string|number} productId - Shopify product ID
+ * @returns {string}
+ */
+function getCacheKey(productId) {
+  return `${getCurrentShop().domain}:${productId}`;
+}
+
+/**
+ * Get product tags / metafield value, cached
+ * @param {Array<string|number>} productIds - Shopify product IDs
+ * @param {Object} settings - Pre-order settings (metafield decides what is queried)
+ * @returns {Promise<Object>} { [productId]: { tags, metafieldValue, missing } }
+ * @throws {Error} Admin API error (callers retry - a wrong guess would move deals between categories)
+ */
+export async function getProductPreOrderData(productIds, settings = getPreOrderSettings()) {
+  const collection = getCollection(CACHE_COLLECTION);
+  const metafieldKey = settings.metafield ? `${settings.metafield.namespace}.${settings.metafield.key}` : null;
+  const ttlMs = getCacheTtlMs();
+  const data = {};
+  const toFetch = [];
+
+  for (const productId of [...new Set(productIds.filter(Boolean).map(String))]) {
+    const cached = await collection.get(getCacheKey(productId));
+    if (cached && cached.metafieldKey === metafieldKey && Date.now() - new Date(cached.fetchedAt).getTime() < ttlMs) {
+      data[productId] = cached;
+    } else {
+      toFetch.push(productId);
+    }
+  }
+
+  const query = `query PreOrderProducts($ids: [ID!]!${metafieldKey ? ', $namespace: String!, $key: String!' : ''}) {
+    nodes(ids: $ids) {
+      ... on Product { id tags${metafieldKey ? ' metafield(namespace: $namespace, key: $key) { value }' : ''} }
+    }
+  }`;
+  for (let i = 0; i < toFetch.length; i += NODES_PER_QUERY) {
+    const chunk = toFetch.slice(i, i + NODES_PER_QUERY);
+    const result = await callShopifyGraphQL(query, {
+      ids: chunk.map(productId => `gid://shopify/Product/${productId}`),
+      ...(metafieldKey ? { namespace: settings.metafield.namespace, key: settings.metafield.key } : {}),
+    });
+
+    const nodes = result?.nodes || [];
+    for (const [index, productId] of chunk.entries()) {
+      const node = nodes[index];
+      const entry = {
+        productId,
+        tags: (node?.tags || []).map(tag => String(tag).trim().toLowerCase()),
+        metafieldKey,
+        metafieldValue: node?.metafield?.value ?? null,
+        missing: !node, // deleted product - only whitelist / order tags apply
+        fetchedAt: new Date().toISOString(),
+      };
+      await collection.set(getCacheKey(productId), entry);
+      data[productId] = entry;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Drop cached product (products/create|update - tags or metafields may have changed)
+ * @param {string|number} productId - Shopify product ID
+ * @returns {Promise<void>}
+ */
+export async function forgetProductPreOrderData(productId) {
+  await getCollection(CACHE_COLLECTION).delete(getCacheKey(productId));
+}
+
+/**
+ * Merchandise line items that count for pre-order detection (gift cards and removed items excluded)
+ * @param {Object} order - Shopify order
+ * @returns {Array<Object>} Line items
+ */
+function getDetectableItems(order) {
+  return (order.line_items || []).filter(item =>
+    !isGiftCardItem(item) && Number(item.current_quantity ?? item.quantity ?? 0) > 0
+  );
+}
+
+/**
+ * Product IDs that need an Admin API lookup for orders
+ * @param {Array<Object>} orders - Shopify orders
+ * @param {Object} settings - Pre-order settings
+ * @returns {Array<string>} Product IDs
+ */
+export function getLookupProductIds(orders, settings = getPreOrderSettings()) {
+  if (settings.productTags.length === 0 && !settings.metafield) {
+    return [];
+  }
+  return orders.flatMap(order => getDetectableItems(order))
+    .filter(item => item.product_id && !settings.skus.includes(String(item.sku)) && !settings.productIds.includes(String(item.product_id)))
+    .map(item => String(item.product_id));
+}
+
+/**
+ * Classify order line items as pre-order / stock
+ * @param {Object} order - Shopify order
+ * @returns {Promise<Object>} { items: [{ lineItemId, sku, productId, title, preOrder, matchedBy }], orderTag,
+ *   preOrderLineItemIds, stockLineItemIds, mixed }
+ *   matchedBy: 'sku' | 'product_id' | 'product_tag' | 'metafield' | 'order_tag' | null
+ */
+export async function classifyOrderItems(order) {
+  const settings = getPreOrderSettings();
+  const orderTags = (Array.isArray(order.tags) ? order.tags : String(order.tags || '').split(','))
+    .map(tag => String(tag).trim().toLowerCase());
+  const orderTag = orderTags.some(tag => settings.orderTags.includes(tag));
+
+  const detectable = getDetectableItems(order);
+  const productData = await getProductPreOrderData(getLookupProductIds([order], settings), settings);
+
+  const items = detectable.map(item => {
+    const productId = item.product_id ? String(item.product_id) : null;
+    const product = productId ? productData[productId] : null;
+    let matchedBy = null;
+    if (item.sku && settings.skus.includes(String(item.sku))) {
+      matchedBy = 'sku';
+    } else if (productId && settings.productIds.includes(productId)) {
+      matchedBy = 'product_id';
+    } else if (product?.tags.some(tag => settings.productTags.includes(tag))) {
+      matchedBy = 'product_tag';
+    } else if (settings.metafield && product?.metafieldValue !== null && product?.metafieldValue !== undefined
+      && settings.metafield.values.includes(String(product.metafieldValue).trim().toLowerCase())) {
+      matchedBy = 'metafield';
+    }
+    return {
+      lineItemId: String(item.id),
+      sku: item.sku || null,
+      productId,
+      title: item.title || null,
+      preOrder: !!matchedBy,
+      matchedBy,
+    };
+  });
+
+  // Order tag without product-level match - whole order is pre-order (tag-only channels)
+  if (orderTag && !items.some(item => item.preOrder)) {
+    for (const item of items) {
+      item.preOrder = true;
+      item.matchedBy = 'order_tag';
+    }
+  }
+
+  const preOrderLineItemIds = items.filter(item => item.preOrder).map(item => item.lineItemId);
+  const stockLineItemIds = items.filter(item => !item.preOrder).map(item => item.lineItemId);
+
+  return {
+    items,
+    orderTag,
+    preOrderLineItemIds,
+    stockLineItemIds,
+    mixed: preOrderLineItemIds.length > 0 && stockLineItemIds.length > 0,
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Shopify Shops (multi-store configuration)
+ * Webhooks are routed by x-shopify-shop-domain; each shop has its own Admin credentials, webhook secret
+ * and Bitrix settings (categories, stages, source, responsible mapping)
+ *
+ * Shops are configured in SHOPIFY_SHOPS (JSON) or SHOPIFY_SHOPS_FILE (path to JSON file), env or MW_CONFIG_FILE:
+ *   {
+ *     "second-store.myshopify.com": {
+ *       "adminTokenEnv": "SHOPIFY_SECOND_ADMIN",
+ *       "webhookSecretEnv": "SHOPIFY_SECOND_WEBHOOK_SECRET",
+ *       "bitrix": { "CATEGORY_STOCK": 12, "CATEGORY_PREORDER": 14, "SOURCE_ID": "STORE2" }
+ *     }
+ *   }
+ *
+ * The default shop (SHOPIFY_24_DOMAIN + SHOPIFY_24_ADMIN, BITRIX_CONFIG) is used for unknown domains
+ * and when no shop is bound to the current call.
+ *
+ * Current shop is bound with runWithShop() - adminClient reads credentials from getCurrentShop(),
+ * so fulfillment.js, hold.js and metafields.js call the right store without extra parameters.
+ * Server-only (async_hooks, fs) - do not import from client components.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+import { getConfigValue } from '../config/index.js';
+
+const shopContext = new AsyncLocalStorage();
+
+let cachedShops = null;
+
+/**
+ * Normalize shop domain
+ * @param {string} shopDomain - Value of x-shopify-shop-domain or configured domain
+ * @returns {string} Lowercase domain without protocol/trailing slash
+ */
+export function normalizeShopDomain(shopDomain) {
+  return String(shopDomain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Read JSON object config value; invalid JSON is reported by getConfig (CONFIG_INVALID) and blocks sync
+ * @param {string} key - Config key
+ * @returns {Object} Parsed value ({} when not set or invalid)
+ */
+function readJsonConfig(key) {
+  try {
+    return JSON.parse(getConfigValue(key) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build per-shop Bitrix settings on top of BITRIX_CONFIG
+ * @param {Object} overrides - { CATEGORY_STOCK, CATEGORY_PREORDER, STAGES, SOURCE_ID, SOURCES, TOPIC_STAGES, RESPONSIBLE_MAPPING, CATEGORY_CHANGE_POLICY, STAGE_TRANSITIONS,
+ *   PREORDER_WHITELIST, MIXED_ORDER_POLICY, CANCEL_REASON_FIELD, PAYMENT_GATEWAY_FIELD }
+ * @returns {Object} Bitrix settings used by orderMapper / config helpers
+ */
+function buildShopBitrixConfig(overrides = {}) {
+  // Global overrides - the shop entry wins
+  const envTopicStages = readJsonConfig('BITRIX_TOPIC_STAGES');
+  const envTransitions = readJsonConfig('BITRIX_STAGE_TRANSITIONS');
+  const topicStages = {};
+  for (const topic of new Set([...Object.keys(envTopicStages), ...Object.keys(overrides.TOPIC_STAGES || {})])) {
+    topicStages[topic] = { ...(envTopicStages[topic] || {}), ...(overrides.TOPIC_STAGES?.[topic] || {}) };
+  }
+  const transitions = { ...envTransitions, ...(overrides.STAGE_TRANSITIONS || {}) };
+
+  const sources = { ...BITRIX_CONFIG.SOURCES, ...(overrides.SOURCES || {}) };
+  if (overrides.SOURCE_ID) {
+    sources.SHOPIFY = overrides.SOURCE_ID;
+    sources.SHOPIFY_DRAFT_ORDER = overrides.SOURCE_ID;
+  }
+
+  return {
+    CATEGORY_STOCK: Number(overrides.CATEGORY_STOCK ?? BITRIX_CONFIG.CATEGORY_STOCK),
+    CATEGORY_PREORDER: Number(overrides.CATEGORY_PREORDER ?? BITRIX_CONFIG.CATEGORY_PREORDER),
+    STAGES: overrides.STAGES || null, // { [categoryId]: { NEW, EXECUTING, PAID, ... } }, missing keys derived from category 2
+    SOURCES: sources,
+    TOPIC_STAGES: Object.keys(topicStages).length > 0 ? topicStages : null, // BITRIX_TOPIC_STAGES + shop, over defaults
+    RESPONSIBLE_MAPPING: overrides.RESPONSIBLE_MAPPING || null, // null = responsibleMapping.json
+    CATEGORY_CHANGE_POLICY: overrides.CATEGORY_CHANGE_POLICY || null, // null = BITRIX_CATEGORY_CHANGE_POLICY / default
+    STAGE_TRANSITIONS: Object.keys(transitions).length > 0 ? transitions : null, // BITRIX_STAGE_TRANSITIONS + shop, over defaults
+    PREORDER_WHITELIST: overrides.PREORDER_WHITELIST || null, // null = preOrderWhitelist.json
+    MIXED_ORDER_POLICY: overrides.MIXED_ORDER_POLICY || null, // null = PREORDER_MIXED_POLICY / default
+    // UF fields differ between portals - not set = BITRIX_CONFIG value, null = timeline comment only
+    CANCEL_REASON_FIELD: overrides.CANCEL_REASON_FIELD !== undefined ? overrides.CANCEL_REASON_FIELD : BITRIX_CONFIG.CANCEL_REASON_FIELD,
+    PAYMENT_GATEWAY_FIELD: overrides.PAYMENT_GATEWAY_FIELD !== undefined ? overrides.PAYMENT_GATEWAY_FIELD : BITRIX_CONFIG.PAYMENT_GATEWAY_FIELD,
+  };
+}
+
+/**
+ * Build default shop from legacy single-store environment
+ * @returns {Object} Shop config
+ */
+function buildDefaultShop() {
+  return {
+    domain: normalizeShopDomain(getConfigValue('SHOPIFY_24_DOMAIN')),
+    isDefault: true,
+    adminToken: getConfigValue('SHOPIFY_24_ADMIN'),
+    adminTokenSource: 'SHOPIFY_24_ADMIN',
+    apiVersion: getConfigValue('SHOPIFY_API_VERSION'),
+    webhookSecret: null, // SHOPIFY_WEBHOOK_SECRETS / SHOPIFY_WEBHOOK_SECRET (see webhookVerify.js)
+    bitrix: buildShopBitrixConfig(),
+  };
+}
+
+/**
+ * Build shop from SHOPIFY_SHOPS entry
+ * @param {string} domain - Shop domain
+ * @param {Object} entry - Raw config entry
+ * @returns {Object} Shop config
+ */
+function buildShop(domain, entry) {
+  const adminToken = entry.adminToken || (entry.adminTokenEnv ? process.env[entry.adminTokenEnv] : null) || null;
+  const webhookSecret = entry.webhookSecret || (entry.webhookSecretEnv ? process.env[entry.webhookSecretEnv] : null) || null;
+
+  return {
+    domain,
+    isDefault: false,
+    adminToken,
+    adminTokenSource: entry.adminTokenEnv || `SHOPIFY_SHOPS["${domain}"].adminToken`,
+    apiVersion: entry.apiVersion || getConfigValue('SHOPIFY_API_VERSION'),
+    webhookSecret,
+    bitrix: buildShopBitrixConfig(entry.bitrix || {}),
+  };
+}
+
+/**
+ * Read raw shops JSON from SHOPIFY_SHOPS or SHOPIFY_SHOPS_FILE
+ * @returns {Object} { [domain]: entry }
+ */
+function readShopsConfig() {
+  let raw = getConfigValue('SHOPIFY_SHOPS');
+  const shopsFile = getConfigValue('SHOPIFY_SHOPS_FILE');
+  if (!raw && shopsFile) {
+    try {
+      raw = fs.readFileSync(shopsFile, 'utf8');
+    } catch (error) {
+      console.error('[SHOPS] Failed to read SHOPIFY_SHOPS_FILE:', error.message);
+      return {};
+    }
+  }
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('[SHOPS] Shops config is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Get all shops (default shop first)
+ * @returns {Array<Object>} Shop configs
+ */
+export function getShops() {
+  if (!cachedShops) {
+    const defaultShop = buildDefaultShop();
+    const shops = [defaultShop];
+
+    for (const [rawDomain, entry] of Object.entries(readShopsConfig())) {
+      const domain = normalizeShopDomain(rawDomain);
+      if (!domain || !entry || typeof entry !== 'object') {
+        continue;
+      }
+      if (domain === defaultShop.domain) {
+        // Entry for the default domain overrides its settings (credentials fall back to legacy env)
+        const shop = buildShop(domain, entry);
+        shops[0] = {
+          ...shop,
+          isDefault: true,
+          adminToken: shop.adminToken || defaultShop.adminToken,
+          adminTokenSource: shop.adminToken ? shop.adminTokenSource : defaultShop.adminTokenSource,
+        };
+        continue;
+      }
+      shops.push(buildShop(domain, entry));
+    }
+
+    cachedShops = shops;
+  }
+  return cachedShops;
+}
+
+/**
+ * Get default shop
+ * @returns {Object} Shop config
+ */
+export function getDefaultShop() {
+  return getShops()[0];
+}
+
+/**
+ * Get configured shop by domain (no fallback)
+ * @param {string} shopDomain - Shop domain
+ * @returns {Object|null} Shop config or null if domain is not configured
+ */
+export function getConfiguredShop(shopDomain) {
+  const domain = normalizeShopDomain(shopDomain);
+  if (!domain) {
+    return null;
+  }
+  return getShops().find(shop => shop.domain === domain) || null;
+}
+
+/**
+ * Resolve shop by domain, falling back to default shop
+ * @param {string} shopDomain - Value of x-shopify-shop-domain
+ * @returns {Object} Shop config
+ */
+export function resolveShop(shopDomain) {
+  return getConfiguredShop(shopDomain) || getDefaultShop();
+}
+
+/**
+ * Find shop that owns Bitrix category (Bitrix → Shopify direction)
+ * @param {number|string} categoryId - Deal CATEGORY_ID
+ * @returns {Object} Shop config (default shop if no shop uses the category)
+ */
+export function findShopByCategory(categoryId) {
+  const category = String(categoryId);
+  return getShops().find(shop =>
+    String(shop.bitrix.CATEGORY_STOCK) === category || String(shop.bitrix.CATEGORY_PREORDER) === category
+  ) || getDefaultShop();
+}
+
+/**
+ * Run function with shop bound to the current async context
+ * @param {Object|string} shopOrDomain - Shop config or shop domain
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+export function runWithShop(shopOrDomain, fn) {
+  const shop = shopOrDomain && typeof shopOrDomain === 'object' ? shopOrDomain : resolveShop(shopOrDomain);
+  return shopContext.run(shop, fn);
+}
+
+/**
+ * Get shop bound to the current async context
+ * @returns {Object} Shop config (default shop outside of runWithShop)
+ */
+export function getCurrentShop() {
+  return shopContext.getStore() || getDefaultShop();
+}
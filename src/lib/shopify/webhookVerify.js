@@ -0,0 +1,144 @@
+/**
+ * Shopify Webhook Verification
+ * Reads the raw request body and verifies X-Shopify-Hmac-Sha256 signatures
+ */
+
+import crypto from 'crypto';
+import { getConfiguredShop, normalizeShopDomain } from './shops.js';
+import { getConfigValue } from '../config/index.js';
+
+// Max raw body size (matches the former bodyParser sizeLimit for large orders)
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Parse per-shop webhook secrets from SHOPIFY_WEBHOOK_SECRETS
+ * Format: JSON object { "shop.myshopify.com": "secret", ... }
+ * @returns {Object} Map of shop domain -> secret
+ */
+function getShopSecrets() {
+  const raw = getConfigValue('SHOPIFY_WEBHOOK_SECRETS');
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('[SHOPIFY WEBHOOK] SHOPIFY_WEBHOOK_SECRETS is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Check if webhook test mode is enabled
+ * In test mode, fixtures signed with SHOPIFY_WEBHOOK_TEST_SECRET are accepted
+ * @returns {boolean}
+ */
+export function isWebhookTestMode() {
+  return process.env.SHOPIFY_WEBHOOK_TEST_MODE === 'true' && !!getConfigValue('SHOPIFY_WEBHOOK_TEST_SECRET');
+}
+
+/**
+ * Get webhook secret for shop domain
+ * Priority: SHOPIFY_SHOPS[shop] secret -> SHOPIFY_WEBHOOK_SECRETS[shop] -> SHOPIFY_WEBHOOK_SECRET -> SHOPIFY_API_SECRET
+ * @param {string} shopDomain - Value of x-shopify-shop-domain
+ * @returns {string|null} Secret or null if not configured
+ */
+export function getWebhookSecret(shopDomain) {
+  const shop = getConfiguredShop(shopDomain);
+  if (shop?.webhookSecret) {
+    return shop.webhookSecret;
+  }
+
+  const secrets = getShopSecrets();
+  const domain = normalizeShopDomain(shopDomain);
+
+  if (domain && secrets[domain]) {
+    return secrets[domain];
+  }
+
+  return getConfigValue('SHOPIFY_WEBHOOK_SECRET');
+}
+
+/**
+ * Compute base64 HMAC-SHA256 signature of raw body
+ * Also used to sign local fixtures in test mode
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Base64 signature
+ */
+export function signWebhookPayload(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+/**
+ * Timing-safe comparison of received signature with expected one
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} hmacHeader - Value of x-shopify-hmac-sha256
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if signature matches
+ */
+function isValidSignature(rawBody, hmacHeader, secret) {
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret), 'base64');
+  const received = Buffer.from(String(hmacHeader), 'base64');
+
+  // timingSafeEqual throws on length mismatch - compare lengths first
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify Shopify webhook signature
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} hmacHeader - Value of x-shopify-hmac-sha256
+ * @param {string} shopDomain - Value of x-shopify-shop-domain
+ * @returns {Object} { valid: boolean, reason: string|null, secretSource: string|null }
+ */
+export function verifyShopifyWebhook(rawBody, hmacHeader, shopDomain) {
+  if (!hmacHeader) {
+    return { valid: false, reason: 'missing_hmac', secretSource: null };
+  }
+
+  const secret = getWebhookSecret(shopDomain);
+  if (secret && isValidSignature(rawBody, hmacHeader, secret)) {
+    return { valid: true, reason: null, secretSource: 'shop' };
+  }
+
+  if (isWebhookTestMode() && isValidSignature(rawBody, hmacHeader, getConfigValue('SHOPIFY_WEBHOOK_TEST_SECRET'))) {
+    return { valid: true, reason: null, secretSource: 'test' };
+  }
+
+  if (!secret && !isWebhookTestMode()) {
+    return { valid: false, reason: 'secret_not_configured', secretSource: null };
+  }
+
+  return { valid: false, reason: 'invalid_hmac', secretSource: null };
+}
+
+/**
+ * Read raw request body (requires bodyParser: false in API route config)
+ * @param {Object} req - Next.js API request
+ * @param {number} maxBytes - Max allowed body size
+ * @returns {Promise<Buffer>} Raw body
+ */
+export async function readRawBody(req, maxBytes = MAX_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    size += buffer.length;
+    if (size > maxBytes) {
+      const error = new Error(`Request body exceeds ${maxBytes} bytes`);
+      error.code = 'BODY_TOO_LARGE';
+      throw error;
+    }
+    chunks.push(buffer);
+  }
+
+  return Buffer.concat(chunks);
+}
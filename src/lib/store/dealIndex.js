@@ -0,0 +1,134 @@
+/**
+ * Deal Index
+ * Shopify order.id → Bitrix deal mapping kept by the middleware (written when a deal is created or first found)
+ *
+ * Deal lookup reads the indexed deal first and falls back to the crm.deal.list filter by UF_CRM_1742556489 +
+ * CATEGORY_ID when the order is not indexed or the indexed deal no longer matches. Mismatches are reported
+ * as conflicts (one per order, latest wins) and the stale entry is dropped.
+ * The index is rebuilt from Bitrix by a repair run (see src/lib/sync/dealIndexRepair.js).
+ */
+
+import { getCollection } from './index.js';
+
+const COLLECTION_NAME = 'deal-index';
+const CONFLICTS_COLLECTION = 'deal-index-conflicts';
+
+// deal_missing - indexed deal was deleted; key_mismatch - its UF_CRM_1742556489 was changed;
+// category_changed - order now maps to another category that already has a deal (otherwise the indexed deal is
+// moved or relinked, see upsertDealFromOrder); duplicate_deals - repair found several deals
+export const INDEX_CONFLICT_REASONS = ['deal_missing', 'key_mismatch', 'category_changed', 'duplicate_deals'];
+
+/**
+ * Get indexed deal of order
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object|null>} { orderId, dealId, categoryId, shopDomain, source, repairRunId, indexedAt }
+ */
+export async function getIndexedDeal(orderId) {
+  return getCollection(COLLECTION_NAME).get(String(orderId));
+}
+
+/**
+ * Write index entry
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} entry - { dealId, categoryId, shopDomain, source: 'created'|'lookup'|'category_change'|'duplicate_resolution'|'repair', repairRunId }
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function setIndexedDeal(orderId, entry) {
+  const stored = {
+    orderId: String(orderId),
+    dealId: String(entry.dealId),
+    categoryId: Number(entry.categoryId),
+    shopDomain: entry.shopDomain || null,
+    source: entry.source,
+    repairRunId: entry.repairRunId || null,
+    indexedAt: new Date().toISOString(),
+  };
+  await getCollection(COLLECTION_NAME).set(stored.orderId, stored);
+  return stored;
+}
+
+/**
+ * Remove index entry
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<void>}
+ */
+export async function removeIndexedDeal(orderId) {
+  await getCollection(COLLECTION_NAME).delete(String(orderId));
+}
+
+/**
+ * Remove entries matching predicate
+ * @param {Function} predicate - (entry) => boolean
+ * @returns {Promise<number>} Removed entries
+ */
+export async function removeIndexedDealsWhere(predicate) {
+  return getCollection(COLLECTION_NAME).removeWhere(predicate);
+}
+
+/**
+ * Count index entries by source
+ * @returns {Promise<Object>} { total, bySource }
+ */
+export async function getDealIndexStats() {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  const bySource = {};
+  for (const { value } of entries) {
+    bySource[value.source] = (bySource[value.source] || 0) + 1;
+  }
+  return { total: entries.length, bySource };
+}
+
+/**
+ * Report index conflict of order
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} conflict - { reason, indexedDealId, dealIds, categoryId, correlationId, repairRunId }
+ * @returns {Promise<Object>} Stored conflict
+ */
+export async function reportIndexConflict(orderId, conflict) {
+  const now = new Date().toISOString();
+  const stored = await getCollection(CONFLICTS_COLLECTION).update(String(orderId), (current) => ({
+    orderId: String(orderId),
+    reason: conflict.reason,
+    indexedDealId: conflict.indexedDealId ? String(conflict.indexedDealId) : null,
+    dealIds: (conflict.dealIds || []).map(String),
+    categoryId: conflict.categoryId !== undefined ? Number(conflict.categoryId) : null,
+    correlationId: conflict.correlationId || null,
+    repairRunId: conflict.repairRunId || null,
+    occurrences: current?.reason === conflict.reason ? current.occurrences + 1 : 1,
+    detectedAt: now,
+  }));
+
+  console.log(JSON.stringify({
+    event: 'DEAL_INDEX_CONFLICT',
+    orderId: String(orderId),
+    reason: stored.reason,
+    indexedDealId: stored.indexedDealId,
+    dealIds: stored.dealIds,
+    categoryId: stored.categoryId,
+    correlationId: stored.correlationId,
+    timestamp: now
+  }));
+
+  return stored;
+}
+
+/**
+ * List conflicts (newest first)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listIndexConflicts() {
+  const entries = await getCollection(CONFLICTS_COLLECTION).entries();
+  return entries
+    .map(entry => entry.value)
+    .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+}
+
+/**
+ * Remove conflicts detected before a moment (superseded by a repair run)
+ * @param {string} before - ISO timestamp
+ * @returns {Promise<number>} Removed conflicts
+ */
+export async function clearIndexConflicts(before) {
+  const cutoff = new Date(before).getTime();
+  return getCollection(CONFLICTS_COLLECTION).removeWhere(conflict => new Date(conflict.detectedAt).getTime() < cutoff);
+}
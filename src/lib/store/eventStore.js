@@ -0,0 +1,195 @@
+/**
+ * Webhook Event Store (inbox)
+ * Keeps raw webhook payloads with headers, processing result and correlationId
+ *
+ * Retention (applied on every append):
+ *   - EVENT_STORE_MAX_EVENTS - max events per source (default 500)
+ *   - EVENT_STORE_MAX_AGE_DAYS - max event age in days (default 14)
+ *
+ * Every event is its own store record (keyed by eventId = "{received ms}-{random}"), so appends, updates and
+ * retention touch single records and never rewrite other payloads.
+ */
+
+import { getCollection } from './index.js';
+
+const DEFAULT_MAX_EVENTS = 500;
+const DEFAULT_MAX_AGE_DAYS = 14;
+
+// Headers worth keeping for debugging/replay (everything else is dropped)
+const KEPT_HEADER_PREFIXES = ['x-shopify-'];
+const KEPT_HEADERS = ['content-type', 'user-agent'];
+
+/**
+ * Get retention settings from environment
+ * @returns {Object} { maxEvents, maxAgeDays }
+ */
+export function getRetentionSettings() {
+  const maxEvents = parseInt(process.env.EVENT_STORE_MAX_EVENTS, 10);
+  const maxAgeDays = parseFloat(process.env.EVENT_STORE_MAX_AGE_DAYS);
+  return {
+    maxEvents: maxEvents > 0 ? maxEvents : DEFAULT_MAX_EVENTS,
+    maxAgeDays: maxAgeDays > 0 ? maxAgeDays : DEFAULT_MAX_AGE_DAYS,
+  };
+}
+
+/**
+ * Keep only relevant request headers (lowercased)
+ * @param {Object} headers - Request headers
+ * @returns {Object} Filtered headers
+ */
+function pickHeaders(headers = {}) {
+  const picked = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const lower = name.toLowerCase();
+    if (KEPT_HEADERS.includes(lower) || KEPT_HEADER_PREFIXES.some(prefix => lower.startsWith(prefix))) {
+      picked[lower] = value;
+    }
+  }
+  return picked;
+}
+
+export class EventStore {
+  /**
+   * @param {string} source - Event source ('shopify' or 'bitrix'), one collection per source
+   */
+  constructor(source) {
+    this.source = source;
+    this.collectionName = `events-${source}`;
+  }
+
+  get collection() {
+    return getCollection(this.collectionName);
+  }
+
+  /**
+   * Append new event
+   * @param {Object} params
+   * @param {Object} params.payload - Raw webhook payload
+   * @param {Object} params.headers - Request headers (filtered before storing)
+   * @param {string} params.topic - Webhook topic / event type
+   * @param {string} params.shopDomain - Shop domain (Shopify only)
+   * @param {string} params.webhookId - Delivery ID (X-Shopify-Webhook-Id)
+   * @param {string} params.correlationId - Correlation ID for logs
+   * @param {Object} params.result - Processing result (usually set later via update)
+   * @returns {Promise<Object>} Stored record
+   */
+  async append({ payload, headers = {}, topic = null, shopDomain = null, webhookId = null, correlationId = null, result = null }) {
+    const eventId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const record = {
+      eventId,
+      source: this.source,
+      received_at: new Date().toISOString(),
+      topic,
+      shopDomain,
+      webhookId,
+      correlationId,
+      headers: pickHeaders(headers),
+      // Clone to detach stored payload from objects mutated later by handlers
+      payload: payload === undefined ? null : JSON.parse(JSON.stringify(payload)),
+      result,
+    };
+
+    await this.collection.set(eventId, record);
+
+    try {
+      await this.prune();
+    } catch (pruneError) {
+      console.error(`[EVENT STORE] Retention prune failed for ${this.source} (non-blocking):`, pruneError.message);
+    }
+
+    return record;
+  }
+
+  /**
+   * Merge fields into stored record
+   * @param {string} eventId - Event ID
+   * @param {Object} patch - Top-level fields to merge; patch.payload is merged into payload
+   * @returns {Promise<Object|null>} Updated record or null if not found
+   */
+  async update(eventId, patch = {}) {
+    const updated = await this.collection.update(eventId, (current) => {
+      if (!current) {
+        return undefined;
+      }
+      const { payload: payloadPatch, ...rest } = patch;
+      return {
+        ...current,
+        ...rest,
+        ...(payloadPatch ? { payload: { ...(current.payload || {}), ...payloadPatch } } : {}),
+      };
+    });
+    return updated || null;
+  }
+
+  /**
+   * Get record by event ID
+   * @param {string} eventId
+   * @returns {Promise<Object|null>}
+   */
+  async get(eventId) {
+    return this.collection.get(eventId);
+  }
+
+  /**
+   * List all records (oldest first)
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const entries = await this.collection.entries();
+    return entries.map(entry => entry.value);
+  }
+
+  /**
+   * Get latest record
+   * @returns {Promise<Object|null>}
+   */
+  async latest() {
+    const keys = await this.collection.keys();
+    return keys.length > 0 ? this.collection.get(keys[keys.length - 1]) : null;
+  }
+
+  /**
+   * Count records
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const keys = await this.collection.keys();
+    return keys.length;
+  }
+
+  /**
+   * Remove all records
+   * @returns {Promise<number>} Number of removed records
+   */
+  async clear() {
+    return this.collection.clear();
+  }
+
+  /**
+   * Apply retention settings (max age, then max count - oldest removed first)
+   * @returns {Promise<number>} Number of removed records
+   */
+  async prune() {
+    const { maxEvents, maxAgeDays } = getRetentionSettings();
+    const keys = await this.collection.keys();
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    // Event ID starts with the receive time - payloads are not read
+    const toRemove = [];
+    const kept = [];
+    for (const key of keys) {
+      if (parseInt(String(key).split('-')[0], 10) < cutoff) {
+        toRemove.push(key);
+      } else {
+        kept.push(key);
+      }
+    }
+    toRemove.push(...kept.slice(0, Math.max(0, kept.length - maxEvents)));
+
+    if (toRemove.length === 0) {
+      return 0;
+    }
+
+    return this.collection.removeKeys(toRemove);
+  }
+}
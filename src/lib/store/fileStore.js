@@ -0,0 +1,408 @@
+/**
+ * File-backed collection (MW_STORE_DRIVER=file)
+ * Each collection is a directory in MW_DATA_DIR with one JSON file per record, written atomically
+ * (tmp file + rename). The file name is derived from the key, so get / set / update open one path without
+ * listing the directory; the insertion sequence is stored inside the record:
+ *   {MW_DATA_DIR}/{collection}/{base64url(key)}.json  ->  { key, seq, updatedAt, value }
+ *
+ * Writes to a record take a lock file next to it (exclusive create), so processes sharing MW_DATA_DIR
+ * (one host or a shared volume with POSIX semantics) never interleave read-modify-write of one record.
+ * A lock left by a crashed process is broken after LOCK_STALE_MS: it is renamed aside (atomic, only one
+ * process wins) and removed only if it is still the same stale file; a fresh lock taken meanwhile is put back.
+ *
+ * Collections written by previous layouts (one {collection}.json file, or {seq}-{base64url(key)}.json
+ * record files) are imported on first use.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 15;
+const SEQ_WIDTH = 16;
+const SEQ_FILE_PATTERN = new RegExp(`^\\d{${SEQ_WIDTH}}-.+\\.json$`); // {seq}-{key}.json, previous record layout
+
+let seqCounter = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get data directory for store files
+ * Defaults to OS temp dir - local development only, the directory belongs to one instance
+ * (production requires MW_DATA_DIR on shared storage or the redis driver, see getStoreConfigErrors)
+ * @returns {string} Absolute directory path
+ */
+export function getDataDir() {
+  return process.env.MW_DATA_DIR || path.join(os.tmpdir(), 'mw-store');
+}
+
+/**
+ * Next insertion sequence (milliseconds + per-process counter, ordered across processes by time)
+ * @returns {string} Zero-padded sequence
+ */
+function nextSeq() {
+  seqCounter = (seqCounter + 1) % 1000;
+  return String(Date.now() * 1000 + seqCounter).padStart(SEQ_WIDTH, '0');
+}
+
+export class FileCollection {
+  constructor(name) {
+    this.name = name;
+    const safeName = String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    this.dirPath = path.join(getDataDir(), safeName);
+    this.legacyPath = path.join(getDataDir(), `${safeName}.json`);
+    this.migrated = null; // Promise of legacy import (once per process)
+  }
+
+  /**
+   * Encode key for file name
+   * @param {string} key
+   * @returns {string}
+   */
+  encodeKey(key) {
+    return Buffer.from(String(key)).toString('base64url');
+  }
+
+  /**
+   * Record file of key
+   * @param {string} key
+   * @returns {string} File path
+   */
+  recordPath(key) {
+    return path.join(this.dirPath, `${this.encodeKey(key)}.json`);
+  }
+
+  /**
+   * Record files of the collection (directory order)
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async listFiles() {
+    await this.migrateLegacy();
+    let names;
+    try {
+      names = await fs.readdir(this.dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return names
+      .filter(name => name.endsWith('.json') && !SEQ_FILE_PATTERN.test(name))
+      .map(name => path.join(this.dirPath, name));
+  }
+
+  /**
+   * Records of the collection in insertion order
+   * @returns {Promise<Array<{key: string, seq: string, value: *}>>}
+   */
+  async listRecords() {
+    const records = [];
+    for (const file of await this.listFiles()) {
+      const record = await this.readRecord(file);
+      if (record) {
+        records.push(record);
+      }
+    }
+    return records.sort((a, b) => (a.seq < b.seq ? -1 : a.seq > b.seq ? 1 : 0));
+  }
+
+  /**
+   * Read record file
+   * @param {string} file - File path
+   * @returns {Promise<Object|null>} { key, seq, value } or null (missing / removed meanwhile)
+   */
+  async readRecord(file) {
+    try {
+      const record = JSON.parse(await fs.readFile(file, 'utf8'));
+      return { key: record.key, seq: String(record.seq || ''), value: record.value };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (error instanceof SyntaxError) {
+        // Keep corrupted record for inspection, the key reads as missing
+        console.error(`[STORE] Record ${file} of "${this.name}" is corrupted, moved aside:`, error.message);
+        await fs.rename(file, `${file}.corrupt-${Date.now()}`).catch(() => {});
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write record file atomically
+   * @param {string} key
+   * @param {string} seq - Insertion sequence (kept across updates)
+   * @param {*} value
+   * @param {string} [file] - File path (defaults to the record file of key)
+   */
+  async writeRecord(key, seq, value, file = this.recordPath(key)) {
+    await fs.mkdir(this.dirPath, { recursive: true });
+    const tmpPath = `${file}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ key: String(key), seq, updatedAt: new Date().toISOString(), value }), 'utf8');
+    await fs.rename(tmpPath, file);
+  }
+
+  /**
+   * Break stale lock: rename it aside (only one process wins the rename), then check the renamed file is
+   * the same stale lock (inode + mtime). A lock created meanwhile by a live holder is put back with link(),
+   * which never overwrites a lock taken after it.
+   * @param {string} lockPath - Lock file path
+   * @param {Object} stat - Stat of the lock seen as stale
+   */
+  async breakStaleLock(lockPath, stat) {
+    const asidePath = `${lockPath}.stale-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    try {
+      await fs.rename(lockPath, asidePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return; // Released or broken by another process
+      }
+      throw error;
+    }
+
+    const asideStat = await fs.stat(asidePath).catch(() => null);
+    const sameLock = asideStat && asideStat.ino === stat.ino && asideStat.mtimeMs === stat.mtimeMs;
+    if (!sameLock) {
+      await fs.link(asidePath, lockPath).catch(() => {});
+    }
+    await fs.unlink(asidePath).catch(() => {});
+
+    if (sameLock) {
+      console.log(JSON.stringify({
+        event: 'STORE_STALE_LOCK_BROKEN',
+        collection: this.name,
+        lock: path.basename(lockPath),
+        ageMs: Date.now() - stat.mtimeMs,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  /**
+   * Run operation holding the record lock (exclusive lock file)
+   * @param {string} key
+   * @param {Function} operation - async () => result
+   * @returns {Promise<*>} Operation result
+   * @throws {Error} code 'STORE_CONFLICT' when the lock is not released within LOCK_WAIT_MS
+   */
+  async withRecordLock(key, operation) {
+    await fs.mkdir(this.dirPath, { recursive: true });
+    const lockPath = path.join(this.dirPath, `${this.encodeKey(key)}.lock`);
+    const startedAt = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await this.breakStaleLock(lockPath, stat);
+        continue;
+      }
+      if (Date.now() - startedAt > LOCK_WAIT_MS) {
+        const error = new Error(`Store record ${this.name}/${key} is locked`);
+        error.code = 'STORE_CONFLICT';
+        error.retryable = true;
+        throw error;
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await operation();
+    } finally {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Import collections written by previous layouts (once per process):
+   * one JSON file per collection, and {seq}-{base64url(key)}.json record files (the seq moves into the record)
+   */
+  async migrateLegacy() {
+    if (!this.migrated) {
+      this.migrated = (async () => {
+        let imported = 0;
+
+        let raw = null;
+        try {
+          raw = await fs.readFile(this.legacyPath, 'utf8');
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        if (raw !== null) {
+          for (const [key, value] of JSON.parse(raw).entries || []) {
+            await this.withRecordLock(key, async () => {
+              if (!(await this.readRecord(this.recordPath(key)))) {
+                await this.writeRecord(key, nextSeq(), value);
+                imported++;
+              }
+            });
+          }
+          await fs.rename(this.legacyPath, `${this.legacyPath}.migrated-${Date.now()}`).catch(() => {});
+        }
+
+        const names = await fs.readdir(this.dirPath).catch(() => []);
+        for (const name of names.filter(item => SEQ_FILE_PATTERN.test(item))) {
+          const seq = name.slice(0, name.indexOf('-'));
+          const key = Buffer.from(name.slice(name.indexOf('-') + 1, -'.json'.length), 'base64url').toString();
+          const oldPath = path.join(this.dirPath, name);
+          await this.withRecordLock(key, async () => {
+            const record = await this.readRecord(oldPath);
+            if (record && !(await this.readRecord(this.recordPath(key)))) {
+              await this.writeRecord(key, seq, record.value);
+              imported++;
+            }
+            await fs.unlink(oldPath).catch(() => {});
+          });
+        }
+
+        if (imported > 0) {
+          console.log(JSON.stringify({
+            event: 'STORE_COLLECTION_MIGRATED',
+            collection: this.name,
+            records: imported,
+            timestamp: new Date().toISOString()
+          }));
+        }
+      })().catch(error => {
+        this.migrated = null;
+        throw error;
+      });
+    }
+    return this.migrated;
+  }
+
+  /**
+   * Get value by key
+   * @param {string} key
+   * @returns {Promise<*>} Value or null
+   */
+  async get(key) {
+    await this.migrateLegacy();
+    return (await this.readRecord(this.recordPath(key)))?.value ?? null;
+  }
+
+  /**
+   * Set value by key (insertion order is kept for new keys)
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<*>} Stored value
+   */
+  async set(key, value) {
+    await this.migrateLegacy();
+    return this.withRecordLock(key, async () => {
+      const current = await this.readRecord(this.recordPath(key));
+      await this.writeRecord(key, current?.seq || nextSeq(), value);
+      return value;
+    });
+  }
+
+  /**
+   * Atomic read-modify-write (record lock held while the updater runs)
+   * @param {string} key
+   * @param {Function} updater - (current|null) => next; returning undefined deletes the key
+   * @returns {Promise<*>} New value (or undefined if deleted)
+   */
+  async update(key, updater) {
+    await this.migrateLegacy();
+    return this.withRecordLock(key, async () => {
+      const file = this.recordPath(key);
+      const current = await this.readRecord(file);
+      const next = await updater(current?.value ?? null);
+      if (next === undefined) {
+        if (current) {
+          await fs.unlink(file).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+          });
+        }
+      } else {
+        await this.writeRecord(key, current?.seq || nextSeq(), next);
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Delete key
+   * @param {string} key
+   * @returns {Promise<boolean>} True if key existed
+   */
+  async delete(key) {
+    await this.migrateLegacy();
+    return this.withRecordLock(key, async () => {
+      try {
+        await fs.unlink(this.recordPath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * List keys in insertion order
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return (await this.listRecords()).map(record => record.key);
+  }
+
+  /**
+   * List all entries in insertion order
+   * @returns {Promise<Array<{key: string, value: *}>>}
+   */
+  async entries() {
+    return (await this.listRecords())
+      .filter(record => record.value !== null)
+      .map(({ key, value }) => ({ key, value }));
+  }
+
+  /**
+   * Remove entries matching predicate
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeWhere(predicate) {
+    const entries = await this.entries();
+    return this.removeKeys(entries.filter(({ key, value }) => predicate(value, key)).map(entry => entry.key));
+  }
+
+  /**
+   * Remove keys
+   * @param {Array<string>} keys
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeKeys(keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (await this.delete(key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async clear() {
+    return this.removeKeys(await this.keys());
+  }
+}
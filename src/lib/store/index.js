@@ -0,0 +1,83 @@
+/**
+ * Middleware Persistent Store
+ * Pluggable key-value collections shared by the webhook inbox and other middleware state
+ *
+ * Driver is selected with MW_STORE_DRIVER:
+ *   - 'redis' - Upstash Redis REST / Vercel KV (KV_REST_API_URL + KV_REST_API_TOKEN), shared by all instances;
+ *     default when KV_REST_API_URL / UPSTASH_REDIS_REST_URL is set
+ *   - 'file' - one JSON file per record in MW_DATA_DIR (shared only when MW_DATA_DIR is on shared storage)
+ *   - 'memory' - process memory only (tests / local experiments)
+ *
+ * Queue, ledger, locks and the deal index must be visible to every instance, so production
+ * (VERCEL or NODE_ENV=production) requires redis or file with an explicit MW_DATA_DIR (see getStoreConfigErrors).
+ */
+
+import { FileCollection } from './fileStore.js';
+import { MemoryCollection } from './memoryStore.js';
+import { RedisCollection, getRedisSettings } from './redisStore.js';
+
+const DRIVERS = ['redis', 'file', 'memory'];
+
+// Collections are cached per process so all modules share the same instance
+if (typeof global.mwStoreCollections === 'undefined') {
+  global.mwStoreCollections = new Map();
+}
+
+/**
+ * Get configured store driver name
+ * @param {Object|null} values - Config values (passed by getConfig while it loads)
+ * @returns {string} 'redis', 'file' or 'memory'
+ */
+export function getStoreDriver(values = null) {
+  const driver = (process.env.MW_STORE_DRIVER || '').toLowerCase();
+  if (DRIVERS.includes(driver)) {
+    return driver;
+  }
+  return getRedisSettings(values).url ? 'redis' : 'file';
+}
+
+/**
+ * Store problems that make sync unsafe (checked by assertSyncConfig)
+ * @param {Object} values - Config values being loaded by getConfig
+ * @returns {Array<string>} Errors (empty when the store is usable)
+ */
+export function getStoreConfigErrors(values) {
+  const errors = [];
+  const driver = getStoreDriver(values);
+  const configured = (process.env.MW_STORE_DRIVER || '').toLowerCase();
+  if (configured && !DRIVERS.includes(configured)) {
+    errors.push(`MW_STORE_DRIVER must be one of ${DRIVERS.join(', ')}`);
+  }
+  if (driver === 'redis') {
+    const { url, token } = getRedisSettings(values);
+    if (!url || !token) {
+      errors.push('MW_STORE_DRIVER=redis requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+  }
+
+  const isProduction = !!process.env.VERCEL || process.env.NODE_ENV === 'production';
+  if (isProduction && driver === 'memory') {
+    errors.push('MW_STORE_DRIVER=memory is not allowed in production (state is lost per instance)');
+  }
+  if (isProduction && driver === 'file' && !process.env.MW_DATA_DIR) {
+    errors.push('Shared store is not configured: set KV_REST_API_URL / KV_REST_API_TOKEN (redis) or MW_DATA_DIR on shared storage');
+  }
+  return errors;
+}
+
+/**
+ * Get (or create) a named collection
+ * @param {string} name - Collection name (e.g. 'events-shopify'), used as key prefix / directory name
+ * @returns {RedisCollection|FileCollection|MemoryCollection} Collection instance
+ */
+export function getCollection(name) {
+  const driver = getStoreDriver();
+  const cacheKey = `${driver}:${name}`;
+
+  if (!global.mwStoreCollections.has(cacheKey)) {
+    const Collection = { redis: RedisCollection, file: FileCollection, memory: MemoryCollection }[driver];
+    global.mwStoreCollections.set(cacheKey, new Collection(name));
+  }
+
+  return global.mwStoreCollections.get(cacheKey);
+}
@@ -0,0 +1,109 @@
+/**
+ * In-memory collection (MW_STORE_DRIVER=memory)
+ * Same async interface as FileCollection, data lives only in process memory (tests / local experiments)
+ */
+
+export class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+  }
+
+  /**
+   * Get value by key
+   * @param {string} key
+   * @returns {Promise<*>} Value or null
+   */
+  async get(key) {
+    const value = this.items.get(String(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Set value by key (insertion order is kept for new keys)
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<*>} Stored value
+   */
+  async set(key, value) {
+    this.items.set(String(key), value);
+    return value;
+  }
+
+  /**
+   * Atomic read-modify-write
+   * @param {string} key
+   * @param {Function} updater - (current|null) => next; returning undefined deletes the key
+   * @returns {Promise<*>} New value (or undefined if deleted)
+   */
+  async update(key, updater) {
+    const current = await this.get(key);
+    const next = await updater(current);
+    if (next === undefined) {
+      this.items.delete(String(key));
+    } else {
+      this.items.set(String(key), next);
+    }
+    return next;
+  }
+
+  /**
+   * Delete key
+   * @param {string} key
+   * @returns {Promise<boolean>} True if key existed
+   */
+  async delete(key) {
+    return this.items.delete(String(key));
+  }
+
+  /**
+   * List keys in insertion order
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return Array.from(this.items.keys());
+  }
+
+  /**
+   * List all entries in insertion order
+   * @returns {Promise<Array<{key: string, value: *}>>}
+   */
+  async entries() {
+    return Array.from(this.items.entries()).map(([key, value]) => ({ key, value }));
+  }
+
+  /**
+   * Remove entries matching predicate
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeWhere(predicate) {
+    let removed = 0;
+    for (const [key, value] of Array.from(this.items.entries())) {
+      if (predicate(value, key)) {
+        this.items.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove keys
+   * @param {Array<string>} keys
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeKeys(keys) {
+    return keys.filter(key => this.items.delete(String(key))).length;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async clear() {
+    const count = this.items.size;
+    this.items.clear();
+    return count;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Per-Order Lock
+ * Guarantees at most one Shopify → Bitrix sync per order.id at a time
+ * (orders/create and orders/updated often arrive within milliseconds - without the lock
+ * both can miss the deal in crm.deal.list and both call crm.deal.add)
+ *
+ * Two layers:
+ *   - in-process promise chain - same instance waits for the previous sync of the order
+ *   - lease in the shared store - other instances / workers wait until the lease is released or expires.
+ *     The lease is taken with the store's compare-and-set update (Lua script on redis, record lock file on file),
+ *     so it excludes other instances only with a shared store (see src/lib/store/index.js); with the memory
+ *     driver it is per process
+ *
+ * Lock lease expires after ORDER_LOCK_TTL_SEC (crashed holder) and is renewed every third of it while the holder
+ * works, so a slow sync (Bitrix retries / backoff) keeps it. Waiters give up after ORDER_LOCK_WAIT_SEC
+ * with error code ORDER_LOCK_TIMEOUT (queue job is retried later)
+ */
+
+import { getCollection } from './index.js';
+
+const COLLECTION_NAME = 'order-locks';
+const DEFAULT_TTL_SEC = 120;
+const DEFAULT_WAIT_SEC = 30;
+const POLL_INTERVAL_MS = 250;
+
+// In-process chains: orderId -> Promise of the last queued sync
+if (typeof global.mwOrderLockChains === 'undefined') {
+  global.mwOrderLockChains = new Map();
+}
+
+/**
+ * Get lock settings from environment
+ * @returns {Object} { ttlMs, waitMs }
+ */
+function getLockSettings() {
+  const ttlSec = parseFloat(process.env.ORDER_LOCK_TTL_SEC);
+  const waitSec = parseFloat(process.env.ORDER_LOCK_WAIT_SEC);
+  return {
+    ttlMs: (ttlSec > 0 ? ttlSec : DEFAULT_TTL_SEC) * 1000,
+    waitMs: (waitSec > 0 ? waitSec : DEFAULT_WAIT_SEC) * 1000,
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Try to take lease (compare-and-set in the shared store)
+ * @param {string} key - Order ID
+ * @param {string} owner - Lock owner token
+ * @param {number} ttlMs - Lease duration
+ * @returns {Promise<Object>} { acquired, holder }
+ */
+async function tryAcquireLease(key, owner, ttlMs) {
+  let acquired = false;
+  const entry = await getCollection(COLLECTION_NAME).update(key, (current) => {
+    const now = Date.now();
+    if (current && current.owner !== owner && new Date(current.expiresAt).getTime() > now) {
+      return current; // Held by someone else
+    }
+    acquired = true;
+    return {
+      owner,
+      acquiredAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+  });
+  return { acquired, holder: entry };
+}
+
+/**
+ * Release lease if still owned
+ * @param {string} key - Order ID
+ * @param {string} owner - Lock owner token
+ */
+async function releaseLease(key, owner) {
+  await getCollection(COLLECTION_NAME).update(key, (current) =>
+    current && current.owner === owner ? undefined : current
+  );
+}
+
+/**
+ * Keep lease alive while the holder works (renewed every ttl / 3)
+ * @param {string} key - Order ID
+ * @param {string} owner - Lock owner token
+ * @param {string} correlationId - Correlation ID for logging
+ * @returns {Function} Stops renewal
+ */
+function startLeaseRenewal(key, owner, correlationId) {
+  const { ttlMs } = getLockSettings();
+  let renewing = false;
+  let lost = false;
+
+  const timer = setInterval(async () => {
+    if (renewing || lost) {
+      return;
+    }
+    renewing = true;
+    try {
+      let renewed = false;
+      await getCollection(COLLECTION_NAME).update(key, (current) => {
+        if (!current || current.owner !== owner) {
+          return current === null ? undefined : current;
+        }
+        renewed = true;
+        return { ...current, expiresAt: new Date(Date.now() + ttlMs).toISOString(), renewedAt: new Date().toISOString() };
+      });
+      if (!renewed) {
+        lost = true;
+        console.log(JSON.stringify({
+          event: 'ORDER_LOCK_LOST',
+          correlationId,
+          orderId: key,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    } catch (renewError) {
+      // Next tick retries; the lease is still valid for at least two thirds of the TTL
+      console.error(`[ORDER LOCK] Failed to renew lock for order ${key}:`, renewError.message);
+    } finally {
+      renewing = false;
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Take durable lease, waiting while another instance holds it
+ * @param {string} key - Order ID
+ * @param {string} owner - Lock owner token
+ * @param {string} correlationId - Correlation ID for logging
+ */
+async function acquireLease(key, owner, correlationId) {
+  const { ttlMs, waitMs } = getLockSettings();
+  const startedAt = Date.now();
+  let loggedWait = false;
+
+  while (true) {
+    const { acquired, holder } = await tryAcquireLease(key, owner, ttlMs);
+    if (acquired) {
+      if (loggedWait) {
+        console.log(JSON.stringify({
+          event: 'ORDER_LOCK_ACQUIRED',
+          correlationId,
+          orderId: key,
+          waitedMs: Date.now() - startedAt,
+          timestamp: new Date().toISOString()
+        }));
+      }
+      return;
+    }
+
+    if (!loggedWait) {
+      console.log(JSON.stringify({
+        event: 'ORDER_LOCK_WAIT',
+        correlationId,
+        orderId: key,
+        holderAcquiredAt: holder?.acquiredAt,
+        holderExpiresAt: holder?.expiresAt,
+        timestamp: new Date().toISOString()
+      }));
+      loggedWait = true;
+    }
+
+    if (Date.now() - startedAt >= waitMs) {
+      console.log(JSON.stringify({
+        event: 'ORDER_LOCK_TIMEOUT',
+        correlationId,
+        orderId: key,
+        waitedMs: Date.now() - startedAt,
+        holderExpiresAt: holder?.expiresAt,
+        timestamp: new Date().toISOString()
+      }));
+      const error = new Error(`Order ${key} is locked by another sync (waited ${Math.round((Date.now() - startedAt) / 1000)}s)`);
+      error.code = 'ORDER_LOCK_TIMEOUT';
+      throw error;
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Run function while holding the order lock
+ * Concurrent calls for the same order run one after another
+ * @param {string|number} orderId - Shopify order ID (or other sync key, e.g. "product:{id}")
+ * @param {Function} fn - async () => result
+ * @param {Object} options - { correlationId }
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withOrderLock(orderId, fn, options = {}) {
+  const key = String(orderId);
+  const owner = `${process.pid}:${Date.now()}:${Math.random().toString(36).substr(2, 9)}`;
+  const chains = global.mwOrderLockChains;
+
+  // Wait for previous sync of this order in the same process
+  const previous = chains.get(key) || Promise.resolve();
+  let releaseChain;
+  const current = new Promise(resolve => { releaseChain = resolve; });
+  const tail = previous.then(() => current);
+  chains.set(key, tail);
+
+  await previous;
+
+  try {
+    await acquireLease(key, owner, options.correlationId || null);
+    const stopRenewal = startLeaseRenewal(key, owner, options.correlationId || null);
+    try {
+      return await fn();
+    } finally {
+      stopRenewal();
+      try {
+        await releaseLease(key, owner);
+      } catch (releaseError) {
+        // Lease expires by itself after ORDER_LOCK_TTL_SEC
+        console.error(`[ORDER LOCK] Failed to release lock for order ${key}:`, releaseError.message);
+      }
+    }
+  } finally {
+    releaseChain();
+    if (chains.get(key) === tail) {
+      chains.delete(key);
+    }
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Order Sync State
+ * Remembers the last Shopify order version (updated_at) applied to Bitrix per order.id
+ *
+ * Webhook deliveries are not ordered: an older orders/updated payload can arrive after a newer one.
+ * Payloads with updated_at older than the last applied one are stale and must not overwrite the deal.
+ * Checks run under the per-order lock (see orderLock.js), so check → apply → record is not racy.
+ */
+
+import { getCollection } from './index.js';
+
+const COLLECTION_NAME = 'order-sync-state';
+
+/**
+ * Parse Shopify timestamp
+ * @param {string} value - ISO timestamp (e.g. "2024-03-01T12:00:00+01:00")
+ * @returns {number|null} Milliseconds or null if missing/invalid
+ */
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Get sync state of order
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object|null>} { lastAppliedUpdatedAt, lastTopic, dealId, correlationId, appliedAt }
+ */
+export async function getOrderSyncState(orderId) {
+  return getCollection(COLLECTION_NAME).get(String(orderId));
+}
+
+/**
+ * Check whether payload is older than the last applied version
+ * Payload with the same updated_at is not stale (re-applying is idempotent)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} updatedAt - order.updated_at from payload
+ * @returns {Promise<Object>} { stale, lastAppliedUpdatedAt }
+ */
+export async function checkStalePayload(orderId, updatedAt) {
+  const state = await getOrderSyncState(orderId);
+  const payloadTime = toTime(updatedAt);
+  const lastTime = toTime(state?.lastAppliedUpdatedAt);
+
+  // Without both timestamps there is nothing to compare - apply payload
+  const stale = payloadTime !== null && lastTime !== null && payloadTime < lastTime;
+
+  return { stale, lastAppliedUpdatedAt: state?.lastAppliedUpdatedAt || null };
+}
+
+/**
+ * Record applied payload version (never moves backwards)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} applied - { updatedAt, topic, dealId, correlationId }
+ * @returns {Promise<Object>} Updated state
+ */
+export async function recordAppliedPayload(orderId, applied) {
+  return getCollection(COLLECTION_NAME).update(String(orderId), (current) => {
+    const currentTime = toTime(current?.lastAppliedUpdatedAt);
+    const appliedTime = toTime(applied.updatedAt);
+    const advance = appliedTime !== null && (currentTime === null || appliedTime >= currentTime);
+
+    return {
+      ...(current || {}),
+      lastAppliedUpdatedAt: advance ? applied.updatedAt : (current?.lastAppliedUpdatedAt || null),
+      lastTopic: applied.topic || current?.lastTopic || null,
+      dealId: applied.dealId || current?.dealId || null,
+      correlationId: applied.correlationId || null,
+      appliedAt: new Date().toISOString(),
+    };
+  });
+}
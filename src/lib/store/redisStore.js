@@ -0,0 +1,243 @@
+/**
+ * Redis-backed collection (MW_STORE_DRIVER=redis) - shared by all instances
+ * Talks to the Upstash Redis REST API (Vercel KV): KV_REST_API_URL / KV_REST_API_TOKEN
+ * (or UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN).
+ *
+ * One Redis key per record (mw:{collection}:r:{key}); insertion order is kept in a sorted set
+ * (mw:{collection}:index) scored by a per-collection counter. update() is a compare-and-set:
+ * the new value is written by a Lua script only if the record still holds the value it was computed from,
+ * otherwise the updater runs again with the fresh value.
+ */
+
+import { getConfig } from '../config/index.js';
+
+const KEY_PREFIX = 'mw';
+const MGET_CHUNK = 100;
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// KEYS: record, index, seq; ARGV: value, key - write record, add to index on first write
+const SET_SCRIPT = `
+redis.call('SET', KEYS[1], ARGV[1])
+if not redis.call('ZSCORE', KEYS[2], ARGV[2]) then
+  redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[2])
+end
+return 1`;
+
+// KEYS: record, index, seq; ARGV: expected ('' = absent), expectedExists ('1'/'0'), next ('' = delete), key
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[2] == '1' then
+  if current ~= ARGV[1] then return 0 end
+elseif current then
+  return 0
+end
+if ARGV[3] == '' then
+  redis.call('DEL', KEYS[1])
+  redis.call('ZREM', KEYS[2], ARGV[4])
+  return 1
+end
+redis.call('SET', KEYS[1], ARGV[3])
+if not redis.call('ZSCORE', KEYS[2], ARGV[4]) then
+  redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[4])
+end
+return 1`;
+
+// KEYS: record, index; ARGV: key
+const DELETE_SCRIPT = `
+redis.call('ZREM', KEYS[2], ARGV[1])
+return redis.call('DEL', KEYS[1])`;
+
+/**
+ * Redis REST connection settings (KV_REST_API_URL / KV_REST_API_TOKEN, see src/lib/config/index.js)
+ * @param {Object|null} values - Config values (passed by getConfig while it loads, otherwise read from it)
+ * @returns {Object} { url, token } (null values when not configured)
+ */
+export function getRedisSettings(values = null) {
+  const source = values || getConfig().values;
+  return {
+    url: source.KV_REST_API_URL || null,
+    token: source.KV_REST_API_TOKEN || null,
+  };
+}
+
+/**
+ * Send commands to the REST API (one pipeline request)
+ * @param {Array<Array<string>>} commands - Redis commands
+ * @returns {Promise<Array<*>>} Command results
+ * @throws {Error} code 'STORE_UNAVAILABLE' (retryable) on HTTP / command errors
+ */
+async function redisPipeline(commands) {
+  const { url, token } = getRedisSettings();
+  if (!url || !token) {
+    const error = new Error('Redis store is not configured (KV_REST_API_URL / KV_REST_API_TOKEN)');
+    error.code = 'STORE_UNAVAILABLE';
+    throw error;
+  }
+
+  const response = await fetch(`${url.replace(/\/+$/, '')}/pipeline`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(commands),
+  });
+  if (!response.ok) {
+    const error = new Error(`Redis store error (${response.status}): ${await response.text()}`);
+    error.code = 'STORE_UNAVAILABLE';
+    error.retryable = true;
+    throw error;
+  }
+
+  const results = await response.json();
+  const failed = results.find(item => item.error);
+  if (failed) {
+    const error = new Error(`Redis store command failed: ${failed.error}`);
+    error.code = 'STORE_UNAVAILABLE';
+    error.retryable = true;
+    throw error;
+  }
+  return results.map(item => item.result);
+}
+
+/**
+ * Send one command
+ * @param {Array<string>} command - Redis command
+ * @returns {Promise<*>} Result
+ */
+async function redisCommand(command) {
+  const [result] = await redisPipeline([command]);
+  return result;
+}
+
+export class RedisCollection {
+  constructor(name) {
+    this.name = name;
+    this.prefix = `${KEY_PREFIX}:${name}`;
+    this.indexKey = `${this.prefix}:index`;
+    this.seqKey = `${this.prefix}:seq`;
+  }
+
+  recordKey(key) {
+    return `${this.prefix}:r:${key}`;
+  }
+
+  /**
+   * Get value by key
+   * @param {string} key
+   * @returns {Promise<*>} Value or null
+   */
+  async get(key) {
+    const raw = await redisCommand(['GET', this.recordKey(String(key))]);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Set value by key (insertion order is kept for new keys)
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<*>} Stored value
+   */
+  async set(key, value) {
+    await redisCommand(['EVAL', SET_SCRIPT, '3', this.recordKey(String(key)), this.indexKey, this.seqKey, JSON.stringify(value), String(key)]);
+    return value;
+  }
+
+  /**
+   * Atomic read-modify-write (compare-and-set, the updater may run several times under contention)
+   * @param {string} key
+   * @param {Function} updater - (current|null) => next; returning undefined deletes the key
+   * @returns {Promise<*>} New value (or undefined if deleted)
+   * @throws {Error} code 'STORE_CONFLICT' when the record keeps changing under the updater
+   */
+  async update(key, updater) {
+    const recordKey = this.recordKey(String(key));
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const raw = await redisCommand(['GET', recordKey]);
+      const next = await updater(raw === null ? null : JSON.parse(raw));
+      const nextRaw = next === undefined ? '' : JSON.stringify(next);
+      if (raw !== null && nextRaw === raw) {
+        return next; // Unchanged - nothing to write
+      }
+      const written = await redisCommand([
+        'EVAL', CAS_SCRIPT, '3', recordKey, this.indexKey, this.seqKey,
+        raw === null ? '' : raw, raw === null ? '0' : '1', nextRaw, String(key),
+      ]);
+      if (Number(written) === 1) {
+        return next;
+      }
+    }
+    const error = new Error(`Store record ${this.name}/${key} kept changing during update`);
+    error.code = 'STORE_CONFLICT';
+    error.retryable = true;
+    throw error;
+  }
+
+  /**
+   * Delete key
+   * @param {string} key
+   * @returns {Promise<boolean>} True if key existed
+   */
+  async delete(key) {
+    const deleted = await redisCommand(['EVAL', DELETE_SCRIPT, '2', this.recordKey(String(key)), this.indexKey, String(key)]);
+    return Number(deleted) > 0;
+  }
+
+  /**
+   * List keys in insertion order
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return redisCommand(['ZRANGE', this.indexKey, '0', '-1']);
+  }
+
+  /**
+   * List all entries in insertion order
+   * @returns {Promise<Array<{key: string, value: *}>>}
+   */
+  async entries() {
+    const keys = await this.keys();
+    const result = [];
+    for (let i = 0; i < keys.length; i += MGET_CHUNK) {
+      const chunk = keys.slice(i, i + MGET_CHUNK);
+      const values = await redisCommand(['MGET', ...chunk.map(key => this.recordKey(key))]);
+      chunk.forEach((key, index) => {
+        if (values[index] !== null) {
+          result.push({ key, value: JSON.parse(values[index]) });
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Remove entries matching predicate (records changed after they were read may be removed too)
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeWhere(predicate) {
+    const entries = await this.entries();
+    const keys = entries.filter(({ key, value }) => predicate(value, key)).map(entry => entry.key);
+    return this.removeKeys(keys);
+  }
+
+  /**
+   * Remove keys
+   * @param {Array<string>} keys
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeKeys(keys) {
+    if (keys.length === 0) {
+      return 0;
+    }
+    const results = await redisPipeline(keys.map(key =>
+      ['EVAL', DELETE_SCRIPT, '2', this.recordKey(String(key)), this.indexKey, String(key)]
+    ));
+    return results.filter(result => Number(result) > 0).length;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async clear() {
+    return this.removeKeys(await this.keys());
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Webhook Deduplication Ledger
+ * Tracks processed deliveries keyed by X-Shopify-Webhook-Id + topic
+ *
+ * Entry states:
+ *   - processing - delivery is in flight (lease expires after WEBHOOK_LEDGER_IN_FLIGHT_TIMEOUT_SEC)
+ *   - done - processed successfully, original result is kept for duplicate deliveries
+ *   - failed - processing failed, next delivery (Shopify retry) is allowed to run again
+ *
+ * Entries older than WEBHOOK_LEDGER_RETENTION_DAYS are pruned (Shopify retries for up to 48h)
+ *
+ * Claims use the store's compare-and-set update, so two instances cannot both claim a delivery when the store
+ * is shared (redis, or file on shared MW_DATA_DIR - see src/lib/store/index.js); with the memory driver
+ * deduplication is per process. The processing lease only covers storing and enqueueing the event
+ * (the sync itself runs in the queue), so it is not renewed.
+ */
+
+import { getCollection } from './index.js';
+
+const COLLECTION_NAME = 'webhook-ledger';
+const DEFAULT_IN_FLIGHT_TIMEOUT_SEC = 300;
+const DEFAULT_RETENTION_DAYS = 7;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+/**
+ * Get ledger settings from environment
+ * @returns {Object} { inFlightTimeoutMs, retentionMs }
+ */
+function getLedgerSettings() {
+  const timeoutSec = parseInt(process.env.WEBHOOK_LEDGER_IN_FLIGHT_TIMEOUT_SEC, 10);
+  const retentionDays = parseFloat(process.env.WEBHOOK_LEDGER_RETENTION_DAYS);
+  return {
+    inFlightTimeoutMs: (timeoutSec > 0 ? timeoutSec : DEFAULT_IN_FLIGHT_TIMEOUT_SEC) * 1000,
+    retentionMs: (retentionDays > 0 ? retentionDays : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Build ledger key
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @param {string} topic - X-Shopify-Topic
+ * @returns {string} Ledger key
+ */
+export function getLedgerKey(webhookId, topic) {
+  return `${topic || 'unknown'}:${webhookId}`;
+}
+
+/**
+ * Remove expired entries (at most once per PRUNE_INTERVAL_MS per process)
+ */
+async function pruneLedger() {
+  const now = Date.now();
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastPruneAt = now;
+
+  const { retentionMs } = getLedgerSettings();
+  const cutoff = now - retentionMs;
+  try {
+    await getCollection(COLLECTION_NAME).removeWhere(entry =>
+      new Date(entry.updatedAt || entry.startedAt).getTime() < cutoff
+    );
+  } catch (error) {
+    console.error('[WEBHOOK LEDGER] Prune failed (non-blocking):', error.message);
+  }
+}
+
+/**
+ * Try to claim delivery for processing (compare-and-set in the shared store)
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @param {string} topic - Webhook topic
+ * @param {Object} meta - { correlationId, eventId }
+ * @returns {Promise<Object>} { status: 'claimed'|'duplicate'|'in_flight', key, entry }
+ */
+export async function claimDelivery(webhookId, topic, meta = {}) {
+  const key = getLedgerKey(webhookId, topic);
+  const { inFlightTimeoutMs } = getLedgerSettings();
+  const now = new Date();
+  let status = 'claimed';
+
+  const entry = await getCollection(COLLECTION_NAME).update(key, (current) => {
+    if (current?.state === 'done') {
+      status = 'duplicate';
+      return current;
+    }
+
+    if (current?.state === 'processing') {
+      const leaseAgeMs = now.getTime() - new Date(current.startedAt).getTime();
+      if (leaseAgeMs < inFlightTimeoutMs) {
+        status = 'in_flight';
+        return current;
+      }
+      // Lease expired (instance crashed or timed out) - take over
+    }
+
+    return {
+      webhookId,
+      topic,
+      state: 'processing',
+      attempts: (current?.attempts || 0) + 1,
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      correlationId: meta.correlationId || null,
+      eventId: meta.eventId || null,
+      result: null,
+      error: null,
+    };
+  });
+
+  await pruneLedger();
+
+  return { status, key, entry };
+}
+
+/**
+ * Mark delivery as processed and store its result
+ * @param {string} key - Ledger key from claimDelivery
+ * @param {Object} result - Processing result returned to duplicate deliveries
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function completeDelivery(key, result) {
+  return getCollection(COLLECTION_NAME).update(key, (current) => ({
+    ...(current || {}),
+    state: 'done',
+    updatedAt: new Date().toISOString(),
+    completedAt: new Date().toISOString(),
+    result,
+    error: null,
+  }));
+}
+
+/**
+ * Mark delivery as failed (next delivery will be processed again)
+ * @param {string} key - Ledger key from claimDelivery
+ * @param {string} errorMessage - Error message
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function failDelivery(key, errorMessage) {
+  return getCollection(COLLECTION_NAME).update(key, (current) => ({
+    ...(current || {}),
+    state: 'failed',
+    updatedAt: new Date().toISOString(),
+    error: errorMessage,
+  }));
+}
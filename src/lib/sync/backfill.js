@@ -0,0 +1,509 @@
+/**
+ * Historical Backfill (Shopify → Bitrix)
+ * Syncs orders that arrived before webhooks were configured or while the endpoint was down.
+ *
+ * A run is stored in the 'backfill-runs' collection and advanced one Admin API page per step
+ * (runBackfillStep, called by /api/admin/backfill/[runId] from the backfill page or cron), so long runs
+ * survive serverless timeouts and can be resumed. Each matched order goes through the same pipeline
+ * as orders/updated (processor passed by the caller, like runDueJobs in syncQueue.js).
+ *
+ * Run states: pending (next page is due) → running (step in progress, lease) → done | failed | cancelled
+ * Dry run lists orders and looks up deals by UF_CRM_1742556489 without writing to Bitrix.
+ */
+
+import { getCollection } from '../store/index.js';
+import { listOrders } from '../shopify/adminClient.js';
+import { getConfiguredShop, runWithShop } from '../shopify/shops.js';
+import { batch } from '../bitrix/client.js';
+
+const COLLECTION_NAME = 'backfill-runs';
+
+export const BACKFILL_STATES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+export const BACKFILL_LIMITS = {
+  defaultPageSize: 20,
+  maxPageSize: 250,
+  defaultConcurrency: 2,
+  maxConcurrency: 5,
+};
+
+const LEASE_MS = 10 * 60 * 1000; // step that crashed releases the run after 10 minutes
+const MAX_LIST_ERRORS = 5; // consecutive Admin API failures before the run is failed
+const MAX_REPORT_ITEMS = 1000;
+
+/**
+ * Generate run ID
+ * @returns {string} Run ID
+ */
+function generateRunId() {
+  return `backfill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Parse optional integer
+ * @param {*} value - Input value
+ * @returns {number|null|NaN} Integer, null when empty, NaN when invalid
+ */
+function parseOptionalInt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Parse optional date (ISO string or YYYY-MM-DD)
+ * @param {*} value - Input value
+ * @returns {string|null|NaN} ISO string, null when empty, NaN when invalid
+ */
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : date.toISOString();
+}
+
+/**
+ * Validate backfill parameters
+ * @param {Object} input - { createdAtMin, createdAtMax, orderNumberFrom, orderNumberTo, dryRun, concurrency, pageSize, shopDomain }
+ * @returns {Object} { params, errors }
+ */
+export function validateBackfillParams(input = {}) {
+  const errors = [];
+  const createdAtMin = parseOptionalDate(input.createdAtMin);
+  const createdAtMax = parseOptionalDate(input.createdAtMax);
+  const orderNumberFrom = parseOptionalInt(input.orderNumberFrom);
+  const orderNumberTo = parseOptionalInt(input.orderNumberTo);
+  const concurrency = parseOptionalInt(input.concurrency) ?? BACKFILL_LIMITS.defaultConcurrency;
+  const pageSize = parseOptionalInt(input.pageSize) ?? BACKFILL_LIMITS.defaultPageSize;
+
+  if (Number.isNaN(createdAtMin)) errors.push('createdAtMin must be a date');
+  if (Number.isNaN(createdAtMax)) errors.push('createdAtMax must be a date');
+  if (Number.isNaN(orderNumberFrom)) errors.push('orderNumberFrom must be an integer');
+  if (Number.isNaN(orderNumberTo)) errors.push('orderNumberTo must be an integer');
+  if (!createdAtMin && !createdAtMax && orderNumberFrom === null && orderNumberTo === null) {
+    errors.push('date range (createdAtMin / createdAtMax) or order number range (orderNumberFrom / orderNumberTo) is required');
+  }
+  if (typeof createdAtMin === 'string' && typeof createdAtMax === 'string' && createdAtMin > createdAtMax) {
+    errors.push('createdAtMin must not be after createdAtMax');
+  }
+  if (Number.isInteger(orderNumberFrom) && Number.isInteger(orderNumberTo) && orderNumberFrom > orderNumberTo) {
+    errors.push('orderNumberFrom must not be greater than orderNumberTo');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BACKFILL_LIMITS.maxConcurrency) {
+    errors.push(`concurrency must be 1..${BACKFILL_LIMITS.maxConcurrency}`);
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > BACKFILL_LIMITS.maxPageSize) {
+    errors.push(`pageSize must be 1..${BACKFILL_LIMITS.maxPageSize}`);
+  }
+  if (input.shopDomain && !getConfiguredShop(input.shopDomain)) {
+    errors.push(`shop ${input.shopDomain} is not configured`);
+  }
+
+  return {
+    params: {
+      shopDomain: input.shopDomain ? getConfiguredShop(input.shopDomain)?.domain || null : null,
+      createdAtMin,
+      createdAtMax,
+      orderNumberFrom,
+      orderNumberTo,
+      dryRun: input.dryRun === true || input.dryRun === 'true',
+      concurrency,
+      pageSize,
+    },
+    errors,
+  };
+}
+
+/**
+ * Empty counters of a run
+ * @returns {Object}
+ */
+function emptyProgress() {
+  return {
+    pages: 0,
+    scanned: 0, // orders returned by Admin API
+    matched: 0, // orders in order number range
+    synced: 0,
+    skipped: 0, // pipeline returned no deal (stale payload, loop guard)
+    failed: 0,
+    wouldCreate: 0,
+    wouldUpdate: 0,
+    duplicates: 0,
+  };
+}
+
+/**
+ * Run without per-order items (for lists)
+ * @param {Object} run - Run
+ * @returns {Object} Run summary
+ */
+export function toRunSummary(run) {
+  if (!run) {
+    return null;
+  }
+  const { items, ...summary } = run;
+  return summary;
+}
+
+/**
+ * Create backfill run
+ * @param {Object} input - See validateBackfillParams
+ * @returns {Promise<Object>} Created run
+ * @throws {Error} code 'BACKFILL_INVALID', errors - invalid parameters
+ */
+export async function createBackfillRun(input) {
+  const { params, errors } = validateBackfillParams(input);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid backfill parameters: ${errors.join('; ')}`);
+    error.code = 'BACKFILL_INVALID';
+    error.errors = errors;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const run = {
+    id: generateRunId(),
+    state: 'pending',
+    params,
+    cursor: { pageInfo: null },
+    progress: emptyProgress(),
+    items: [],
+    itemsTruncated: false,
+    lastError: null,
+    listErrors: 0,
+    leaseUntil: null,
+    report: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await getCollection(COLLECTION_NAME).set(run.id, run);
+
+  console.log(JSON.stringify({
+    event: 'BACKFILL_CREATED',
+    runId: run.id,
+    params,
+    timestamp: now
+  }));
+
+  return run;
+}
+
+/**
+ * Get run by ID (with items)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBackfillRun(runId) {
+  return getCollection(COLLECTION_NAME).get(runId);
+}
+
+/**
+ * List runs (newest first, without items)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listBackfillRuns() {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  return entries
+    .map(entry => entry.value)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toRunSummary);
+}
+
+/**
+ * Cancel run (current step finishes its page)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Updated run or null if not found / already finished
+ */
+export async function cancelBackfillRun(runId) {
+  let cancelled = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    if (!current || ['done', 'failed', 'cancelled'].includes(current.state)) {
+      return current;
+    }
+    cancelled = true;
+    const now = new Date().toISOString();
+    return { ...current, state: 'cancelled', leaseUntil: null, updatedAt: now, finishedAt: now, report: buildReport(current, now) };
+  });
+
+  if (cancelled) {
+    console.log(JSON.stringify({
+      event: 'BACKFILL_CANCELLED',
+      runId,
+      progress: run.progress,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return cancelled ? run : null;
+}
+
+/**
+ * Claim run for one step (atomic check-and-set)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Claimed run or null if finished / another step is running
+ */
+async function claimRun(runId) {
+  let claimed = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    const now = Date.now();
+    if (!current || !['pending', 'running'].includes(current.state)) {
+      return current;
+    }
+    if (current.state === 'running' && new Date(current.leaseUntil).getTime() > now) {
+      return current;
+    }
+    claimed = true;
+    return {
+      ...current,
+      state: 'running',
+      leaseUntil: new Date(now + LEASE_MS).toISOString(),
+      startedAt: current.startedAt || new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+  return claimed ? run : null;
+}
+
+/**
+ * Check order number range of run
+ * @param {Object} order - Shopify order
+ * @param {Object} params - Run params
+ * @returns {boolean}
+ */
+function isInNumberRange(order, params) {
+  const number = Number(order.order_number);
+  if (params.orderNumberFrom !== null && !(number >= params.orderNumberFrom)) {
+    return false;
+  }
+  if (params.orderNumberTo !== null && !(number <= params.orderNumberTo)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Run async function over items with limited concurrency
+ * @param {Array} items - Items
+ * @param {number} limit - Max parallel calls
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Report item of order
+ * @param {Object} order - Shopify order
+ * @param {Object} outcome - { status, dealId, dealIds, error }
+ * @returns {Object}
+ */
+function toItem(order, outcome) {
+  return {
+    orderId: String(order.id),
+    orderName: order.name || null,
+    orderNumber: order.order_number ?? null,
+    createdAt: order.created_at || null,
+    ...outcome,
+  };
+}
+
+/**
+ * Dry run: look up deals of orders (one batch per 50 orders) without writing
+ * @param {Array<Object>} orders - Shopify orders
+ * @returns {Promise<Array<Object>>} Report items
+ */
+async function previewOrders(orders) {
+  if (orders.length === 0) {
+    return [];
+  }
+  const commands = Object.fromEntries(orders.map(order => [`order_${order.id}`, ['crm.deal.list', {
+    filter: { UF_CRM_1742556489: String(order.id) },
+    select: ['ID', 'CATEGORY_ID', 'STAGE_ID'],
+  }]]));
+  const { results, errors } = await batch(commands);
+
+  return orders.map(order => {
+    const key = `order_${order.id}`;
+    if (errors[key]) {
+      return toItem(order, { status: 'failed', error: errors[key] });
+    }
+    const dealIds = (results[key] || []).map(deal => deal.ID);
+    if (dealIds.length === 0) {
+      return toItem(order, { status: 'would_create', dealId: null });
+    }
+    if (dealIds.length === 1) {
+      return toItem(order, { status: 'would_update', dealId: dealIds[0] });
+    }
+    return toItem(order, { status: 'duplicate', dealIds });
+  });
+}
+
+/**
+ * Sync orders through the pipeline
+ * @param {Array<Object>} orders - Shopify orders
+ * @param {Object} run - Run
+ * @param {Function} processOrder - async (order, run) => dealId | null
+ * @returns {Promise<Array<Object>>} Report items
+ */
+async function syncOrders(orders, run, processOrder) {
+  return mapWithConcurrency(orders, run.params.concurrency, async (order) => {
+    try {
+      const dealId = await processOrder(order, run);
+      return toItem(order, dealId ? { status: 'synced', dealId } : { status: 'skipped', dealId: null });
+    } catch (error) {
+      console.log(JSON.stringify({
+        event: 'BACKFILL_ORDER_FAILED',
+        runId: run.id,
+        orderId: String(order.id),
+        orderName: order.name || null,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+      return toItem(order, { status: 'failed', error: error.message });
+    }
+  });
+}
+
+const STATUS_COUNTERS = {
+  synced: 'synced',
+  skipped: 'skipped',
+  failed: 'failed',
+  would_create: 'wouldCreate',
+  would_update: 'wouldUpdate',
+  duplicate: 'duplicates',
+};
+
+/**
+ * Final report of run
+ * @param {Object} run - Run
+ * @param {string} finishedAt - Finish time
+ * @returns {Object} { params, progress, durationSec, failures, duplicates }
+ */
+function buildReport(run, finishedAt) {
+  const items = run.items || [];
+  return {
+    params: run.params,
+    progress: run.progress,
+    durationSec: run.startedAt ? Math.round((new Date(finishedAt) - new Date(run.startedAt)) / 1000) : 0,
+    failures: items.filter(item => item.status === 'failed'),
+    duplicates: items.filter(item => item.status === 'duplicate'),
+    itemsTruncated: run.itemsTruncated,
+  };
+}
+
+/**
+ * Process next page of run
+ * @param {string} runId - Run ID
+ * @param {Function} processOrder - async (order, run) => dealId | null; pipeline used for real runs
+ * @returns {Promise<Object>} { run, claimed, processed } - claimed false when run is finished or another step is running
+ */
+export async function runBackfillStep(runId, processOrder) {
+  const run = await claimRun(runId);
+  if (!run) {
+    return { run: await getBackfillRun(runId), claimed: false, processed: 0 };
+  }
+
+  const { params } = run;
+  const collection = getCollection(COLLECTION_NAME);
+
+  let page;
+  try {
+    page = await runWithShop(params.shopDomain, () => listOrders({
+      createdAtMin: params.createdAtMin,
+      createdAtMax: params.createdAtMax,
+      limit: params.pageSize,
+      pageInfo: run.cursor.pageInfo,
+    }));
+  } catch (error) {
+    const listErrors = (run.listErrors || 0) + 1;
+    const failed = listErrors >= MAX_LIST_ERRORS;
+    const now = new Date().toISOString();
+    const updated = await collection.update(runId, (current) => ({
+      ...current,
+      state: current.state === 'cancelled' ? 'cancelled' : (failed ? 'failed' : 'pending'),
+      leaseUntil: null,
+      lastError: error.message,
+      listErrors,
+      updatedAt: now,
+      finishedAt: failed ? now : current.finishedAt,
+      report: failed ? buildReport(current, now) : current.report,
+    }));
+
+    console.log(JSON.stringify({
+      event: failed ? 'BACKFILL_FAILED' : 'BACKFILL_LIST_ERROR',
+      runId,
+      listErrors,
+      error: error.message,
+      timestamp: now
+    }));
+
+    return { run: updated, claimed: true, processed: 0 };
+  }
+
+  const matched = page.orders.filter(order => isInNumberRange(order, params));
+  const items = params.dryRun
+    ? await previewOrders(matched).catch(error => matched.map(order => toItem(order, { status: 'failed', error: error.message })))
+    : await syncOrders(matched, run, processOrder);
+
+  const now = new Date().toISOString();
+  const updated = await collection.update(runId, (current) => {
+    const progress = { ...current.progress };
+    progress.pages++;
+    progress.scanned += page.orders.length;
+    progress.matched += matched.length;
+    for (const item of items) {
+      progress[STATUS_COUNTERS[item.status]]++;
+    }
+
+    const allItems = [...(current.items || []), ...items];
+    const next = {
+      ...current,
+      cursor: { pageInfo: page.nextPageInfo },
+      progress,
+      items: allItems.slice(0, MAX_REPORT_ITEMS),
+      itemsTruncated: current.itemsTruncated || allItems.length > MAX_REPORT_ITEMS,
+      lastError: null,
+      listErrors: 0,
+      leaseUntil: null,
+      updatedAt: now,
+    };
+
+    // Cancel during the step wins; otherwise the run is done after the last page
+    if (current.state === 'cancelled') {
+      return { ...next, state: 'cancelled', report: buildReport(next, current.finishedAt || now) };
+    }
+    if (!page.nextPageInfo) {
+      return { ...next, state: 'done', finishedAt: now, report: buildReport(next, now) };
+    }
+    return { ...next, state: 'pending' };
+  });
+
+  console.log(JSON.stringify({
+    event: updated.state === 'done' ? 'BACKFILL_DONE' : 'BACKFILL_STEP',
+    runId,
+    dryRun: params.dryRun,
+    page: updated.progress.pages,
+    pageOrders: page.orders.length,
+    pageMatched: matched.length,
+    progress: updated.progress,
+    timestamp: now
+  }));
+
+  return { run: updated, claimed: true, processed: items.length };
+}
@@ -0,0 +1,310 @@
+/**
+ * Deal Index Repair
+ * Rebuilds the order → deal index (src/lib/store/dealIndex.js) from Bitrix: all deals with UF_CRM_1742556489
+ * are read by ID in pages of 50 (PAGES_PER_STEP pages per step, one batch request) and indexed.
+ *
+ * Runs are stored in 'deal-index-repairs' and advanced one step per request like backfill runs (see backfill.js).
+ *   - an order with several deals is not indexed and is reported as duplicate_deals (sync falls back to the
+ *     filter and stops with DUPLICATE_DEALS, see duplicateDeals.js)
+ *   - when the run is done, entries not confirmed by it and older than its start are removed
+ *   - conflicts reported before the run are cleared on its first step
+ *   - the pre-order deal of a split mixed order (see mixedOrders.js) is skipped, the order's main deal is indexed
+ * Entries written by live syncs during the run are kept.
+ */
+
+import { getCollection } from '../store/index.js';
+import {
+  clearIndexConflicts,
+  getIndexedDeal,
+  removeIndexedDeal,
+  removeIndexedDealsWhere,
+  reportIndexConflict,
+  setIndexedDeal,
+} from '../store/dealIndex.js';
+import { batch } from '../bitrix/client.js';
+import { findShopByCategory } from '../shopify/shops.js';
+import { getMixedOrder } from './mixedOrders.js';
+
+const COLLECTION_NAME = 'deal-index-repairs';
+
+export const REPAIR_STATES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+const PAGE_SIZE = 50; // crm.deal.list page
+const PAGES_PER_STEP = 5;
+const LEASE_MS = 10 * 60 * 1000;
+const MAX_STEP_ERRORS = 5;
+
+/**
+ * Generate run ID
+ * @returns {string} Run ID
+ */
+function generateRunId() {
+  return `idxrepair_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create repair run
+ * @returns {Promise<Object>} Created run
+ */
+export async function createRepairRun() {
+  const now = new Date().toISOString();
+  const run = {
+    id: generateRunId(),
+    state: 'pending',
+    cursor: { lastId: 0 },
+    progress: { pages: 0, scanned: 0, indexed: 0, duplicates: 0, splitParts: 0, removed: 0, clearedConflicts: 0 },
+    duplicateOrderIds: [],
+    lastError: null,
+    stepErrors: 0,
+    leaseUntil: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await getCollection(COLLECTION_NAME).set(run.id, run);
+
+  console.log(JSON.stringify({
+    event: 'DEAL_INDEX_REPAIR_CREATED',
+    runId: run.id,
+    timestamp: now
+  }));
+
+  return run;
+}
+
+/**
+ * Get run by ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getRepairRun(runId) {
+  return getCollection(COLLECTION_NAME).get(runId);
+}
+
+/**
+ * List runs (newest first)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRepairRuns() {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  return entries
+    .map(entry => entry.value)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Cancel run (entries indexed so far are kept, stale entries are not removed)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Updated run or null if not found / already finished
+ */
+export async function cancelRepairRun(runId) {
+  let cancelled = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    if (!current || ['done', 'failed', 'cancelled'].includes(current.state)) {
+      return current;
+    }
+    cancelled = true;
+    const now = new Date().toISOString();
+    return { ...current, state: 'cancelled', leaseUntil: null, updatedAt: now, finishedAt: now };
+  });
+
+  if (cancelled) {
+    console.log(JSON.stringify({
+      event: 'DEAL_INDEX_REPAIR_CANCELLED',
+      runId,
+      progress: run.progress,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return cancelled ? run : null;
+}
+
+/**
+ * Claim run for one step (atomic check-and-set)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Claimed run or null if finished / another step is running
+ */
+async function claimRun(runId) {
+  let claimed = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    const now = Date.now();
+    if (!current || !['pending', 'running'].includes(current.state)) {
+      return current;
+    }
+    if (current.state === 'running' && new Date(current.leaseUntil).getTime() > now) {
+      return current;
+    }
+    claimed = true;
+    return {
+      ...current,
+      state: 'running',
+      leaseUntil: new Date(now + LEASE_MS).toISOString(),
+      startedAt: current.startedAt || new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+  return claimed ? run : null;
+}
+
+/**
+ * Index one deal of the run
+ * @param {Object} deal - { ID, CATEGORY_ID, UF_CRM_1742556489 }
+ * @param {Object} run - Repair run
+ * @param {Set<string>} duplicateOrderIds - Orders already found with several deals (updated in place)
+ * @returns {Promise<string>} 'indexed' | 'duplicate' | 'split_part'
+ */
+async function indexDeal(deal, run, duplicateOrderIds) {
+  const orderId = String(deal.UF_CRM_1742556489).trim();
+  const dealId = String(deal.ID);
+
+  if (duplicateOrderIds.has(orderId)) {
+    return 'duplicate';
+  }
+  if ((await getMixedOrder(orderId))?.partDealId === dealId) {
+    return 'split_part';
+  }
+
+  // Entry confirmed by this run or written by a live sync after the run started
+  const existing = await getIndexedDeal(orderId);
+  const isCurrent = existing && (existing.repairRunId === run.id || new Date(existing.indexedAt) >= new Date(run.startedAt));
+  if (isCurrent && existing.dealId !== dealId) {
+    duplicateOrderIds.add(orderId);
+    await removeIndexedDeal(orderId);
+    await reportIndexConflict(orderId, {
+      reason: 'duplicate_deals',
+      indexedDealId: existing.dealId,
+      dealIds: [existing.dealId, dealId],
+      categoryId: deal.CATEGORY_ID,
+      repairRunId: run.id,
+    });
+    return 'duplicate';
+  }
+
+  await setIndexedDeal(orderId, {
+    dealId,
+    categoryId: deal.CATEGORY_ID,
+    shopDomain: findShopByCategory(Number(deal.CATEGORY_ID))?.domain || null,
+    source: 'repair',
+    repairRunId: run.id,
+  });
+  return 'indexed';
+}
+
+/**
+ * Process next pages of run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} { run, claimed } - claimed false when run is finished or another step is running
+ */
+export async function runRepairStep(runId) {
+  const run = await claimRun(runId);
+  if (!run) {
+    return { run: await getRepairRun(runId), claimed: false };
+  }
+
+  const collection = getCollection(COLLECTION_NAME);
+  const duplicateOrderIds = new Set(run.duplicateOrderIds);
+  const counts = { pages: 0, scanned: 0, indexed: 0, duplicates: 0, splitParts: 0, removed: 0, clearedConflicts: 0 };
+  let lastId = run.cursor.lastId;
+  let finished = false;
+
+  try {
+    if (run.progress.pages === 0) {
+      counts.clearedConflicts = await clearIndexConflicts(run.startedAt);
+    }
+
+    const commands = {};
+    for (let page = 0; page < PAGES_PER_STEP; page++) {
+      commands[`page_${page}`] = ['crm.deal.list', {
+        filter: { '>ID': run.cursor.lastId, '!UF_CRM_1742556489': '' },
+        select: ['ID', 'CATEGORY_ID', 'UF_CRM_1742556489'],
+        order: { ID: 'ASC' },
+        start: page * PAGE_SIZE,
+      }];
+    }
+    const { results, errors } = await batch(commands);
+
+    for (let page = 0; page < PAGES_PER_STEP; page++) {
+      if (errors[`page_${page}`]) {
+        throw new Error(`crm.deal.list failed: ${errors[`page_${page}`]}`);
+      }
+      const deals = results[`page_${page}`] || [];
+      counts.pages++;
+      for (const deal of deals) {
+        counts.scanned++;
+        const result = await indexDeal(deal, run, duplicateOrderIds);
+        counts[{ duplicate: 'duplicates', split_part: 'splitParts' }[result] || 'indexed']++;
+        lastId = Math.max(lastId, Number(deal.ID));
+      }
+      if (deals.length < PAGE_SIZE) {
+        finished = true;
+        break;
+      }
+    }
+
+    if (finished) {
+      // Not confirmed by this run and not touched by live syncs since it started
+      counts.removed = await removeIndexedDealsWhere(entry =>
+        entry.repairRunId !== run.id && new Date(entry.indexedAt) < new Date(run.startedAt)
+      );
+    }
+  } catch (error) {
+    const stepErrors = (run.stepErrors || 0) + 1;
+    const failed = stepErrors >= MAX_STEP_ERRORS;
+    const now = new Date().toISOString();
+    // Deals indexed before the error are indexed again on retry - the cursor is not moved
+    const updated = await collection.update(runId, (current) => ({
+      ...current,
+      state: current.state === 'cancelled' ? 'cancelled' : (failed ? 'failed' : 'pending'),
+      progress: { ...current.progress, clearedConflicts: current.progress.clearedConflicts + counts.clearedConflicts },
+      duplicateOrderIds: [...duplicateOrderIds],
+      leaseUntil: null,
+      lastError: error.message,
+      stepErrors,
+      updatedAt: now,
+      finishedAt: failed ? now : current.finishedAt,
+    }));
+
+    console.log(JSON.stringify({
+      event: failed ? 'DEAL_INDEX_REPAIR_FAILED' : 'DEAL_INDEX_REPAIR_STEP_ERROR',
+      runId,
+      stepErrors,
+      error: error.message,
+      timestamp: now
+    }));
+
+    return { run: updated, claimed: true };
+  }
+
+  const now = new Date().toISOString();
+  const updated = await collection.update(runId, (current) => {
+    const progress = Object.fromEntries(Object.entries({ splitParts: 0, ...current.progress }).map(([key, value]) => [key, value + (counts[key] || 0)]));
+    const next = {
+      ...current,
+      cursor: { lastId },
+      progress,
+      duplicateOrderIds: [...duplicateOrderIds],
+      lastError: null,
+      stepErrors: 0,
+      leaseUntil: null,
+      updatedAt: now,
+    };
+    if (current.state === 'cancelled') {
+      return { ...next, state: 'cancelled' };
+    }
+    return finished ? { ...next, state: 'done', finishedAt: now } : { ...next, state: 'pending' };
+  });
+
+  console.log(JSON.stringify({
+    event: updated.state === 'done' ? 'DEAL_INDEX_REPAIR_DONE' : 'DEAL_INDEX_REPAIR_STEP',
+    runId,
+    lastId,
+    step: counts,
+    progress: updated.progress,
+    timestamp: now
+  }));
+
+  return { run: updated, claimed: true };
+}
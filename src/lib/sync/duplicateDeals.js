@@ -0,0 +1,501 @@
+/**
+ * Duplicate Deal Resolution
+ * upsertDealFromOrder stops with code DUPLICATE_DEALS when several deals share UF_CRM_1742556489 in a category;
+ * the order does not sync until only one deal is left. Such conflicts are recorded in 'deal-duplicates'
+ * (one per order + category) and resolved by an operator on /admin/duplicates.
+ *
+ * The operator picks a survivor, it keeps the order key. Other deals are handled by strategy:
+ *   - merge - activities are re-owned by the survivor (binding added, duplicate binding removed) and checked,
+ *     then the duplicate is deleted and a summary is posted to the survivor timeline (kept if any activity was not moved)
+ *   - close - order key is cleared, deal is moved to the category CANCELLED (LOSE) stage
+ *   - unlink - order key is cleared, deal is left as is
+ * Every resolution (and dismissal) is appended to the 'deal-duplicate-audit' log. After a successful resolution
+ * the survivor is written to the deal index and dead sync jobs of the order are requeued.
+ */
+
+import { getCollection } from '../store/index.js';
+import { withOrderLock } from '../store/orderLock.js';
+import { setIndexedDeal } from '../store/dealIndex.js';
+import { listJobs, retryJob } from '../queue/syncQueue.js';
+import { batch, callBitrix } from '../bitrix/client.js';
+import { getCategoryStages } from '../bitrix/config.js';
+import { getCurrentShop, runWithShop } from '../shopify/shops.js';
+
+const CONFLICTS_COLLECTION = 'deal-duplicates';
+const AUDIT_COLLECTION = 'deal-duplicate-audit';
+
+export const DUPLICATE_STRATEGIES = ['merge', 'close', 'unlink'];
+
+export const DUPLICATE_CONFLICT_STATES = ['open', 'resolved'];
+
+const ORDER_KEY_FIELD = 'UF_CRM_1742556489';
+const DEAL_OWNER_TYPE_ID = 2;
+const MAX_AUDIT_ENTRIES = 1000;
+const AUDIT_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastAuditPruneAt = 0;
+
+/**
+ * Conflict ID of order in category
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} categoryId - Bitrix category ID
+ * @returns {string}
+ */
+export function getConflictId(orderId, categoryId) {
+  return `${orderId}_${categoryId}`;
+}
+
+/**
+ * Build resolution error
+ * @param {string} code - Error code
+ * @param {string} message - Message
+ * @returns {Error}
+ */
+function createResolutionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Record conflict found by deal lookup (reopens a resolved conflict of the same order and category)
+ * @param {Object} params - { orderId, categoryId, dealIds, shopDomain, orderName, correlationId }
+ * @returns {Promise<Object>} Conflict
+ */
+export async function recordDuplicateConflict(params) {
+  const id = getConflictId(params.orderId, params.categoryId);
+  const now = new Date().toISOString();
+
+  const conflict = await getCollection(CONFLICTS_COLLECTION).update(id, (current) => {
+    const isOpen = current?.state === 'open';
+    return {
+      id,
+      orderId: String(params.orderId),
+      categoryId: Number(params.categoryId),
+      shopDomain: params.shopDomain || current?.shopDomain || null,
+      orderName: params.orderName || current?.orderName || null,
+      dealIds: params.dealIds.map(String),
+      state: 'open',
+      occurrences: isOpen ? current.occurrences + 1 : 1,
+      lastCorrelationId: params.correlationId || null,
+      firstSeenAt: isOpen ? current.firstSeenAt : now,
+      lastSeenAt: now,
+      resolvedAt: null,
+      lastAuditId: current?.lastAuditId || null,
+    };
+  });
+
+  console.log(JSON.stringify({
+    event: 'DUPLICATE_CONFLICT_RECORDED',
+    conflictId: id,
+    orderId: conflict.orderId,
+    categoryId: conflict.categoryId,
+    dealIds: conflict.dealIds,
+    occurrences: conflict.occurrences,
+    timestamp: now
+  }));
+
+  return conflict;
+}
+
+/**
+ * List conflicts (open first, newest first)
+ * @param {Object} filter - { state }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDuplicateConflicts(filter = {}) {
+  const entries = await getCollection(CONFLICTS_COLLECTION).entries();
+  return entries
+    .map(entry => entry.value)
+    .filter(conflict => !filter.state || conflict.state === filter.state)
+    .sort((a, b) => (a.state === b.state ? new Date(b.lastSeenAt) - new Date(a.lastSeenAt) : (a.state === 'open' ? -1 : 1)));
+}
+
+/**
+ * Get conflict by ID
+ * @param {string} conflictId - Conflict ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getDuplicateConflict(conflictId) {
+  return getCollection(CONFLICTS_COLLECTION).get(conflictId);
+}
+
+/**
+ * List audit entries (newest first)
+ * @param {Object} filter - { conflictId, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDuplicateAudit(filter = {}) {
+  const entries = await getCollection(AUDIT_COLLECTION).entries();
+  return entries
+    .map(entry => entry.value)
+    .filter(entry => !filter.conflictId || entry.conflictId === filter.conflictId)
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, filter.limit || 100);
+}
+
+/**
+ * Deals currently holding the order key in the conflict category
+ * @param {Object} conflict - Conflict
+ * @returns {Promise<Array<string>>} Deal IDs (oldest first)
+ */
+async function findConflictDealIds(conflict) {
+  const resp = await callBitrix('crm.deal.list', {
+    filter: { [ORDER_KEY_FIELD]: conflict.orderId, CATEGORY_ID: conflict.categoryId },
+    select: ['ID'],
+    order: { DATE_CREATE: 'ASC' },
+  });
+  return (resp.result || []).map(deal => String(deal.ID));
+}
+
+/**
+ * Load candidate deals side by side: deal fields, product rows and activity count
+ * @param {string} conflictId - Conflict ID
+ * @returns {Promise<Object|null>} { conflict, candidates } or null if conflict is not found
+ */
+export async function getDuplicateCandidates(conflictId) {
+  const conflict = await getDuplicateConflict(conflictId);
+  if (!conflict) {
+    return null;
+  }
+
+  return runWithShop(conflict.shopDomain, async () => {
+    // Deals may have been fixed by hand since the conflict was recorded - show what is in Bitrix now
+    const dealIds = await findConflictDealIds(conflict);
+    if (dealIds.length === 0) {
+      return { conflict, candidates: [] };
+    }
+
+    const commands = {};
+    for (const dealId of dealIds) {
+      commands[`deal_${dealId}`] = ['crm.deal.get', { id: dealId }];
+      commands[`rows_${dealId}`] = ['crm.deal.productrows.get', { id: dealId }];
+      commands[`activities_${dealId}`] = ['crm.activity.list', {
+        filter: { OWNER_TYPE_ID: DEAL_OWNER_TYPE_ID, OWNER_ID: dealId },
+        select: ['ID'],
+      }];
+    }
+    const { results, errors, totals } = await batch(commands);
+
+    const candidates = dealIds.map(dealId => {
+      const deal = results[`deal_${dealId}`] || {};
+      const rows = Array.isArray(results[`rows_${dealId}`]) ? results[`rows_${dealId}`] : [];
+      return {
+        id: dealId,
+        title: deal.TITLE || null,
+        stageId: deal.STAGE_ID || null,
+        amount: deal.OPPORTUNITY !== undefined ? Number(deal.OPPORTUNITY) : null,
+        currency: deal.CURRENCY_ID || null,
+        assignedById: deal.ASSIGNED_BY_ID || null,
+        contactId: deal.CONTACT_ID || null,
+        createdAt: deal.DATE_CREATE || null,
+        modifiedAt: deal.DATE_MODIFY || null,
+        productRows: rows.map(row => ({
+          name: row.PRODUCT_NAME,
+          productId: row.PRODUCT_ID,
+          price: Number(row.PRICE),
+          quantity: Number(row.QUANTITY),
+        })),
+        productRowsTotal: Math.round(rows.reduce((sum, row) => sum + Number(row.PRICE) * Number(row.QUANTITY), 0) * 100) / 100,
+        activityCount: totals[`activities_${dealId}`] ?? (results[`activities_${dealId}`] || []).length,
+        error: errors[`deal_${dealId}`] || errors[`rows_${dealId}`] || errors[`activities_${dealId}`] || null,
+      };
+    });
+
+    return { conflict, candidates };
+  });
+}
+
+/**
+ * List IDs of activities bound to a deal
+ * @param {string} dealId - Deal ID
+ * @param {Object} filter - Extra crm.activity.list filter
+ * @returns {Promise<Array<string>>} Activity IDs
+ */
+async function listDealActivityIds(dealId, filter = {}) {
+  const activityIds = [];
+  let start = 0;
+  do {
+    const resp = await callBitrix('crm.activity.list', {
+      filter: { ...filter, OWNER_TYPE_ID: DEAL_OWNER_TYPE_ID, OWNER_ID: dealId },
+      select: ['ID'],
+      start,
+    });
+    activityIds.push(...(resp.result || []).map(activity => String(activity.ID)));
+    start = resp.next || null;
+  } while (start);
+  return activityIds;
+}
+
+/**
+ * Re-own all activities of a deal to another deal: binding to the survivor is added, then the binding to the
+ * duplicate is removed (deleting the deal would otherwise delete activities it still owns)
+ * @param {string} fromDealId - Duplicate deal
+ * @param {string} toDealId - Survivor deal
+ * @returns {Promise<Object>} { moved, failed, remaining } - remaining: activities still bound to the duplicate
+ */
+async function moveDealActivities(fromDealId, toDealId) {
+  const activityIds = await listDealActivityIds(fromDealId);
+  if (activityIds.length === 0) {
+    return { moved: 0, failed: 0, remaining: 0 };
+  }
+
+  const binding = (activityId, entityId) => ({ activityId, entityTypeId: DEAL_OWNER_TYPE_ID, entityId: Number(entityId) });
+  const added = await batch(Object.fromEntries(activityIds.map(activityId => [`bind_${activityId}`, ['crm.activity.binding.add', binding(activityId, toDealId)]])));
+  // Old binding is removed only where the new one exists - an activity never ends up without an owner
+  const boundIds = activityIds.filter(activityId => !added.errors[`bind_${activityId}`]);
+  if (boundIds.length > 0) {
+    await batch(Object.fromEntries(boundIds.map(activityId => [`unbind_${activityId}`, ['crm.activity.binding.delete', binding(activityId, fromDealId)]])));
+  }
+
+  // Check what Bitrix holds now, not what the calls returned
+  const remaining = (await listDealActivityIds(fromDealId)).length;
+  const onSurvivor = new Set(await listDealActivityIds(toDealId, { ID: activityIds }));
+  const moved = activityIds.filter(activityId => onSurvivor.has(activityId)).length;
+  return { moved, failed: activityIds.length - moved, remaining };
+}
+
+/**
+ * Apply strategy to one duplicate deal
+ * @param {string} dealId - Duplicate deal
+ * @param {Object} context - { strategy, survivorId, conflict, note }
+ * @returns {Promise<Object>} { dealId, success, action, error, activitiesMoved }
+ */
+async function resolveDuplicateDeal(dealId, { strategy, survivorId, conflict, note }) {
+  const reason = `[B]Дубль сделки ${survivorId}[/B] по заказу Shopify ${conflict.orderName || conflict.orderId}${note ? `\n${note}` : ''}`;
+
+  try {
+    if (strategy === 'merge') {
+      const { moved, failed, remaining } = await moveDealActivities(dealId, survivorId);
+      if (failed > 0 || remaining > 0) {
+        return { dealId, success: false, action: 'merge', activitiesMoved: moved, error: `${failed} activities not moved to deal ${survivorId}, ${remaining} still bound to the duplicate - deal kept` };
+      }
+      const { errors } = await batch({ delete: ['crm.deal.delete', { id: dealId }] });
+      if (errors.delete) {
+        return { dealId, success: false, action: 'merge', activitiesMoved: moved, error: errors.delete };
+      }
+      // Survivor is told about the merge only once the duplicate is gone (comment failure does not undo the merge)
+      await batch({
+        comment: ['crm.timeline.comment.add', { fields: { ENTITY_ID: Number(survivorId), ENTITY_TYPE: 'deal', COMMENT: `Объединена сделка-дубль ${dealId} (дел перенесено: ${moved})` } }],
+      }).catch(commentError => {
+        console.error(`[DUPLICATES] Merge comment for deal ${survivorId} failed (non-blocking):`, commentError.message);
+      });
+      return { dealId, success: true, action: 'merge', activitiesMoved: moved, error: null };
+    }
+
+    const fields = { [ORDER_KEY_FIELD]: '' };
+    if (strategy === 'close') {
+      fields.STAGE_ID = getCategoryStages(conflict.categoryId, getCurrentShop().bitrix.STAGES || null).CANCELLED;
+    }
+    const { errors } = await batch({
+      update: ['crm.deal.update', { id: dealId, fields }],
+      comment: ['crm.timeline.comment.add', { fields: { ENTITY_ID: Number(dealId), ENTITY_TYPE: 'deal', COMMENT: `${reason}\nСделка ${strategy === 'close' ? 'закрыта и отвязана' : 'отвязана'} от заказа` } }],
+    });
+    return { dealId, success: !errors.update, action: strategy, error: errors.update || null };
+  } catch (error) {
+    return { dealId, success: false, action: strategy, error: error.message };
+  }
+}
+
+/**
+ * Cap audit to MAX_AUDIT_ENTRIES (at most once per AUDIT_PRUNE_INTERVAL_MS per process)
+ * Entries are only appended, so insertion order is chronological - the oldest keys go first, entries are not read
+ */
+async function pruneAudit() {
+  const now = Date.now();
+  if (now - lastAuditPruneAt < AUDIT_PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastAuditPruneAt = now;
+
+  try {
+    const collection = getCollection(AUDIT_COLLECTION);
+    const keys = await collection.keys();
+    if (keys.length > MAX_AUDIT_ENTRIES) {
+      await collection.removeKeys(keys.slice(0, keys.length - MAX_AUDIT_ENTRIES));
+    }
+  } catch (error) {
+    console.error('[DUPLICATES] Audit prune failed (non-blocking):', error.message);
+  }
+}
+
+/**
+ * Append audit entry
+ * @param {Object} entry - Audit fields
+ * @returns {Promise<Object>} Stored entry
+ */
+async function appendAudit(entry) {
+  const stored = { id: `dupaudit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, ...entry };
+  await getCollection(AUDIT_COLLECTION).set(stored.id, stored);
+  await pruneAudit();
+  return stored;
+}
+
+/**
+ * Requeue dead sync jobs of the order
+ * @param {string} orderId - Shopify order ID
+ * @returns {Promise<Array<string>>} Requeued job IDs
+ */
+async function requeueDeadJobs(orderId) {
+  const jobs = (await listJobs({ state: 'dead' })).filter(job => job.orderId === orderId);
+  const requeued = [];
+  for (const job of jobs) {
+    if (await retryJob(job.id)) {
+      requeued.push(job.id);
+    }
+  }
+  return requeued;
+}
+
+/**
+ * Resolve conflict: keep survivor, merge / close / unlink other deals
+ * @param {string} conflictId - Conflict ID
+ * @param {Object} params - { survivorId, strategy, operator, note }
+ * @returns {Promise<Object|null>} { conflict, audit, requeuedJobs } or null if conflict is not found
+ * @throws {Error} code 'DUPLICATE_RESOLUTION_INVALID' - bad parameters, conflict closed or survivor not among deals
+ */
+export async function resolveDuplicateConflict(conflictId, params = {}) {
+  const conflict = await getDuplicateConflict(conflictId);
+  if (!conflict) {
+    return null;
+  }
+  if (conflict.state !== 'open') {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', `Conflict ${conflictId} is already ${conflict.state}`);
+  }
+  if (!DUPLICATE_STRATEGIES.includes(params.strategy)) {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', `strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+  }
+  const survivorId = params.survivorId ? String(params.survivorId) : null;
+  const operator = params.operator ? String(params.operator).trim().slice(0, 100) : null;
+  const note = params.note ? String(params.note).trim().slice(0, 500) : null;
+  if (!operator) {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', 'operator is required for the audit log');
+  }
+
+  // Same lock as order sync - a webhook must not update one of the deals while they are being resolved
+  return withOrderLock(conflict.orderId, () => runWithShop(conflict.shopDomain, async () => {
+    const dealIds = await findConflictDealIds(conflict);
+    if (!survivorId || !dealIds.includes(survivorId)) {
+      throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', `survivorId must be one of the current deals: ${dealIds.join(', ') || 'none'}`);
+    }
+
+    const results = [];
+    for (const dealId of dealIds.filter(id => id !== survivorId)) {
+      results.push(await resolveDuplicateDeal(dealId, { strategy: params.strategy, survivorId, conflict, note }));
+    }
+    const success = results.every(result => result.success);
+    const at = new Date().toISOString();
+
+    const audit = await appendAudit({
+      conflictId,
+      orderId: conflict.orderId,
+      orderName: conflict.orderName,
+      categoryId: conflict.categoryId,
+      shopDomain: conflict.shopDomain,
+      action: 'resolve',
+      strategy: params.strategy,
+      survivorId,
+      dealIds,
+      results,
+      success,
+      operator,
+      note,
+      at,
+    });
+
+    const updated = await getCollection(CONFLICTS_COLLECTION).update(conflictId, (current) => ({
+      ...current,
+      dealIds: success ? [survivorId] : current.dealIds,
+      state: success ? 'resolved' : 'open',
+      resolvedAt: success ? at : null,
+      lastAuditId: audit.id,
+    }));
+
+    if (success) {
+      await setIndexedDeal(conflict.orderId, { dealId: survivorId, categoryId: conflict.categoryId, shopDomain: conflict.shopDomain, source: 'duplicate_resolution' });
+    }
+    const requeuedJobs = success ? await requeueDeadJobs(conflict.orderId) : [];
+
+    console.log(JSON.stringify({
+      event: success ? 'DUPLICATE_CONFLICT_RESOLVED' : 'DUPLICATE_CONFLICT_RESOLVE_FAILED',
+      conflictId,
+      orderId: conflict.orderId,
+      strategy: params.strategy,
+      survivorId,
+      results,
+      operator,
+      requeuedJobs,
+      timestamp: at
+    }));
+
+    return { conflict: updated, audit, requeuedJobs };
+  }), { correlationId: `duplicates:${conflictId}` });
+}
+
+/**
+ * Close conflict without changes (deals were fixed in Bitrix by hand)
+ * @param {string} conflictId - Conflict ID
+ * @param {Object} params - { operator, note }
+ * @returns {Promise<Object|null>} { conflict, audit, requeuedJobs } or null if conflict is not found
+ * @throws {Error} code 'DUPLICATE_RESOLUTION_INVALID' - conflict closed or several deals still hold the order key
+ */
+export async function dismissDuplicateConflict(conflictId, params = {}) {
+  const conflict = await getDuplicateConflict(conflictId);
+  if (!conflict) {
+    return null;
+  }
+  if (conflict.state !== 'open') {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', `Conflict ${conflictId} is already ${conflict.state}`);
+  }
+  const operator = params.operator ? String(params.operator).trim().slice(0, 100) : null;
+  if (!operator) {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', 'operator is required for the audit log');
+  }
+
+  const dealIds = await runWithShop(conflict.shopDomain, () => findConflictDealIds(conflict));
+  if (dealIds.length > 1) {
+    throw createResolutionError('DUPLICATE_RESOLUTION_INVALID', `Deals ${dealIds.join(', ')} still hold the order key - resolve the conflict instead`);
+  }
+
+  const at = new Date().toISOString();
+  const audit = await appendAudit({
+    conflictId,
+    orderId: conflict.orderId,
+    orderName: conflict.orderName,
+    categoryId: conflict.categoryId,
+    shopDomain: conflict.shopDomain,
+    action: 'dismiss',
+    strategy: null,
+    survivorId: dealIds[0] || null,
+    dealIds,
+    results: [],
+    success: true,
+    operator,
+    note: params.note ? String(params.note).trim().slice(0, 500) : null,
+    at,
+  });
+
+  const updated = await getCollection(CONFLICTS_COLLECTION).update(conflictId, (current) => ({
+    ...current,
+    dealIds,
+    state: 'resolved',
+    resolvedAt: at,
+    lastAuditId: audit.id,
+  }));
+  if (dealIds.length === 1) {
+    await setIndexedDeal(conflict.orderId, { dealId: dealIds[0], categoryId: conflict.categoryId, shopDomain: conflict.shopDomain, source: 'duplicate_resolution' });
+  }
+  const requeuedJobs = await requeueDeadJobs(conflict.orderId);
+
+  console.log(JSON.stringify({
+    event: 'DUPLICATE_CONFLICT_DISMISSED',
+    conflictId,
+    orderId: conflict.orderId,
+    dealIds,
+    operator,
+    requeuedJobs,
+    timestamp: at
+  }));
+
+  return { conflict: updated, audit, requeuedJobs };
+}
@@ -0,0 +1,160 @@
+/**
+ * Mixed Orders
+ * Deal category of an order from pre-order detection (src/lib/shopify/preOrder.js):
+ *   - all items pre-order (or pre-order order tag only) - pre-order category, otherwise stock category
+ *   - pre-order and stock items - by policy (BITRIX_CONFIG.MIXED_ORDER_POLICY):
+ *     flag - one deal in the pre-order category, the order is recorded here and commented in the deal timeline
+ *     split - stock items (with shipping, tips, duties, gift cards) in the stock category deal, pre-order items
+ *     in a second deal of the pre-order category; both deals carry the order key UF_CRM_1742556489
+ *
+ * Mixed orders are recorded in 'mixed-orders' (one per order, latest composition wins); the split part deal
+ * recorded here is not a duplicate for the deal index repair and reconciliation.
+ */
+
+import { getCollection } from '../store/index.js';
+import { getMixedOrderPolicy } from '../bitrix/config.js';
+import { classifyOrderItems } from '../shopify/preOrder.js';
+import { getCurrentShop } from '../shopify/shops.js';
+
+const COLLECTION_NAME = 'mixed-orders';
+
+export const MIXED_ORDER_STATES = ['open', 'resolved'];
+
+/**
+ * Resolve deal category (and split) of order
+ * @param {Object} order - Shopify order
+ * @param {Object} bitrix - Shop Bitrix settings { CATEGORY_STOCK, CATEGORY_PREORDER, MIXED_ORDER_POLICY }
+ * @returns {Promise<Object>} { categoryId, preOrder, mixed, policy, primaryLineItemIds, split, classification }
+ *   primaryLineItemIds - line items of the main deal (null = all); split - { categoryId, lineItemIds } or null
+ */
+export async function resolveOrderPlacement(order, bitrix) {
+  const classification = await classifyOrderItems(order);
+  const policy = getMixedOrderPolicy(bitrix.MIXED_ORDER_POLICY);
+  const stockCategoryId = Number(bitrix.CATEGORY_STOCK);
+  const preOrderCategoryId = Number(bitrix.CATEGORY_PREORDER);
+
+  // Order without merchandise (gift cards only) follows the order tag
+  const preOrder = classification.items.length === 0
+    ? classification.orderTag
+    : classification.preOrderLineItemIds.length > 0;
+
+  if (classification.mixed && policy === 'split') {
+    return {
+      categoryId: stockCategoryId,
+      preOrder: false,
+      mixed: true,
+      policy,
+      primaryLineItemIds: classification.stockLineItemIds,
+      split: { categoryId: preOrderCategoryId, lineItemIds: classification.preOrderLineItemIds },
+      classification,
+    };
+  }
+
+  return {
+    categoryId: preOrder ? preOrderCategoryId : stockCategoryId,
+    preOrder,
+    mixed: classification.mixed,
+    policy,
+    primaryLineItemIds: null,
+    split: null,
+    classification,
+  };
+}
+
+/**
+ * Get mixed order record
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getMixedOrder(orderId) {
+  return getCollection(COLLECTION_NAME).get(String(orderId));
+}
+
+/**
+ * List mixed order records (newest first)
+ * @param {Object} filter - { state }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMixedOrders(filter = {}) {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  return entries
+    .map(entry => entry.value)
+    .filter(record => !filter.state || record.state === filter.state)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Record order composition after sync - mixed orders are stored / updated, orders no longer mixed are resolved
+ * @param {Object} order - Shopify order
+ * @param {Object} placement - resolveOrderPlacement result
+ * @param {Object} context - { dealId, partDealId, correlationId }
+ * @returns {Promise<Object>} { record, changed } - changed: new record, other items / policy / deals or resolved
+ */
+export async function recordMixedOrder(order, placement, context = {}) {
+  const orderId = String(order.id);
+  const collection = getCollection(COLLECTION_NAME);
+  const now = new Date().toISOString();
+  const toItem = ({ lineItemId, sku, title, matchedBy }) => ({ lineItemId, sku, title, matchedBy });
+  let changed = false;
+
+  // Most orders were never mixed - no write for them
+  if (!placement.mixed) {
+    const existing = await collection.get(orderId);
+    if (!existing || existing.state === 'resolved') {
+      return { record: existing, changed: false };
+    }
+  }
+
+  const record = await collection.update(orderId, (current) => {
+    if (!placement.mixed) {
+      if (!current || current.state === 'resolved') {
+        return current === null ? undefined : current;
+      }
+      changed = true;
+      return { ...current, state: 'resolved', updatedAt: now };
+    }
+
+    const preOrderItems = placement.classification.items.filter(item => item.preOrder).map(toItem);
+    const stockItems = placement.classification.items.filter(item => !item.preOrder).map(toItem);
+    const partDealId = context.partDealId ? String(context.partDealId) : null;
+    const sameItems = (a, b) => a.map(item => item.lineItemId).join(',') === b.map(item => item.lineItemId).join(',');
+    changed = !current
+      || current.state !== 'open'
+      || current.policy !== placement.policy
+      || current.dealId !== String(context.dealId)
+      || current.partDealId !== partDealId
+      || !sameItems(current.preOrderItems, preOrderItems)
+      || !sameItems(current.stockItems, stockItems);
+
+    return {
+      orderId,
+      orderName: order.name || null,
+      shopDomain: getCurrentShop().domain,
+      policy: placement.policy,
+      state: 'open',
+      preOrderItems,
+      stockItems,
+      dealId: String(context.dealId),
+      partDealId,
+      partCategoryId: placement.split ? Number(placement.split.categoryId) : null,
+      detectedAt: current?.state === 'open' ? current.detectedAt : now,
+      updatedAt: now,
+    };
+  });
+
+  if (changed) {
+    console.log(JSON.stringify({
+      event: record.state === 'open' ? 'MIXED_ORDER_DETECTED' : 'MIXED_ORDER_RESOLVED',
+      correlationId: context.correlationId || null,
+      orderId,
+      policy: record.policy,
+      dealId: record.dealId,
+      partDealId: record.partDealId,
+      preOrderItems: record.preOrderItems.length,
+      stockItems: record.stockItems.length,
+      timestamp: now
+    }));
+  }
+
+  return { record, changed };
+}
@@ -0,0 +1,590 @@
+/**
+ * Shopify ↔ Bitrix Reconciliation Report
+ * Compares Shopify orders created in a window with Bitrix deals found by UF_CRM_1742556489 and lists discrepancies:
+ *   - missing_deal - order has no deal
+ *   - duplicate_deals - order has several deals
+ *   - amount_mismatch - deal OPPORTUNITY differs from the mapped order total
+ *   - stage_mismatch - deal stage is neither the financial-status stage nor the stage of the order status topic
+ *     (deals ahead of all of them - moved on by a manager, kept by sync - are not reported)
+ *   - payment_status_mismatch - payment status field (BITRIX_CONFIG.PAYMENT_STATUS_FIELD) differs from the mapped one
+ *   - unmapped_sku - line items without Bitrix PRODUCT_ID (static mappings and catalog sync links)
+ * Orders split by the mixed order policy (see mixedOrders.js) are checked against two deals: the main deal and
+ * the pre-order part deal in its category, each with its own line items.
+ *
+ * Runs are stored in 'reconciliation-runs' and advanced one Admin API page per step, like backfill runs
+ * (see backfill.js). Every discrepancy can be resynced - the order is loaded from Admin API and goes through
+ * the orders/updated pipeline (processor passed by the caller).
+ */
+
+import { getCollection } from '../store/index.js';
+import { getOrder, listOrders } from '../shopify/adminClient.js';
+import { getConfiguredShop, getCurrentShop, runWithShop } from '../shopify/shops.js';
+import { batch } from '../bitrix/client.js';
+import { BITRIX_CONFIG, financialStatusToStageId, topicToStageId } from '../bitrix/config.js';
+import { checkStageTransition } from '../bitrix/stageTransitions.js';
+import { getStaticProductId, isGiftCardItem, mapShopifyOrderToBitrixDeal } from '../bitrix/orderMapper.js';
+import { getProductLinks } from '../bitrix/productCatalog.js';
+import { getFieldMapping } from '../bitrix/fieldMappingLoader.js';
+import { getLookupProductIds, getProductPreOrderData } from '../shopify/preOrder.js';
+import { resolveOrderPlacement } from './mixedOrders.js';
+
+const COLLECTION_NAME = 'reconciliation-runs';
+
+export const DISCREPANCY_TYPES = ['missing_deal', 'duplicate_deals', 'amount_mismatch', 'stage_mismatch', 'payment_status_mismatch', 'unmapped_sku'];
+
+export const RECONCILIATION_STATES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+const LEASE_MS = 10 * 60 * 1000;
+const MAX_LIST_ERRORS = 5;
+const MAX_DISCREPANCIES = 5000;
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Generate run ID
+ * @returns {string} Run ID
+ */
+function generateRunId() {
+  return `recon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Validate reconciliation parameters
+ * @param {Object} input - { createdAtMin, createdAtMax, pageSize, shopDomain }
+ * @returns {Object} { params, errors }
+ */
+export function validateReconciliationParams(input = {}) {
+  const errors = [];
+  const toDate = (value, name) => {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be a date`);
+      return null;
+    }
+    return date.toISOString();
+  };
+  const createdAtMin = toDate(input.createdAtMin, 'createdAtMin');
+  const createdAtMax = toDate(input.createdAtMax, 'createdAtMax');
+  const pageSize = input.pageSize ? Number(input.pageSize) : DEFAULT_PAGE_SIZE;
+
+  if (createdAtMin && createdAtMax && createdAtMin > createdAtMax) {
+    errors.push('createdAtMin must not be after createdAtMax');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be 1..${MAX_PAGE_SIZE}`);
+  }
+  if (input.shopDomain && !getConfiguredShop(input.shopDomain)) {
+    errors.push(`shop ${input.shopDomain} is not configured`);
+  }
+
+  return {
+    params: {
+      shopDomain: input.shopDomain ? getConfiguredShop(input.shopDomain)?.domain || null : null,
+      createdAtMin,
+      createdAtMax,
+      pageSize,
+    },
+    errors,
+  };
+}
+
+/**
+ * Run without discrepancies (for lists)
+ * @param {Object} run - Run
+ * @returns {Object}
+ */
+export function toReconciliationSummary(run) {
+  if (!run) {
+    return null;
+  }
+  const { discrepancies, ...summary } = run;
+  return summary;
+}
+
+/**
+ * Create reconciliation run
+ * @param {Object} input - See validateReconciliationParams
+ * @returns {Promise<Object>} Created run
+ * @throws {Error} code 'RECONCILIATION_INVALID', errors - invalid parameters
+ */
+export async function createReconciliationRun(input) {
+  const { params, errors } = validateReconciliationParams(input);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid reconciliation parameters: ${errors.join('; ')}`);
+    error.code = 'RECONCILIATION_INVALID';
+    error.errors = errors;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const run = {
+    id: generateRunId(),
+    state: 'pending',
+    params,
+    cursor: { pageInfo: null },
+    progress: {
+      pages: 0,
+      orders: 0,
+      ordersWithDiscrepancies: 0,
+      lookupErrors: 0,
+      byType: Object.fromEntries(DISCREPANCY_TYPES.map(type => [type, 0])),
+    },
+    discrepancies: [],
+    discrepanciesTruncated: false,
+    lastError: null,
+    listErrors: 0,
+    leaseUntil: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await getCollection(COLLECTION_NAME).set(run.id, run);
+
+  console.log(JSON.stringify({
+    event: 'RECONCILIATION_CREATED',
+    runId: run.id,
+    params,
+    timestamp: now
+  }));
+
+  return run;
+}
+
+/**
+ * Get run by ID (with discrepancies)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getReconciliationRun(runId) {
+  return getCollection(COLLECTION_NAME).get(runId);
+}
+
+/**
+ * List runs (newest first, without discrepancies)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listReconciliationRuns() {
+  const entries = await getCollection(COLLECTION_NAME).entries();
+  return entries
+    .map(entry => entry.value)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toReconciliationSummary);
+}
+
+/**
+ * Cancel run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Updated run or null if not found / already finished
+ */
+export async function cancelReconciliationRun(runId) {
+  let cancelled = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    if (!current || !['pending', 'running'].includes(current.state)) {
+      return current;
+    }
+    cancelled = true;
+    const now = new Date().toISOString();
+    return { ...current, state: 'cancelled', leaseUntil: null, updatedAt: now, finishedAt: now };
+  });
+  return cancelled ? run : null;
+}
+
+/**
+ * Claim run for one step (atomic check-and-set)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Claimed run or null if finished / another step is running
+ */
+async function claimRun(runId) {
+  let claimed = false;
+  const run = await getCollection(COLLECTION_NAME).update(runId, (current) => {
+    const now = Date.now();
+    if (!current || !['pending', 'running'].includes(current.state)) {
+      return current;
+    }
+    if (current.state === 'running' && new Date(current.leaseUntil).getTime() > now) {
+      return current;
+    }
+    claimed = true;
+    return {
+      ...current,
+      state: 'running',
+      leaseUntil: new Date(now + LEASE_MS).toISOString(),
+      startedAt: current.startedAt || new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+  return claimed ? run : null;
+}
+
+/**
+ * Stages a synced deal may be in: stage of financial status and stage of the order status topic
+ * (orders/paid, orders/fulfilled, orders/cancelled move deals beyond the financial-status stage)
+ * @param {Object} order - Shopify order
+ * @param {Object} deal - Bitrix deal { CATEGORY_ID, STAGE_ID }
+ * @param {Object} bitrix - Shop Bitrix settings
+ * @returns {Array<string>} Stage IDs
+ */
+function getExpectedStageIds(order, deal, bitrix) {
+  const categoryId = Number(deal.CATEGORY_ID);
+  const stages = [financialStatusToStageId(order.financial_status, categoryId, deal.STAGE_ID, bitrix.STAGES || null)];
+  const topics = [];
+  if (order.cancelled_at) topics.push('orders/cancelled');
+  if (order.financial_status === 'paid') topics.push('orders/paid');
+  if (order.fulfillment_status === 'fulfilled') topics.push('orders/fulfilled');
+  if (order.fulfillment_status === 'partial') topics.push('orders/partially_fulfilled');
+  for (const topic of topics) {
+    stages.push(topicToStageId(topic, categoryId, bitrix.TOPIC_STAGES));
+  }
+  return [...new Set(stages.filter(Boolean))];
+}
+
+/**
+ * Line items without Bitrix PRODUCT_ID
+ * @param {Object} order - Shopify order
+ * @param {Object} productLinks - SKU → PRODUCT_ID links from catalog sync
+ * @returns {Array<Object>} { sku, title }
+ */
+function getUnmappedItems(order, productLinks) {
+  return (order.line_items || [])
+    .filter(item => !isGiftCardItem(item))
+    .filter(item => !getStaticProductId(item) && !(item.sku && productLinks[item.sku]))
+    .map(item => ({ sku: item.sku || null, title: item.title || null }));
+}
+
+/**
+ * Compare one deal with the order (amount, stage, payment status)
+ * @param {Object} order - Shopify order
+ * @param {Object} deal - Bitrix deal
+ * @param {Object} mapOptions - mapShopifyOrderToBitrixDeal options of the deal (productLinks, preOrder, lineItemIds, extras)
+ * @param {Function} add - Adds discrepancy (type, fields)
+ */
+function compareDeal(order, deal, mapOptions, add) {
+  const bitrix = getCurrentShop().bitrix;
+  const { dealFields } = mapShopifyOrderToBitrixDeal(order, { ...mapOptions, bitrix, fieldMapping: getFieldMapping() });
+
+  const expectedAmount = Number(dealFields.OPPORTUNITY) || 0;
+  const actualAmount = Number(deal.OPPORTUNITY) || 0;
+  if (Math.abs(expectedAmount - actualAmount) > AMOUNT_TOLERANCE) {
+    add('amount_mismatch', {
+      expected: expectedAmount,
+      actual: actualAmount,
+      details: `Difference ${Math.round((actualAmount - expectedAmount) * 100) / 100}`,
+    });
+  }
+
+  // Deal ahead of every expected stage was moved on by a manager - sync keeps it there (stageTransitions.js)
+  const expectedStages = getExpectedStageIds(order, deal, bitrix);
+  const isAhead = expectedStages.every(stageId =>
+    checkStageTransition(deal.STAGE_ID, stageId, { categoryId: Number(deal.CATEGORY_ID), bitrix }).reason === 'backward'
+  );
+  if (expectedStages.length > 0 && !expectedStages.includes(deal.STAGE_ID) && !isAhead) {
+    add('stage_mismatch', {
+      expected: expectedStages.join(' | '),
+      actual: deal.STAGE_ID || null,
+      details: `financial_status ${order.financial_status || 'N/A'}, fulfillment_status ${order.fulfillment_status || 'N/A'}`,
+    });
+  }
+
+  const paymentField = BITRIX_CONFIG.PAYMENT_STATUS_FIELD;
+  if (paymentField && dealFields[paymentField] !== undefined && String(dealFields[paymentField]) !== String(deal[paymentField] ?? '')) {
+    add('payment_status_mismatch', {
+      expected: dealFields[paymentField],
+      actual: deal[paymentField] ?? null,
+      details: `financial_status ${order.financial_status || 'N/A'}`,
+    });
+  }
+}
+
+/**
+ * Compare order with its deals
+ * @param {Object} order - Shopify order
+ * @param {Array<Object>} deals - Deals found by UF_CRM_1742556489
+ * @param {Object} productLinks - SKU → PRODUCT_ID links
+ * @param {Object|null} placement - resolveOrderPlacement result (null = detection failed, order tags only)
+ * @returns {Array<Object>} Discrepancies of the order
+ */
+function compareOrder(order, deals, productLinks, placement = null) {
+  const base = {
+    orderId: String(order.id),
+    orderName: order.name || null,
+    createdAt: order.created_at || null,
+    financialStatus: order.financial_status || null,
+  };
+  const found = [];
+  const add = (type, fields) => found.push({ ...base, type, dealIds: deals.map(deal => deal.ID), ...fields });
+
+  const unmapped = getUnmappedItems(order, productLinks);
+  if (unmapped.length > 0) {
+    add('unmapped_sku', {
+      expected: null,
+      actual: null,
+      details: unmapped.map(item => item.sku || `(no SKU) ${item.title}`).join(', '),
+    });
+  }
+
+  // Split order: deals of the pre-order category belong to the part, the others to the main deal
+  const split = placement?.split || null;
+  const isPartDeal = (deal) => split && Number(deal.CATEGORY_ID) === Number(split.categoryId);
+  const groups = [
+    {
+      deals: deals.filter(deal => !isPartDeal(deal)),
+      mapOptions: { productLinks, preOrder: placement?.preOrder, lineItemIds: placement?.primaryLineItemIds || null },
+      label: '',
+    },
+  ];
+  if (split) {
+    groups.push({
+      deals: deals.filter(isPartDeal),
+      mapOptions: { productLinks, preOrder: true, lineItemIds: split.lineItemIds, extras: false },
+      label: 'Pre-order part: ',
+    });
+  }
+
+  for (const group of groups) {
+    const addForGroup = (type, fields) => add(type, { ...fields, details: `${group.label}${fields.details}` });
+    if (group.deals.length === 0) {
+      addForGroup('missing_deal', { expected: split ? null : (order.total_price ?? null), actual: null, details: 'No deal with this UF_CRM_1742556489' });
+    } else if (group.deals.length > 1) {
+      addForGroup('duplicate_deals', { expected: 1, actual: group.deals.length, details: `Deals: ${group.deals.map(deal => deal.ID).join(', ')}` });
+    } else {
+      compareDeal(order, group.deals[0], group.mapOptions, addForGroup);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Reconcile one page of orders
+ * @param {Array<Object>} orders - Shopify orders
+ * @returns {Promise<Object>} { discrepancies, lookupErrors }
+ */
+async function reconcileOrders(orders) {
+  if (orders.length === 0) {
+    return { discrepancies: [], lookupErrors: 0, ordersWithDiscrepancies: 0 };
+  }
+
+  const paymentField = BITRIX_CONFIG.PAYMENT_STATUS_FIELD;
+  const commands = Object.fromEntries(orders.map(order => [`order_${order.id}`, ['crm.deal.list', {
+    filter: { UF_CRM_1742556489: String(order.id) },
+    select: ['ID', 'OPPORTUNITY', 'CURRENCY_ID', 'STAGE_ID', 'CATEGORY_ID', ...(paymentField ? [paymentField] : [])],
+  }]]));
+  const { results, errors } = await batch(commands);
+
+  let productLinks = {};
+  try {
+    productLinks = await getProductLinks(orders.flatMap(order => (order.line_items || []).map(item => item.sku)));
+  } catch (linksError) {
+    console.error('[RECONCILIATION] Product links lookup failed (non-blocking):', linksError);
+  }
+
+  // Product tags / metafields for pre-order detection - one Admin API lookup per page, cached
+  let detectionError = null;
+  try {
+    await getProductPreOrderData(getLookupProductIds(orders));
+  } catch (lookupError) {
+    detectionError = lookupError;
+    console.error('[RECONCILIATION] Pre-order product lookup failed (non-blocking):', lookupError);
+  }
+
+  const discrepancies = [];
+  let lookupErrors = 0;
+  let ordersWithDiscrepancies = 0;
+  for (const order of orders) {
+    const key = `order_${order.id}`;
+    let placement = null;
+    if (!detectionError) {
+      try {
+        placement = await resolveOrderPlacement(order, getCurrentShop().bitrix);
+      } catch (placementError) {
+        console.error(`[RECONCILIATION] Pre-order detection failed for order ${order.id} (non-blocking):`, placementError);
+      }
+    }
+    if (errors[key]) {
+      lookupErrors++;
+      console.log(JSON.stringify({
+        event: 'RECONCILIATION_LOOKUP_ERROR',
+        orderId: String(order.id),
+        error: errors[key],
+        timestamp: new Date().toISOString()
+      }));
+      continue;
+    }
+    const found = compareOrder(order, results[key] || [], productLinks, placement);
+    if (found.length > 0) {
+      ordersWithDiscrepancies++;
+      discrepancies.push(...found);
+    }
+  }
+
+  return { discrepancies, lookupErrors, ordersWithDiscrepancies };
+}
+
+/**
+ * Process next page of run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} { run, claimed } - claimed false when run is finished or another step is running
+ */
+export async function runReconciliationStep(runId) {
+  const run = await claimRun(runId);
+  if (!run) {
+    return { run: await getReconciliationRun(runId), claimed: false };
+  }
+
+  const { params } = run;
+  const collection = getCollection(COLLECTION_NAME);
+
+  let page;
+  let result;
+  try {
+    ({ page, result } = await runWithShop(params.shopDomain, async () => {
+      const listed = await listOrders({
+        createdAtMin: params.createdAtMin,
+        createdAtMax: params.createdAtMax,
+        limit: params.pageSize,
+        pageInfo: run.cursor.pageInfo,
+      });
+      return { page: listed, result: await reconcileOrders(listed.orders) };
+    }));
+  } catch (error) {
+    const listErrors = (run.listErrors || 0) + 1;
+    const failed = listErrors >= MAX_LIST_ERRORS;
+    const now = new Date().toISOString();
+    const updated = await collection.update(runId, (current) => ({
+      ...current,
+      state: current.state === 'cancelled' ? 'cancelled' : (failed ? 'failed' : 'pending'),
+      leaseUntil: null,
+      lastError: error.message,
+      listErrors,
+      updatedAt: now,
+      finishedAt: failed ? now : current.finishedAt,
+    }));
+
+    console.log(JSON.stringify({
+      event: failed ? 'RECONCILIATION_FAILED' : 'RECONCILIATION_STEP_ERROR',
+      runId,
+      listErrors,
+      error: error.message,
+      timestamp: now
+    }));
+
+    return { run: updated, claimed: true };
+  }
+
+  const now = new Date().toISOString();
+  const updated = await collection.update(runId, (current) => {
+    const byType = { ...current.progress.byType };
+    for (const discrepancy of result.discrepancies) {
+      byType[discrepancy.type]++;
+    }
+    const all = [...(current.discrepancies || []), ...result.discrepancies];
+    const next = {
+      ...current,
+      cursor: { pageInfo: page.nextPageInfo },
+      progress: {
+        pages: current.progress.pages + 1,
+        orders: current.progress.orders + page.orders.length,
+        ordersWithDiscrepancies: current.progress.ordersWithDiscrepancies + result.ordersWithDiscrepancies,
+        lookupErrors: current.progress.lookupErrors + result.lookupErrors,
+        byType,
+      },
+      discrepancies: all.slice(0, MAX_DISCREPANCIES),
+      discrepanciesTruncated: current.discrepanciesTruncated || all.length > MAX_DISCREPANCIES,
+      lastError: null,
+      listErrors: 0,
+      leaseUntil: null,
+      updatedAt: now,
+    };
+    if (current.state === 'cancelled') {
+      return { ...next, state: 'cancelled' };
+    }
+    return page.nextPageInfo ? { ...next, state: 'pending' } : { ...next, state: 'done', finishedAt: now };
+  });
+
+  console.log(JSON.stringify({
+    event: updated.state === 'done' ? 'RECONCILIATION_DONE' : 'RECONCILIATION_STEP',
+    runId,
+    page: updated.progress.pages,
+    pageOrders: page.orders.length,
+    pageDiscrepancies: result.discrepancies.length,
+    progress: updated.progress,
+    timestamp: now
+  }));
+
+  return { run: updated, claimed: true };
+}
+
+/**
+ * Resync order of a discrepancy: load current order from Admin API and run it through the pipeline
+ * @param {string} runId - Run ID
+ * @param {string} orderId - Shopify order ID
+ * @param {Function} processOrder - async (order, run) => dealId | null
+ * @returns {Promise<Object|null>} { dealId, error, resync } or null if the order is not in the run
+ */
+export async function resyncDiscrepancy(runId, orderId, processOrder) {
+  const run = await getReconciliationRun(runId);
+  if (!run || !(run.discrepancies || []).some(item => item.orderId === String(orderId))) {
+    return null;
+  }
+
+  let dealId = null;
+  let error = null;
+  try {
+    const order = await runWithShop(run.params.shopDomain, () => getOrder(orderId));
+    dealId = await processOrder(order, run);
+  } catch (resyncError) {
+    error = resyncError.message;
+  }
+
+  const resync = { at: new Date().toISOString(), success: !error, dealId, error };
+  await getCollection(COLLECTION_NAME).update(runId, (current) => ({
+    ...current,
+    discrepancies: current.discrepancies.map(item => (item.orderId === String(orderId) ? { ...item, resync } : item)),
+    updatedAt: resync.at,
+  }));
+
+  console.log(JSON.stringify({
+    event: error ? 'RECONCILIATION_RESYNC_FAILED' : 'RECONCILIATION_RESYNC',
+    runId,
+    orderId: String(orderId),
+    dealId,
+    error,
+    timestamp: resync.at
+  }));
+
+  return { dealId, error, resync };
+}
+
+/**
+ * Discrepancies as CSV (UTF-8, comma separated)
+ * @param {Array<Object>} discrepancies - Discrepancies
+ * @returns {string} CSV text
+ */
+export function discrepanciesToCsv(discrepancies) {
+  const columns = ['type', 'orderId', 'orderName', 'createdAt', 'financialStatus', 'dealIds', 'expected', 'actual', 'details', 'resyncAt', 'resyncResult'];
+  const escape = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    // Values come from Shopify / Bitrix - a leading =, +, -, @ (tab, CR) would run as a formula in Excel / Sheets;
+    // plain numbers (negative amounts such as -12.50) stay numeric
+    const isNumber = /^-?\d+(\.\d+)?$/.test(raw);
+    const text = !isNumber && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = discrepancies.map(item => [
+    item.type,
+    item.orderId,
+    item.orderName,
+    item.createdAt,
+    item.financialStatus,
+    (item.dealIds || []).join(' '),
+    item.expected,
+    item.actual,
+    item.details,
+    item.resync?.at,
+    item.resync ? (item.resync.success ? `ok ${item.resync.dealId || ''}`.trim() : `error: ${item.resync.error}`) : '',
+  ].map(escape).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}